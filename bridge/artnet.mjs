@@ -0,0 +1,64 @@
+// Art-Net 4 ArtDmx / ArtSync packet building and parsing
+export const ARTNET_PORT = 6454;
+
+const ARTNET_ID = Buffer.from('Art-Net\0', 'latin1');
+const OP_DMX = 0x5000;
+const OP_SYNC = 0x5200;
+const PROTOCOL_VERSION = 14;
+
+function writeHeader(packet, opCode) {
+    ARTNET_ID.copy(packet, 0);
+    packet.writeUInt16LE(opCode, 8);             // OpCode is little-endian
+    packet.writeUInt16BE(PROTOCOL_VERSION, 10);
+}
+
+// Art-Net universes are 15-bit port addresses starting at 0, so plot
+// universe 1 goes out as port address 0 unless an offset is configured.
+export function toPortAddress(universe, offset = -1) {
+    return (universe + offset) & 0x7fff;
+}
+
+// ArtDmx for one universe. Sequence 1-255; 0 disables reordering checks.
+export function buildDmxPacket({ sequence, physical = 0, portAddress, data }) {
+    // Length must be even and between 2 and 512
+    const length = Math.min(Math.max(data.length + (data.length % 2), 2), 512);
+    const packet = Buffer.alloc(18 + length);
+    writeHeader(packet, OP_DMX);
+
+    packet.writeUInt8(sequence & 0xff, 12);
+    packet.writeUInt8(physical, 13);
+    packet.writeUInt8(portAddress & 0xff, 14);         // SubUni
+    packet.writeUInt8((portAddress >> 8) & 0x7f, 15);  // Net
+    packet.writeUInt16BE(length, 16);
+    Buffer.from(data.buffer, data.byteOffset, Math.min(data.length, length)).copy(packet, 18);
+
+    return packet;
+}
+
+// ArtSync: nodes output the buffered ArtDmx frame when this arrives
+export function buildSyncPacket() {
+    const packet = Buffer.alloc(14);
+    writeHeader(packet, OP_SYNC);
+    return packet;
+}
+
+// Decode an ArtDmx or ArtSync packet; returns null for anything else
+export function parsePacket(packet) {
+    if (packet.length < 12 || !packet.subarray(0, 8).equals(ARTNET_ID)) return null;
+
+    const opCode = packet.readUInt16LE(8);
+    if (opCode === OP_DMX && packet.length >= 18) {
+        const length = packet.readUInt16BE(16);
+        return {
+            type: 'data',
+            sequence: packet.readUInt8(12),
+            physical: packet.readUInt8(13),
+            portAddress: (packet.readUInt8(15) << 8) | packet.readUInt8(14),
+            data: packet.subarray(18, 18 + length)
+        };
+    }
+    if (opCode === OP_SYNC) {
+        return { type: 'sync' };
+    }
+    return null;
+}
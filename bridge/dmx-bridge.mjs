@@ -0,0 +1,307 @@
+// Local DMX bridge: receives fixture levels from the page over a WebSocket
+// and sends them to real fixtures as sACN (E1.31) and/or Art-Net.
+//
+//   node bridge/dmx-bridge.mjs [options]
+//
+//   --ws-host <host>        WebSocket listen address (default 127.0.0.1)
+//   --ws-port <port>        WebSocket port (default 8090)
+//   --protocol <p>          sacn, artnet or both (default sacn)
+//   --sacn-host <host>      Unicast sACN to this host instead of multicast
+//   --sacn-port <port>      sACN destination port (default 5568)
+//   --artnet-host <host>    Art-Net destination (default 255.255.255.255)
+//   --artnet-port <port>    Art-Net destination port (default 6454)
+//   --artnet-offset <n>     Added to plot universes for Art-Net (default -1)
+//   --priority <0-200>      sACN priority (default 100)
+//   --sync-universe <n>     sACN sync address; 0 turns sync off for both
+//                           protocols (default: first universe when more
+//                           than one universe is live)
+//   --rate <hz>             Maximum frame rate, capped at 44 (default 44)
+//   --allow-origin <list>   Comma-separated page origins allowed to connect
+//                           (default: file:// pages and localhost)
+//
+// For testing without hardware, point both protocols at a local listener:
+//   node bridge/udp-monitor.mjs
+//   node bridge/dmx-bridge.mjs --protocol both --sacn-host 127.0.0.1 --artnet-host 127.0.0.1
+import dgram from 'node:dgram';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import { createWebSocketServer } from './websocket-server.mjs';
+import * as sACN from './sacn.mjs';
+import * as ArtNet from './artnet.mjs';
+
+// DMX512 refresh limit for a full 512-slot universe
+const MAX_FRAME_RATE = 44;
+// Unchanged data is repeated a few times, then kept alive once a second
+const REPEAT_FRAMES = 3;
+const KEEP_ALIVE_MS = 1000;
+// sACN streams are ended with this many terminated packets
+const TERMINATE_PACKETS = 3;
+// Pages opened from disk send "null" or "file://" as their origin
+const DEFAULT_ORIGINS = ['null', 'file://'];
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseArgs(argv) {
+    const options = {
+        wsHost: '127.0.0.1',
+        wsPort: 8090,
+        protocol: 'sacn',
+        sacnHost: null,
+        sacnPort: sACN.SACN_PORT,
+        artnetHost: '255.255.255.255',
+        artnetPort: ArtNet.ARTNET_PORT,
+        artnetOffset: -1,
+        priority: 100,
+        syncUniverse: null,
+        rate: MAX_FRAME_RATE,
+        allowOrigin: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+        if (!(key in options)) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+        const value = argv[++i];
+        options[key] = typeof options[key] === 'number' || key === 'syncUniverse' ? Number(value) : value;
+    }
+
+    if (!['sacn', 'artnet', 'both'].includes(options.protocol)) {
+        throw new Error(`Unknown protocol "${options.protocol}"`);
+    }
+    if (!(options.priority >= 0 && options.priority <= 200)) {
+        throw new Error('sACN priority must be between 0 and 200');
+    }
+    options.rate = Math.min(Math.max(options.rate, 1), MAX_FRAME_RATE);
+    options.allowOrigin = options.allowOrigin
+        ? options.allowOrigin.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+        : null;
+    return options;
+}
+
+// Any web page can open a WebSocket to localhost, so only the plot's own
+// pages may drive fixtures. Clients that send no origin aren't browsers.
+function isOriginAllowed(origin, allowed) {
+    if (origin === undefined) return true;
+    if (allowed) return allowed.includes(origin);
+    return DEFAULT_ORIGINS.includes(origin) || LOCAL_ORIGIN.test(origin);
+}
+
+function createOutput(options) {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const useSACN = options.protocol !== 'artnet';
+    const useArtNet = options.protocol !== 'sacn';
+
+    const cid = sACN.cidFromUUID(crypto.randomUUID());
+    const sourceName = `Lighting Plot Bridge (${os.hostname()})`;
+
+    const state = {
+        universes: new Map(),   // universe -> Uint8Array(512)
+        sequences: new Map(),   // universe -> { sacn, artnet }
+        syncSequence: 0,
+        repeatsLeft: 0,
+        lastSent: 0
+    };
+
+    socket.bind(() => socket.setBroadcast(true));
+
+    function send(packet, host, port) {
+        socket.send(packet, port, host, (error) => {
+            if (error) console.error(`Send to ${host}:${port} failed:`, error.message);
+        });
+    }
+
+    function getSyncAddress() {
+        if (options.syncUniverse !== null) return options.syncUniverse;
+        const universes = [...state.universes.keys()];
+        return universes.length > 1 ? Math.min(...universes) : 0;
+    }
+
+    function nextSequence(universe, protocol) {
+        if (!state.sequences.has(universe)) {
+            state.sequences.set(universe, { sacn: 0, artnet: 0 });
+        }
+        const sequences = state.sequences.get(universe);
+        // Art-Net reserves 0 for "no sequencing"
+        sequences[protocol] = protocol === 'artnet'
+            ? (sequences[protocol] % 255) + 1
+            : (sequences[protocol] + 1) & 0xff;
+        return sequences[protocol];
+    }
+
+    function sendSACN(universe, data, syncAddress, options_ = 0) {
+        const packet = sACN.buildDataPacket({
+            cid,
+            sourceName,
+            priority: options.priority,
+            syncAddress,
+            sequence: nextSequence(universe, 'sacn'),
+            options: options_,
+            universe,
+            data
+        });
+        send(packet, options.sacnHost || sACN.multicastAddress(universe), options.sacnPort);
+    }
+
+    // One frame: every live universe, then the sync packets
+    function sendFrame() {
+        const syncAddress = getSyncAddress();
+
+        state.universes.forEach((data, universe) => {
+            if (useSACN) {
+                sendSACN(universe, data, syncAddress);
+            }
+            if (useArtNet) {
+                send(ArtNet.buildDmxPacket({
+                    sequence: nextSequence(universe, 'artnet'),
+                    portAddress: ArtNet.toPortAddress(universe, options.artnetOffset),
+                    data
+                }), options.artnetHost, options.artnetPort);
+            }
+        });
+
+        if (syncAddress) {
+            if (useSACN) {
+                state.syncSequence = (state.syncSequence + 1) & 0xff;
+                send(sACN.buildSyncPacket({ cid, sequence: state.syncSequence, syncAddress }),
+                    options.sacnHost || sACN.multicastAddress(syncAddress), options.sacnPort);
+            }
+            if (useArtNet) {
+                send(ArtNet.buildSyncPacket(), options.artnetHost, options.artnetPort);
+            }
+        }
+    }
+
+    // Tell receivers the stream has ended so they fall back to their
+    // data-loss behaviour straight away
+    function terminate(universe) {
+        const data = state.universes.get(universe);
+        if (useSACN && data) {
+            for (let i = 0; i < TERMINATE_PACKETS; i++) {
+                sendSACN(universe, data, 0, sACN.OPTIONS.STREAM_TERMINATED);
+            }
+        }
+        state.universes.delete(universe);
+        state.sequences.delete(universe);
+    }
+
+    // Frames go out at no more than the configured rate; between changes
+    // the last frame is repeated, then kept alive
+    const timer = setInterval(() => {
+        if (!state.universes.size) return;
+
+        const now = Date.now();
+        if (state.repeatsLeft > 0) {
+            state.repeatsLeft--;
+        } else if (now - state.lastSent < KEEP_ALIVE_MS) {
+            return;
+        }
+        sendFrame();
+        state.lastSent = now;
+    }, 1000 / options.rate);
+
+    return {
+        // Latest levels from the page: { [universe]: number[] }
+        update(universes) {
+            const received = new Set();
+            Object.entries(universes).forEach(([key, values]) => {
+                const universe = Number(key);
+                if (!Number.isInteger(universe) || universe < 1 || universe > 63999) return;
+                if (!Array.isArray(values) || !values.every(value => typeof value === 'number')) {
+                    console.error(`Ignoring universe ${key}: levels must be a list of numbers`);
+                    return;
+                }
+
+                const data = new Uint8Array(512);
+                data.set(values.slice(0, 512).map(value => Math.min(Math.max(value | 0, 0), 255)));
+                state.universes.set(universe, data);
+                received.add(universe);
+            });
+
+            // Universes the page no longer sends are ended, not frozen
+            [...state.universes.keys()]
+                .filter(universe => !received.has(universe))
+                .forEach(terminate);
+
+            state.repeatsLeft = REPEAT_FRAMES;
+        },
+
+        stop() {
+            [...state.universes.keys()].forEach(terminate);
+        },
+
+        close() {
+            this.stop();
+            clearInterval(timer);
+            setTimeout(() => socket.close(), 100);
+        }
+    };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const output = createOutput(options);
+    let clients = 0;
+
+    const server = createWebSocketServer({
+        host: options.wsHost,
+        port: options.wsPort,
+        allowOrigin: origin => isOriginAllowed(origin, options.allowOrigin)
+    }, (connection, request) => {
+        clients++;
+        console.log(`Page connected from ${request.socket.remoteAddress}`);
+        connection.send(JSON.stringify({ type: 'hello', protocol: options.protocol, rate: options.rate }));
+
+        return {
+            onMessage(text) {
+                let message;
+                try {
+                    message = JSON.parse(text);
+                } catch (error) {
+                    console.error('Ignoring malformed message:', error.message);
+                    return;
+                }
+                if (!isPlainObject(message)) {
+                    console.error('Ignoring message that is not an object');
+                    return;
+                }
+                if (message.type === 'dmx' && isPlainObject(message.universes)) {
+                    output.update(message.universes);
+                }
+            },
+            onClose() {
+                clients--;
+                console.log('Page disconnected');
+                if (!clients) output.stop();
+            }
+        };
+    });
+
+    server.on('listening', () => {
+        console.log(`DMX bridge listening on ws://${options.wsHost}:${options.wsPort}`);
+        console.log(`Output: ${options.protocol} at up to ${options.rate} Hz`);
+    });
+    server.on('error', (error) => {
+        console.error('Bridge server error:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        console.log('Stopping bridge');
+        output.close();
+        server.close();
+        setTimeout(() => process.exit(0), 200);
+    });
+}
+
+main();
@@ -0,0 +1,117 @@
+// sACN (ANSI E1.31-2016) packet building and parsing
+export const SACN_PORT = 5568;
+
+export const OPTIONS = {
+    PREVIEW_DATA: 0x80,
+    STREAM_TERMINATED: 0x40,
+    FORCE_SYNCHRONIZATION: 0x20
+};
+
+const ACN_PACKET_IDENTIFIER = Buffer.from([
+    0x41, 0x53, 0x43, 0x2d, 0x45, 0x31, 0x2e, 0x31, 0x37, 0x00, 0x00, 0x00
+]);
+
+const VECTOR_ROOT_E131_DATA = 0x00000004;
+const VECTOR_ROOT_E131_EXTENDED = 0x00000008;
+const VECTOR_E131_DATA_PACKET = 0x00000002;
+const VECTOR_E131_EXTENDED_SYNCHRONIZATION = 0x00000001;
+const VECTOR_DMP_SET_PROPERTY = 0x02;
+
+const DATA_PACKET_SIZE = 638;
+const SYNC_PACKET_SIZE = 49;
+
+// PDU flags (0x7) and length share one 16-bit field
+function flagsAndLength(length) {
+    return 0x7000 | (length & 0x0fff);
+}
+
+function writeRootLayer(packet, vector, cid) {
+    packet.writeUInt16BE(0x0010, 0);           // Preamble size
+    packet.writeUInt16BE(0x0000, 2);           // Postamble size
+    ACN_PACKET_IDENTIFIER.copy(packet, 4);
+    packet.writeUInt16BE(flagsAndLength(packet.length - 16), 16);
+    packet.writeUInt32BE(vector, 18);
+    cid.copy(packet, 22, 0, 16);
+}
+
+// Multicast group for a universe: 239.255.<hi>.<lo>
+export function multicastAddress(universe) {
+    return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+// Component identifier from a UUID string
+export function cidFromUUID(uuid) {
+    return Buffer.from(uuid.replace(/-/g, ''), 'hex');
+}
+
+// E1.31 data packet carrying a full 512-slot universe
+export function buildDataPacket({ cid, sourceName, priority = 100, syncAddress = 0, sequence, options = 0, universe, data }) {
+    const packet = Buffer.alloc(DATA_PACKET_SIZE);
+    writeRootLayer(packet, VECTOR_ROOT_E131_DATA, cid);
+
+    // Framing layer
+    packet.writeUInt16BE(flagsAndLength(DATA_PACKET_SIZE - 38), 38);
+    packet.writeUInt32BE(VECTOR_E131_DATA_PACKET, 40);
+    packet.write(String(sourceName).slice(0, 63), 44, 64, 'utf8');
+    packet.writeUInt8(priority, 108);
+    packet.writeUInt16BE(syncAddress, 109);
+    packet.writeUInt8(sequence & 0xff, 111);
+    packet.writeUInt8(options, 112);
+    packet.writeUInt16BE(universe, 113);
+
+    // DMP layer
+    packet.writeUInt16BE(flagsAndLength(DATA_PACKET_SIZE - 115), 115);
+    packet.writeUInt8(VECTOR_DMP_SET_PROPERTY, 117);
+    packet.writeUInt8(0xa1, 118);                // Address type & data type
+    packet.writeUInt16BE(0x0000, 119);           // First property address
+    packet.writeUInt16BE(0x0001, 121);           // Address increment
+    packet.writeUInt16BE(513, 123);              // Start code + 512 slots
+    packet.writeUInt8(0x00, 125);                // DMX512 null start code
+    Buffer.from(data.buffer, data.byteOffset, Math.min(data.length, 512)).copy(packet, 126);
+
+    return packet;
+}
+
+// E1.31 universe synchronization packet
+export function buildSyncPacket({ cid, sequence, syncAddress }) {
+    const packet = Buffer.alloc(SYNC_PACKET_SIZE);
+    writeRootLayer(packet, VECTOR_ROOT_E131_EXTENDED, cid);
+
+    packet.writeUInt16BE(flagsAndLength(SYNC_PACKET_SIZE - 38), 38);
+    packet.writeUInt32BE(VECTOR_E131_EXTENDED_SYNCHRONIZATION, 40);
+    packet.writeUInt8(sequence & 0xff, 44);
+    packet.writeUInt16BE(syncAddress, 45);
+    packet.writeUInt16BE(0, 47);                 // Reserved
+
+    return packet;
+}
+
+// Decode a data or sync packet; returns null for anything else
+export function parsePacket(packet) {
+    if (packet.length < 38 || !packet.subarray(4, 16).equals(ACN_PACKET_IDENTIFIER)) return null;
+
+    const rootVector = packet.readUInt32BE(18);
+    if (rootVector === VECTOR_ROOT_E131_DATA && packet.length >= 126) {
+        const slotCount = packet.readUInt16BE(123) - 1;
+        return {
+            type: 'data',
+            sourceName: packet.toString('utf8', 44, 108).replace(/\0.*$/, ''),
+            priority: packet.readUInt8(108),
+            syncAddress: packet.readUInt16BE(109),
+            sequence: packet.readUInt8(111),
+            options: packet.readUInt8(112),
+            universe: packet.readUInt16BE(113),
+            startCode: packet.readUInt8(125),
+            data: packet.subarray(126, 126 + slotCount)
+        };
+    }
+    if (rootVector === VECTOR_ROOT_E131_EXTENDED && packet.length >= SYNC_PACKET_SIZE &&
+        packet.readUInt32BE(40) === VECTOR_E131_EXTENDED_SYNCHRONIZATION) {
+        return {
+            type: 'sync',
+            sequence: packet.readUInt8(44),
+            syncAddress: packet.readUInt16BE(45)
+        };
+    }
+    return null;
+}
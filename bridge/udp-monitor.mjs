@@ -0,0 +1,69 @@
+// Listen for sACN and Art-Net packets and print what arrives.
+// Used to check the bridge without any DMX hardware.
+//
+//   node bridge/udp-monitor.mjs [--sacn-port 5568] [--artnet-port 6454] [--join 1,2]
+//
+// --join subscribes to the sACN multicast groups for those universes;
+// without it, run the bridge with --sacn-host 127.0.0.1.
+import dgram from 'node:dgram';
+import * as sACN from './sacn.mjs';
+import * as ArtNet from './artnet.mjs';
+
+const args = process.argv.slice(2);
+function getArg(name, fallback) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+}
+
+const sacnPort = Number(getArg('--sacn-port', sACN.SACN_PORT));
+const artnetPort = Number(getArg('--artnet-port', ArtNet.ARTNET_PORT));
+const joinUniverses = getArg('--join', '').split(',').filter(Boolean).map(Number);
+
+// Packets per second for each stream, printed once a second
+const counts = new Map();
+
+function describeLevels(data) {
+    const levels = [];
+    data.forEach((value, index) => {
+        if (value) levels.push(`${index + 1}@${value}`);
+    });
+    return levels.length ? levels.slice(0, 12).join(' ') + (levels.length > 12 ? ' ...' : '') : 'all zero';
+}
+
+function listen(port, label, parse, describe) {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.on('message', (packet) => {
+        const parsed = parse(packet);
+        if (!parsed) return;
+
+        const key = `${label} ${parsed.type === 'sync' ? 'sync' : describe.key(parsed)}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+        if (parsed.type === 'data') {
+            console.log(`${label} ${describe.key(parsed)} seq ${parsed.sequence}${describe.extra(parsed)}: ${describeLevels(parsed.data)}`);
+        }
+    });
+    socket.bind(port, () => {
+        if (label === 'sACN') {
+            joinUniverses.forEach(universe => socket.addMembership(sACN.multicastAddress(universe)));
+        }
+        console.log(`Listening for ${label} on port ${port}`);
+    });
+}
+
+listen(sacnPort, 'sACN', sACN.parsePacket, {
+    key: packet => `universe ${packet.universe}`,
+    extra: packet => ` prio ${packet.priority}` +
+        (packet.syncAddress ? ` sync ${packet.syncAddress}` : '') +
+        (packet.options & sACN.OPTIONS.STREAM_TERMINATED ? ' TERMINATED' : '')
+});
+
+listen(artnetPort, 'Art-Net', ArtNet.parsePacket, {
+    key: packet => `port address ${packet.portAddress}`,
+    extra: () => ''
+});
+
+setInterval(() => {
+    if (!counts.size) return;
+    console.log('--- packets/s: ' + [...counts].map(([key, count]) => `${key}: ${count}`).join(', '));
+    counts.clear();
+}, 1000);
@@ -0,0 +1,170 @@
+// Minimal WebSocket server (RFC 6455) on Node's http module.
+// Handles text messages, fragmentation, ping/pong and close; enough for
+// the page to stream DMX frames to the bridge without extra packages.
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Wrap an upgraded socket. handlers: { onMessage(text), onClose() }
+function createConnection(socket, handlers) {
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    const connection = {
+        send(text) {
+            if (!closed) socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+        },
+        close(code = 1000) {
+            if (closed) return;
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            socket.end(encodeFrame(OPCODES.CLOSE, payload));
+            closed = true;
+        }
+    };
+
+    function handleFrame(opcode, fin, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(fragments);
+                    fragments = [];
+                    // One bad frame must not take the bridge down
+                    try {
+                        handlers.onMessage(message.toString('utf8'));
+                    } catch (error) {
+                        console.error('Error handling message:', error.message);
+                    }
+                }
+                break;
+            case OPCODES.PING:
+                socket.write(encodeFrame(OPCODES.PONG, payload));
+                break;
+            case OPCODES.CLOSE:
+                connection.close();
+                break;
+        }
+    }
+
+    socket.on('data', (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+
+        while (buffered.length >= 2) {
+            const fin = (buffered[0] & 0x80) !== 0;
+            const opcode = buffered[0] & 0x0f;
+            const masked = (buffered[1] & 0x80) !== 0;
+            let length = buffered[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffered.length < 4) return;
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) return;
+                length = Number(buffered.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask every frame
+            if (!masked) return connection.close(1002);
+            if (length > MAX_MESSAGE_SIZE) return connection.close(1009);
+            if (buffered.length < offset + 4 + length) return;
+
+            const mask = buffered.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+
+            buffered = buffered.subarray(offset + 4 + length);
+            handleFrame(opcode, fin, payload);
+        }
+    });
+
+    socket.on('close', () => {
+        closed = true;
+        handlers.onClose();
+    });
+    socket.on('error', (error) => {
+        console.error('WebSocket connection error:', error.message);
+    });
+
+    return connection;
+}
+
+// Start listening. onConnection(connection) returns { onMessage, onClose }.
+// allowOrigin(origin) decides which pages may connect; origin is undefined
+// when the client sent none.
+export function createWebSocketServer({ host, port, allowOrigin = () => true }, onConnection) {
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('WebSocket connections only\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const origin = request.headers.origin;
+        if (!allowOrigin(origin)) {
+            console.error(`Refusing connection from origin ${origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const handlers = {};
+        const connection = createConnection(socket, {
+            onMessage: (text) => handlers.onMessage?.(text),
+            onClose: () => handlers.onClose?.()
+        });
+        Object.assign(handlers, onConnection(connection, request));
+    });
+
+    server.listen(port, host);
+    return server;
+}
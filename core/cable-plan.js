@@ -0,0 +1,151 @@
+// Cable runs from distro to fixture, cut to stock lengths.
+// Runs follow the floor in straight legs (along X, then Z) and climb
+// stands or come down trusses; distances are in feet.
+const STOCK_LENGTHS = [25, 50, 100];
+
+// Extra length for sag, dressing around stands and not running taut
+const SLACK = 0.1;
+// Tail left at each end for the connection
+const END_ALLOWANCE = 5;
+// Spares ordered on top of the pull list, per cable type
+const SPARE_RATIO = 0.1;
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Closest point on a segment to p, with its parameter t (0..1)
+function closestOnSegment(p, start, end) {
+    const d = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+    const lengthSq = d.x * d.x + d.y * d.y + d.z * d.z;
+    const t = lengthSq ?
+        Math.min(Math.max(((p.x - start.x) * d.x + (p.y - start.y) * d.y + (p.z - start.z) * d.z) / lengthSq, 0), 1) : 0;
+    return {
+        t,
+        point: { x: start.x + d.x * t, y: start.y + d.y * t, z: start.z + d.z * t }
+    };
+}
+
+function escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CablePlan = {
+    STOCK_LENGTHS,
+
+    // Cable for a branch circuit, by breaker size
+    getCircuitCable(circuit) {
+        if (circuit.breaker <= 20) return '12/3 Stinger (20A Edison)';
+        if (circuit.breaker <= 60) return '6/3 Bates Extension (60A)';
+        return '#2 Bates Extension (100A)';
+    },
+
+    // Banded feeder from generator to distro, by the distro's main breaker
+    getFeederCable(distro) {
+        if (distro.breaker <= 100) return '#2 Banded Feeder (100A)';
+        if (distro.breaker <= 200) return '2/0 Banded Feeder (200A)';
+        return '4/0 Cam-Lok Feeder Set (400A)';
+    },
+
+    distance,
+    closestOnSegment,
+
+    // Floor leg between two points, X first then Z
+    floorPath(from, to) {
+        return [
+            { x: from.x, y: 0, z: from.z },
+            { x: to.x, y: 0, z: from.z },
+            { x: to.x, y: 0, z: to.z }
+        ];
+    },
+
+    // Route from a source at floor level to a fixture.
+    // A fixture on a stand gets the cable straight down the stand; one hung
+    // near a truss runs along the truss to its nearer end first.
+    // Returns { points, length } with the raw path length.
+    route(source, fixture, truss = null) {
+        const points = [];
+
+        if (truss) {
+            const { point, t } = closestOnSegment(fixture, truss.start, truss.end);
+            const end = t < 0.5 ? truss.start : truss.end;
+            points.push(fixture, point, end, { x: end.x, y: 0, z: end.z });
+        } else {
+            points.push(fixture, { x: fixture.x, y: 0, z: fixture.z });
+        }
+
+        const drop = points[points.length - 1];
+        points.push(...this.floorPath(drop, source).slice(1), source);
+
+        // Drop zero-length steps so the path reads cleanly
+        const path = points.filter((p, i) => i === 0 || distance(p, points[i - 1]) > 0.01);
+        const length = path.slice(1).reduce((sum, p, i) => sum + distance(p, path[i]), 0);
+        return { points: path, length };
+    },
+
+    // Length to order for a path: slack plus a tail at each end
+    getRequiredLength(pathLength) {
+        return pathLength * (1 + SLACK) + END_ALLOWANCE * 2;
+    },
+
+    // Stock pieces covering a length: longest pieces first, finishing with
+    // the shortest piece that covers the remainder
+    cutToStock(length) {
+        const longest = STOCK_LENGTHS[STOCK_LENGTHS.length - 1];
+        const pieces = [];
+        let remaining = length;
+
+        while (remaining > longest) {
+            pieces.push(longest);
+            remaining -= longest;
+        }
+        if (remaining > 0) {
+            pieces.push(STOCK_LENGTHS.find(stock => stock >= remaining));
+        }
+        return pieces;
+    },
+
+    // runs: [{ id, label, cable, from, to, points, length }]
+    // Returns runs with their stock pieces and the pull list
+    plan(runs) {
+        const planned = runs.map(run => {
+            const required = this.getRequiredLength(run.length);
+            const pieces = this.cutToStock(required);
+            return { ...run, required, pieces, ordered: pieces.reduce((sum, piece) => sum + piece, 0) };
+        });
+
+        const counts = new Map();
+        planned.forEach(run => {
+            run.pieces.forEach(piece => {
+                const key = `${run.cable}|${piece}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        });
+
+        const pullList = [...counts].map(([key, count]) => {
+            const [cable, length] = key.split('|');
+            return { cable, length: Number(length), count, spares: Math.ceil(count * SPARE_RATIO) };
+        }).sort((a, b) => a.cable.localeCompare(b.cable) || b.length - a.length);
+
+        return { runs: planned, pullList };
+    },
+
+    toCSV(result) {
+        const pullRows = result.pullList.map(item =>
+            [item.cable, `${item.length}'`, item.count, item.spares, item.count + item.spares]);
+        const runRows = result.runs.map(run =>
+            [run.label, run.cable, run.from, run.to, run.length.toFixed(1), run.required.toFixed(1),
+                run.pieces.map(piece => `${piece}'`).join(' + ')]);
+
+        return [
+            ['Cable', 'Length', 'Runs', 'Spares', 'Order'],
+            ...pullRows,
+            [],
+            ['Run', 'Cable', 'From', 'To', 'Path (ft)', 'Required (ft)', 'Pieces'],
+            ...runRows
+        ].map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+    }
+};
+
+export default CablePlan;
@@ -0,0 +1,201 @@
+// Camera lenses and what they take in. A view is the lens position and
+// the way it looks, in plot space (feet):
+//   { position, forward, up, right, fieldOfView: { horizontal, vertical } }
+// forward, up and right are unit vectors, right being frame right;
+// field of view angles are full angles in radians.
+//
+// Sensor sizes are the active area in millimetres, focal lengths millimetres.
+const SENSORS = {
+    'full-frame': { label: 'Full frame (36 × 24 mm)', width: 36, height: 24 },
+    'alexa-lf': { label: 'ALEXA LF open gate (36.7 × 25.54 mm)', width: 36.7, height: 25.54 },
+    'alexa-35': { label: 'ALEXA 35 open gate (27.99 × 19.22 mm)', width: 27.99, height: 19.22 },
+    'super-35': { label: 'Super 35 (24.89 × 18.66 mm)', width: 24.89, height: 18.66 },
+    'micro-four-thirds': { label: 'Micro Four Thirds (17.3 × 13 mm)', width: 17.3, height: 13 },
+    'super-16': { label: 'Super 16 (12.52 × 7.41 mm)', width: 12.52, height: 7.41 }
+};
+
+const DEFAULT_SENSOR = 'super-35';
+const DEFAULT_FOCAL_LENGTH = 35;
+
+// Prime focal lengths offered alongside free entry
+const FOCAL_LENGTHS = [14, 18, 21, 25, 29, 32, 35, 40, 50, 65, 75, 85, 100, 135];
+
+// Nothing closer to the lens than this counts as in frame, in feet
+const NEAR = 0.3;
+
+// Points on the floor within this of it count as on it
+const FLOOR_EPSILON = 1e-6;
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return scale(v, 1 / length);
+}
+
+function boxCorners({ min, max }) {
+    const corners = [];
+    [min.x, max.x].forEach(x => [min.y, max.y].forEach(y => [min.z, max.z].forEach(z => corners.push({ x, y, z }))));
+    return corners;
+}
+
+// Convex plan outline cut down to a rectangle { minX, maxX, minZ, maxZ },
+// one side at a time
+function clipToRect(points, rect) {
+    const sides = [['x', rect.minX, 1], ['x', rect.maxX, -1], ['z', rect.minZ, 1], ['z', rect.maxZ, -1]];
+    return sides.reduce((outline, [axis, limit, sign]) => {
+        const inside = point => (point[axis] - limit) * sign >= 0;
+        const clipped = [];
+        outline.forEach((point, index) => {
+            const next = outline[(index + 1) % outline.length];
+            if (inside(point)) clipped.push(point);
+            if (inside(point) !== inside(next)) {
+                const t = (limit - point[axis]) / (next[axis] - point[axis]);
+                clipped.push({ x: point.x + (next.x - point.x) * t, z: point.z + (next.z - point.z) * t });
+            }
+        });
+        return clipped;
+    }, points);
+}
+
+const CameraView = {
+    SENSORS,
+    DEFAULT_SENSOR,
+    DEFAULT_FOCAL_LENGTH,
+    FOCAL_LENGTHS,
+
+    getSensor(key) {
+        return SENSORS[key] || SENSORS[DEFAULT_SENSOR];
+    },
+
+    // Full angles the lens takes in across and up the sensor
+    getFieldOfView(sensor, focalLength) {
+        const angle = size => 2 * Math.atan(size / (2 * focalLength));
+        return { horizontal: angle(sensor.width), vertical: angle(sensor.height) };
+    },
+
+    // A view from a lens position and the directions it looks along and
+    // holds as up. lens: { sensor (key), focalLength }
+    createView(position, forward, up, lens) {
+        const ahead = normalize(forward);
+        // Frame right, then up squared off against it
+        const right = normalize(cross(ahead, up));
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            forward: ahead,
+            up: cross(right, ahead),
+            right,
+            fieldOfView: this.getFieldOfView(this.getSensor(lens.sensor), lens.focalLength || DEFAULT_FOCAL_LENGTH)
+        };
+    },
+
+    // Point in the view's own frame: feet right of and above the lens
+    // axis, and depth along it
+    toView(view, point) {
+        const offset = subtract(point, view.position);
+        return { x: dot(offset, view.right), y: dot(offset, view.up), depth: dot(offset, view.forward) };
+    },
+
+    // Frame width and height at a depth
+    getFrameSize(view, depth) {
+        return {
+            width: 2 * depth * Math.tan(view.fieldOfView.horizontal / 2),
+            height: 2 * depth * Math.tan(view.fieldOfView.vertical / 2)
+        };
+    },
+
+    // Corners of the frame at a depth: top left, top right, bottom right,
+    // bottom left
+    getCorners(view, depth) {
+        const { width, height } = this.getFrameSize(view, depth);
+        const center = add(view.position, scale(view.forward, depth));
+        return [[-1, 1], [1, 1], [1, -1], [-1, -1]].map(([x, y]) =>
+            add(center, add(scale(view.right, x * width / 2), scale(view.up, y * height / 2))));
+    },
+
+    contains(view, point) {
+        const { x, y, depth } = this.toView(view, point);
+        if (depth < NEAR) return false;
+        const { width, height } = this.getFrameSize(view, depth);
+        return Math.abs(x) <= width / 2 && Math.abs(y) <= height / 2;
+    },
+
+    // Whether any of an axis-aligned box ({ min, max }) may be in frame.
+    // A box is out when all its corners fall outside one side of the view;
+    // a big box just off a corner of the frame can still be counted in.
+    intersectsBox(view, box) {
+        const tanX = Math.tan(view.fieldOfView.horizontal / 2);
+        const tanY = Math.tan(view.fieldOfView.vertical / 2);
+        const points = boxCorners(box).map(point => this.toView(view, point));
+        const sides = [
+            p => p.depth - NEAR,
+            p => p.depth * tanX - p.x,
+            p => p.depth * tanX + p.x,
+            p => p.depth * tanY - p.y,
+            p => p.depth * tanY + p.y
+        ];
+        return sides.every(inside => points.some(point => inside(point) >= 0));
+    },
+
+    // Where the view meets the floor (y = 0) out to a depth, as a plan
+    // outline: [{ x, z }] in order around it, empty when it misses the
+    // floor. bounds ({ minX, maxX, minZ, maxZ }) keeps it inside the room.
+    getFootprint(view, depth, bounds) {
+        const corners = this.getCorners(view, depth);
+        const edges = [
+            ...corners.map(corner => [view.position, corner]),
+            ...corners.map((corner, index) => [corner, corners[(index + 1) % 4]])
+        ];
+
+        const points = [];
+        const addPoint = point => {
+            if (!points.some(other => Math.hypot(other.x - point.x, other.z - point.z) < 1e-4)) {
+                points.push({ x: point.x, z: point.z });
+            }
+        };
+        edges.forEach(([a, b]) => {
+            if (Math.abs(a.y) <= FLOOR_EPSILON) addPoint(a);
+            if (Math.abs(b.y) <= FLOOR_EPSILON) addPoint(b);
+            if ((a.y > FLOOR_EPSILON && b.y < -FLOOR_EPSILON) || (a.y < -FLOOR_EPSILON && b.y > FLOOR_EPSILON)) {
+                const t = a.y / (a.y - b.y);
+                addPoint(add(a, scale(subtract(b, a), t)));
+            }
+        });
+        if (points.length < 3) return [];
+
+        // The cut through a convex volume is convex: order it around its middle
+        const middle = {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            z: points.reduce((sum, point) => sum + point.z, 0) / points.length
+        };
+        const outline = points.sort((a, b) =>
+            Math.atan2(a.z - middle.z, a.x - middle.x) - Math.atan2(b.z - middle.z, b.x - middle.x));
+        if (!bounds) return outline;
+        const clipped = clipToRect(outline, bounds);
+        return clipped.length >= 3 ? clipped : [];
+    }
+};
+
+export default CameraView;
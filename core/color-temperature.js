@@ -0,0 +1,196 @@
+// Colour temperature helpers and gel library
+const DAYLIGHT = 5600;
+const TUNGSTEN = 3200;
+
+// Mired differences smaller than this are not visible on camera
+const MIRED_TOLERANCE = 20;
+// Green/magenta differences (in fractions of a full plus green) that read on camera
+const GREEN_TOLERANCE = 0.25;
+
+// Common correction and diffusion gels.
+// mired: colour temperature shift; green: +1 is a full plus green,
+// -1 a full minus green; transmission: fraction of light passed.
+const GELS = [
+    { id: 'lee-204', brand: 'Lee', number: '204', name: 'Full CTO', mired: 159, green: 0, transmission: 0.55 },
+    { id: 'lee-205', brand: 'Lee', number: '205', name: '1/2 CTO', mired: 109, green: 0, transmission: 0.70 },
+    { id: 'lee-206', brand: 'Lee', number: '206', name: '1/4 CTO', mired: 64, green: 0, transmission: 0.81 },
+    { id: 'lee-223', brand: 'Lee', number: '223', name: '1/8 CTO', mired: 26, green: 0, transmission: 0.90 },
+    { id: 'lee-201', brand: 'Lee', number: '201', name: 'Full CTB', mired: -137, green: 0, transmission: 0.36 },
+    { id: 'lee-202', brand: 'Lee', number: '202', name: '1/2 CTB', mired: -78, green: 0, transmission: 0.55 },
+    { id: 'lee-203', brand: 'Lee', number: '203', name: '1/4 CTB', mired: -35, green: 0, transmission: 0.74 },
+    { id: 'lee-218', brand: 'Lee', number: '218', name: '1/8 CTB', mired: -18, green: 0, transmission: 0.81 },
+    { id: 'lee-244', brand: 'Lee', number: '244', name: 'Plus Green', mired: 0, green: 1, transmission: 0.76 },
+    { id: 'lee-245', brand: 'Lee', number: '245', name: '1/2 Plus Green', mired: 0, green: 0.5, transmission: 0.83 },
+    { id: 'lee-246', brand: 'Lee', number: '246', name: '1/4 Plus Green', mired: 0, green: 0.25, transmission: 0.90 },
+    { id: 'lee-278', brand: 'Lee', number: '278', name: '1/8 Plus Green', mired: 0, green: 0.125, transmission: 0.95 },
+    { id: 'lee-247', brand: 'Lee', number: '247', name: 'Minus Green', mired: 0, green: -1, transmission: 0.55 },
+    { id: 'lee-248', brand: 'Lee', number: '248', name: '1/2 Minus Green', mired: 0, green: -0.5, transmission: 0.70 },
+    { id: 'lee-249', brand: 'Lee', number: '249', name: '1/4 Minus Green', mired: 0, green: -0.25, transmission: 0.81 },
+    { id: 'lee-279', brand: 'Lee', number: '279', name: '1/8 Minus Green', mired: 0, green: -0.125, transmission: 0.90 },
+    { id: 'lee-216', brand: 'Lee', number: '216', name: 'White Diffusion', mired: 0, green: 0, transmission: 0.36, diffusion: true },
+    { id: 'lee-250', brand: 'Lee', number: '250', name: '1/2 White Diffusion', mired: 0, green: 0, transmission: 0.60, diffusion: true },
+    { id: 'lee-251', brand: 'Lee', number: '251', name: '1/4 White Diffusion', mired: 0, green: 0, transmission: 0.75, diffusion: true },
+    { id: 'rosco-3407', brand: 'Rosco', number: '3407', name: 'RoscoSun CTO', mired: 167, green: 0, transmission: 0.47 },
+    { id: 'rosco-3408', brand: 'Rosco', number: '3408', name: 'RoscoSun 1/2 CTO', mired: 81, green: 0, transmission: 0.72 },
+    { id: 'rosco-3409', brand: 'Rosco', number: '3409', name: 'RoscoSun 1/4 CTO', mired: 42, green: 0, transmission: 0.81 },
+    { id: 'rosco-3410', brand: 'Rosco', number: '3410', name: 'RoscoSun 1/8 CTO', mired: 20, green: 0, transmission: 0.91 },
+    { id: 'rosco-3202', brand: 'Rosco', number: '3202', name: 'Full Blue (CTB)', mired: -131, green: 0, transmission: 0.36 },
+    { id: 'rosco-3204', brand: 'Rosco', number: '3204', name: 'Half Blue (1/2 CTB)', mired: -68, green: 0, transmission: 0.52 },
+    { id: 'rosco-3208', brand: 'Rosco', number: '3208', name: 'Quarter Blue (1/4 CTB)', mired: -30, green: 0, transmission: 0.74 },
+    { id: 'rosco-3216', brand: 'Rosco', number: '3216', name: 'Eighth Blue (1/8 CTB)', mired: -12, green: 0, transmission: 0.81 },
+    { id: 'rosco-3304', brand: 'Rosco', number: '3304', name: 'Tough Plusgreen', mired: 0, green: 1, transmission: 0.76 },
+    { id: 'rosco-3308', brand: 'Rosco', number: '3308', name: 'Tough Minusgreen', mired: 0, green: -1, transmission: 0.55 }
+];
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+const ColorTemperature = {
+    DAYLIGHT,
+    TUNGSTEN,
+    MIRED_TOLERANCE,
+    GELS,
+
+    toMired(kelvin) {
+        return 1e6 / kelvin;
+    },
+
+    fromMired(mired) {
+        return 1e6 / mired;
+    },
+
+    findGel(id) {
+        return GELS.find(gel => gel.id === id) || null;
+    },
+
+    // Gels stack: mired and green shifts add, transmissions multiply
+    applyGels(kelvin, gelIds = []) {
+        const gels = gelIds.map(id => this.findGel(id)).filter(Boolean);
+        const miredShift = gels.reduce((sum, gel) => sum + gel.mired, 0);
+        const mired = this.toMired(kelvin) + miredShift;
+
+        return {
+            kelvin: mired > 0 ? this.fromMired(mired) : 40000,
+            miredShift: miredShift,
+            green: gels.reduce((sum, gel) => sum + gel.green, 0),
+            transmission: gels.reduce((product, gel) => product * gel.transmission, 1)
+        };
+    },
+
+    // Light loss in stops for a transmission factor
+    toStops(transmission) {
+        return Math.log2(transmission);
+    },
+
+    // Correction gel closest to a wanted mired shift
+    suggestGel(miredShift) {
+        return GELS
+            .filter(gel => gel.mired !== 0 && Math.sign(gel.mired) === Math.sign(miredShift))
+            .reduce((best, gel) =>
+                !best || Math.abs(gel.mired - miredShift) < Math.abs(best.mired - miredShift) ? gel : best,
+            null);
+    },
+
+    // Illuminance-weighted mix of sources: [{ kelvin, green, weight }]
+    mix(sources) {
+        const total = sources.reduce((sum, source) => sum + source.weight, 0);
+        if (!total) return null;
+
+        const mired = sources.reduce((sum, source) => sum + this.toMired(source.kelvin) * source.weight, 0) / total;
+        return {
+            kelvin: this.fromMired(mired),
+            green: sources.reduce((sum, source) => sum + source.green * source.weight, 0) / total
+        };
+    },
+
+    // Compare each source against the rig's reference temperature (the
+    // temperature most of the output comes from).
+    // sources: [{ label, kelvin, green, weight }]
+    findMismatches(sources) {
+        const reference = this.mix(sources);
+        if (!reference) return [];
+
+        const referenceMired = this.toMired(reference.kelvin);
+        const warnings = [];
+
+        sources.forEach(source => {
+            const difference = this.toMired(source.kelvin) - referenceMired;
+            if (Math.abs(difference) > MIRED_TOLERANCE) {
+                const gel = this.suggestGel(-difference);
+                warnings.push({
+                    label: source.label,
+                    message: `${source.label} at ${Math.round(source.kelvin)}K is ` +
+                        `${Math.round(Math.abs(difference))} mired ${difference > 0 ? 'warmer' : 'cooler'} ` +
+                        `than the mix (${Math.round(reference.kelvin)}K)` +
+                        (gel ? ` — try ${gel.brand} ${gel.number} ${gel.name}` : '')
+                });
+            }
+
+            const greenDifference = source.green - reference.green;
+            if (Math.abs(greenDifference) > GREEN_TOLERANCE) {
+                warnings.push({
+                    label: source.label,
+                    message: `${source.label} is ${greenDifference > 0 ? 'greener' : 'more magenta'} ` +
+                        `than the mix by ${Math.abs(greenDifference).toFixed(2)} of a full correction`
+                });
+            }
+        });
+
+        return warnings;
+    },
+
+    // Approximate RGB (0-1) for a black-body colour temperature.
+    // Curve fit after Tanner Helland, good from 1000K to 40000K.
+    kelvinToRGB(kelvin) {
+        const t = clamp(kelvin, 1000, 40000) / 100;
+        let r, g, b;
+
+        if (t <= 66) {
+            r = 255;
+            g = 99.4708025861 * Math.log(t) - 161.1195681661;
+        } else {
+            r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+            g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+        }
+
+        if (t >= 66) {
+            b = 255;
+        } else if (t <= 19) {
+            b = 0;
+        } else {
+            b = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+        }
+
+        return {
+            r: clamp(r, 0, 255) / 255,
+            g: clamp(g, 0, 255) / 255,
+            b: clamp(b, 0, 255) / 255
+        };
+    },
+
+    // Black-body colour with a green/magenta tint, normalised so the
+    // brightest channel is 1
+    toRGB(kelvin, green = 0) {
+        const rgb = this.kelvinToRGB(kelvin);
+        const r = rgb.r * (1 - 0.1 * green);
+        const g = rgb.g * (1 + 0.2 * green);
+        const b = rgb.b * (1 - 0.1 * green);
+        const max = Math.max(r, g, b);
+        return { r: r / max, g: g / max, b: b / max };
+    },
+
+    // Read a catalog colour string: '5600K', 'RGBW, 2800K-10000K'.
+    // Returns { min, max, variable } or null when no temperature is listed.
+    parseRange(colorSpec) {
+        const values = String(colorSpec || '').match(/\d{4,5}(?=\s*K)/gi);
+        if (!values) return null;
+
+        const kelvins = values.map(Number);
+        const min = Math.min(...kelvins);
+        const max = Math.max(...kelvins);
+        return { min, max, variable: min !== max };
+    }
+};
+
+export default ColorTemperature;
@@ -0,0 +1,117 @@
+// Undo/redo history of scene edits. Each edit is recorded as a command
+// after it has been made:
+//   { label, undo(), redo(), mergeKey? }
+// undo() and redo() put the scene back to either side of the edit. They
+// should find items by id rather than hold on to meshes, as undoing a
+// delete builds a new mesh for the same item.
+//
+// Edits that arrive in a stream, such as a dragged slider, pass the same
+// mergeKey and fold into one step while they keep coming.
+const LIMIT = 200;
+const MERGE_WINDOW_MS = 1000;
+
+// Applied commands are steps[0..position); the rest can be redone
+let steps = [];
+let position = 0;
+// Edits made by undo() and redo() themselves are not recorded again
+let applying = false;
+const listeners = [];
+
+function changed() {
+    listeners.forEach(listener => listener());
+}
+
+function apply(action) {
+    applying = true;
+    try {
+        action();
+    } finally {
+        applying = false;
+    }
+}
+
+const CommandHistory = {
+    LIMIT,
+
+    record(command) {
+        if (applying) return;
+
+        const now = Date.now();
+        const last = position > 0 ? steps[position - 1] : null;
+        steps = steps.slice(0, position);
+
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey && now - last.time < MERGE_WINDOW_MS) {
+            // Keep the first undo and take the latest redo
+            last.redo = command.redo;
+            last.label = command.label;
+            last.time = now;
+        } else {
+            steps.push({ ...command, time: now });
+            if (steps.length > LIMIT) steps.shift();
+            position = steps.length;
+        }
+        changed();
+    },
+
+    undo() {
+        if (!this.canUndo()) return false;
+        const step = steps[--position];
+        apply(() => step.undo());
+        changed();
+        return true;
+    },
+
+    redo() {
+        if (!this.canRedo()) return false;
+        const step = steps[position++];
+        apply(() => step.redo());
+        changed();
+        return true;
+    },
+
+    canUndo() {
+        return position > 0;
+    },
+
+    canRedo() {
+        return position < steps.length;
+    },
+
+    // Undo or redo until `index` steps are applied (0 is before the first)
+    jumpTo(index) {
+        const target = Math.max(0, Math.min(index, steps.length));
+        if (target === position) return;
+
+        applying = true;
+        try {
+            while (position > target) steps[--position].undo();
+            while (position < target) steps[position++].redo();
+        } finally {
+            applying = false;
+            changed();
+        }
+    },
+
+    // Steps for display: [{ index, label, applied }], index being the
+    // position jumpTo needs to land just after that step
+    getSteps() {
+        return steps.map((step, i) => ({ index: i + 1, label: step.label, applied: i < position }));
+    },
+
+    getPosition() {
+        return position;
+    },
+
+    // A loaded or new project starts a fresh history
+    clear() {
+        steps = [];
+        position = 0;
+        changed();
+    },
+
+    onChange(listener) {
+        listeners.push(listener);
+    }
+};
+
+export default CommandHistory;
@@ -0,0 +1,93 @@
+// DMX levels for patched fixtures, sent to the sACN / Art-Net bridge
+import ColorTemperature from './color-temperature.js';
+import DMXPatch from './dmx-patch.js';
+
+const FINE_SUFFIX = ' fine';
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+// Split black-body RGB into RGBW: white carries the common part
+function toRGBW(kelvin, green) {
+    const rgb = ColorTemperature.toRGB(kelvin, green);
+    const white = Math.min(rgb.r, rgb.g, rgb.b);
+    return { r: rgb.r - white, g: rgb.g - white, b: rgb.b - white, w: white };
+}
+
+const DMXOutput = {
+    // Level 0..1 for a named channel.
+    // state: { dimmer, kelvin, green, range: { min, max } }
+    getAttributeLevel(channel, state) {
+        switch (channel) {
+            case 'Dimmer':
+                return clamp01(state.dimmer ?? 1);
+            case 'CCT': {
+                const range = state.range;
+                if (!range || range.max === range.min) return 0;
+                return clamp01((state.kelvin - range.min) / (range.max - range.min));
+            }
+            case '+/- Green':
+                // Centre is neutral; full plus green at the top, full minus green at 0
+                return clamp01(0.5 + (state.green || 0) / 2);
+            case 'Crossfade to Color':
+                return 0;
+            case 'Red':
+                return toRGBW(state.kelvin, state.green).r;
+            case 'Green':
+                return toRGBW(state.kelvin, state.green).g;
+            case 'Blue':
+                return toRGBW(state.kelvin, state.green).b;
+            case 'White':
+                return toRGBW(state.kelvin, state.green).w;
+            default:
+                return 0;
+        }
+    },
+
+    // Byte values for each channel of a mode, in address order.
+    // '<name> fine' channels carry the low byte of the channel before them.
+    getChannelValues(mode, state) {
+        return mode.channels.map((channel, index) => {
+            if (channel.endsWith(FINE_SUFFIX)) {
+                const level = this.getAttributeLevel(channel.slice(0, -FINE_SUFFIX.length), state);
+                return Math.round(level * 65535) & 0xff;
+            }
+
+            const level = this.getAttributeLevel(channel, state);
+            const hasFine = mode.channels[index + 1] === channel + FINE_SUFFIX;
+            return hasFine ? Math.round(level * 65535) >> 8 : Math.round(level * 255);
+        });
+    },
+
+    // Fill 512-slot universes from patched fixtures.
+    // fixtures: [{ name, patch: { universe, address, mode }, state }]
+    // Returns { [universe]: Uint8Array(512) }
+    buildUniverses(fixtures) {
+        const universes = {};
+
+        fixtures.forEach(fixture => {
+            const patch = fixture.patch;
+            const mode = DMXPatch.getMode(fixture.name, patch?.mode);
+            if (!mode || !patch.address) return;
+            if (patch.address < 1 || patch.address + mode.channels.length - 1 > DMXPatch.UNIVERSE_SIZE) return;
+
+            const data = universes[patch.universe] ||
+                (universes[patch.universe] = new Uint8Array(DMXPatch.UNIVERSE_SIZE));
+            data.set(this.getChannelValues(mode, fixture.state), patch.address - 1);
+        });
+
+        return universes;
+    },
+
+    // Message format understood by bridge/dmx-bridge.mjs
+    createFrameMessage(universes) {
+        const payload = {};
+        Object.entries(universes).forEach(([universe, data]) => {
+            payload[universe] = Array.from(data);
+        });
+        return JSON.stringify({ type: 'dmx', universes: payload });
+    }
+};
+
+export default DMXOutput;
@@ -0,0 +1,194 @@
+// DMX patching: fixture modes, channel footprints and address checks.
+// Modes come from the equipment catalog; the first is the default and
+// channel lists run in address order.
+import EquipmentCatalog from './equipment-catalog.js';
+
+const UNIVERSE_SIZE = 512;
+const MAX_UNIVERSE = 63999; // sACN universe range
+
+function escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const DMXPatch = {
+    UNIVERSE_SIZE,
+    MAX_UNIVERSE,
+
+    getModes(fixtureName) {
+        return EquipmentCatalog.get(fixtureName)?.dmxModes || null;
+    },
+
+    // Named mode, falling back to the fixture's default
+    getMode(fixtureName, modeName) {
+        const modes = this.getModes(fixtureName);
+        if (!modes) return null;
+        return modes.find(mode => mode.name === modeName) || modes[0];
+    },
+
+    getFootprint(fixtureName, modeName) {
+        return this.getMode(fixtureName, modeName)?.channels.length || 0;
+    },
+
+    // '2.101' style universe/address notation used on patch sheets
+    formatAddress(patch) {
+        if (!patch?.address) return '';
+        return `${patch.universe}.${String(patch.address).padStart(3, '0')}`;
+    },
+
+    // Assign addresses in order, starting each fixture at the next free
+    // address and moving to the next universe when the footprint would
+    // not fit. With keepExisting, patched fixtures stay where they are and
+    // only unpatched ones are filled in around them. Fixtures that can't
+    // be placed are left unpatched and reported.
+    // entries: [{ id, name, label, patch }]
+    // returns { patches: { id: { universe, address, mode } }, issues: [{ id, type, message }] }
+    autoPatch(entries, options = {}) {
+        const { keepExisting = false } = options;
+        const clamp = (value, max) => Math.min(Math.max(Math.floor(Number(value)) || 1, 1), max);
+        const universe = clamp(options.universe, MAX_UNIVERSE);
+        const startAddress = clamp(options.startAddress, UNIVERSE_SIZE);
+        const used = [];
+        const result = {};
+        const issues = [];
+
+        const patchable = entries.filter(entry => this.getModes(entry.name));
+        if (keepExisting) {
+            patchable.forEach(entry => {
+                if (entry.patch?.address) {
+                    result[entry.id] = { ...entry.patch };
+                    used.push(this.getRange(entry));
+                }
+            });
+        }
+
+        const fits = (u, start, footprint) => start + footprint - 1 <= UNIVERSE_SIZE &&
+            !used.some(range => range.universe === u &&
+                start <= range.end && start + footprint - 1 >= range.start);
+
+        let currentUniverse = universe;
+        let address = startAddress;
+        patchable.forEach(entry => {
+            if (result[entry.id]) return;
+
+            const mode = this.getMode(entry.name, entry.patch?.mode);
+            const footprint = mode.channels.length;
+            if (footprint > UNIVERSE_SIZE) {
+                result[entry.id] = { mode: mode.name };
+                issues.push({ id: entry.id, type: 'range', message: `${entry.label}: ${footprint} channels won't fit in a universe` });
+                return;
+            }
+
+            while (!fits(currentUniverse, address, footprint)) {
+                address++;
+                if (address + footprint - 1 > UNIVERSE_SIZE) {
+                    currentUniverse++;
+                    address = 1;
+                }
+            }
+
+            if (currentUniverse > MAX_UNIVERSE) {
+                result[entry.id] = { mode: mode.name };
+                issues.push({ id: entry.id, type: 'range', message: `${entry.label}: no universes left to patch into` });
+                return;
+            }
+
+            result[entry.id] = { universe: currentUniverse, address: address, mode: mode.name };
+            used.push({ universe: currentUniverse, start: address, end: address + footprint - 1 });
+            address += footprint;
+        });
+
+        return { patches: result, issues };
+    },
+
+    // Universe and first/last address an entry occupies
+    getRange(entry) {
+        const footprint = this.getFootprint(entry.name, entry.patch.mode);
+        return {
+            universe: entry.patch.universe,
+            start: entry.patch.address,
+            end: entry.patch.address + footprint - 1
+        };
+    },
+
+    // Flag out-of-range addresses, unknown modes and overlapping footprints.
+    // Returns [{ id, type, message }]
+    validate(entries) {
+        const issues = [];
+        const ranges = [];
+
+        entries.forEach(entry => {
+            const patch = entry.patch;
+            if (!patch?.address) return;
+
+            const modes = this.getModes(entry.name);
+            if (!modes) {
+                issues.push({ id: entry.id, type: 'mode', message: `${entry.label} has no DMX modes` });
+                return;
+            }
+            if (patch.mode && !modes.some(mode => mode.name === patch.mode)) {
+                issues.push({ id: entry.id, type: 'mode', message: `${entry.label}: unknown mode "${patch.mode}"` });
+            }
+
+            const range = this.getRange(entry);
+            if (!Number.isInteger(range.universe) || range.universe < 1 || range.universe > MAX_UNIVERSE) {
+                issues.push({ id: entry.id, type: 'range', message: `${entry.label}: universe ${patch.universe} is out of range` });
+                return;
+            }
+            if (!Number.isInteger(range.start) || range.start < 1 || range.end > UNIVERSE_SIZE) {
+                issues.push({
+                    id: entry.id,
+                    type: 'range',
+                    message: `${entry.label}: address ${patch.address}-${range.end} runs past ${UNIVERSE_SIZE}`
+                });
+                return;
+            }
+
+            ranges.forEach(other => {
+                if (other.range.universe === range.universe &&
+                    range.start <= other.range.end && range.end >= other.range.start) {
+                    const message = `${entry.label} overlaps ${other.entry.label} in universe ${range.universe}`;
+                    issues.push({ id: entry.id, type: 'overlap', message: message });
+                    issues.push({ id: other.entry.id, type: 'overlap', message: message });
+                }
+            });
+            ranges.push({ entry, range });
+        });
+
+        return issues;
+    },
+
+    // Patch sheet as CSV, ordered by universe and address
+    toCSV(entries) {
+        const issues = this.validate(entries);
+        const header = ['Unit', 'Fixture', 'Mode', 'Footprint', 'Universe', 'Address', 'End Address', 'U.Addr', 'Notes'];
+
+        const rows = entries
+            .filter(entry => this.getModes(entry.name))
+            .sort((a, b) =>
+                (a.patch?.universe ?? Infinity) - (b.patch?.universe ?? Infinity) ||
+                (a.patch?.address ?? Infinity) - (b.patch?.address ?? Infinity))
+            .map(entry => {
+                const mode = this.getMode(entry.name, entry.patch?.mode);
+                const patched = !!entry.patch?.address;
+                const notes = issues.filter(issue => issue.id === entry.id).map(issue => issue.message);
+                if (!patched) notes.push('Not patched');
+
+                return [
+                    entry.unit ?? '',
+                    entry.name,
+                    mode.name,
+                    mode.channels.length,
+                    patched ? entry.patch.universe : '',
+                    patched ? entry.patch.address : '',
+                    patched ? entry.patch.address + mode.channels.length - 1 : '',
+                    this.formatAddress(entry.patch),
+                    notes.join('; ')
+                ];
+            });
+
+        return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+    }
+};
+
+export default DMXPatch;
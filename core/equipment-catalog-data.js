@@ -0,0 +1,463 @@
+// Built-in equipment. See core/equipment-catalog.js for the entry schema.
+// Dimensions are in inches, weights in pounds, output in footcandles at feet.
+const SKYPANEL_MODES = [
+    { name: 'CCT 8-bit', channels: ['Dimmer', 'CCT', '+/- Green', 'Crossfade to Color'] },
+    { name: 'CCT 16-bit', channels: ['Dimmer', 'Dimmer fine', 'CCT', 'CCT fine', '+/- Green', 'Crossfade to Color'] },
+    { name: 'RGBW 8-bit', channels: ['Dimmer', 'Red', 'Green', 'Blue', 'White'] },
+    { name: 'RGBW 16-bit', channels: ['Dimmer', 'Dimmer fine', 'Red', 'Red fine', 'Green', 'Green fine', 'Blue', 'Blue fine', 'White', 'White fine'] }
+];
+
+// LiteMats run from a LiteDimmer in its bi-colour modes
+const LITEMAT_MODES = [
+    { name: 'CCT 8-bit', channels: ['Dimmer', 'CCT'] },
+    { name: 'CCT 16-bit', channels: ['Dimmer', 'Dimmer fine', 'CCT', 'CCT fine'] }
+];
+
+// HMIs dim through the electronic ballast
+const BALLAST_MODES = [
+    { name: 'Ballast', channels: ['Dimmer'] }
+];
+
+// Tungsten runs through a dimmer pack channel
+const DIMMER_PACK_MODES = [
+    { name: 'Dimmer Pack', channels: ['Dimmer'] }
+];
+
+const BUILT_IN_EQUIPMENT = [
+    {
+        id: 'arri-skypanel-s360-c',
+        name: 'ARRI SkyPanel S360-C',
+        brand: 'ARRI',
+        model: 'SkyPanel S360-C',
+        aliases: ['S360-C', 'S360', 'SkyPanel 360'],
+        category: 'LED Fixtures',
+        type: 'LED Panel',
+        mount: 'yoke',
+        dimensions: { width: 55.9, height: 25.3, depth: 7.9 },
+        weight: 50.7,
+        power: '1500W',
+        photometrics: {
+            beamAngle: { spot: 105, flood: 115 },
+            output: { distance: 9.8, fc: 188 }
+        },
+        color: 'RGBW, 2800K-10000K',
+        dmxModes: SKYPANEL_MODES
+    },
+    {
+        id: 'arri-skypanel-s60-c',
+        name: 'ARRI SkyPanel S60-C',
+        brand: 'ARRI',
+        model: 'SkyPanel S60-C',
+        aliases: ['S60-C', 'S60', 'SkyPanel'],
+        category: 'LED Fixtures',
+        type: 'LED Panel',
+        mount: 'yoke',
+        dimensions: { width: 25.4, height: 11.8, depth: 6.7 },
+        weight: 26.5,
+        power: '450W',
+        photometrics: {
+            beamAngle: { spot: 115, flood: 125 },
+            output: { distance: 6.6, fc: 139 }
+        },
+        color: 'RGBW, 2800K-10000K',
+        dmxModes: SKYPANEL_MODES,
+        accessories: ['Chimera Lightbank', 'Honeycomb Grid', 'Barndoors'],
+        notes: 'Ideal for soft, even illumination. Consider the S360-C for larger spaces.'
+    },
+    {
+        id: 'litegear-litemat-plus-4',
+        name: 'LiteMat+ Plus 4',
+        brand: 'LiteGear',
+        model: 'LiteMat+ Plus 4',
+        aliases: ['LiteMat 4', 'LiteMat Plus 4'],
+        category: 'LED Fixtures',
+        type: 'LED Panel',
+        mount: 'yoke',
+        dimensions: { width: 48.5, height: 16.5, depth: 2.5 },
+        weight: 8.4,
+        power: '220W',
+        photometrics: {
+            beamAngle: { spot: 110, flood: 120 },
+            output: { distance: 6.6, fc: 75 }
+        },
+        color: '2700K-6000K',
+        dmxModes: LITEMAT_MODES,
+        accessories: ['Snapbag Softbox', 'Snapgrid 40°'],
+        notes: 'Thin and light; rigs easily as a fill or a soft backlight.'
+    },
+    {
+        id: 'litegear-litemat-plus-8',
+        name: 'LiteMat+ Plus 8',
+        brand: 'LiteGear',
+        model: 'LiteMat+ Plus 8',
+        aliases: ['LiteMat 8', 'LiteMat Plus 8'],
+        category: 'LED Fixtures',
+        type: 'LED Panel',
+        mount: 'yoke',
+        dimensions: { width: 48.5, height: 29.5, depth: 2.5 },
+        weight: 13.2,
+        power: '440W',
+        photometrics: {
+            beamAngle: { spot: 110, flood: 120 },
+            output: { distance: 6.6, fc: 140 }
+        },
+        color: '2700K-6000K',
+        dmxModes: LITEMAT_MODES,
+        accessories: ['Snapbag Softbox', 'Snapgrid 40°']
+    },
+    {
+        id: 'aputure-600d-pro',
+        name: 'Aputure 600D Pro',
+        brand: 'Aputure',
+        model: '600D Pro',
+        aliases: ['600D', 'LS 600d Pro'],
+        category: 'LED Fixtures',
+        type: 'LED Fresnel',
+        mount: 'yoke',
+        dimensions: { width: 12.8, height: 10.2, depth: 7.1 },
+        weight: 10.2,
+        power: '600W',
+        photometrics: {
+            beamAngle: { spot: 15, flood: 45 },
+            output: { distance: 9.8, fc: 9700 } // with fresnel lens
+        },
+        color: '5600K',
+        dmxModes: [
+            { name: '8-bit Dimmer', channels: ['Dimmer'] },
+            { name: '16-bit Dimmer', channels: ['Dimmer', 'Dimmer fine'] }
+        ]
+    },
+    {
+        id: 'aputure-300x',
+        name: 'Aputure 300X',
+        brand: 'Aputure',
+        model: '300X',
+        aliases: ['LS 300X'],
+        category: 'LED Fixtures',
+        type: 'LED Fresnel',
+        mount: 'yoke',
+        dimensions: { width: 11.8, height: 9.1, depth: 6.3 },
+        weight: 6.6,
+        power: '300W',
+        photometrics: {
+            beamAngle: { spot: 20, flood: 55 },
+            output: { distance: 9.8, fc: 4800 }
+        },
+        color: '2700K-6500K',
+        dmxModes: [
+            { name: '8-bit CCT', channels: ['Dimmer', 'CCT'] },
+            { name: '16-bit CCT', channels: ['Dimmer', 'Dimmer fine', 'CCT', 'CCT fine'] }
+        ]
+    },
+    {
+        id: 'arri-m18',
+        name: 'ARRI M18',
+        brand: 'ARRI',
+        model: 'M18',
+        category: 'HMI Fixtures',
+        type: 'HMI Fresnel',
+        mount: 'yoke',
+        dimensions: { width: 22.8, height: 18.9, depth: 14.2 },
+        weight: 30.9,
+        power: '1800W',
+        ballast: 'Electronic',
+        photometrics: {
+            beamAngle: { spot: 12, flood: 50 },
+            output: { distance: 19.7, fc: 1850 }
+        },
+        color: '5600K',
+        dmxModes: BALLAST_MODES
+    },
+    {
+        id: 'arri-m90',
+        name: 'ARRI M90',
+        brand: 'ARRI',
+        model: 'M90',
+        category: 'HMI Fixtures',
+        type: 'HMI Fresnel',
+        mount: 'yoke',
+        dimensions: { width: 31.5, height: 27.6, depth: 19.7 },
+        weight: 72.8,
+        power: '9000W',
+        ballast: 'Electronic',
+        photometrics: {
+            beamAngle: { spot: 8, flood: 55 },
+            output: { distance: 32.8, fc: 4300 }
+        },
+        color: '5600K',
+        dmxModes: BALLAST_MODES
+    },
+    {
+        id: 'arri-t12',
+        name: 'ARRI T12',
+        brand: 'ARRI',
+        model: 'T12',
+        aliases: ['12K'],
+        category: 'Tungsten',
+        type: 'Tungsten Fresnel',
+        mount: 'yoke',
+        dimensions: { width: 34, height: 30, depth: 22 },
+        weight: 68.3,
+        power: '12000W',
+        photometrics: {
+            beamAngle: { spot: 10, flood: 60 }
+        },
+        color: '3200K',
+        dmxModes: DIMMER_PACK_MODES,
+        details: { dimming: '100-0%' }
+    },
+    {
+        id: 'arri-t2',
+        name: 'ARRI T2',
+        brand: 'ARRI',
+        model: 'T2',
+        aliases: ['2K'],
+        category: 'Tungsten',
+        type: 'Tungsten Fresnel',
+        mount: 'yoke',
+        dimensions: { width: 18, height: 16, depth: 12 },
+        weight: 22,
+        power: '2000W',
+        photometrics: {
+            beamAngle: { spot: 12, flood: 65 }
+        },
+        color: '3200K',
+        dmxModes: DIMMER_PACK_MODES,
+        details: { dimming: '100-0%' }
+    },
+    {
+        id: 'ultrabounce-20x20',
+        name: 'UltraBounce 20x20',
+        aliases: ['20x20 UltraBounce'],
+        category: 'Grip Equipment',
+        type: 'Reflector/Diffusion',
+        mount: 'frame',
+        details: {
+            size: '20\' x 20\'',
+            type: 'Double-sided White/Black',
+            rigging: '20x20 Frame'
+        }
+    },
+    {
+        id: 'ultrabounce-12x12',
+        name: 'UltraBounce 12x12',
+        aliases: ['12x12 UltraBounce'],
+        category: 'Grip Equipment',
+        type: 'Reflector/Diffusion',
+        mount: 'frame',
+        weight: 12,
+        details: {
+            size: '12\' x 12\'',
+            type: 'Double-sided White/Black',
+            rigging: '4x C-Stands or Frame'
+        }
+    },
+    {
+        id: 'ultrabounce-8x8',
+        name: 'UltraBounce 8x8',
+        aliases: ['8x8 UltraBounce', '8x8 Ultra Bounce', 'UltraBounce'],
+        category: 'Grip Equipment',
+        type: 'Reflector/Diffusion',
+        mount: 'stand',
+        weight: 8,
+        details: {
+            size: '8\' x 8\'',
+            type: 'Double-sided White/Black',
+            rigging: '2x C-Stands or Frame'
+        },
+        rigging: ['2x C-Stands with Grip Heads', 'Sand Bags', 'Safety Cables'],
+        notes: 'Position 45° to source for optimal reflection. Consider Matthews RoadRags Kit for mobility.'
+    },
+    {
+        id: 'frame-8x8',
+        name: '8x8 Frame',
+        aliases: ['8x8 Butterfly'],
+        category: 'Grip Equipment',
+        type: 'Butterfly Frame',
+        mount: 'stand',
+        weight: 14,
+        details: {
+            size: '8\' x 8\'',
+            fabrics: 'UltraBounce, silk, grid cloth, solid, nets',
+            rigging: '2x C-Stands'
+        }
+    },
+    {
+        id: 'frame-6x6',
+        name: '6x6 Frame',
+        aliases: ['6x6 Butterfly'],
+        category: 'Grip Equipment',
+        type: 'Butterfly Frame',
+        mount: 'stand',
+        weight: 10,
+        details: {
+            size: '6\' x 6\'',
+            fabrics: 'UltraBounce, silk, grid cloth, solid, nets',
+            rigging: '2x C-Stands'
+        }
+    },
+    {
+        id: 'frame-4x4',
+        name: '4x4 Frame',
+        aliases: ['4x4 Butterfly'],
+        category: 'Grip Equipment',
+        type: 'Butterfly Frame',
+        mount: 'stand',
+        weight: 6,
+        details: {
+            size: '4\' x 4\'',
+            fabrics: 'Diffusion, silk, grid cloth, solid, nets',
+            rigging: 'C-Stand'
+        }
+    },
+    {
+        id: 'flag-kit-24x36',
+        name: 'Flag Kit 24x36',
+        category: 'Grip Equipment',
+        type: 'Negative Fill/Cutter',
+        mount: 'stand',
+        details: {
+            size: '24" x 36"',
+            type: 'Solid Black',
+            rigging: 'C-Stand',
+            includes: 'Flags, Nets, Silks'
+        }
+    },
+    {
+        id: 'c-stand-kit',
+        name: 'C-Stand Kit',
+        aliases: ['C-Stand'],
+        category: 'Grip Equipment',
+        type: 'Support Equipment',
+        mount: 'ground',
+        weight: 15,
+        details: {
+            height: '10.5\'',
+            base: '40" Turtle Base',
+            grip: '40" Grip Arm',
+            finish: 'Chrome plated'
+        }
+    },
+    {
+        id: 'menace-arm',
+        name: 'Menace Arm',
+        category: 'Grip Equipment',
+        type: 'Support Equipment',
+        mount: 'ground',
+        details: {
+            reach: '8ft',
+            capacity: '100lb'
+        }
+    },
+    {
+        id: 'frame-20x20',
+        name: '20x20 Frame',
+        category: 'Overhead Rigs',
+        type: 'Overhead Grid',
+        mount: 'rigging',
+        weight: 180,
+        details: {
+            size: '20\' x 20\'',
+            rigging: '4x 1-ton Motors',
+            safety: 'Required Cables',
+            certification: 'Load Test Required'
+        },
+        rigging: ['4x 1-ton motors', 'Safety cables', 'Load test certification'],
+        setupInstructions: [
+            'Verify structural support points',
+            'Install motors at designated points',
+            'Assemble frame on ground',
+            'Attach safety cables',
+            'Raise to working height'
+        ]
+    },
+    {
+        id: 'frame-12x12',
+        name: '12x12 Frame',
+        category: 'Overhead Rigs',
+        type: 'Overhead Grid',
+        mount: 'rigging',
+        weight: 95,
+        details: {
+            size: '12\' x 12\'',
+            rigging: '2x 1/2-ton Motors',
+            safety: 'Required Cables',
+            certification: 'Load Test Required'
+        },
+        rigging: ['2x 1/2-ton motors', 'Safety cables', 'Load test certification'],
+        setupInstructions: [
+            'Verify structural support points',
+            'Install motors at designated points',
+            'Assemble frame on ground',
+            'Attach safety cables',
+            'Raise to working height'
+        ]
+    },
+    {
+        id: 'box-truss-12',
+        name: '12" Box Truss',
+        aliases: ['Box Truss'],
+        category: 'Overhead Rigs',
+        type: 'Truss Span',
+        mount: 'rigging',
+        dimensions: { width: 12, height: 12, depth: 120 },
+        weight: 70,
+        details: {
+            profile: '12" box',
+            sections: '5\', 8\' and 10\''
+        }
+    },
+    {
+        id: 'tow-plant-70kw',
+        name: 'Tow Plant 70kW',
+        category: 'Power Distribution',
+        type: 'Diesel Generator',
+        mount: 'ground',
+        dimensions: { width: 72, height: 84, depth: 144 },
+        details: {
+            capacity: '70kW',
+            system: '208Y/120',
+            amperage: '200A per leg'
+        }
+    },
+    {
+        id: 'spider-box-100a',
+        name: 'Spider Box 100A',
+        category: 'Power Distribution',
+        type: 'Distro Box',
+        mount: 'ground',
+        dimensions: { width: 24, height: 14, depth: 18 },
+        details: {
+            capacity: '100A',
+            system: '208Y/120',
+            outlets: '6x 20A Edison'
+        }
+    },
+    // Not rental gear: the camera and where the talent stands, for checking
+    // what is in shot
+    {
+        id: 'cinema-camera',
+        name: 'Cinema Camera',
+        category: 'Camera & Talent',
+        type: 'Camera',
+        mount: 'ground',
+        dimensions: { width: 8, height: 9, depth: 14 },
+        weight: 35,
+        details: {
+            support: 'Tripod with fluid head',
+            lens: 'Sensor and focal length set per camera'
+        }
+    },
+    {
+        id: 'talent-mark',
+        name: 'Talent Mark',
+        category: 'Camera & Talent',
+        type: 'Talent Mark',
+        mount: 'ground',
+        details: {
+            height: 'Standing or seated'
+        }
+    }
+];
+
+export default BUILT_IN_EQUIPMENT;
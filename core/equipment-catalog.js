@@ -0,0 +1,276 @@
+// Equipment database: every item the plot can place, with the physical,
+// photometric, power and control data the tools work from.
+//
+// Entry schema (only id, name and category are required):
+//   id            unique key; a later catalog with the same id replaces it
+//   name          display name, also the name stored on placed items
+//   brand, model  used for lookups like 'ARRI M18' or 'M18'
+//   aliases       other names it is known by in descriptions
+//   category      panel section ('LED Fixtures', 'Grip Equipment', ...)
+//   type          short description ('HMI Fresnel')
+//   mount         one of MOUNT_TYPES
+//   dimensions    { width, height, depth } in inches
+//   weight        pounds
+//   power         rating string ('1800W'); ballast: 'Electronic' | 'Magnetic'
+//   photometrics  { beamAngle: { spot, flood }, output: { distance, fc } }
+//   color         '5600K' or a range '2800K-10000K'
+//   dmxModes      [{ name, channels: ['Dimmer', 'Dimmer fine', ...] }]
+//   details       free-form specs shown on the panel and the gear list
+//   accessories, rigging, setupInstructions: lists; notes: text
+import BUILT_IN_EQUIPMENT from './equipment-catalog-data.js';
+
+const MOUNT_TYPES = ['yoke', 'stand', 'frame', 'rigging', 'ground'];
+
+// Panel order for the built-in categories; new ones follow in load order
+const CATEGORY_ORDER = [
+    'LED Fixtures',
+    'HMI Fixtures',
+    'Tungsten',
+    'Grip Equipment',
+    'Overhead Rigs',
+    'Power Distribution',
+    'Camera & Talent'
+];
+
+// Source name -> its entries, in load order. Later sources win on id.
+const sources = new Map();
+const entries = new Map();
+const lookup = new Map();
+const listeners = [];
+
+// Lookup key that ignores case, spacing and punctuation
+function normalize(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function getNames(entry) {
+    const names = [entry.id, entry.name, entry.model, ...(entry.aliases || [])];
+    if (entry.brand && entry.model) names.push(`${entry.brand} ${entry.model}`);
+    return names.filter(Boolean);
+}
+
+function rebuild() {
+    entries.clear();
+    sources.forEach((list, source) => {
+        list.forEach(entry => entries.set(entry.id, { ...entry, source }));
+    });
+
+    lookup.clear();
+    // Ids and names win over aliases that happen to match them
+    entries.forEach(entry => {
+        getNames(entry).slice(2).forEach(name => lookup.set(normalize(name), entry));
+    });
+    entries.forEach(entry => {
+        lookup.set(normalize(entry.name), entry);
+        lookup.set(normalize(entry.id), entry);
+    });
+    listeners.forEach(listener => listener());
+}
+
+function isPositive(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Names of entries found in text, longest names first. Each match is
+// blanked out as it is found so a shorter name can't match inside it.
+function scanMentions(list, text) {
+    const names = list
+        .flatMap(entry => getNames(entry).slice(1).map(name => ({ name, entry })))
+        .sort((a, b) => b.name.length - a.name.length);
+
+    let remaining = String(text || '');
+    const found = [];
+    names.forEach(({ name, entry }) => {
+        const pattern = new RegExp(`(^|[^a-z0-9])(${escapeRegExp(name)}(?:e?s)?)(?![a-z0-9])`, 'gi');
+        remaining = remaining.replace(pattern, (match, before, word, offset) => {
+            const start = offset + before.length;
+            found.push({ entry, start, end: start + word.length });
+            return before + ' '.repeat(word.length);
+        });
+    });
+    return found;
+}
+
+const EquipmentCatalog = {
+    MOUNT_TYPES,
+    // Catalogs loaded from files, kept so they are there next session
+    STORAGE_KEY: 'lightingPlot.catalogs',
+
+    // Problems with an entry, as messages; empty when it is valid
+    validate(entry) {
+        const errors = [];
+        if (!entry || typeof entry !== 'object') return ['Entry must be an object'];
+
+        ['id', 'name', 'category'].forEach(key => {
+            if (typeof entry[key] !== 'string' || !entry[key].trim()) {
+                errors.push(`${key} is required`);
+            }
+        });
+        if (entry.aliases !== undefined && !Array.isArray(entry.aliases)) {
+            errors.push('aliases must be a list');
+        }
+        if (entry.mount !== undefined && !MOUNT_TYPES.includes(entry.mount)) {
+            errors.push(`mount must be one of ${MOUNT_TYPES.join(', ')}`);
+        }
+        if (entry.dimensions !== undefined &&
+            !['width', 'height', 'depth'].every(key => isPositive(entry.dimensions?.[key]))) {
+            errors.push('dimensions need a positive width, height and depth in inches');
+        }
+        if (entry.weight !== undefined && !isPositive(entry.weight)) {
+            errors.push('weight must be a positive number of pounds');
+        }
+        if (entry.power !== undefined && !/\d+(?:\.\d+)?\s*(kW|K|W)\b/i.test(String(entry.power))) {
+            errors.push(`power '${entry.power}' is not a rating like '1800W'`);
+        }
+
+        const beam = entry.photometrics?.beamAngle;
+        if (beam && !(isPositive(beam.spot) && isPositive(beam.flood) && beam.spot <= beam.flood && beam.flood <= 180)) {
+            errors.push('beam angle needs spot and flood between 0° and 180°, spot no wider than flood');
+        }
+        const output = entry.photometrics?.output;
+        if (output && !(isPositive(output.distance) && isPositive(output.fc))) {
+            errors.push('output needs a positive distance and footcandle reading');
+        }
+
+        if (entry.dmxModes !== undefined) {
+            if (!Array.isArray(entry.dmxModes) || !entry.dmxModes.length) {
+                errors.push('dmxModes must be a non-empty list');
+            } else {
+                entry.dmxModes.forEach((mode, index) => {
+                    if (!mode?.name) errors.push(`DMX mode ${index + 1} needs a name`);
+                    if (!Array.isArray(mode?.channels) || !mode.channels.length || mode.channels.length > 512) {
+                        errors.push(`DMX mode ${mode?.name || index + 1} needs 1 to 512 channels`);
+                    }
+                });
+            }
+        }
+        return errors;
+    },
+
+    // Add a source's entries, replacing anything it loaded before. Throws
+    // if any are invalid, naming them, so a bad catalog file is rejected
+    // whole rather than half loaded.
+    register(list, source = 'built-in') {
+        const problems = [];
+        list.forEach((entry, index) => {
+            const errors = this.validate(entry);
+            if (errors.length) {
+                problems.push(`${entry?.name || entry?.id || `Entry ${index + 1}`}: ${errors.join('; ')}`);
+            }
+        });
+        if (problems.length) {
+            throw new Error(`Invalid equipment in ${source}:\n${problems.join('\n')}`);
+        }
+
+        sources.delete(source);
+        sources.set(source, list);
+        rebuild();
+        return list.length;
+    },
+
+    // Take out a source; anything it replaced comes back
+    unregister(source) {
+        if (source === 'built-in') return;
+        sources.delete(source);
+        rebuild();
+    },
+
+    // Names of the catalogs loaded on top of the built-in one
+    getSources() {
+        return [...sources.keys()].filter(source => source !== 'built-in');
+    },
+
+    onChange(listener) {
+        listeners.push(listener);
+    },
+
+    // Entry by id, name, brand and model, model or alias
+    get(name) {
+        return lookup.get(normalize(name)) || null;
+    },
+
+    list(category) {
+        const all = [...entries.values()];
+        return category ? all.filter(entry => entry.category === category) : all;
+    },
+
+    getCategories() {
+        const found = [...new Set(this.list().map(entry => entry.category))];
+        const rank = category => {
+            const index = CATEGORY_ORDER.indexOf(category);
+            return index === -1 ? CATEGORY_ORDER.length : index;
+        };
+        return found.sort((a, b) => rank(a) - rank(b));
+    },
+
+    // Entries named anywhere in a piece of text, longest names first so
+    // 'SkyPanel S360' is not also read as a plain 'SkyPanel'
+    findMentions(text) {
+        const found = [];
+        scanMentions(this.list(), text).forEach(({ entry }) => {
+            if (!found.includes(entry)) found.push(entry);
+        });
+        return found;
+    },
+
+    // Every place an entry is named, in reading order, with the character
+    // range of the name: [{ entry, start, end }]. Plurals ('S60s') count.
+    locateMentions(text) {
+        return scanMentions(this.list(), text).sort((a, b) => a.start - b.start);
+    },
+
+    // One-line description for the panel: '1800W HMI Fresnel'
+    getSummary(entry) {
+        return [entry.power, entry.type].filter(Boolean).join(' ');
+    },
+
+    // Flat display specs stored on placed items and shown on the gear list
+    toDetails(entry) {
+        const details = {};
+        if (entry.power) details.power = entry.power;
+        const beam = entry.photometrics?.beamAngle;
+        if (beam) details.beam = beam.spot === beam.flood ? `${beam.spot}°` : `${beam.spot}° - ${beam.flood}°`;
+        if (entry.color) details.color = entry.color;
+        if (entry.ballast) details.ballast = entry.ballast;
+        if (entry.dmxModes) details.dmx = entry.dmxModes.map(mode => mode.name).join(', ');
+        Object.assign(details, entry.details);
+        const { width, height, depth } = entry.dimensions || {};
+        if (entry.dimensions) details.dimensions = `${width}" x ${height}" x ${depth}"`;
+        if (entry.weight) details.weight = `${entry.weight} lbs`;
+        return details;
+    },
+
+    // Read a catalog file: either a list of entries or
+    // { name, equipment: [...] }. Returns { name, equipment }.
+    parse(text, fallbackName = 'Catalog') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Catalog is not valid JSON: ${error.message}`);
+        }
+        const equipment = Array.isArray(data) ? data : data?.equipment;
+        if (!Array.isArray(equipment)) {
+            throw new Error('Catalog must be a list of equipment or have an "equipment" list');
+        }
+        return { name: (!Array.isArray(data) && data.name) || fallbackName, equipment };
+    },
+
+    async loadFromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load catalog ${url}: ${response.status} ${response.statusText}`);
+        }
+        const catalog = this.parse(await response.text(), url.split('/').pop());
+        this.register(catalog.equipment, catalog.name);
+        return catalog;
+    }
+};
+
+EquipmentCatalog.register(BUILT_IN_EQUIPMENT);
+
+export default EquipmentCatalog;
@@ -0,0 +1,168 @@
+// The user's own fixture definitions, for units the catalog doesn't carry.
+// Entries use the equipment catalog schema and are registered with it as
+// their own source, so they list, patch and meter like built-in fixtures.
+import EquipmentCatalog from './equipment-catalog.js';
+import DMXPatch from './dmx-patch.js';
+
+const SOURCE = 'My Fixtures';
+const ID_PREFIX = 'custom-';
+
+// Plausible range for a source's colour temperature
+const MIN_KELVIN = 1000;
+const MAX_KELVIN = 20000;
+
+function isBlank(value) {
+    return value === '' || value === null || value === undefined;
+}
+
+function toNumber(value) {
+    return isBlank(value) ? NaN : Number(value);
+}
+
+function slug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// A footprint only gives a channel count. Channel 1 is taken as the
+// dimmer and channel 2 as CCT on a bi-colour unit; any others are
+// left at zero when streaming.
+function buildChannels(footprint, variableCCT) {
+    return Array.from({ length: footprint }, (_, index) => {
+        if (index === 0) return 'Dimmer';
+        if (index === 1 && variableCCT) return 'CCT';
+        return `Channel ${index + 1}`;
+    });
+}
+
+const FixtureLibrary = {
+    SOURCE,
+    STORAGE_KEY: 'lightingPlot.fixtureLibrary',
+
+    isCustom(entry) {
+        return entry?.source === SOURCE;
+    },
+
+    // Build a catalog entry from the editor's fields (strings or numbers):
+    // { id?, name, category, type, width, height, depth, weight, spot, flood,
+    //   distance, fc, watts, cctMin, cctMax, footprint }
+    // Returns { entry, errors }; entry is null when there are errors.
+    fromForm(values) {
+        const errors = [];
+        const name = String(values.name || '').trim();
+        const number = key => toNumber(values[key]);
+
+        if (!name) errors.push('Name is required');
+        if (!values.category) errors.push('Category is required');
+        const existing = name && EquipmentCatalog.get(name);
+        if (existing && existing.id !== values.id) {
+            errors.push(`"${existing.name}" is already in the catalog`);
+        }
+
+        ['width', 'height', 'depth'].forEach(key => {
+            if (!(number(key) > 0)) errors.push(`${key[0].toUpperCase() + key.slice(1)} must be more than 0 inches`);
+        });
+        if (!isBlank(values.weight) && !(number('weight') > 0)) {
+            errors.push('Weight must be more than 0 lbs, or left blank');
+        }
+        if (!(number('watts') > 0)) errors.push('Wattage must be more than 0');
+
+        const spot = number('spot');
+        const flood = number('flood');
+        if (!(spot > 0 && spot <= 180)) errors.push('Spot angle must be between 0° and 180°');
+        if (!(flood > 0 && flood <= 180)) errors.push('Flood angle must be between 0° and 180°');
+        if (spot > flood) errors.push('Spot angle cannot be wider than flood');
+
+        // Output is optional but needs both halves to mean anything
+        const hasOutput = !isBlank(values.distance) || !isBlank(values.fc);
+        if (hasOutput && !(number('distance') > 0 && number('fc') > 0)) {
+            errors.push('Output needs both a distance and a footcandle reading, or neither');
+        }
+
+        const cctMin = number('cctMin');
+        const cctMax = Number.isNaN(number('cctMax')) ? cctMin : number('cctMax');
+        if (!(cctMin >= MIN_KELVIN && cctMin <= MAX_KELVIN) || !(cctMax >= MIN_KELVIN && cctMax <= MAX_KELVIN)) {
+            errors.push(`CCT must be between ${MIN_KELVIN}K and ${MAX_KELVIN}K`);
+        } else if (cctMin > cctMax) {
+            errors.push('Lowest CCT cannot be above the highest');
+        }
+
+        const footprint = isBlank(values.footprint) ? 0 : number('footprint');
+        if (!Number.isInteger(footprint) || footprint < 0 || footprint > DMXPatch.UNIVERSE_SIZE) {
+            errors.push(`DMX footprint must be a whole number of channels up to ${DMXPatch.UNIVERSE_SIZE}, or blank`);
+        }
+
+        if (errors.length) return { entry: null, errors };
+
+        // Editing keeps what the form doesn't show, such as an imported
+        // fixture's brand, aliases and DMX channel names
+        const { source, weight, dmxModes, ...previous } = (values.id && EquipmentCatalog.get(values.id)) || {};
+        const entry = {
+            ...previous,
+            id: values.id || ID_PREFIX + slug(name),
+            name: name,
+            category: values.category,
+            type: String(values.type || '').trim() || 'Custom Fixture',
+            mount: 'yoke',
+            dimensions: { width: number('width'), height: number('height'), depth: number('depth') },
+            power: `${number('watts')}W`,
+            photometrics: { beamAngle: { spot, flood } },
+            color: cctMin === cctMax ? `${cctMin}K` : `${cctMin}K-${cctMax}K`
+        };
+        if (number('weight') > 0) entry.weight = number('weight');
+        if (hasOutput) entry.photometrics.output = { distance: number('distance'), fc: number('fc') };
+        if (footprint && dmxModes?.[0]?.channels.length === footprint) {
+            entry.dmxModes = dmxModes;
+        } else if (footprint) {
+            entry.dmxModes = [{ name: `${footprint}-channel`, channels: buildChannels(footprint, cctMin !== cctMax) }];
+        }
+
+        // The catalog's own checks catch anything the form ones missed
+        const catalogErrors = EquipmentCatalog.validate(entry);
+        return catalogErrors.length ? { entry: null, errors: catalogErrors } : { entry, errors: [] };
+    },
+
+    // Editor fields for an existing entry
+    toForm(entry) {
+        const [cctMin, cctMax] = (String(entry.color || '').match(/\d+/g) || []).map(Number);
+        return {
+            id: entry.id,
+            name: entry.name,
+            category: entry.category,
+            type: entry.type || '',
+            width: entry.dimensions?.width ?? '',
+            height: entry.dimensions?.height ?? '',
+            depth: entry.dimensions?.depth ?? '',
+            weight: entry.weight ?? '',
+            spot: entry.photometrics?.beamAngle?.spot ?? '',
+            flood: entry.photometrics?.beamAngle?.flood ?? '',
+            distance: entry.photometrics?.output?.distance ?? '',
+            fc: entry.photometrics?.output?.fc ?? '',
+            watts: parseFloat(entry.power) || '',
+            cctMin: cctMin ?? '',
+            cctMax: cctMax ?? cctMin ?? '',
+            footprint: entry.dmxModes?.[0]?.channels.length ?? ''
+        };
+    },
+
+    // Library entries with one added or replaced by id
+    save(library, entry) {
+        return [...library.filter(item => item.id !== entry.id), entry];
+    },
+
+    remove(library, id) {
+        return library.filter(item => item.id !== id);
+    },
+
+    // Stored library text to entries, dropping anything no longer valid
+    parse(text) {
+        const library = JSON.parse(text || '[]');
+        if (!Array.isArray(library)) throw new Error('Fixture library must be a list');
+        return library.filter(entry => {
+            const errors = EquipmentCatalog.validate(entry);
+            if (errors.length) console.error(`Dropping library fixture ${entry?.name}: ${errors.join('; ')}`);
+            return !errors.length;
+        });
+    }
+};
+
+export default FixtureLibrary;
@@ -0,0 +1,409 @@
+// GDTF fixture files. A .gdtf file is a zip holding description.xml;
+// its physical description, beam geometry and DMX modes map onto an
+// equipment catalog entry, and back again for export. GDTF works in
+// metres, kilograms and lumens.
+import ZipReader from './zip-reader.js';
+import ZipWriter from './zip-writer.js';
+import Photometrics from './photometrics.js';
+import ColorTemperature from './color-temperature.js';
+
+const INCHES_PER_METRE = 39.3701;
+const POUNDS_PER_KG = 2.20462;
+
+// Rated output is worked out at this distance (ft) from the lamp flux
+const OUTPUT_DISTANCE = 10;
+
+// GDTF attributes that drive the channels dmx-output knows how to fill
+const ATTRIBUTE_CHANNELS = {
+    Dimmer: 'Dimmer',
+    CTC: 'CCT',
+    CTO: 'CCT',
+    CTB: 'CCT',
+    Tint: '+/- Green',
+    ColorAdd_R: 'Red',
+    ColorAdd_G: 'Green',
+    ColorAdd_B: 'Blue',
+    ColorAdd_W: 'White',
+    ColorRGB_Red: 'Red',
+    ColorRGB_Green: 'Green',
+    ColorRGB_Blue: 'Blue'
+};
+
+// Our channel names back to GDTF attributes, with their feature
+const CHANNEL_ATTRIBUTES = {
+    Dimmer: { attribute: 'Dimmer', feature: 'Dimmer.Dimmer' },
+    CCT: { attribute: 'CTC', feature: 'Color.Color' },
+    '+/- Green': { attribute: 'Tint', feature: 'Color.Color' },
+    Red: { attribute: 'ColorAdd_R', feature: 'Color.RGB' },
+    Green: { attribute: 'ColorAdd_G', feature: 'Color.RGB' },
+    Blue: { attribute: 'ColorAdd_B', feature: 'Color.RGB' },
+    White: { attribute: 'ColorAdd_W', feature: 'Color.RGB' }
+};
+
+const LAMP_TYPES = {
+    'LED Fixtures': 'LED',
+    'HMI Fixtures': 'Discharge',
+    Tungsten: 'Tungsten'
+};
+
+// Names for the second and further bytes of a multi-byte channel
+const BYTE_SUFFIXES = ['', ' fine', ' ultra', ' uber'];
+
+const LAMP_CATEGORIES = {
+    LED: 'LED Fixtures',
+    Discharge: 'HMI Fixtures',
+    Tungsten: 'Tungsten',
+    Halogen: 'Tungsten'
+};
+
+const BEAM_TYPES = {
+    Wash: 'Wash',
+    Spot: 'Spot',
+    Fresnel: 'Fresnel',
+    PC: 'PC',
+    Rectangle: 'Panel'
+};
+
+function number(element, attribute) {
+    const value = parseFloat(element?.getAttribute(attribute));
+    return Number.isFinite(value) ? value : null;
+}
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function escapeXML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// XML attributes from an object, skipping empty values
+function xmlAttributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => ` ${key}="${escapeXML(value)}"`)
+        .join('');
+}
+
+function elements(parent, tagName) {
+    return parent ? [...parent.getElementsByTagName(tagName)] : [];
+}
+
+function findFirst(parent, tagName) {
+    return elements(parent, tagName)[0] || null;
+}
+
+// Size of the fixture: the model on the top-level geometry, else the
+// largest model in the file
+function getDimensions(fixtureType) {
+    const models = elements(fixtureType, 'Model');
+    const geometries = findFirst(fixtureType, 'Geometries');
+    const topModel = geometries && [...geometries.children]
+        .map(geometry => geometry.getAttribute('Model'))
+        .find(Boolean);
+
+    const volume = model => number(model, 'Length') * number(model, 'Width') * number(model, 'Height');
+    const model = models.find(m => m.getAttribute('Name') === topModel) ||
+        [...models].sort((a, b) => volume(b) - volume(a))[0];
+    if (!model || !(volume(model) > 0)) return null;
+
+    return {
+        width: round(number(model, 'Width') * INCHES_PER_METRE),
+        height: round(number(model, 'Height') * INCHES_PER_METRE),
+        depth: round(number(model, 'Length') * INCHES_PER_METRE)
+    };
+}
+
+// Physical range of the first channel function for an attribute:
+// { from, to } sorted low to high
+function getPhysicalRange(fixtureType, attributes) {
+    const fn = elements(fixtureType, 'ChannelFunction').find(candidate =>
+        attributes.includes(candidate.getAttribute('Attribute')) &&
+        number(candidate, 'PhysicalFrom') !== number(candidate, 'PhysicalTo'));
+    if (!fn) return null;
+    const values = [number(fn, 'PhysicalFrom'), number(fn, 'PhysicalTo')].sort((a, b) => a - b);
+    return { from: values[0], to: values[1] };
+}
+
+// Channel layout of one DMX mode, in our '<attribute>' / '<attribute> fine'
+// naming. Only the first DMX break is read; gaps are named by number.
+function readMode(mode) {
+    const slots = [];
+    elements(mode, 'DMXChannel').forEach(channel => {
+        if ((channel.getAttribute('DMXBreak') || '1') !== '1') return;
+        const offsets = (channel.getAttribute('Offset') || '')
+            .split(',')
+            .map(Number)
+            .filter(offset => offset > 0);
+        if (!offsets.length) return; // virtual channel
+
+        const logical = findFirst(channel, 'LogicalChannel');
+        const attribute = logical?.getAttribute('Attribute') ||
+            findFirst(channel, 'ChannelFunction')?.getAttribute('Attribute') || 'Channel';
+        const name = ATTRIBUTE_CHANNELS[attribute] || attribute;
+        offsets.forEach((offset, index) => {
+            slots[offset - 1] = name + (BYTE_SUFFIXES[index] ?? ` byte ${index + 1}`);
+        });
+    });
+
+    return {
+        name: mode.getAttribute('Name') || 'Default',
+        channels: Array.from({ length: slots.length }, (_, index) => slots[index] || `Channel ${index + 1}`)
+    };
+}
+
+// Group a mode's channels into DMX channels: '<name>' followed by its
+// '<name> fine' bytes becomes one channel over several offsets
+function groupChannels(channels) {
+    const groups = [];
+    channels.forEach((channel, index) => {
+        const byte = BYTE_SUFFIXES.findIndex((suffix, i) => i > 0 && channel.endsWith(suffix));
+        const base = byte > 0 ? channel.slice(0, -BYTE_SUFFIXES[byte].length) : channel;
+        const last = groups[groups.length - 1];
+        if (byte > 0 && last?.name === base && last.offsets.length === byte) {
+            last.offsets.push(index + 1);
+        } else {
+            groups.push({ name: channel, offsets: [index + 1] });
+        }
+    });
+    return groups;
+}
+
+function getChannelAttribute(name) {
+    return CHANNEL_ATTRIBUTES[name] ||
+        { attribute: name.replace(/[^A-Za-z0-9_]/g, '') || 'NoFeature', feature: 'Control.Control' };
+}
+
+function dmxChannelXML(attribute, offsets, physical = [0, 1]) {
+    const functionName = `${attribute} 1`;
+    return `
+          <DMXChannel${xmlAttributes({
+              DMXBreak: 1,
+              Offset: offsets.length ? offsets.join(',') : 'None',
+              Highlight: 'None',
+              Geometry: 'Body',
+              InitialFunction: `Body_${attribute}.${attribute}.${functionName}`
+          })}>
+            <LogicalChannel${xmlAttributes({ Attribute: attribute, Snap: 'No', Master: 'None', MibFade: 0, DMXChangeTimeLimit: 0 })}>
+              <ChannelFunction${xmlAttributes({
+                  Name: functionName,
+                  Attribute: attribute,
+                  OriginalAttribute: attribute,
+                  DMXFrom: '0/1',
+                  Default: '0/1',
+                  PhysicalFrom: physical[0],
+                  PhysicalTo: physical[1],
+                  RealFade: 0
+              })}/>
+            </LogicalChannel>
+          </DMXChannel>`;
+}
+
+const GDTF = {
+    OUTPUT_DISTANCE,
+
+    // Catalog entry from a parsed description.xml document
+    toCatalogEntry(doc, category) {
+        const fixtureType = findFirst(doc, 'FixtureType');
+        if (!fixtureType) throw new Error('description.xml has no FixtureType');
+
+        const manufacturer = (fixtureType.getAttribute('Manufacturer') || '').trim();
+        const model = (fixtureType.getAttribute('Name') || '').trim();
+        const longName = (fixtureType.getAttribute('LongName') || '').trim();
+        if (!model) throw new Error('Fixture type has no name');
+
+        const name = manufacturer && !model.toLowerCase().startsWith(manufacturer.toLowerCase()) ?
+            `${manufacturer} ${model}` : model;
+        const beam = findFirst(fixtureType, 'Beam');
+        const lampType = beam?.getAttribute('LampType') || 'LED';
+
+        const entry = {
+            id: 'gdtf-' + (fixtureType.getAttribute('FixtureTypeID') || name).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            name: name,
+            brand: manufacturer || undefined,
+            model: model,
+            aliases: [longName, fixtureType.getAttribute('ShortName')]
+                .filter(alias => alias && alias !== name && alias !== model),
+            category: category || LAMP_CATEGORIES[lampType] || 'LED Fixtures',
+            type: [lampType === 'Discharge' ? 'HMI' : lampType, BEAM_TYPES[beam?.getAttribute('BeamType')] || 'Fixture'].join(' '),
+            mount: 'yoke'
+        };
+
+        const dimensions = getDimensions(fixtureType);
+        if (dimensions) entry.dimensions = dimensions;
+
+        const weight = number(findFirst(findFirst(fixtureType, 'Properties'), 'Weight'), 'Value');
+        if (weight > 0) entry.weight = round(weight * POUNDS_PER_KG);
+
+        // Power from the lamp, else the fixture's listed consumption (GDTF 1.2)
+        const watts = number(beam, 'PowerConsumption') ||
+            elements(findFirst(fixtureType, 'Properties'), 'PowerConsumption')
+                .reduce((sum, item) => sum + (number(item, 'Value') || 0), 0);
+        if (watts > 0) entry.power = `${round(watts, 0)}W`;
+
+        // Beam: the zoom range if there is one, else the fixed beam angle
+        const zoom = getPhysicalRange(fixtureType, ['Zoom']);
+        const beamAngle = number(beam, 'BeamAngle');
+        if (zoom && zoom.from > 0 && zoom.to <= 180) {
+            entry.photometrics = { beamAngle: { spot: zoom.from, flood: zoom.to } };
+        } else if (beamAngle > 0) {
+            entry.photometrics = { beamAngle: { spot: beamAngle, flood: beamAngle } };
+        }
+
+        // Lamp flux, spread over the spot beam, as footcandles at a distance
+        const lumens = number(beam, 'LuminousFlux');
+        if (entry.photometrics && lumens > 0) {
+            const candela = Photometrics.getIntensityFromFlux(lumens, entry.photometrics.beamAngle.spot);
+            entry.photometrics.output = {
+                distance: OUTPUT_DISTANCE,
+                fc: round(candela / (OUTPUT_DISTANCE * OUTPUT_DISTANCE), 0)
+            };
+        }
+
+        const cct = getPhysicalRange(fixtureType, ['CTC', 'CTO', 'CTB']);
+        const fixedCCT = number(beam, 'ColorTemperature');
+        if (cct && cct.from >= 1000) {
+            entry.color = `${round(cct.from, 0)}K-${round(cct.to, 0)}K`;
+        } else if (fixedCCT > 0) {
+            entry.color = `${round(fixedCCT, 0)}K`;
+        }
+
+        const modes = elements(fixtureType, 'DMXMode')
+            .map(readMode)
+            .filter(mode => mode.channels.length);
+        if (modes.length) entry.dmxModes = modes;
+
+        return entry;
+    },
+
+    // description.xml for a catalog entry. Entries without photometrics
+    // (trusses, scenery) are written as a body with no beam.
+    toDescription(entry, fixtureTypeId) {
+        const beamAngle = entry.photometrics?.beamAngle;
+        const output = entry.photometrics?.output;
+        const range = ColorTemperature.parseRange(entry.color);
+        const dims = entry.dimensions || { width: 12, height: 12, depth: 12 };
+
+        // Lumens back from rated footcandles, the reverse of the import
+        let lumens;
+        if (beamAngle && output) {
+            const candela = output.fc * output.distance * output.distance;
+            lumens = round(candela / Photometrics.getIntensityFromFlux(1, beamAngle.spot), 0);
+        }
+
+        const attributes = new Map();
+        const modes = (entry.dmxModes || []).map(mode => {
+            const channels = groupChannels(mode.channels).map(group => {
+                const { attribute, feature } = getChannelAttribute(group.name);
+                attributes.set(attribute, feature);
+                const physical = attribute === 'CTC' && range ? [range.min, range.max] :
+                    attribute === 'Tint' ? [-1, 1] : [0, 1];
+                return dmxChannelXML(attribute, group.offsets, physical);
+            });
+            return { name: mode.name, channels };
+        });
+
+        // A zoom range has no channel of ours, so it goes on a virtual one
+        if (beamAngle && beamAngle.spot !== beamAngle.flood) {
+            attributes.set('Zoom', 'Beam.Beam');
+            if (!modes.length) modes.push({ name: 'Default', channels: [] });
+            modes.forEach(mode => mode.channels.push(dmxChannelXML('Zoom', [], [beamAngle.spot, beamAngle.flood])));
+        }
+
+        const featureGroups = new Map();
+        attributes.forEach(feature => {
+            const [group, name] = feature.split('.');
+            if (!featureGroups.has(group)) featureGroups.set(group, new Set());
+            featureGroups.get(group).add(name);
+        });
+
+        const beam = beamAngle ? `
+        <Beam${xmlAttributes({
+            Name: 'Beam',
+            Model: 'Body',
+            Position: '{1,0,0,0}{0,1,0,0}{0,0,1,0}{0,0,0,1}',
+            LampType: LAMP_TYPES[entry.category] || 'LED',
+            PowerConsumption: parseFloat(entry.power) || undefined,
+            LuminousFlux: lumens,
+            ColorTemperature: range?.min,
+            BeamAngle: beamAngle.spot,
+            FieldAngle: round(Photometrics.getFieldAngle(beamAngle.spot)),
+            BeamType: /panel/i.test(entry.type) ? 'Rectangle' : /fresnel/i.test(entry.type) ? 'Fresnel' : 'Wash'
+        })}/>` : '';
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<GDTF DataVersion="1.1">
+  <FixtureType${xmlAttributes({
+      Name: entry.model || entry.name,
+      ShortName: entry.model || entry.name,
+      LongName: entry.name,
+      Manufacturer: entry.brand || 'Generic',
+      Description: entry.type,
+      FixtureTypeID: fixtureTypeId,
+      RefFT: ''
+  })} Thumbnail="">
+    <AttributeDefinitions>
+      <FeatureGroups>${[...featureGroups].map(([group, features]) => `
+        <FeatureGroup Name="${group}" Pretty="${group}">${[...features].map(feature => `<Feature Name="${feature}"/>`).join('')}</FeatureGroup>`).join('')}
+      </FeatureGroups>
+      <Attributes>${[...attributes].map(([attribute, feature]) => `
+        <Attribute${xmlAttributes({ Name: attribute, Pretty: attribute, Feature: feature })}/>`).join('')}
+      </Attributes>
+    </AttributeDefinitions>
+    <Wheels/>
+    <PhysicalDescriptions>
+      <Properties>${entry.weight ? `<Weight Value="${round(entry.weight / POUNDS_PER_KG, 2)}"/>` : ''}</Properties>
+    </PhysicalDescriptions>
+    <Models>
+      <Model${xmlAttributes({
+          Name: 'Body',
+          Length: round(dims.depth / INCHES_PER_METRE, 3),
+          Width: round(dims.width / INCHES_PER_METRE, 3),
+          Height: round(dims.height / INCHES_PER_METRE, 3),
+          PrimitiveType: 'Cube'
+      })}/>
+    </Models>
+    <Geometries>
+      <Geometry Name="Body" Model="Body" Position="{1,0,0,0}{0,1,0,0}{0,0,1,0}{0,0,0,1}">${beam}
+      </Geometry>
+    </Geometries>
+    <DMXModes>${modes.map(mode => `
+      <DMXMode Name="${escapeXML(mode.name)}" Geometry="Body">
+        <DMXChannels>${mode.channels.join('')}
+        </DMXChannels>
+        <Relations/>
+        <FTMacros/>
+      </DMXMode>`).join('')}
+    </DMXModes>
+    <Revisions/>
+    <FTPresets/>
+    <Protocols/>
+  </FixtureType>
+</GDTF>
+`;
+    },
+
+    // A .gdtf file for a catalog entry, as zip bytes
+    write(entry, fixtureTypeId = crypto.randomUUID().toUpperCase()) {
+        return ZipWriter.create([{ path: 'description.xml', data: this.toDescription(entry, fixtureTypeId) }]);
+    },
+
+    // Read a .gdtf file into a catalog entry
+    async read(buffer, category) {
+        const xml = await ZipReader.extractText(buffer, 'description.xml');
+        if (!xml) throw new Error('No description.xml in this file; is it a GDTF?');
+
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('description.xml could not be read');
+        }
+        return this.toCatalogEntry(doc, category);
+    }
+};
+
+export default GDTF;
@@ -0,0 +1,96 @@
+// Rental gear list built from what is actually placed in the plot
+function escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One-line spec summary from catalog details
+function describeDetails(details) {
+    return Object.entries(details || {})
+        .filter(([, value]) => value !== undefined && value !== '')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('; ');
+}
+
+function formatUnits(units) {
+    const sorted = units.filter(unit => unit !== undefined).sort((a, b) => a - b);
+    if (!sorted.length) return '';
+    return (sorted.length === 1 ? 'Unit ' : 'Units ') + sorted.join(', ');
+}
+
+const GearList = {
+    // items: [{ category, name, details, unit, notes: [] }]
+    // categoryOrder: category names in catalog order; others follow
+    // Returns [{ category, lines: [{ name, quantity, specs, notes }] }]
+    build(items, categoryOrder = []) {
+        const groups = new Map();
+
+        items.forEach(item => {
+            if (!groups.has(item.category)) {
+                groups.set(item.category, new Map());
+            }
+            const lines = groups.get(item.category);
+            if (!lines.has(item.name)) {
+                lines.set(item.name, {
+                    name: item.name,
+                    quantity: 0,
+                    specs: describeDetails(item.details),
+                    units: [],
+                    notes: []
+                });
+            }
+
+            const line = lines.get(item.name);
+            line.quantity += item.quantity || 1;
+            line.units.push(item.unit);
+            (item.notes || []).forEach(note => {
+                if (!line.notes.includes(note)) line.notes.push(note);
+            });
+        });
+
+        const rank = category => {
+            const index = categoryOrder.indexOf(category);
+            return index === -1 ? categoryOrder.length : index;
+        };
+
+        return [...groups]
+            .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+            .map(([category, lines]) => ({
+                category,
+                lines: [...lines.values()]
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(line => ({
+                        name: line.name,
+                        quantity: line.quantity,
+                        specs: line.specs,
+                        notes: [formatUnits(line.units), ...line.notes].filter(Boolean).join('; ')
+                    }))
+            }));
+    },
+
+    getTotalCount(groups) {
+        return groups.reduce((sum, group) =>
+            sum + group.lines.reduce((lineSum, line) => lineSum + line.quantity, 0), 0);
+    },
+
+    toCSV(groups) {
+        const rows = [['Category', 'Item', 'Qty', 'Specs', 'Notes']];
+        groups.forEach(group => {
+            group.lines.forEach(line => {
+                rows.push([group.category, line.name, line.quantity, line.specs, line.notes]);
+            });
+        });
+        return rows.map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+    },
+
+    toJSON(groups, info = {}) {
+        return JSON.stringify({
+            project: info.project || 'Untitled Plot',
+            generatedAt: new Date().toISOString(),
+            totalItems: this.getTotalCount(groups),
+            groups: groups
+        }, null, 2);
+    }
+};
+
+export default GearList;
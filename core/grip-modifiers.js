@@ -0,0 +1,225 @@
+// Grip modifiers: frames, flags and nets with a fabric on them. Each is
+// a flat rectangle in plot space (feet):
+//   { id, label, center, normal, right, up, width, height, fabric }
+// normal is the front face; right and up run along its width and height.
+//
+// Fabrics give each face's reflectance and how much light gets through,
+// straight (direct) or scattered (diffuse). Light striking a fabric comes
+// back off it, or out through it, as a soft source for the photometrics;
+// a dark opaque face reads as negative fill.
+import Photometrics from './photometrics.js';
+
+const FABRICS = {
+    'ultrabounce-white': {
+        label: 'UltraBounce, white out',
+        front: 0.85, back: 0.03, direct: 0, diffuse: 0,
+        color: 0xf2f2f2, backColor: 0x111111
+    },
+    'ultrabounce-black': {
+        label: 'UltraBounce, black out',
+        front: 0.03, back: 0.85, direct: 0, diffuse: 0,
+        color: 0x111111, backColor: 0xf2f2f2
+    },
+    silk: {
+        label: 'Silk',
+        front: 0.35, back: 0.35, direct: 0, diffuse: 0.45,
+        color: 0xf8f6ee, opacity: 0.7
+    },
+    'grid-cloth': {
+        label: 'Grid cloth',
+        front: 0.45, back: 0.45, direct: 0, diffuse: 0.3,
+        color: 0xe6e6e6, opacity: 0.85
+    },
+    // Diffusion gels on a frame: most of the light comes out the far side
+    // scattered, the lighter grades letting some of the beam straight through
+    'diffusion-216': {
+        label: 'Full white diffusion (216)',
+        front: 0.45, back: 0.45, direct: 0, diffuse: 0.36,
+        color: 0xfafafa, opacity: 0.65
+    },
+    'diffusion-250': {
+        label: 'Half white diffusion (250)',
+        front: 0.35, back: 0.35, direct: 0.1, diffuse: 0.45,
+        color: 0xfafafa, opacity: 0.5
+    },
+    'diffusion-251': {
+        label: 'Quarter white diffusion (251)',
+        front: 0.25, back: 0.25, direct: 0.35, diffuse: 0.35,
+        color: 0xfafafa, opacity: 0.35
+    },
+    solid: {
+        label: 'Solid',
+        front: 0.03, back: 0.03, direct: 0, diffuse: 0,
+        color: 0x111111
+    },
+    // Nets cut light without spreading it: half a stop and a stop
+    'single-net': {
+        label: 'Single net',
+        front: 0.02, back: 0.02, direct: 0.7, diffuse: 0,
+        color: 0x222222, opacity: 0.35
+    },
+    'double-net': {
+        label: 'Double net',
+        front: 0.02, back: 0.02, direct: 0.5, diffuse: 0,
+        color: 0x222222, opacity: 0.55
+    },
+    none: {
+        label: 'Open (no fabric)',
+        front: 0, back: 0, direct: 1, diffuse: 0
+    }
+};
+
+// What each kind of modifier can carry
+const FRAME_FABRICS = ['ultrabounce-white', 'ultrabounce-black', 'silk', 'grid-cloth',
+    'diffusion-216', 'diffusion-250', 'diffusion-251', 'solid', 'single-net', 'double-net', 'none'];
+const FLAG_FABRICS = ['solid', 'single-net', 'double-net', 'silk'];
+
+// A bounce or diffusion face spreads like a Lambertian source: half
+// intensity 60° off its normal
+const SOFT_BEAM = { spot: 120, flood: 120 };
+
+// Sample points per side when working out the light landing on a face
+const SAMPLES = 4;
+
+// Faces reflecting less than this and passing almost nothing read as black
+const DARK_REFLECTANCE = 0.1;
+
+// Faces giving off less than this many lumens are not worth a source
+const MIN_LUMENS = 1;
+
+function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+// Centres of a SAMPLES x SAMPLES grid of patches over the surface
+function samplePoints(surface) {
+    const points = [];
+    for (let row = 0; row < SAMPLES; row++) {
+        for (let col = 0; col < SAMPLES; col++) {
+            const u = ((col + 0.5) / SAMPLES - 0.5) * surface.width;
+            const v = ((row + 0.5) / SAMPLES - 0.5) * surface.height;
+            points.push(add(surface.center, add(scale(surface.right, u), scale(surface.up, v))));
+        }
+    }
+    return points;
+}
+
+const GripModifiers = {
+    FABRICS,
+    FRAME_FABRICS,
+    FLAG_FABRICS,
+
+    getFabric(key) {
+        return FABRICS[key] || FABRICS.none;
+    },
+
+    // A face that soaks up light rather than returning or passing it
+    isDark(fabric, face) {
+        return fabric[face] < DARK_REFLECTANCE && fabric.direct + fabric.diffuse < DARK_REFLECTANCE;
+    },
+
+    // Lumens landing on each face of a surface, per fixture:
+    // { front: [{ id, lumens }], back: [{ id, lumens }] }
+    getIncidentFlux(fixtures, surface) {
+        const points = samplePoints(surface);
+        const patchArea = surface.width * surface.height / points.length;
+        const flux = { front: [], back: [] };
+
+        fixtures.forEach(fixture => {
+            const side = dot(subtract(fixture.position, surface.center), surface.normal) >= 0 ? 'front' : 'back';
+            const normal = side === 'front' ? surface.normal : scale(surface.normal, -1);
+            // The fabric doesn't shade itself
+            const lit = { ...fixture, occluders: (fixture.occluders || []).filter(other => other.id !== surface.id) };
+            const lumens = points.reduce((sum, point) =>
+                sum + Photometrics.illuminanceFrom(lit, point, normal).fc * patchArea, 0);
+            if (lumens > 0) flux[side].push({ id: fixture.id, lumens });
+        });
+        return flux;
+    },
+
+    // Soft sources given off by lit modifiers, in the same form as fixture
+    // photometrics so the meter and heatmap can add them in. Each also has
+    // surface (the modifier's id), face, kind ('bounce' or 'diffused'),
+    // lumens, and contributions: [{ id, lumens }] of the fixtures feeding
+    // it, for working out its colour.
+    getSoftSources(fixtures, surfaces) {
+        const sources = [];
+        surfaces.forEach(surface => {
+            const { fabric } = surface;
+            if (!fabric.front && !fabric.back && !fabric.diffuse) return;
+
+            const flux = this.getIncidentFlux(fixtures, surface);
+            const area = surface.width * surface.height;
+
+            ['front', 'back'].forEach(face => {
+                const other = face === 'front' ? 'back' : 'front';
+                // A black face is negative fill, not a source
+                const reflectance = this.isDark(fabric, face) ? 0 : fabric[face];
+                // Reflected off this face, plus scattered through from the other
+                const contributions = [
+                    ...flux[face].map(entry => ({ id: entry.id, lumens: entry.lumens * reflectance })),
+                    ...flux[other].map(entry => ({ id: entry.id, lumens: entry.lumens * fabric.diffuse }))
+                ].filter(entry => entry.lumens > 0);
+                const lumens = contributions.reduce((sum, entry) => sum + entry.lumens, 0);
+                if (lumens < MIN_LUMENS) return;
+
+                const reflected = flux[face].reduce((sum, entry) => sum + entry.lumens * reflectance, 0);
+                const kind = reflected >= lumens / 2 ? 'bounce' : 'diffused';
+                const direction = face === 'front' ? surface.normal : scale(surface.normal, -1);
+                sources.push({
+                    id: `${surface.id}:${face}`,
+                    label: `${surface.label} (${kind})`,
+                    surface: surface.id,
+                    face,
+                    kind,
+                    position: add(surface.center, scale(direction, 0.05)),
+                    direction,
+                    output: { fc: Photometrics.getIntensityFromFlux(lumens, SOFT_BEAM.spot), distance: 1 },
+                    beamAngle: SOFT_BEAM,
+                    focus: 0,
+                    dimmer: 1,
+                    minDistance: Math.sqrt(area) / 2,
+                    lumens,
+                    contributions
+                });
+            });
+        });
+        return sources;
+    },
+
+    // Dark faces turned towards a point, with the share of its surroundings
+    // each one takes up (view factor, 0 to 1): [{ id, label, share }]
+    getNegativeFill(point, surfaces) {
+        return surfaces
+            .map(surface => {
+                const toPoint = subtract(point, surface.center);
+                const face = dot(toPoint, surface.normal) >= 0 ? 'front' : 'back';
+                if (!this.isDark(surface.fabric, face)) return null;
+
+                const normal = face === 'front' ? surface.normal : scale(surface.normal, -1);
+                const patchArea = surface.width * surface.height / (SAMPLES * SAMPLES);
+                const share = samplePoints(surface).reduce((sum, patch) => {
+                    const ray = subtract(point, patch);
+                    const distanceSq = Math.max(dot(ray, ray), 0.01);
+                    const cos = Math.max(dot(ray, normal), 0) / Math.sqrt(distanceSq);
+                    return sum + patchArea * cos / (Math.PI * distanceSq);
+                }, 0);
+                return { id: surface.id, label: surface.label, share: Math.min(share, 1) };
+            })
+            .filter(entry => entry && entry.share >= 0.01);
+    }
+};
+
+export default GripModifiers;
@@ -0,0 +1,248 @@
+// My Virtual Rig (MVR) scene exchange. An .mvr file is a zip holding
+// GeneralSceneDescription.xml plus a .gdtf file for every fixture and
+// truss type it uses. MVR works in millimetres with Z up; the plot works
+// in feet with Y up, so positions are converted on the way in and out.
+// Only position and heading (rotation about the vertical) are carried;
+// pan, tilt and focus stay in the plot.
+import ZipReader from './zip-reader.js';
+import ZipWriter from './zip-writer.js';
+import GDTF from './gdtf.js';
+import DMXPatch from './dmx-patch.js';
+
+const SCENE_FILE = 'GeneralSceneDescription.xml';
+const MM_PER_FOOT = 304.8;
+
+// Node types read as fixtures, trusses, or plain scene objects
+const FIXTURE_NODES = ['Fixture'];
+const TRUSS_NODES = ['Truss'];
+const OBJECT_NODES = ['SceneObject', 'Support', 'VideoScreen', 'Projector'];
+
+const IDENTITY = { u: [1, 0, 0], v: [0, 1, 0], w: [0, 0, 1], o: [0, 0, 0] };
+
+function escapeXML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function child(element, tagName) {
+    return [...element.children].find(node => node.tagName === tagName) || null;
+}
+
+function childText(element, tagName) {
+    return child(element, tagName)?.textContent.trim() || '';
+}
+
+// '{u1,u2,u3}{v1,v2,v3}{w1,w2,w3}{o1,o2,o3}'
+function parseMatrix(text) {
+    const rows = [...String(text).matchAll(/\{([^}]*)\}/g)].map(match => match[1].split(',').map(Number));
+    if (rows.length !== 4 || rows.some(row => row.length !== 3 || row.some(value => !Number.isFinite(value)))) {
+        return IDENTITY;
+    }
+    return { u: rows[0], v: rows[1], w: rows[2], o: rows[3] };
+}
+
+function formatMatrix(matrix) {
+    return ['u', 'v', 'w', 'o']
+        .map(key => `{${matrix[key].map(value => Number(value.toFixed(6))).join(',')}}`)
+        .join('');
+}
+
+// Local vector into the parent's space (rotation only)
+function rotate(matrix, vector) {
+    return [0, 1, 2].map(i => matrix.u[i] * vector[0] + matrix.v[i] * vector[1] + matrix.w[i] * vector[2]);
+}
+
+// Child matrix placed inside its parent's
+function compose(parent, local) {
+    const origin = rotate(parent, local.o);
+    return {
+        u: rotate(parent, local.u),
+        v: rotate(parent, local.v),
+        w: rotate(parent, local.w),
+        o: origin.map((value, i) => value + parent.o[i])
+    };
+}
+
+// MVR millimetres (Z up) to plot feet (Y up), and back
+function toScene([x, y, z]) {
+    return { x: x / MM_PER_FOOT, y: z / MM_PER_FOOT, z: -y / MM_PER_FOOT };
+}
+
+function fromScene(position) {
+    return [position.x * MM_PER_FOOT, -position.z * MM_PER_FOOT, position.y * MM_PER_FOOT];
+}
+
+// Rotation about the vertical that brings the local X axis to u. In the
+// plot this is rotation.y for an object whose local X is its own X.
+function getHeading(matrix) {
+    return Math.atan2(matrix.u[1], matrix.u[0]);
+}
+
+function headingMatrix(heading, position) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+    return { u: [cos, sin, 0], v: [-sin, cos, 0], w: [0, 0, 1], o: fromScene(position) };
+}
+
+// '1025' (absolute) or '3.1' (universe.address) to { universe, address }
+function parseAddress(text) {
+    const value = String(text || '').trim();
+    const dotted = value.match(/^(\d+)\.(\d+)$/);
+    if (dotted) return { universe: Number(dotted[1]), address: Number(dotted[2]) };
+
+    const absolute = Number(value);
+    if (!Number.isInteger(absolute) || absolute < 1) return null;
+    return {
+        universe: Math.floor((absolute - 1) / DMXPatch.UNIVERSE_SIZE) + 1,
+        address: (absolute - 1) % DMXPatch.UNIVERSE_SIZE + 1
+    };
+}
+
+function specFileName(spec) {
+    return /\.gdtf$/i.test(spec) ? spec : `${spec}.gdtf`;
+}
+
+function readNode(node, matrix) {
+    const item = {
+        type: node.tagName,
+        uuid: node.getAttribute('uuid') || '',
+        name: node.getAttribute('name') || node.tagName,
+        position: toScene(matrix.o),
+        heading: getHeading(matrix)
+    };
+
+    const spec = childText(node, 'GDTFSpec');
+    if (spec) item.spec = specFileName(spec);
+
+    if (FIXTURE_NODES.includes(node.tagName)) {
+        item.mode = childText(node, 'GDTFMode');
+        const unit = parseInt(childText(node, 'UnitNumber') || childText(node, 'FixtureID'), 10);
+        if (Number.isFinite(unit)) item.unit = unit;
+
+        const addresses = child(node, 'Addresses');
+        const address = addresses && ([...addresses.children].find(a => (a.getAttribute('break') || '0') === '0') ||
+            addresses.children[0]);
+        item.patch = address ? parseAddress(address.textContent) : null;
+    }
+    return item;
+}
+
+const MVR = {
+    SCENE_FILE,
+    MM_PER_FOOT,
+
+    // Walk the scene, composing group transforms.
+    // Returns { fixtures, trusses, objects } in plot space.
+    parseScene(doc) {
+        const scene = { fixtures: [], trusses: [], objects: [] };
+
+        const walk = (childList, parentMatrix, layer) => {
+            [...childList.children].forEach(node => {
+                const matrixNode = child(node, 'Matrix');
+                const matrix = compose(parentMatrix, matrixNode ? parseMatrix(matrixNode.textContent) : IDENTITY);
+
+                if (FIXTURE_NODES.includes(node.tagName)) {
+                    scene.fixtures.push({ ...readNode(node, matrix), layer });
+                } else if (TRUSS_NODES.includes(node.tagName)) {
+                    scene.trusses.push({ ...readNode(node, matrix), layer });
+                } else if (OBJECT_NODES.includes(node.tagName)) {
+                    scene.objects.push({ ...readNode(node, matrix), layer });
+                }
+
+                // Groups, and fixtures or trusses with things hung on them
+                const children = child(node, 'ChildList');
+                if (children) walk(children, matrix, layer);
+            });
+        };
+
+        [...doc.getElementsByTagName('Layer')].forEach(layer => {
+            const matrixNode = child(layer, 'Matrix');
+            const children = child(layer, 'ChildList');
+            if (children) {
+                walk(children, matrixNode ? parseMatrix(matrixNode.textContent) : IDENTITY, layer.getAttribute('name') || '');
+            }
+        });
+        return scene;
+    },
+
+    // Read an .mvr file. Each GDTF in it becomes a catalog entry in
+    // specs (Map of file name -> entry); ones that fail to read are null.
+    async read(buffer) {
+        const entries = ZipReader.list(buffer);
+        const xml = await ZipReader.extractText(buffer, SCENE_FILE, entries);
+        if (!xml) throw new Error(`No ${SCENE_FILE} in this file; is it an MVR?`);
+
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error(`${SCENE_FILE} could not be read`);
+        }
+        const scene = this.parseScene(doc);
+
+        const specs = new Map();
+        const names = new Set([...scene.fixtures, ...scene.trusses].map(item => item.spec).filter(Boolean));
+        for (const name of names) {
+            try {
+                const data = await ZipReader.extract(buffer, name, entries);
+                specs.set(name, data ? await GDTF.read(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)) : null);
+            } catch (error) {
+                console.error(`Could not read ${name} from MVR:`, error);
+                specs.set(name, null);
+            }
+        }
+        return { ...scene, specs };
+    },
+
+    // GeneralSceneDescription.xml for fixtures and trusses in plot space.
+    // fixtures: [{ uuid, name, spec, mode, unit, position, heading, patch }]
+    // trusses: [{ uuid, name, spec, position, heading }]
+    toSceneDescription({ name, fixtures = [], trusses = [] }) {
+        const matrix = item => `<Matrix>${formatMatrix(headingMatrix(item.heading || 0, item.position))}</Matrix>`;
+        const absolute = patch => (patch.universe - 1) * DMXPatch.UNIVERSE_SIZE + patch.address;
+
+        const fixtureXML = fixtures.map(fixture => `
+          <Fixture name="${escapeXML(fixture.name)}" uuid="${escapeXML(fixture.uuid)}">
+            ${matrix(fixture)}
+            <GDTFSpec>${escapeXML(fixture.spec)}</GDTFSpec>
+            <GDTFMode>${escapeXML(fixture.mode || '')}</GDTFMode>
+            <Addresses>${fixture.patch?.address ? `<Address break="0">${absolute(fixture.patch)}</Address>` : ''}</Addresses>
+            <FixtureID>${fixture.unit ?? ''}</FixtureID>
+            <UnitNumber>${fixture.unit ?? 0}</UnitNumber>
+          </Fixture>`).join('');
+
+        const trussXML = trusses.map(truss => `
+          <Truss name="${escapeXML(truss.name)}" uuid="${escapeXML(truss.uuid)}">
+            ${matrix(truss)}
+            <GDTFSpec>${escapeXML(truss.spec)}</GDTFSpec>
+            <GDTFMode>Default</GDTFMode>
+          </Truss>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<GeneralSceneDescription verMajor="1" verMinor="5" provider="lighting-plot" providerVersion="1.0">
+  <UserData/>
+  <Scene>
+    <AUXData/>
+    <Layers>
+      <Layer name="${escapeXML(name || 'Lighting Plot')}" uuid="${crypto.randomUUID().toUpperCase()}">
+        <ChildList>${trussXML}${fixtureXML}
+        </ChildList>
+      </Layer>
+    </Layers>
+  </Scene>
+</GeneralSceneDescription>
+`;
+    },
+
+    // An .mvr file as zip bytes. specs: [{ file, entry }] for each GDTF
+    // the scene refers to.
+    write(scene, specs) {
+        return ZipWriter.create([
+            { path: SCENE_FILE, data: this.toSceneDescription(scene) },
+            ...specs.map(spec => ({ path: spec.file, data: GDTF.write(spec.entry) }))
+        ]);
+    }
+};
+
+export default MVR;
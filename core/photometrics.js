@@ -0,0 +1,177 @@
+// Photometric calculations for placed fixtures.
+// Distances are in feet, so rated output (fc at distance) converts
+// straight to candela: I = E * d^2.
+const FC_TO_LUX = 10.7639;
+const MIN_DISTANCE = 0.1;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function length(v) {
+    return Math.sqrt(dot(v, v));
+}
+
+// Where the segment from -> to crosses a flat rectangle
+// { center, normal, right, up, width, height }, if it does
+function crosses(from, to, rect) {
+    const d = subtract(to, from);
+    const denominator = dot(d, rect.normal);
+    if (Math.abs(denominator) < 1e-9) return false;
+
+    const t = dot(subtract(rect.center, from), rect.normal) / denominator;
+    // Ends just touching the rectangle (a bounce lighting itself) don't count
+    if (t <= 1e-6 || t >= 1 - 1e-6) return false;
+
+    const hit = subtract({ x: from.x + d.x * t, y: from.y + d.y * t, z: from.z + d.z * t }, rect.center);
+    return Math.abs(dot(hit, rect.right)) <= rect.width / 2 && Math.abs(dot(hit, rect.up)) <= rect.height / 2;
+}
+
+const Photometrics = {
+    FC_TO_LUX,
+
+    fcToLux(fc) {
+        return fc * FC_TO_LUX;
+    },
+
+    // Beam angle between full spot (focus 0) and full flood (focus 1)
+    getBeamAngle(beamAngle, focus = 0) {
+        if (!beamAngle) return 60;
+        const t = Math.min(Math.max(focus, 0), 1);
+        return beamAngle.spot + (beamAngle.flood - beamAngle.spot) * t;
+    },
+
+    // Field angle (10% of peak) for the beam model used below
+    getFieldAngle(beamAngleDeg) {
+        return Math.min(beamAngleDeg * Math.sqrt(Math.log(10) / Math.log(2)), 180);
+    },
+
+    // Peak candela. Rated output is taken at full spot; flooding spreads
+    // the same flux over a wider solid angle.
+    getPeakIntensity(fixture) {
+        const { output, beamAngle } = fixture;
+        const ratedIntensity = output.fc * output.distance * output.distance;
+        if (!beamAngle) return ratedIntensity;
+
+        const spotHalf = toRadians(beamAngle.spot / 2);
+        const beamHalf = toRadians(this.getBeamAngle(beamAngle, fixture.focus) / 2);
+        return ratedIntensity * (1 - Math.cos(spotHalf)) / (1 - Math.cos(beamHalf));
+    },
+
+    // Relative intensity off axis: 50% at the beam edge, nothing behind the fixture
+    getAngularFalloff(offAxisDeg, beamAngleDeg) {
+        if (offAxisDeg >= 90) return 0;
+        const ratio = offAxisDeg / (beamAngleDeg / 2);
+        return Math.pow(0.5, ratio * ratio);
+    },
+
+    // Peak candela for a beam carrying a given flux, spread with the same
+    // falloff as getAngularFalloff over the forward hemisphere
+    getIntensityFromFlux(lumens, beamAngleDeg) {
+        const steps = 900;
+        const step = (Math.PI / 2) / steps;
+        let solidAngle = 0;
+        for (let i = 0; i < steps; i++) {
+            const theta = (i + 0.5) * step;
+            solidAngle += this.getAngularFalloff(theta * 180 / Math.PI, beamAngleDeg) *
+                2 * Math.PI * Math.sin(theta) * step;
+        }
+        return lumens / solidAngle;
+    },
+
+    // Share of direct light getting from one point to another past grip
+    // modifiers: rectangles as above with a fabric saying how much light
+    // goes straight through ({ direct }, 0 for a solid)
+    getPathTransmission(from, to, occluders = []) {
+        return occluders.reduce((share, occluder) =>
+            crosses(from, to, occluder) ? share * occluder.fabric.direct : share, 1);
+    },
+
+    // Illuminance at a point from one fixture.
+    // fixture: { position, direction, output, beamAngle, focus, dimmer, transmission,
+    //   occluders?, minDistance? }
+    // occluders are modifiers that can be in the light's way; minDistance
+    // keeps a large soft source from reading as a point when close to it.
+    // normal: optional surface normal; without it the reading is taken
+    // square to the source, like a flat-disc meter pointed at the light.
+    illuminanceFrom(fixture, point, normal = null) {
+        const toPoint = subtract(point, fixture.position);
+        const distance = Math.max(length(toPoint), MIN_DISTANCE);
+        const ray = { x: toPoint.x / distance, y: toPoint.y / distance, z: toPoint.z / distance };
+
+        const cosOffAxis = Math.min(Math.max(dot(ray, fixture.direction), -1), 1);
+        const offAxis = Math.acos(cosOffAxis) * 180 / Math.PI;
+        const beamAngle = this.getBeamAngle(fixture.beamAngle, fixture.focus);
+
+        let incidence = 1;
+        if (normal) {
+            // Surface faces back towards the fixture
+            incidence = Math.max(-dot(ray, normal), 0);
+        }
+
+        const intensity = this.getPeakIntensity(fixture) *
+            this.getAngularFalloff(offAxis, beamAngle) *
+            (fixture.dimmer ?? 1) *
+            (fixture.transmission ?? 1) *
+            this.getPathTransmission(fixture.position, point, fixture.occluders);
+        const falloffDistance = Math.max(distance, fixture.minDistance ?? 0);
+        const fc = intensity * incidence / (falloffDistance * falloffDistance);
+
+        return {
+            fc: fc,
+            lux: this.fcToLux(fc),
+            distance: distance,
+            offAxis: offAxis,
+            beamAngle: beamAngle
+        };
+    },
+
+    // Per-fixture breakdown and total at a point
+    calculate(fixtures, point, normal = null) {
+        const breakdown = fixtures.map(fixture => ({
+            id: fixture.id,
+            label: fixture.label,
+            ...this.illuminanceFrom(fixture, point, normal)
+        }));
+
+        const totalFc = breakdown.reduce((sum, entry) => sum + entry.fc, 0);
+
+        return {
+            fixtures: breakdown,
+            total: {
+                fc: totalFc,
+                lux: this.fcToLux(totalFc)
+            }
+        };
+    },
+
+    // Sample illuminance (fc) across a surface.
+    // surface: { pointAt(u, v), normal } with u, v running 0..1
+    // Returns a row-major Float32Array of cols x rows cell-centre values.
+    computeGrid(fixtures, surface, cols, rows) {
+        const values = new Float32Array(cols * rows);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const point = surface.pointAt((col + 0.5) / cols, (row + 0.5) / rows);
+                let fc = 0;
+                fixtures.forEach(fixture => {
+                    fc += this.illuminanceFrom(fixture, point, surface.normal).fc;
+                });
+                values[row * cols + col] = fc;
+            }
+        }
+
+        return values;
+    }
+};
+
+export default Photometrics;
@@ -0,0 +1,284 @@
+// 2D top-down lighting plot rendered as a standalone SVG document.
+// Plan coordinates are scene feet: x runs left to right, z runs from the
+// back wall (top of the page) towards camera (bottom of the page).
+const PIXELS_PER_FOOT = 20;
+const MARGIN = 60;
+const LEGEND_WIDTH = 220;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function fmt(value) {
+    return Number(value.toFixed(2));
+}
+
+// Plan symbols drawn at the origin, facing down the page (+z).
+// Sizes are in pixels.
+const symbols = {
+    panel: {
+        label: 'LED panel',
+        draw: ({ width, depth }) => `
+            <rect x="${fmt(-width/2)}" y="${fmt(-depth/2)}" width="${fmt(width)}" height="${fmt(depth)}" class="fixture"/>
+            <line x1="${fmt(-width/2)}" y1="${fmt(depth/2 - 3)}" x2="${fmt(width/2)}" y2="${fmt(depth/2 - 3)}" class="detail"/>
+            <line x1="${fmt(-width/2)}" y1="${fmt(-depth/2)}" x2="${fmt(width/2)}" y2="${fmt(depth/2)}" class="detail"/>`
+    },
+    fresnel: {
+        label: 'Fresnel',
+        draw: ({ width, depth }) => `
+            <rect x="${fmt(-width/2)}" y="${fmt(-depth/2)}" width="${fmt(width)}" height="${fmt(depth * 0.75)}" class="fixture"/>
+            <path d="M ${fmt(-width/2)} ${fmt(depth/4)} Q 0 ${fmt(depth/2 + depth/4)} ${fmt(width/2)} ${fmt(depth/4)}" class="fixture"/>`
+    },
+    hmi: {
+        label: 'HMI fresnel',
+        draw: ({ width, depth }) => `
+            <rect x="${fmt(-width/2)}" y="${fmt(-depth/2)}" width="${fmt(width)}" height="${fmt(depth * 0.75)}" class="fixture"/>
+            <path d="M ${fmt(-width/2)} ${fmt(depth/4)} Q 0 ${fmt(depth/2 + depth/4)} ${fmt(width/2)} ${fmt(depth/4)}" class="fixture"/>
+            <text x="0" y="${fmt(-depth/8)}" class="symbol-text">H</text>`
+    },
+    flag: {
+        label: 'Flag / net',
+        draw: ({ width }) => `
+            <line x1="${fmt(-width/2)}" y1="0" x2="${fmt(width/2)}" y2="0" class="flag"/>
+            <circle cx="0" cy="-6" r="3" class="stand"/>`
+    },
+    frame: {
+        label: 'Frame / overhead',
+        draw: ({ width, depth }) => `
+            <rect x="${fmt(-width/2)}" y="${fmt(-depth/2)}" width="${fmt(width)}" height="${fmt(depth)}" class="frame"/>
+            <line x1="${fmt(-width/2)}" y1="${fmt(-depth/2)}" x2="${fmt(width/2)}" y2="${fmt(depth/2)}" class="frame"/>
+            <line x1="${fmt(width/2)}" y1="${fmt(-depth/2)}" x2="${fmt(-width/2)}" y2="${fmt(depth/2)}" class="frame"/>`
+    },
+    stand: {
+        label: 'Stand',
+        draw: () => `
+            <circle cx="0" cy="0" r="4" class="stand"/>
+            <line x1="0" y1="0" x2="0" y2="-12" class="detail"/>
+            <line x1="0" y1="0" x2="10" y2="6" class="detail"/>
+            <line x1="0" y1="0" x2="-10" y2="6" class="detail"/>`
+    },
+    camera: {
+        label: 'Camera',
+        draw: ({ width, depth }) => `
+            <rect x="${fmt(-width/2)}" y="${fmt(-depth/2)}" width="${fmt(width)}" height="${fmt(depth * 0.7)}" class="fixture"/>
+            <rect x="${fmt(-width/5)}" y="${fmt(depth/5)}" width="${fmt(width * 0.4)}" height="${fmt(depth * 0.3)}" class="fixture"/>`
+    },
+    talent: {
+        label: 'Talent mark',
+        draw: ({ width, depth }) => `
+            <line x1="${fmt(-width/2)}" y1="${fmt(depth/2)}" x2="${fmt(width/2)}" y2="${fmt(depth/2)}" class="mark"/>
+            <line x1="0" y1="${fmt(-depth/2)}" x2="0" y2="${fmt(depth/2)}" class="mark"/>`
+    }
+};
+
+// Default footprints in feet when an item has no dimensions
+const defaultSizes = {
+    panel: { width: 2, depth: 0.6 },
+    fresnel: { width: 1.2, depth: 1.4 },
+    hmi: { width: 1.6, depth: 1.8 },
+    flag: { width: 2, depth: 0.1 },
+    frame: { width: 8, depth: 8 },
+    stand: { width: 1, depth: 1 },
+    camera: { width: 1, depth: 1.5 },
+    talent: { width: 1.2, depth: 1.2 }
+};
+
+const STYLE = `
+    .room { fill: #fff; stroke: #000; stroke-width: 3; }
+    .window { fill: #fff; stroke: #000; stroke-width: 1; }
+    .door { fill: none; stroke: #000; stroke-width: 1; }
+    .door-gap { stroke: #fff; stroke-width: 4; }
+    .truss { fill: url(#trussHatch); stroke: #555; stroke-width: 1; }
+    .truss-label { font: 10px sans-serif; fill: #555; }
+    .fixture { fill: #fff; stroke: #000; stroke-width: 1.5; }
+    .detail { fill: none; stroke: #000; stroke-width: 0.75; }
+    .flag { stroke: #000; stroke-width: 4; }
+    .frame { fill: none; stroke: #000; stroke-width: 1; stroke-dasharray: 6 3; }
+    .stand { fill: #000; }
+    .mark { stroke: #e07000; stroke-width: 3; }
+    .shot { fill: #66ccff; fill-opacity: 0.12; stroke: #3399cc; stroke-width: 1; stroke-dasharray: 4 3; }
+    .arrow { stroke: #c00; stroke-width: 1.5; fill: none; marker-end: url(#arrowHead); }
+    .unit { fill: #fff; stroke: #000; stroke-width: 1; }
+    .unit-text { font: bold 10px sans-serif; text-anchor: middle; dominant-baseline: central; }
+    .symbol-text { font: bold 9px sans-serif; text-anchor: middle; dominant-baseline: central; }
+    .item-label { font: 9px sans-serif; fill: #333; }
+    .hang-label { font: italic 9px sans-serif; fill: #555; }
+    .title { font: bold 16px sans-serif; }
+    .legend { font: 11px sans-serif; }
+`;
+
+const PlotSVG = {
+    symbols,
+
+    // plot: { title, room, windows, doors, trusses, shots, items }
+    // windows/doors/trusses are segments with start/end {x, z} in feet.
+    // shots: [{ label, footprint: [{x, z}] }], the floor each camera sees.
+    // items: { symbol, unit, label, hang, x, z, direction: {x, z}, size: {width, depth} }
+    // hang is where a hung unit is rigged, e.g. 'Truss 3, position 4'.
+    render(plot, options = {}) {
+        const scale = options.scale || PIXELS_PER_FOOT;
+        const { width, length } = plot.room;
+        const planWidth = width * scale;
+        const planHeight = length * scale;
+        const svgWidth = planWidth + MARGIN * 2 + LEGEND_WIDTH;
+        const svgHeight = Math.max(planHeight + MARGIN * 2, 360);
+
+        // Scene feet to page pixels
+        const px = x => fmt((x + width/2) * scale + MARGIN);
+        const py = z => fmt((z + length/2) * scale + MARGIN);
+
+        const parts = [];
+
+        parts.push(`<rect x="${px(-width/2)}" y="${py(-length/2)}" width="${fmt(planWidth)}" height="${fmt(planHeight)}" class="room"/>`);
+
+        (plot.trusses || []).forEach(truss => {
+            const thickness = Math.max((truss.size || 1) * scale, 4);
+            const dx = truss.end.x - truss.start.x;
+            const dz = truss.end.z - truss.start.z;
+            const span = Math.hypot(dx, dz) * scale;
+            const angle = Math.atan2(dz, dx) * 180 / Math.PI;
+            parts.push(`<g transform="translate(${px(truss.start.x)} ${py(truss.start.z)}) rotate(${fmt(angle)})">` +
+                `<rect x="0" y="${fmt(-thickness/2)}" width="${fmt(span)}" height="${fmt(thickness)}" class="truss"/>` +
+                `<text x="4" y="${fmt(-thickness/2 - 3)}" class="truss-label">${escapeXml(truss.label)}</text></g>`);
+        });
+
+        (plot.windows || []).forEach(win => {
+            parts.push(this.renderWallOpening(win, px, py, 'window'));
+        });
+
+        (plot.doors || []).forEach(door => {
+            parts.push(this.renderWallOpening(door, px, py, 'door'));
+        });
+
+        (plot.shots || []).forEach(shot => {
+            if (shot.footprint.length < 3) return;
+            const points = shot.footprint.map(point => `${px(point.x)},${py(point.z)}`).join(' ');
+            parts.push(`<polygon points="${points}" class="shot"><title>${escapeXml(shot.label)}</title></polygon>`);
+        });
+
+        const usedSymbols = new Set();
+        (plot.items || []).forEach(item => {
+            const symbol = symbols[item.symbol] ? item.symbol : 'fresnel';
+            usedSymbols.add(symbol);
+
+            const size = item.size || defaultSizes[symbol];
+            const sizePx = {
+                width: Math.max(size.width * scale, 8),
+                depth: Math.max(size.depth * scale, 6)
+            };
+            const direction = item.direction || { x: 0, z: 1 };
+            const angle = Math.atan2(-direction.x, direction.z) * 180 / Math.PI;
+            const cx = px(item.x);
+            const cy = py(item.z);
+
+            const arrow = symbol === 'stand' ? '' :
+                `<line x1="0" y1="${fmt(sizePx.depth/2 + 2)}" x2="0" y2="${fmt(sizePx.depth/2 + 24)}" class="arrow"/>`;
+
+            parts.push(`<g transform="translate(${cx} ${cy}) rotate(${fmt(angle)})">` +
+                symbols[symbol].draw(sizePx) + arrow + '</g>');
+
+            // Unit number sits behind the fixture and is never rotated
+            if (item.unit !== undefined && item.unit !== null) {
+                const rad = angle * Math.PI / 180;
+                const offset = sizePx.depth/2 + 14;
+                const ux = fmt(cx + Math.sin(rad) * offset);
+                const uy = fmt(cy - Math.cos(rad) * offset);
+                parts.push(`<circle cx="${ux}" cy="${uy}" r="9" class="unit"/>` +
+                    `<text x="${ux}" y="${uy}" class="unit-text">${escapeXml(item.unit)}</text>`);
+            }
+
+            if (item.label) {
+                parts.push(`<text x="${fmt(cx + sizePx.width/2 + 4)}" y="${fmt(cy + 4)}" class="item-label">${escapeXml(item.label)}</text>`);
+            }
+            if (item.hang) {
+                parts.push(`<text x="${fmt(cx + sizePx.width/2 + 4)}" y="${fmt(cy + 15)}" class="hang-label">${escapeXml(item.hang)}</text>`);
+            }
+        });
+
+        parts.push(this.renderLegend(plot, usedSymbols, planWidth + MARGIN * 2, scale));
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(svgWidth)}" height="${fmt(svgHeight)}" viewBox="0 0 ${fmt(svgWidth)} ${fmt(svgHeight)}">
+<defs>
+<style>${STYLE}</style>
+<pattern id="trussHatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+<line x1="0" y1="0" x2="0" y2="6" stroke="#999" stroke-width="1"/>
+</pattern>
+<marker id="arrowHead" markerWidth="8" markerHeight="8" refX="6" refY="4" orient="auto">
+<path d="M 0 0 L 8 4 L 0 8 z" fill="#c00"/>
+</marker>
+</defs>
+<rect width="100%" height="100%" fill="#fff"/>
+${parts.join('\n')}
+</svg>`;
+    },
+
+    // Windows and doors are drawn as openings on the wall line
+    renderWallOpening(opening, px, py, kind) {
+        const x1 = px(opening.start.x), y1 = py(opening.start.z);
+        const x2 = px(opening.end.x), y2 = py(opening.end.z);
+
+        if (kind === 'window') {
+            const horizontal = y1 === y2;
+            const t = 4;
+            const x = Math.min(x1, x2) - (horizontal ? 0 : t);
+            const y = Math.min(y1, y2) - (horizontal ? t : 0);
+            const w = horizontal ? Math.abs(x2 - x1) : t * 2;
+            const h = horizontal ? t * 2 : Math.abs(y2 - y1);
+            return `<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" class="window"/>` +
+                `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" class="window"/>`;
+        }
+
+        // Door: break the wall and draw the swing into the room
+        const radius = Math.hypot(x2 - x1, y2 - y1);
+        const inward = opening.inward || { x: 0, z: 1 };
+        const leafX = fmt(x1 + inward.x * radius);
+        const leafY = fmt(y1 + inward.z * radius);
+        // Arc runs from the open leaf back to the far jamb
+        const cross = (leafX - x1) * (y2 - y1) - (leafY - y1) * (x2 - x1);
+        const sweep = cross > 0 ? 1 : 0;
+        return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" class="door-gap"/>` +
+            `<line x1="${x1}" y1="${y1}" x2="${leafX}" y2="${leafY}" class="door"/>` +
+            `<path d="M ${leafX} ${leafY} A ${fmt(radius)} ${fmt(radius)} 0 0 ${sweep} ${x2} ${y2}" class="door"/>`;
+    },
+
+    renderLegend(plot, usedSymbols, left, scale) {
+        const parts = [];
+        let y = MARGIN;
+
+        parts.push(`<text x="${left}" y="${y}" class="title">${escapeXml(plot.title || 'Lighting Plot')}</text>`);
+        y += 20;
+        parts.push(`<text x="${left}" y="${y}" class="legend">Room: ${plot.room.width}' x ${plot.room.length}' x ${plot.room.height}'</text>`);
+        y += 16;
+        if (plot.date) {
+            parts.push(`<text x="${left}" y="${y}" class="legend">${escapeXml(plot.date)}</text>`);
+            y += 16;
+        }
+        parts.push(`<text x="${left}" y="${y}" class="legend">Units: ${(plot.items || []).filter(i => i.unit != null).length}</text>`);
+        y += 30;
+
+        usedSymbols.forEach(key => {
+            const size = defaultSizes[key];
+            const sizePx = {
+                width: Math.min(size.width * scale, 30),
+                depth: Math.min(size.depth * scale, 24)
+            };
+            parts.push(`<g transform="translate(${left + 16} ${y})">${symbols[key].draw(sizePx)}</g>`);
+            parts.push(`<text x="${left + 44}" y="${y + 4}" class="legend">${symbols[key].label}</text>`);
+            y += 34;
+        });
+
+        // Ten foot scale bar
+        y += 10;
+        parts.push(`<line x1="${left}" y1="${y}" x2="${fmt(left + 10 * scale)}" y2="${y}" stroke="#000" stroke-width="2"/>`);
+        parts.push(`<text x="${left}" y="${y + 14}" class="legend">10 ft</text>`);
+
+        return parts.join('\n');
+    }
+};
+
+export default PlotSVG;
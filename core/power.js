@@ -0,0 +1,312 @@
+// Power loads and circuit distribution.
+// Loads are worked in volt-amperes so ballast and driver losses are
+// counted; amps on each leg come from VA over the circuit voltage.
+const VOLTAGES = [120, 208, 240];
+
+// Supply systems a distro can be fed from, and the legs they carry
+const SYSTEMS = {
+    '208Y/120': { legs: ['A', 'B', 'C'], lineToLine: 208 },
+    '120/240': { legs: ['A', 'B'], lineToLine: 240 }
+};
+
+// VA drawn per rated watt. Electronic HMI ballasts are power-factor
+// corrected; magnetic ballasts draw far more current than their rating.
+const BALLAST_FACTORS = {
+    Electronic: 1.1,
+    Magnetic: 1.6
+};
+
+// Continuous loads should stay under 80% of the breaker rating
+const CONTINUOUS_LIMIT = 0.8;
+// Largest acceptable spread between the most and least loaded leg
+const MAX_PHASE_IMBALANCE = 0.2;
+// Below this the spread between legs does not matter
+const MIN_BALANCE_AMPS = 10;
+
+const POWER_DEFAULTS = {
+    generator: { name: 'Generator 1', system: '208Y/120', kw: 70, ampsPerLeg: 200 },
+    distro: { name: 'Distro 1', system: '208Y/120', breaker: 100 },
+    circuit: { voltage: 120, breaker: 20 }
+};
+
+// Legs a circuit draws from: 'A' for a 120V circuit, 'AB' for line to line
+function getCircuitLegs(circuit) {
+    return circuit.phase.split('');
+}
+
+function formatAmps(amps) {
+    return `${amps.toFixed(1)}A`;
+}
+
+const Power = {
+    VOLTAGES,
+    SYSTEMS,
+    BALLAST_FACTORS,
+    CONTINUOUS_LIMIT,
+
+    // Read a catalog power string: '1800W', '2000W equivalent', '1.2K', '18kW'.
+    // Returns { watts, equivalent } or null. 'Equivalent' ratings describe a
+    // tungsten comparison rather than real draw and are flagged as estimates.
+    parseWattage(power) {
+        const text = String(power || '');
+        const match = text.match(/(\d+(?:\.\d+)?)\s*(kW|K|W)\b/i);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        const watts = /^k/i.test(match[2]) ? value * 1000 : value;
+        // '450W LED (1.2K Tungsten equivalent)' still leads with the real draw
+        const equivalent = /equivalent/i.test(text) && !/\(.*equivalent/i.test(text);
+        return { watts, equivalent };
+    },
+
+    // Apparent power drawn by a fixture: { watts, va, estimate }
+    getDraw({ power, ballast }) {
+        const parsed = this.parseWattage(power);
+        if (!parsed) return null;
+
+        const factor = ballast ? (BALLAST_FACTORS[ballast] || BALLAST_FACTORS.Electronic) : 1;
+        return {
+            watts: parsed.watts,
+            va: parsed.watts * factor,
+            estimate: parsed.equivalent
+        };
+    },
+
+    amps(va, volts) {
+        return va / volts;
+    },
+
+    // Amps at each standard voltage: { 120: 15.0, 208: 8.7, 240: 7.5 }
+    ampsByVoltage(va) {
+        const result = {};
+        VOLTAGES.forEach(volts => {
+            result[volts] = this.amps(va, volts);
+        });
+        return result;
+    },
+
+    createPlan() {
+        const generator = { id: 'gen-1', ...POWER_DEFAULTS.generator };
+        const distro = {
+            id: 'distro-1',
+            ...POWER_DEFAULTS.distro,
+            source: generator.id,
+            circuits: []
+        };
+        ['A', 'B', 'C', 'A', 'B', 'C'].forEach(phase => this.addCircuit(distro, { phase }));
+        return { generators: [generator], distros: [distro] };
+    },
+
+    addCircuit(distro, circuit = {}) {
+        const number = Math.max(0, ...distro.circuits.map(c => c.number)) + 1;
+        const added = {
+            id: `${distro.id}.${number}`,
+            number: number,
+            phase: SYSTEMS[distro.system].legs[(number - 1) % SYSTEMS[distro.system].legs.length],
+            ...POWER_DEFAULTS.circuit,
+            ...circuit
+        };
+        distro.circuits.push(added);
+        return added;
+    },
+
+    // Phases a circuit can use at a voltage on a given system
+    getPhaseOptions(system, voltage) {
+        const legs = SYSTEMS[system].legs;
+        if (voltage === 120) return legs;
+        if (voltage !== SYSTEMS[system].lineToLine) return [];
+        return legs.length === 2 ? ['AB'] : ['AB', 'BC', 'CA'];
+    },
+
+    findCircuit(plan, circuitId) {
+        for (const distro of plan.distros) {
+            const circuit = distro.circuits.find(c => c.id === circuitId);
+            if (circuit) return { distro, circuit };
+        }
+        return null;
+    },
+
+    // Work out every circuit, distro leg and generator.
+    // loads: [{ id, label, va, circuit }]
+    calculate(plan, loads) {
+        const warnings = [];
+        const legTotals = (legs) => Object.fromEntries(legs.map(leg => [leg, 0]));
+
+        const circuits = [];
+        const distros = plan.distros.map(distro => {
+            const system = SYSTEMS[distro.system];
+            const legs = legTotals(system.legs);
+            let kva = 0;
+
+            distro.circuits.forEach(circuit => {
+                const circuitLoads = loads.filter(load => load.circuit === circuit.id);
+                const amps = circuitLoads.reduce((sum, load) => sum + this.amps(load.va, circuit.voltage), 0);
+                const label = `${distro.name} circuit ${circuit.number}`;
+
+                const validPhases = this.getPhaseOptions(distro.system, circuit.voltage);
+                if (!validPhases.includes(circuit.phase)) {
+                    warnings.push({
+                        level: 'error',
+                        message: `${label}: ${circuit.voltage}V on phase ${circuit.phase} is not available from ${distro.system}`
+                    });
+                }
+
+                kva += circuitLoads.reduce((sum, load) => sum + load.va, 0) / 1000;
+                getCircuitLegs(circuit).forEach(leg => {
+                    if (leg in legs) legs[leg] += amps;
+                });
+
+                const load = amps / circuit.breaker;
+                if (load > 1) {
+                    warnings.push({
+                        level: 'error',
+                        message: `${label} is overloaded: ${formatAmps(amps)} on a ${circuit.breaker}A breaker`
+                    });
+                } else if (load > CONTINUOUS_LIMIT) {
+                    warnings.push({
+                        level: 'warning',
+                        message: `${label} is over 80% (${formatAmps(amps)} of ${circuit.breaker}A)`
+                    });
+                }
+
+                circuits.push({
+                    ...circuit,
+                    distro: distro.id,
+                    distroName: distro.name,
+                    amps: amps,
+                    load: load,
+                    loads: circuitLoads
+                });
+            });
+
+            this.checkLegs(`${distro.name} main`, legs, distro.breaker, warnings);
+            return { ...distro, legs, kva };
+        });
+
+        const generators = plan.generators.map(generator => {
+            const legs = legTotals(SYSTEMS[generator.system].legs);
+            let kva = 0;
+            distros
+                .filter(distro => distro.source === generator.id)
+                .forEach(distro => {
+                    if (distro.system !== generator.system) {
+                        warnings.push({ level: 'error', message: `${distro.name} is ${distro.system} but ${generator.name} supplies ${generator.system}` });
+                    }
+                    kva += distro.kva;
+                    Object.entries(distro.legs).forEach(([leg, amps]) => {
+                        if (leg in legs) legs[leg] += amps;
+                    });
+                });
+
+            this.checkLegs(generator.name, legs, generator.ampsPerLeg, warnings);
+            if (kva > generator.kw) {
+                warnings.push({ level: 'error', message: `${generator.name} is overloaded: ${kva.toFixed(1)} kVA of ${generator.kw} kW` });
+            } else if (kva > generator.kw * CONTINUOUS_LIMIT) {
+                warnings.push({ level: 'warning', message: `${generator.name} is over 80%: ${kva.toFixed(1)} kVA of ${generator.kw} kW` });
+            }
+            return { ...generator, legs, kva };
+        });
+
+        distros
+            .filter(distro => !plan.generators.some(generator => generator.id === distro.source))
+            .forEach(distro => {
+                warnings.push({ level: 'warning', message: `${distro.name} is not fed from a generator` });
+            });
+
+        loads
+            .filter(load => !load.circuit || !this.findCircuit(plan, load.circuit))
+            .forEach(load => {
+                warnings.push({ level: 'warning', message: `${load.label} is not on a circuit` });
+            });
+
+        return { circuits, distros, generators, warnings };
+    },
+
+    // Overload and balance checks for a set of legs sharing one rating
+    checkLegs(label, legs, ratingPerLeg, warnings) {
+        const values = Object.values(legs);
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+
+        Object.entries(legs).forEach(([leg, amps]) => {
+            if (amps > ratingPerLeg) {
+                warnings.push({ level: 'error', message: `${label} leg ${leg} is overloaded: ${formatAmps(amps)} of ${ratingPerLeg}A` });
+            } else if (amps > ratingPerLeg * CONTINUOUS_LIMIT) {
+                warnings.push({ level: 'warning', message: `${label} leg ${leg} is over 80%: ${formatAmps(amps)} of ${ratingPerLeg}A` });
+            }
+        });
+
+        if (max >= MIN_BALANCE_AMPS && (max - min) / max > MAX_PHASE_IMBALANCE) {
+            warnings.push({
+                level: 'warning',
+                message: `${label} phases are unbalanced: ` +
+                    Object.entries(legs).map(([leg, amps]) => `${leg} ${formatAmps(amps)}`).join(', ')
+            });
+        }
+    },
+
+    // Spread unassigned loads over circuits, largest first, onto whichever
+    // circuit keeps its distro's legs most even. Circuits that stay under
+    // 80% are preferred; none are loaded past their breaker.
+    // Returns { loadId: circuitId }
+    autoAssign(plan, loads) {
+        const assignments = {};
+        const current = loads.map(load => ({ ...load }));
+
+        current
+            .filter(load => !load.circuit || !this.findCircuit(plan, load.circuit))
+            .sort((a, b) => b.va - a.va)
+            .forEach(load => {
+                const result = this.calculate(plan, current);
+                const candidates = result.circuits
+                    .map(circuit => {
+                        const distro = result.distros.find(d => d.id === circuit.distro);
+                        const legLoad = Math.max(...getCircuitLegs(circuit).map(leg => distro.legs[leg] || 0));
+                        const after = (circuit.amps + this.amps(load.va, circuit.voltage)) / circuit.breaker;
+                        return { circuit, legLoad, after };
+                    })
+                    .filter(candidate => candidate.after <= 1)
+                    .sort((a, b) =>
+                        (a.after > CONTINUOUS_LIMIT) - (b.after > CONTINUOUS_LIMIT) ||
+                        a.legLoad - b.legLoad ||
+                        a.after - b.after);
+
+                if (candidates.length) {
+                    load.circuit = candidates[0].circuit.id;
+                    assignments[load.id] = load.circuit;
+                }
+            });
+
+        return assignments;
+    },
+
+    // Power plan table as CSV, one row per circuit
+    toCSV(result) {
+        const header = ['Distro', 'Circuit', 'Phase', 'Volts', 'Breaker (A)', 'Load (A)', 'Load %', 'Fixtures'];
+        const rows = result.circuits.map(circuit => [
+            circuit.distroName,
+            circuit.number,
+            circuit.phase,
+            circuit.voltage,
+            circuit.breaker,
+            circuit.amps.toFixed(1),
+            Math.round(circuit.load * 100),
+            circuit.loads.map(load => load.label).join('; ')
+        ]);
+
+        const legRows = [
+            ...result.distros.map(distro => [distro.name, 'Total', ...Object.entries(distro.legs).map(([leg, amps]) => `${leg} ${amps.toFixed(1)}A`)]),
+            ...result.generators.map(generator => [generator.name, 'Total', ...Object.entries(generator.legs).map(([leg, amps]) => `${leg} ${amps.toFixed(1)}A`), `${generator.kva.toFixed(1)} kVA`])
+        ];
+        const warningRows = result.warnings.map(warning => [warning.level.toUpperCase(), warning.message]);
+
+        return [header, ...rows, [], ...legRows, [], ...warningRows]
+            .map(row => row.map(value => {
+                const text = String(value ?? '');
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            }).join(','))
+            .join('\n') + '\n';
+    }
+};
+
+export default Power;
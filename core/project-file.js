@@ -0,0 +1,141 @@
+// Project file format for saving and reopening complete lighting plots
+const FILE_TYPE = 'lighting-plot-project';
+const SCHEMA_VERSION = 1;
+
+// Upgrade steps keyed by the schema version they upgrade from.
+// Each step receives a project at that version and returns the next one.
+const migrations = {};
+
+// Copy x/y/z from a Vector3, Euler or plain object
+function pickXYZ(value) {
+    return {
+        x: Number(value?.x) || 0,
+        y: Number(value?.y) || 0,
+        z: Number(value?.z) || 0
+    };
+}
+
+function isVector(value) {
+    return !!value && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+}
+
+const ProjectFile = {
+    FILE_TYPE,
+    SCHEMA_VERSION,
+    FILE_EXTENSION: '.lplot.json',
+    STORAGE_KEY: 'lightingPlot.autosave',
+
+    // Build a project document from the current plot state
+    create(state) {
+        const project = {
+            fileType: FILE_TYPE,
+            schemaVersion: SCHEMA_VERSION,
+            name: state.name || 'Untitled Plot',
+            savedAt: new Date().toISOString(),
+            environment: {
+                type: state.environment.type,
+                dimensions: {
+                    width: Number(state.environment.dimensions.width),
+                    length: Number(state.environment.dimensions.length),
+                    height: Number(state.environment.dimensions.height)
+                },
+                locked: !!state.environment.locked
+            },
+            equipment: state.equipment.map(item => ({
+                id: item.id,
+                category: item.category,
+                name: item.name,
+                details: item.details || {},
+                position: pickXYZ(item.position),
+                rotation: pickXYZ(item.rotation),
+                settings: item.settings || {}
+            })),
+            camera: state.camera ? {
+                position: pickXYZ(state.camera.position),
+                target: pickXYZ(state.camera.target)
+            } : null
+        };
+
+        // Optional plot-wide sections (power plan, rigging, ...) are stored as-is
+        Object.entries(state.sections || {}).forEach(([key, section]) => {
+            if (section !== undefined) {
+                project[key] = section;
+            }
+        });
+
+        return project;
+    },
+
+    serialize(state) {
+        return JSON.stringify(this.create(state), null, 2);
+    },
+
+    // Parse, upgrade and validate a project file. Throws on invalid input.
+    parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Project file is not valid JSON: ' + error.message);
+        }
+        return this.validate(this.migrate(project));
+    },
+
+    migrate(project) {
+        if (!project || project.fileType !== FILE_TYPE) {
+            throw new Error('Not a lighting plot project file');
+        }
+
+        let version = project.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error('Project file has no valid schema version');
+        }
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Project file uses schema version ${version}, ` +
+                `but this version of the app only reads up to ${SCHEMA_VERSION}`);
+        }
+
+        while (version < SCHEMA_VERSION) {
+            const step = migrations[version];
+            if (!step) {
+                throw new Error(`No upgrade path from schema version ${version}`);
+            }
+            project = step(project);
+            version = project.schemaVersion;
+        }
+
+        return project;
+    },
+
+    validate(project) {
+        const env = project.environment;
+        if (!env || typeof env.type !== 'string') {
+            throw new Error('Project file is missing the environment type');
+        }
+        ['width', 'length', 'height'].forEach(key => {
+            if (!(Number(env.dimensions?.[key]) > 0)) {
+                throw new Error(`Project file has an invalid environment ${key}`);
+            }
+        });
+
+        if (!Array.isArray(project.equipment)) {
+            throw new Error('Project file is missing the equipment list');
+        }
+        project.equipment.forEach((item, index) => {
+            if (!item.name || !item.category) {
+                throw new Error(`Equipment item ${index + 1} has no catalog name or category`);
+            }
+            if (!isVector(item.position) || !isVector(item.rotation)) {
+                throw new Error(`Equipment item ${index + 1} (${item.name}) has an invalid position or rotation`);
+            }
+        });
+
+        if (project.camera && (!isVector(project.camera.position) || !isVector(project.camera.target))) {
+            throw new Error('Project file has an invalid camera view');
+        }
+
+        return project;
+    }
+};
+
+export default ProjectFile;
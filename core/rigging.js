@@ -0,0 +1,226 @@
+// Rigging layout shared by the 3D scene and plot exports, and the load
+// model for everything hung from it.
+// Trusses follow the same layout rules as riggingConfig in lighting_core.html:
+// length-wise trusses spread evenly across the width, cross trusses spread
+// evenly along the length and hung just below them.
+
+// Chain hoist ratings in pounds
+const MOTOR_CAPACITIES = {
+    '1/4-ton': 500,
+    '1/2-ton': 1000,
+    '1-ton': 2000,
+    '2-ton': 4000
+};
+
+// Static load is multiplied by this before it is checked against a
+// rating, to cover hoist starts and stops and uneven picks
+const SAFETY_FACTOR = 1.5;
+
+// Share of a pick's allowable load where it is flagged as getting close
+const WARNING_LEVEL = 0.8;
+
+// Share of a load at `along` for each pick on a line, by the lever rule
+// between the two picks either side. Past the last pick the nearest one
+// takes it all, which understates the moment but keeps totals right.
+function splitAlongLine(picks, along) {
+    const sorted = picks.map((pick, index) => ({ index, along: pick.along })).sort((a, b) => a.along - b.along);
+    if (sorted.length === 1 || along <= sorted[0].along) return [{ index: sorted[0].index, share: 1 }];
+
+    const last = sorted[sorted.length - 1];
+    if (along >= last.along) return [{ index: last.index, share: 1 }];
+
+    const next = sorted.findIndex(pick => pick.along >= along);
+    const before = sorted[next - 1];
+    const after = sorted[next];
+    const share = (along - before.along) / (after.along - before.along);
+    return [{ index: before.index, share: 1 - share }, { index: after.index, share }];
+}
+
+// Share of a load at frame coordinates u, v (0..1 across width and
+// length) for each pick. Four corner picks share it bilinearly; picks on
+// one line (two mid-side motors) by the lever rule across them.
+function splitOnFrame(picks, u, v) {
+    const corners = picks.every(pick => (pick.u === 0 || pick.u === 1) && (pick.v === 0 || pick.v === 1));
+    if (corners && picks.length === 4) {
+        return picks.map((pick, index) => ({
+            index,
+            share: (pick.u ? u : 1 - u) * (pick.v ? v : 1 - v)
+        }));
+    }
+
+    const alongU = new Set(picks.map(pick => pick.v)).size === 1;
+    return splitAlongLine(picks.map(pick => ({ along: alongU ? pick.u : pick.v })), alongU ? u : v);
+}
+
+// Frame coordinates of a plan point
+function toFrame(rig, point) {
+    const dx = point.x - rig.center.x;
+    const dz = point.z - rig.center.z;
+    const cos = Math.cos(rig.heading);
+    const sin = Math.sin(rig.heading);
+    // Undo the frame's turn about the vertical
+    const x = dx * cos - dz * sin;
+    const z = dx * sin + dz * cos;
+    const clamp = value => Math.min(Math.max(value, 0), 1);
+    return { u: clamp(x / rig.width + 0.5), v: clamp(z / rig.length + 0.5) };
+}
+
+function alongLine(rig, point) {
+    const dx = rig.end.x - rig.start.x;
+    const dz = rig.end.z - rig.start.z;
+    const length = Math.hypot(dx, dz);
+    if (!length) return 0;
+    const t = ((point.x - rig.start.x) * dx + (point.z - rig.start.z) * dz) / (length * length);
+    return Math.min(Math.max(t, 0), 1) * length;
+}
+
+const Rigging = {
+    MOTOR_CAPACITIES,
+    SAFETY_FACTOR,
+    WARNING_LEVEL,
+
+    getTrussLayout(dimensions, config) {
+        if (!config) return [];
+
+        const { width, length, height } = dimensions;
+        const size = config.trussSize;
+        const trusses = [];
+
+        // Main trusses along length
+        for (let i = 0; i < config.numTrussesLength; i++) {
+            // A single truss runs down the middle
+            const x = config.numTrussesLength > 1 ? -width/2 + (width/(config.numTrussesLength - 1)) * i : 0;
+            const y = height - size/2;
+            trusses.push({
+                start: { x, y, z: -length/2 },
+                end: { x, y, z: length/2 },
+                size
+            });
+        }
+
+        // Cross trusses along width
+        for (let i = 0; i < config.numTrussesWidth; i++) {
+            const z = config.numTrussesWidth > 1 ? -length/2 + (length/(config.numTrussesWidth - 1)) * i : 0;
+            const y = height - size * 1.5;
+            trusses.push({
+                start: { x: -width/2, y, z },
+                end: { x: width/2, y, z },
+                size
+            });
+        }
+
+        // Number trusses the way the rigging crew calls them
+        return trusses.map((truss, index) => ({
+            id: `truss-${index + 1}`,
+            label: `Truss ${index + 1}`,
+            ...truss
+        }));
+    },
+
+    // '4x 1-ton motors' -> { count: 4, capacity: 2000 } (capacity per motor)
+    parseMotors(text) {
+        const match = String(text || '').match(/(\d+)\s*x\s*(1\/4|1\/2|1|2)\s*-?\s*ton/i);
+        if (!match) return null;
+        return { count: Number(match[1]), capacity: MOTOR_CAPACITIES[`${match[2]}-ton`] };
+    },
+
+    // Sum what every pick point carries and check it against its rating.
+    //
+    // rigs: structures that carry loads to their picks, either
+    //   { id, label, type: 'line', start, end, weight, picks: [{ id, label, along, capacity, point? }] }
+    //   { id, label, type: 'frame', center, heading, width, length, weight,
+    //     picks: [{ id, label, u, v, capacity, point? }] }
+    // with weights and capacities in pounds; point is passed through for
+    // drawing the pick.
+    // loads: [{ rig, label, weight, point: { x, z } }]
+    // Picks with the same id on several rigs (grid pipe crossings) are one
+    // point. The rig's own weight is shared evenly between its picks; hung
+    // is the part of a pick's load that comes from the units on it.
+    //
+    // Returns { picks: [{ id, label, point, rigs, load, hung, capacity, allowable,
+    //   utilisation, status }], rigs: [{ id, label, weight, hung, units, total }],
+    //   safetyFactor }
+    // with status 'ok', 'warning' or 'over'.
+    calculateLoads(rigs, loads, options = {}) {
+        const safetyFactor = options.safetyFactor || SAFETY_FACTOR;
+        const picks = new Map();
+        const addToPick = (rig, pick, load, hung = 0) => {
+            if (!picks.has(pick.id)) {
+                picks.set(pick.id, {
+                    id: pick.id,
+                    label: pick.label,
+                    point: pick.point,
+                    rigs: [],
+                    load: 0,
+                    hung: 0,
+                    capacity: pick.capacity
+                });
+            }
+            const total = picks.get(pick.id);
+            if (!total.rigs.includes(rig.label)) total.rigs.push(rig.label);
+            total.load += load;
+            total.hung += hung;
+        };
+
+        const rigTotals = rigs.map(rig => {
+            const hung = loads.filter(load => load.rig === rig.id);
+            rig.picks.forEach(pick => addToPick(rig, pick, (rig.weight || 0) / rig.picks.length));
+
+            hung.forEach(load => {
+                let shares;
+                if (rig.type === 'frame') {
+                    const { u, v } = toFrame(rig, load.point);
+                    shares = splitOnFrame(rig.picks, u, v);
+                } else {
+                    shares = splitAlongLine(rig.picks, alongLine(rig, load.point));
+                }
+                shares.forEach(({ index, share }) => {
+                    addToPick(rig, rig.picks[index], load.weight * share, load.weight * share);
+                });
+            });
+
+            const hungWeight = hung.reduce((sum, load) => sum + load.weight, 0);
+            return {
+                id: rig.id,
+                label: rig.label,
+                weight: rig.weight || 0,
+                hung: hungWeight,
+                units: hung.length,
+                total: (rig.weight || 0) + hungWeight
+            };
+        });
+
+        const pickTotals = [...picks.values()].map(pick => {
+            const allowable = pick.capacity / safetyFactor;
+            const utilisation = allowable ? pick.load / allowable : Infinity;
+            return {
+                ...pick,
+                load: Math.round(pick.load * 10) / 10,
+                hung: Math.round(pick.hung * 10) / 10,
+                allowable: Math.round(allowable),
+                utilisation,
+                status: utilisation > 1 ? 'over' : utilisation > WARNING_LEVEL ? 'warning' : 'ok'
+            };
+        });
+
+        return { picks: pickTotals, rigs: rigTotals, safetyFactor };
+    },
+
+    // Rigging load report as CSV, one row per pick point
+    toCSV(result) {
+        const escape = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+        const header = ['Point', 'Rigging', 'Load (lbs)', 'Rating (lbs)', `Allowable at ${result.safetyFactor}:1 (lbs)`, 'Use %', 'Status'];
+        const rows = result.picks.map(pick => [
+            pick.label,
+            pick.rigs.join(' / '),
+            pick.load,
+            pick.capacity,
+            pick.allowable,
+            Math.round(pick.utilisation * 100),
+            pick.status.toUpperCase()
+        ]);
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+};
+
+export default Rigging;
@@ -0,0 +1,531 @@
+// Setup descriptions the way a gaffer calls them: 'key 45° camera left at
+// 10 ft through a 4x4 of 250', 'M18 through the window', 'backlight on a
+// combo, 12 ft', 'two 8x8 neg camera right'.
+//
+// The text is split into clauses and each clause is read for the words
+// the plot knows. Every word used is kept as a token
+//   { start, end, kind, meaning }
+// with start/end indexing the original text, so the setup panel can show
+// what was understood and what was passed over.
+//
+// Positions are relative to the subject and camera. Angles are measured at
+// the subject from the line to the camera, towards camera left or right:
+// 0° is straight down the lens and 180° is behind the subject. Distances
+// are in feet out from the subject, heights in feet off the floor.
+import EquipmentCatalog from './equipment-catalog.js';
+import GripModifiers from './grip-modifiers.js';
+
+// Where each role goes when the description doesn't say. side is 'key'
+// for the key's side (camera left unless a key says otherwise),
+// 'opposite' for the other one, or null for on the lens axis.
+const ROLES = {
+    key: { label: 'Key', angle: 45, distance: 10, height: 7, side: 'key' },
+    fill: { label: 'Fill', angle: 30, distance: 10, height: 6, side: 'opposite' },
+    back: { label: 'Backlight', angle: 160, distance: 10, height: 9, side: 'opposite' },
+    rim: { label: 'Rim', angle: 135, distance: 10, height: 7, side: 'opposite' },
+    kicker: { label: 'Kicker', angle: 120, distance: 10, height: 6, side: 'opposite' },
+    hair: { label: 'Hair light', angle: 180, distance: 5, height: 10, side: null },
+    background: { label: 'Background', angle: 180, distance: 12, height: 7, side: null },
+    top: { label: 'Top light', angle: 0, distance: 0, height: 12, side: null },
+    neg: { label: 'Negative fill', angle: 90, distance: 4, height: null, side: 'opposite' },
+    bounce: { label: 'Bounce', angle: 60, distance: 5, height: null, side: 'opposite' }
+};
+
+// Role words and the role they call
+const ROLE_WORDS = [
+    [/^key/, 'key'],
+    [/^fill/, 'fill'],
+    [/^back/, 'back'],
+    [/^rim|^edge/, 'rim'],
+    [/^kick/, 'kicker'],
+    [/^hair/, 'hair'],
+    [/^background|^bg/, 'background'],
+    [/^top/, 'top']
+];
+
+// Grip words: the kind of frame they mean and what it is dressed with
+const GRIP_WORDS = [
+    [/^neg/, { kind: 'neg', fabric: 'ultrabounce-black' }],
+    [/^solid|^floppy/, { kind: 'neg', fabric: 'solid' }],
+    [/bounce/, { kind: 'bounce', fabric: 'ultrabounce-white' }],
+    [/^grid/, { kind: 'frame', fabric: 'grid-cloth' }],
+    [/^silk|^butterfly|^frame/, { kind: 'frame', fabric: 'silk' }]
+];
+
+// Catalog types placed as frames when a description names them
+const GRIP_TYPES = /Frame|Reflector|Overhead Grid/;
+
+// What a frame's size defaults to when only its kind is named, in feet
+const DEFAULT_FRAME = { width: 4, height: 4 };
+
+const DIFFUSION_WORDS = [
+    [/grid/, 'grid-cloth'],
+    [/216|^full/, 'diffusion-216'],
+    [/251|^quarter/, 'diffusion-251'],
+    [/250|^half|^diff/, 'diffusion-250'],
+    [/^silk/, 'silk']
+];
+
+const MOUNTS = {
+    combo: { label: 'Combo stand', stand: true },
+    'c-stand': { label: 'C-stand', stand: true },
+    roller: { label: 'High roller', stand: true },
+    stand: { label: 'Stand', stand: true },
+    menace: { label: 'Menace arm', stand: true },
+    floor: { label: 'On the floor', height: 1 },
+    overhead: { label: 'Overhead' }
+};
+
+const NUMBERS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const FEET_PER_METRE = 3.28084;
+
+// Between units set side by side, in feet
+const FIXTURE_SPACING = 2.5;
+const FRAME_GAP = 0.5;
+
+// A diffusion frame stands this far in front of its light, or halfway to
+// the subject if that is closer
+const DIFFUSION_OFFSET = 4;
+
+// Subject eye height used for aiming when no subject point is given
+const SUBJECT_HEIGHT = 5;
+
+// A length: '10 ft', "10'", '3 m'
+const LENGTH = String.raw`(\d+(?:\.\d+)?)\s*(ft|feet|foot|'|m|meters?|metres?)(?![a-z])`;
+
+// Clause boundaries. Sentences always start a new clause; pieces split off
+// at a comma or 'and' join the clause before when they only add detail,
+// as in 'backlight on a combo, 12 ft'.
+const SENTENCE = /[;\n]|\.(?=\s|$)/g;
+const JOINS = /,|\b(?:and|plus|with|then)\b/gi;
+
+// Token patterns, tried in this order; a later pattern can't take words
+// an earlier one has used
+const PATTERNS = [
+    ['diffusion', new RegExp(String.raw`\bthrough\s+(?:an?\s+|the\s+|some\s+)?(?:(\d+)\s*[x×]\s*(\d+)(?:\s+frame)?\s*(?:of\s+)?)?` +
+        String.raw`(216|250|251|(?:full\s+|half\s+)?grid(?:\s*cloth)?|(?:full|half|quarter)(?:\s+white)?|silk|diff(?:usion)?)?` +
+        String.raw`(?:\s+diff(?:usion)?)?(?![a-z0-9])`, 'gi')],
+    ['window', /\b(?:through|in|outside|out|into)\s+(?:the\s+|a\s+)?windows?\b/gi],
+    ['mount', /\b(?:on\s+(?:an?\s+|the\s+)?)?(combo(?:\s+stand)?|c[\s-]?stand|(?:high\s+)?roller|menace(?:\s+arm)?|stand)\b|\bon\s+the\s+(floor|ground|deck)\b/gi],
+    ['fixture', null],
+    ['side', /\b(?:(camera|cam|screen|frame|stage)[\s-]+)?(left|right)\b(?:\s+side)?/gi],
+    ['grip', /\b(?:neg(?:ative)?(?:\s+fill)?|solid|floppy|ultra\s*bounce|bounce|grid\s*cloth|silk|butterfly|frame)s?\b/gi],
+    ['overhead', /\b(?:(?:in|from|off)\s+the\s+)?(?:overhead|ceiling|grid|perms)\b|\brigged\b/gi],
+    ['size', /\b(\d+)\s*[x×]\s*(\d+)\b/gi],
+    ['angle', /(\d+(?:\.\d+)?)\s*(?:°|º|deg(?:rees?)?(?![a-z]))(?:\s+off(?:\s+the)?\s+(?:axis|lens))?/gi],
+    ['height', new RegExp(String.raw`\b(?:at\s+)?${LENGTH}\s+(?:high|up|tall|in\s+the\s+air|off\s+the\s+(?:floor|ground|deck))\b|` +
+        String.raw`\b(?:at\s+)?(?:a\s+)?height\s+of\s+${LENGTH}|\b(?:up|raised)\s+(?:to\s+)?${LENGTH}`, 'gi')],
+    ['distance', new RegExp(String.raw`\b(?:at|from)\s+${LENGTH}(?:\s+(?:away|back|out|off))?|` +
+        String.raw`\b${LENGTH}\s+(?:away|back|out|off|from\s+(?:the\s+)?(?:subject|talent|actor|face))\b`, 'gi')],
+    ['length', new RegExp(String.raw`\b${LENGTH}`, 'gi')],
+    ['role', /\b(?:key|fill|back|rim|edge|kick(?:er)?|hair|top|background|bg)(?:\s*lights?)?\b|\bbacklight\b|\btoplight\b/gi],
+    ['count', /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|(?:a\s+)?(?:pair|couple)\s+of)(?=\s)/gi]
+];
+
+// Token kinds that make a clause about a new item rather than more detail
+// on the last one
+const HEAD_KINDS = ['fixture', 'role', 'grip'];
+
+function toFeet(value, unit) {
+    const number = Number(value);
+    return /^m/i.test(unit) ? Math.round(number * FEET_PER_METRE * 10) / 10 : number;
+}
+
+// First (value, unit) pair among a match's groups
+function readLength(match) {
+    for (let i = 1; i < match.length; i += 2) {
+        if (match[i] !== undefined) return toFeet(match[i], match[i + 1]);
+    }
+    return null;
+}
+
+function lookupWord(table, word) {
+    const found = table.find(([pattern]) => pattern.test(word.toLowerCase()));
+    return found ? found[1] : null;
+}
+
+// Lighting units, as opposed to grip, stands and power
+function isFixture(entry) {
+    return !!entry.photometrics || /Fixtures|Tungsten/.test(entry.category);
+}
+
+function other(side) {
+    return side === 'left' ? 'right' : 'left';
+}
+
+// Pieces of text between separators: [{ start, end, join }] with join the
+// separator that came before ('' for the first)
+function splitText(text, pattern, start = 0, end = text.length) {
+    const pieces = [];
+    let from = start;
+    let join = '';
+    const part = text.slice(start, end);
+    [...part.matchAll(pattern)].forEach(match => {
+        pieces.push({ start: from, end: start + match.index, join });
+        from = start + match.index + match[0].length;
+        join = match[0].toLowerCase();
+    });
+    pieces.push({ start: from, end, join });
+
+    // Trim the spaces off each end
+    return pieces
+        .map(piece => {
+            const slice = text.slice(piece.start, piece.end);
+            const lead = slice.length - slice.trimStart().length;
+            return { ...piece, start: piece.start + lead, end: piece.start + slice.trimEnd().length };
+        })
+        .filter(piece => piece.end > piece.start);
+}
+
+// Read one piece of text into tokens. mentions are catalog names found in
+// the whole text.
+function readTokens(text, piece, mentions) {
+    const tokens = [];
+    const taken = (start, end) => tokens.some(token => start < token.end && end > token.start);
+    const slice = text.slice(piece.start, piece.end);
+
+    PATTERNS.forEach(([kind, pattern]) => {
+        if (kind === 'fixture') {
+            mentions
+                .filter(mention => mention.start >= piece.start && mention.end <= piece.end)
+                .filter(mention => !taken(mention.start, mention.end))
+                .forEach(mention => tokens.push({ start: mention.start, end: mention.end, kind, entry: mention.entry }));
+            return;
+        }
+        [...slice.matchAll(pattern)].forEach(match => {
+            if (!match[0].trim()) return;
+            const start = piece.start + match.index;
+            const end = start + match[0].trimEnd().length;
+            if (taken(start, end)) return;
+            const token = readToken(kind, match);
+            if (token) tokens.push({ start, end, kind, ...token });
+        });
+    });
+
+    // A count only counts when it is right before the thing being counted
+    return tokens
+        .filter(token => token.kind !== 'count' || tokens.some(next =>
+            ['fixture', 'grip', 'size', 'role'].includes(next.kind) && next.start > token.end &&
+            !text.slice(token.end, next.start).trim()))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Value carried by a matched token, or null to leave the words unread
+function readToken(kind, match) {
+    const words = match[0].toLowerCase();
+    switch (kind) {
+        case 'diffusion': {
+            if (!match[1] && !match[3]) return null;
+            const fabric = match[3] ? lookupWord(DIFFUSION_WORDS, match[3]) : 'diffusion-250';
+            return {
+                fabric,
+                width: match[1] ? Number(match[1]) : DEFAULT_FRAME.width,
+                height: match[2] ? Number(match[2]) : DEFAULT_FRAME.height
+            };
+        }
+        case 'window':
+            return { meaning: 'Outside the window, through it' };
+        case 'mount': {
+            const word = (match[1] || match[2] || '').toLowerCase();
+            const mount = /^(floor|ground|deck)$/.test(word) ? 'floor' :
+                /^combo/.test(word) ? 'combo' :
+                /^c[\s-]?stand/.test(word) ? 'c-stand' :
+                /roller/.test(word) ? 'roller' :
+                /^menace/.test(word) ? 'menace' : 'stand';
+            return { mount, meaning: MOUNTS[mount].label };
+        }
+        case 'grip':
+            return { grip: lookupWord(GRIP_WORDS, words) };
+        case 'overhead':
+            return { meaning: 'Overhead' };
+        case 'size':
+            return { width: Number(match[1]), height: Number(match[2]) };
+        case 'angle':
+            return { angle: Number(match[1]), meaning: `${Number(match[1])}° off the lens axis` };
+        case 'side': {
+            // Stage directions are the actor's, facing the camera
+            const side = match[1]?.toLowerCase() === 'stage' ? other(match[2].toLowerCase()) : match[2].toLowerCase();
+            return { side, meaning: `Camera ${side}` + (match[1] ? '' : ' (taken as camera left/right)') };
+        }
+        case 'height':
+            return { height: readLength(match) };
+        case 'distance':
+            return { distance: readLength(match) };
+        case 'length':
+            return { length: readLength(match) };
+        case 'role': {
+            const role = lookupWord(ROLE_WORDS, words.replace(/\s*lights?$/, ''));
+            return role ? { role, meaning: ROLES[role].label } : null;
+        }
+        case 'count': {
+            const count = NUMBERS[words] || Number(words) || (/pair|couple/.test(words) ? 2 : 0);
+            return count ? { count, meaning: `${count} of them` } : null;
+        }
+    }
+    return null;
+}
+
+// Item described by a clause's tokens, or null if it names nothing to place
+function readItem(tokens) {
+    const find = kind => tokens.find(token => token.kind === kind);
+    const fixture = find('fixture');
+    const grip = find('grip');
+    const size = find('size');
+    const overhead = find('overhead');
+    const roleToken = find('role');
+    const mount = find('mount');
+    const diffusion = find('diffusion');
+
+    const item = {
+        role: roleToken?.role || null,
+        count: find('count')?.count || 1,
+        fixture: null,
+        grip: null,
+        diffusion: null,
+        window: !!find('window'),
+        mount: mount?.mount || (overhead ? 'overhead' : null),
+        inside: null,
+        angle: find('angle')?.angle ?? null,
+        side: find('side')?.side ?? null,
+        distance: find('distance')?.distance ?? null,
+        height: find('height')?.height ?? null,
+        defaults: []
+    };
+
+    // A bare length is how high a light on a stand goes, or else how far out
+    const length = find('length');
+    if (length) {
+        const onStand = mount && MOUNTS[mount.mount].stand;
+        const field = onStand && item.height === null ? 'height' :
+            item.distance === null ? 'distance' : item.height === null ? 'height' : null;
+        if (field) {
+            item[field] = length.length;
+            length.kind = field;
+            length[field] = length.length;
+        }
+    }
+
+    if (fixture) {
+        const { entry } = fixture;
+        if (GRIP_TYPES.test(entry.type)) {
+            const [width, height] = (entry.details?.size?.match(/\d+/g) || []).map(Number);
+            item.grip = {
+                kind: entry.category === 'Overhead Rigs' ? 'overhead' : /UltraBounce/i.test(entry.name) ? 'bounce' : 'frame',
+                width: width || DEFAULT_FRAME.width,
+                height: height || DEFAULT_FRAME.height,
+                entry
+            };
+        } else if (isFixture(entry)) {
+            item.fixture = entry;
+        }
+    }
+
+    if (!item.fixture && !item.grip && (grip || (size && overhead))) {
+        const dressing = grip?.grip || { kind: 'frame', fabric: null };
+        item.grip = {
+            kind: overhead && size ? 'overhead' : dressing.kind,
+            fabric: dressing.fabric,
+            width: size?.width || DEFAULT_FRAME.width,
+            height: size?.height || DEFAULT_FRAME.height
+        };
+    }
+
+    if (item.grip) {
+        if (!item.role && ['neg', 'bounce'].includes(item.grip.kind)) item.role = item.grip.kind;
+        if (item.grip.kind === 'overhead') item.mount = null;
+    } else if (diffusion) {
+        item.diffusion = { width: diffusion.width, height: diffusion.height, fabric: diffusion.fabric };
+    }
+
+    if (!item.fixture && !item.grip && !item.role) return null;
+    if (!item.fixture && !item.grip && ['neg', 'bounce'].includes(item.role)) {
+        item.grip = { kind: item.role, ...DEFAULT_FRAME };
+    }
+    return item;
+}
+
+function describeToken(token, item) {
+    switch (token.kind) {
+        case 'fixture':
+            return item?.fixture === token.entry || item?.grip?.entry === token.entry ?
+                token.entry.name : `${token.entry.name} (not placed from a description)`;
+        case 'grip':
+        case 'size':
+            return item?.grip ? `${item.grip.width}x${item.grip.height} ${describeGrip(item.grip)}` : 'Frame size';
+        case 'diffusion':
+            return `${token.width}x${token.height} frame of ${GripModifiers.getFabric(token.fabric).label.toLowerCase()} in front of the light`;
+        case 'height':
+            return `${token.height} ft high`;
+        case 'distance':
+            return `${token.distance} ft from the subject`;
+        case 'length':
+            return `${token.length} ft`;
+        case 'overhead':
+            return item?.grip?.kind === 'overhead' ? 'Overhead frame' : 'Hung overhead';
+    }
+    return token.meaning;
+}
+
+function describeGrip(grip) {
+    return {
+        neg: 'negative fill',
+        bounce: 'bounce',
+        frame: 'frame',
+        overhead: 'overhead'
+    }[grip.kind];
+}
+
+const SetupParser = {
+    ROLES,
+    MOUNTS,
+
+    // Read a description. Returns
+    //   { clauses: [{ start, end, tokens, item }], items }
+    // where item is the index in items of what the clause describes, or
+    // null if none of it was understood. Items are
+    //   { clause, role, count, fixture (catalog entry), grip, diffusion,
+    //     window, mount, inside, angle, side, distance, height, defaults }
+    // grip is a frame to stand or fly instead of a fixture:
+    //   { kind: 'neg' | 'bounce' | 'frame' | 'overhead', width, height, fabric, entry? }
+    // diffusion is a frame in front of the fixture: { width, height, fabric }.
+    // inside is the index of an overhead frame the fixture hangs in;
+    // defaults lists the fields filled in from the role, not the text.
+    parse(text) {
+        const source = String(text || '');
+        const mentions = EquipmentCatalog.locateMentions(source);
+        const clauses = [];
+
+        splitText(source, SENTENCE).forEach(sentence => {
+            let last = null;
+            splitText(source, JOINS, sentence.start, sentence.end).forEach(piece => {
+                const tokens = readTokens(source, piece, mentions);
+                const isHead = tokens.some(token => HEAD_KINDS.includes(token.kind)) ||
+                    tokens.some(token => token.kind === 'size') && tokens.some(token => token.kind === 'overhead');
+
+                if (last && !isHead && tokens.length) {
+                    last.end = piece.end;
+                    last.tokens.push(...tokens);
+                    return;
+                }
+                last = { start: piece.start, end: piece.end, join: piece.join, tokens, item: null };
+                clauses.push(last);
+            });
+        });
+
+        const items = [];
+        clauses.forEach((clause, index) => {
+            const item = readItem(clause.tokens);
+            if (item) {
+                // 'a 20x20 overhead with four S360s': units named just after
+                // an overhead, with nowhere else to go, hang in it
+                const previous = items[items.length - 1];
+                if (item.fixture && clause.join === 'with' && previous?.grip?.kind === 'overhead' &&
+                    clauses[previous.clause] === clauses[index - 1] &&
+                    item.angle === null && item.side === null && item.distance === null && !item.window) {
+                    item.inside = items.length - 1;
+                    item.mount = 'overhead';
+                }
+                item.clause = index;
+                clause.item = items.length;
+                items.push(item);
+            }
+            clause.tokens.forEach(token => {
+                token.meaning = describeToken(token, item);
+            });
+        });
+
+        this.fillDefaults(items);
+        clauses.forEach(clause => {
+            clause.tokens = clause.tokens.map(({ start, end, kind, meaning }) => ({ start, end, kind, meaning }));
+        });
+        return { clauses, items };
+    },
+
+    // Fill in what a description left out from each item's role. Sides
+    // follow the key: fill, back and negative fill go opposite it.
+    fillDefaults(items) {
+        const key = items.find(item => item.role === 'key' && item.side);
+        const keySide = key ? key.side : 'left';
+
+        items.forEach(item => {
+            if (item.inside !== null || item.grip?.kind === 'overhead') return;
+            const role = ROLES[item.role] || (item.grip ? ROLES.bounce : ROLES.key);
+            const fill = (field, value) => {
+                if (item[field] !== null || value === null) return;
+                item[field] = value;
+                item.defaults.push(field);
+            };
+
+            // A light through a window still gets these, for a room without one
+            fill('angle', role.angle);
+            fill('side', role.side === 'key' ? keySide : role.side === 'opposite' ? other(keySide) : null);
+            fill('distance', role.distance);
+            if (!item.grip) {
+                const mount = MOUNTS[item.mount];
+                fill('height', mount?.height ?? role.height);
+            }
+            if (item.grip && !item.grip.fabric && !item.grip.entry) {
+                item.grip.fabric = item.grip.kind === 'neg' ? 'ultrabounce-black' : 'silk';
+            }
+        });
+    },
+
+    // Where each unit of an item goes, given the subject point and camera
+    // position { x, y, z }: [{ position, heading, tilt }] with heading
+    // turning its front towards the subject and tilt (degrees, positive
+    // down) aiming a fixture at it. Several units stand side by side
+    // across the line to the subject. Grip frames stand on the floor.
+    place(item, { subject, camera }) {
+        const axis = { x: camera.x - subject.x, z: camera.z - subject.z };
+        const axisLength = Math.hypot(axis.x, axis.z) || 1;
+        const toCamera = { x: axis.x / axisLength, z: axis.z / axisLength };
+        // Camera right, seen from behind the lens looking at the subject
+        const right = { x: toCamera.z, z: -toCamera.x };
+
+        const angle = (item.angle || 0) * Math.PI / 180;
+        const sign = item.side === 'right' ? 1 : item.side === 'left' ? -1 : 0;
+        const direction = {
+            x: toCamera.x * Math.cos(angle) + right.x * Math.sin(angle) * sign,
+            z: toCamera.z * Math.cos(angle) + right.z * Math.sin(angle) * sign
+        };
+        const distance = item.distance || 0;
+        const center = { x: subject.x + direction.x * distance, z: subject.z + direction.z * distance };
+        const across = { x: -direction.z, z: direction.x };
+        const spacing = item.grip ? item.grip.width + FRAME_GAP : FIXTURE_SPACING;
+        const y = item.grip ? 0 : item.height ?? subject.y;
+
+        return Array.from({ length: item.count }, (_, i) => {
+            const offset = (i - (item.count - 1) / 2) * spacing;
+            const position = { x: center.x + across.x * offset, y, z: center.z + across.z * offset };
+            return { position, ...this.aim(position, subject) };
+        });
+    },
+
+    // Heading and tilt that point something at position towards the subject
+    aim(position, subject) {
+        const dx = subject.x - position.x;
+        const dz = subject.z - position.z;
+        const reach = Math.hypot(dx, dz);
+        return {
+            heading: reach > 0.01 ? Math.atan2(dx, dz) : 0,
+            tilt: Math.round(Math.atan2(position.y - (subject.y ?? SUBJECT_HEIGHT), reach) * 180 / Math.PI)
+        };
+    },
+
+    // Diffusion frame between a placed light and the subject, its centre at
+    // the light's height: { position (on the floor), heading, center }
+    placeDiffusion(light, subject) {
+        const dx = subject.x - light.x;
+        const dz = subject.z - light.z;
+        const reach = Math.hypot(dx, dz) || 1;
+        const offset = Math.min(DIFFUSION_OFFSET, reach / 2);
+        const position = { x: light.x + dx / reach * offset, y: 0, z: light.z + dz / reach * offset };
+        return { position, heading: this.aim(position, subject).heading, center: light.y };
+    }
+};
+
+export default SetupParser;
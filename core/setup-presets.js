@@ -0,0 +1,250 @@
+// Lighting presets: arrangements of fixtures and grip kept relative to a
+// subject, so they can be set down around anyone, anywhere on the stage.
+//
+// Preset schema:
+//   { id, name, description, items: [{ name, role?, offset, rotation?, settings? }] }
+// name is the catalog name of the unit. offset is in feet in the subject's
+// own frame: x towards camera right, y up off the floor, z out in front of
+// the subject towards the camera. rotation is the unit's, with y turned
+// relative to the way the subject faces; without one the unit is aimed at
+// the subject. settings are copied onto the placed unit.
+//
+// Subjects are { x, y, z, facing }: y the eye height units are aimed at,
+// facing the heading (radians, 0 faces +Z) the subject looks along.
+import ColorTemperature from './color-temperature.js';
+import GripModifiers from './grip-modifiers.js';
+
+const FILE_TYPE = 'lighting-plot-presets';
+const ID_PREFIX = 'preset-';
+
+// Setups that ship with the plot. Positions are in metres around the
+// subject, who faces -Z here; intensity is the dimmer level.
+const lightingPresets = {
+    'interview': {
+        name: 'Interview Setup - High Key',
+        description: 'Classic three-point lighting setup for interviews',
+        lights: [
+            { type: 'key', position: [2, 2, -2], intensity: 1.0, fixture: 'ARRI SkyPanel S60-C' },
+            { type: 'fill', position: [-2, 1.5, -1], intensity: 0.5, fixture: 'LiteMat+ Plus 4' },
+            { type: 'back', position: [-1, 2, 2], intensity: 0.7, fixture: 'LiteMat+ Plus 4' }
+        ]
+    },
+    'noir': {
+        name: 'Film Noir Scene',
+        description: 'Dramatic high-contrast lighting with strong shadows',
+        lights: [
+            { type: 'key', position: [3, 3, -2], intensity: 1.0, fixture: 'ARRI M18' },
+            { type: 'rim', position: [-2, 2, 2], intensity: 0.8, fixture: 'ARRI T12' }
+        ]
+    },
+    'product': {
+        name: 'Product Photography',
+        description: 'Soft, even lighting for product shots',
+        lights: [
+            { type: 'main', position: [0, 3, 0], intensity: 1.0, fixture: 'ARRI SkyPanel S360-C' },
+            { type: 'fill1', position: [-2, 1, -2], intensity: 0.6, fixture: 'LiteMat+ Plus 8' },
+            { type: 'fill2', position: [2, 1, -2], intensity: 0.6, fixture: 'LiteMat+ Plus 8' }
+        ]
+    }
+};
+
+const METRES_TO_FEET = 3.28084;
+
+// Numbered roles ('fill1') are the same role; the product main is overhead
+const LIGHT_ROLES = { main: 'top' };
+
+// The setups above as presets: offsets in feet in the subject's own frame,
+// a half turn from the way they face there
+const BUILT_IN = Object.entries(lightingPresets).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    description: preset.description,
+    items: preset.lights.map(light => {
+        const role = light.type.replace(/\d+$/, '');
+        const [x, y, z] = light.position.map(value => Math.round(value * METRES_TO_FEET * 100) / 100);
+        return {
+            role: LIGHT_ROLES[role] || role,
+            name: light.fixture,
+            offset: { x: -x, y, z: -z },
+            settings: { dimmer: light.intensity }
+        };
+    })
+}));
+
+// Ranges of the number settings a preset can carry: pan and tilt in
+// degrees, focus and dimmer 0-1, cct in kelvin, frameHeight in feet
+const SETTING_RANGES = {
+    pan: [-360, 360],
+    tilt: [-360, 360],
+    focus: [0, 1],
+    dimmer: [0, 1],
+    cct: [1000, 20000],
+    frameHeight: [0, 50]
+};
+
+// Problems with a unit's settings; keys a preset doesn't carry are ignored
+function validateSettings(settings) {
+    if (settings === undefined) return [];
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return ['settings must be an object'];
+    const errors = [];
+    Object.entries(SETTING_RANGES).forEach(([key, [min, max]]) => {
+        const value = settings[key];
+        if (value !== undefined && !(Number.isFinite(value) && value >= min && value <= max)) {
+            errors.push(`${key} must be a number from ${min} to ${max}`);
+        }
+    });
+    if (settings.gels !== undefined &&
+        !(Array.isArray(settings.gels) && settings.gels.every(id => ColorTemperature.findGel(id)))) {
+        errors.push('gels must be a list of known gels');
+    }
+    if (settings.fabric !== undefined && !Object.hasOwn(GripModifiers.FABRICS, settings.fabric)) {
+        errors.push(`unknown fabric "${settings.fabric}"`);
+    }
+    if (settings.shadows !== undefined && typeof settings.shadows !== 'boolean') {
+        errors.push('shadows must be true or false');
+    }
+    return errors;
+}
+
+function slug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function isVector(value) {
+    return !!value && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+}
+
+// Unit vectors of the subject's frame on the floor: towards the camera
+// (the way the subject faces) and camera right
+function getAxes(subject) {
+    const facing = subject.facing || 0;
+    return {
+        front: { x: Math.sin(facing), z: Math.cos(facing) },
+        right: { x: Math.cos(facing), z: -Math.sin(facing) }
+    };
+}
+
+const SetupPresets = {
+    FILE_TYPE,
+    BUILT_IN,
+    STORAGE_KEY: 'lightingPlot.presets',
+    FILE_EXTENSION: '.lpreset.json',
+
+    isBuiltIn(preset) {
+        return BUILT_IN.some(builtIn => builtIn.id === preset?.id);
+    },
+
+    // Plot position of an offset around a subject
+    toWorld(offset, subject) {
+        const { front, right } = getAxes(subject);
+        return {
+            x: subject.x + right.x * offset.x + front.x * offset.z,
+            y: offset.y,
+            z: subject.z + right.z * offset.x + front.z * offset.z
+        };
+    },
+
+    // Offset of a plot position from a subject
+    toSubject(position, subject) {
+        const { front, right } = getAxes(subject);
+        const dx = position.x - subject.x;
+        const dz = position.z - subject.z;
+        return {
+            x: dx * right.x + dz * right.z,
+            y: position.y,
+            z: dx * front.x + dz * front.z
+        };
+    },
+
+    // A preset from units placed around a subject:
+    // units: [{ name, role?, position, rotation, settings? }] in plot space
+    create(name, description, units, subject) {
+        const round = value => Math.round(value * 100) / 100;
+        const roundXYZ = value => ({ x: round(value.x), y: round(value.y), z: round(value.z) });
+        return {
+            id: ID_PREFIX + slug(name),
+            name: String(name).trim(),
+            description: String(description || '').trim(),
+            items: units.map(unit => {
+                const item = {
+                    name: unit.name,
+                    offset: roundXYZ(this.toSubject(unit.position, subject)),
+                    rotation: roundXYZ({ ...unit.rotation, y: unit.rotation.y - (subject.facing || 0) })
+                };
+                if (unit.role) item.role = unit.role;
+                if (unit.settings && Object.keys(unit.settings).length) item.settings = unit.settings;
+                return item;
+            })
+        };
+    },
+
+    // Problems with a preset, empty if it can be used
+    validate(preset) {
+        const errors = [];
+        if (!preset || typeof preset !== 'object') return ['Preset must be an object'];
+        if (!String(preset.name || '').trim()) errors.push('Preset needs a name');
+        if (!Array.isArray(preset.items) || !preset.items.length) {
+            errors.push(`"${preset.name}" has no units`);
+            return errors;
+        }
+        preset.items.forEach((item, index) => {
+            if (!item?.name || typeof item.name !== 'string') errors.push(`Unit ${index + 1} of "${preset.name}" has no name`);
+            if (item?.role !== undefined && typeof item.role !== 'string') {
+                errors.push(`Unit ${index + 1} of "${preset.name}" has a role that isn't text`);
+            }
+            if (!isVector(item?.offset)) errors.push(`Unit ${index + 1} of "${preset.name}" needs an x, y, z offset`);
+            if (item?.rotation !== undefined && !isVector(item.rotation)) {
+                errors.push(`Unit ${index + 1} of "${preset.name}" has a rotation without x, y and z`);
+            }
+            validateSettings(item?.settings).forEach(error => errors.push(`Unit ${index + 1} of "${preset.name}": ${error}`));
+        });
+        return errors;
+    },
+
+    // Presets with one added or replaced by id
+    save(presets, preset) {
+        return [...presets.filter(item => item.id !== preset.id), preset];
+    },
+
+    remove(presets, id) {
+        return presets.filter(item => item.id !== id);
+    },
+
+    // Preset file text for sharing
+    toFile(presets) {
+        return JSON.stringify({ fileType: FILE_TYPE, presets }, null, 2);
+    },
+
+    // Read a preset file: { presets: [...] }, a list of presets or a
+    // single one. Throws if any of them can't be used.
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Preset file is not valid JSON: ${error.message}`);
+        }
+        const presets = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+        const errors = presets.flatMap(preset => this.validate(preset));
+        if (errors.length) throw new Error(errors.join('; '));
+        // Ids are made again from the name rather than trusted from the
+        // file, so a shared copy of a built-in one comes in as the user's own
+        return presets.map(preset => ({
+            ...preset,
+            id: ID_PREFIX + slug(preset.name)
+        }));
+    },
+
+    // Stored presets, dropping any no longer valid
+    restore(text) {
+        const presets = JSON.parse(text || '[]');
+        if (!Array.isArray(presets)) throw new Error('Stored presets must be a list');
+        return presets.filter(preset => {
+            const errors = this.validate(preset);
+            if (errors.length) console.error(`Dropping preset ${preset?.name}: ${errors.join('; ')}`);
+            return !errors.length;
+        });
+    }
+};
+
+export default SetupPresets;
@@ -0,0 +1,159 @@
+// Placement snapping shared by drops and the transform gizmo. Points are
+// plain { x, y, z } in feet, headings are rotation about the vertical in
+// radians (0 faces +Z, as placed units do).
+//
+// Rigging members are pipes or truss chords: { id, label, start, end, size }
+// with start/end on the member's centre line and size its depth in feet.
+// Walls are room sides: { name, axis: 'x' | 'z', at, normal: 1 | -1 },
+// normal pointing into the room along that axis.
+
+// How close a point has to come before it is pulled in, in feet
+const SNAP_DISTANCE = 1.5;
+
+// A hung unit's yoke pivot sits this far under the bottom of its pipe or
+// truss, leaving room for the clamp and the yoke arms
+const HANG_DROP = 1.2;
+
+// Floor grid choices offered to the user, in feet; 0 is off
+const GRID_STEPS = [0, 0.5, 1, 2];
+
+function closestOnSegment(p, start, end) {
+    const d = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+    const lengthSq = d.x * d.x + d.y * d.y + d.z * d.z;
+    const t = lengthSq ?
+        Math.min(Math.max(((p.x - start.x) * d.x + (p.y - start.y) * d.y + (p.z - start.z) * d.z) / lengthSq, 0), 1) : 0;
+    return { t, point: { x: start.x + d.x * t, y: start.y + d.y * t, z: start.z + d.z * t } };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Smallest turn between two headings
+function angleBetween(a, b) {
+    return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+}
+
+const Snapping = {
+    SNAP_DISTANCE,
+    HANG_DROP,
+    GRID_STEPS,
+
+    toGrid(point, step) {
+        if (!step) return { ...point };
+        const round = value => Math.round(value / step) * step;
+        return { x: round(point.x), y: point.y, z: round(point.z) };
+    },
+
+    // Line a hung unit's pivot follows under a member
+    hangLine(member) {
+        const drop = member.size / 2 + HANG_DROP;
+        return {
+            start: { ...member.start, y: member.start.y - drop },
+            end: { ...member.end, y: member.end.y - drop }
+        };
+    },
+
+    // Nearest member whose hang line is within reach of the point:
+    // { member, point (on the hang line), t, along, distance } or null
+    nearestMember(point, members, reach = SNAP_DISTANCE) {
+        let nearest = null;
+        members.forEach(member => {
+            const line = this.hangLine(member);
+            const closest = closestOnSegment(point, line.start, line.end);
+            const gap = distance(point, closest.point);
+            if (gap <= reach && (!nearest || gap < nearest.distance)) {
+                nearest = {
+                    member,
+                    point: closest.point,
+                    t: closest.t,
+                    along: distance(member.start, member.end) * closest.t,
+                    distance: gap
+                };
+            }
+        });
+        return nearest;
+    },
+
+    // Member the cursor ray passes over, nearest the camera:
+    // { member, point (on its centre line), t, along (feet from start) } or null.
+    // direction must be normalised; reach is added to the member's half depth.
+    memberAlongRay(origin, direction, members, reach = 0.75) {
+        let nearest = null;
+        members.forEach(member => {
+            const v = { x: member.end.x - member.start.x, y: member.end.y - member.start.y, z: member.end.z - member.start.z };
+            const w = { x: origin.x - member.start.x, y: origin.y - member.start.y, z: origin.z - member.start.z };
+            const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+            const b = dot(direction, v);
+            const c = dot(v, v);
+            const d = dot(direction, w);
+            const e = dot(v, w);
+            const denominator = c - b * b;
+
+            // Closest approach, with the member end clamped and the ray kept in front
+            let t = denominator > 1e-9 ? (e - b * d) / denominator : 0;
+            t = Math.min(Math.max(t, 0), 1);
+            const point = { x: member.start.x + v.x * t, y: member.start.y + v.y * t, z: member.start.z + v.z * t };
+            const s = Math.max(0, dot(direction, { x: point.x - origin.x, y: point.y - origin.y, z: point.z - origin.z }));
+            const onRay = { x: origin.x + direction.x * s, y: origin.y + direction.y * s, z: origin.z + direction.z * s };
+
+            if (distance(point, onRay) <= member.size / 2 + reach && (!nearest || s < nearest.range)) {
+                nearest = { member, point, t, along: Math.sqrt(c) * t, range: s };
+            }
+        });
+        if (!nearest) return null;
+        const { range, ...hit } = nearest;
+        return hit;
+    },
+
+    // Where a unit hangs from a member, `along` feet from its start
+    hangPoint(member, along) {
+        const line = this.hangLine(member);
+        const length = distance(member.start, member.end);
+        const t = length ? Math.min(Math.max(along / length, 0), 1) : 0;
+        return {
+            x: line.start.x + (line.end.x - line.start.x) * t,
+            y: line.start.y + (line.end.y - line.start.y) * t,
+            z: line.start.z + (line.end.z - line.start.z) * t
+        };
+    },
+
+    // Heading of the member itself, for keeping a hung unit's heading
+    // relative to it
+    memberHeading(member) {
+        return Math.atan2(member.end.x - member.start.x, member.end.z - member.start.z);
+    },
+
+    // Heading square to a member, on whichever side is nearer the unit's
+    // current heading, so a hung light points across its pipe
+    hangingHeading(member, heading = 0) {
+        const across = Math.atan2(member.end.z - member.start.z, -(member.end.x - member.start.x));
+        const flipped = across > 0 ? across - Math.PI : across + Math.PI;
+        return angleBetween(across, heading) <= angleBetween(flipped, heading) ? across : flipped;
+    },
+
+    // Nearest wall the point comes within reach of, allowing for how far
+    // the item reaches towards it: { wall, distance } or null
+    nearestWall(point, walls, clearance = 0, reach = SNAP_DISTANCE) {
+        let nearest = null;
+        walls.forEach(wall => {
+            const gap = (point[wall.axis] - wall.at) * wall.normal - clearance;
+            if (gap <= reach && (!nearest || gap < nearest.distance)) {
+                nearest = { wall, distance: gap };
+            }
+        });
+        return nearest;
+    },
+
+    // Point pulled flush to a wall, and the heading that faces into the room
+    againstWall(point, wall, clearance = 0) {
+        return {
+            point: { ...point, [wall.axis]: wall.at + wall.normal * clearance },
+            heading: wall.axis === 'z' ?
+                (wall.normal > 0 ? 0 : Math.PI) :
+                (wall.normal > 0 ? Math.PI / 2 : -Math.PI / 2)
+        };
+    }
+};
+
+export default Snapping;
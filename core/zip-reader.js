@@ -0,0 +1,89 @@
+// Minimal zip reader for fixture files (.gdtf, .mvr), so they open offline
+// with no libraries. Handles stored and deflated entries; deflate goes
+// through the browser's DecompressionStream. No ZIP64 or encryption.
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// End record is 22 bytes plus a comment of up to 64K
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+function findEndRecord(view) {
+    const stop = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+    for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    return -1;
+}
+
+async function inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const ZipReader = {
+    // Central directory of a zip: Map of path -> { method, compressedSize, size, offset }
+    list(buffer) {
+        const view = new DataView(buffer);
+        const end = findEndRecord(view);
+        if (end === -1) throw new Error('Not a zip file');
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Zip directory is damaged');
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                encrypted: (view.getUint16(offset + 8, true) & 1) === 1,
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    },
+
+    // Contents of one file in the zip as bytes, or null if it isn't there.
+    // Names match case-insensitively, as some exporters vary the case.
+    async extract(buffer, path, entries = this.list(buffer)) {
+        const name = [...entries.keys()].find(key => key.toLowerCase() === path.toLowerCase());
+        if (!name) return null;
+
+        const entry = entries.get(name);
+        if (entry.encrypted) throw new Error(`${name} is encrypted`);
+
+        const view = new DataView(buffer);
+        if (view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`${name} is damaged`);
+        }
+        // The local header repeats the name and may carry a different extra field
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) return data.slice();
+        if (entry.method === METHOD_DEFLATE) return inflate(data);
+        throw new Error(`${name} uses unsupported compression method ${entry.method}`);
+    },
+
+    async extractText(buffer, path, entries) {
+        const data = await this.extract(buffer, path, entries);
+        return data && new TextDecoder().decode(data);
+    }
+};
+
+export default ZipReader;
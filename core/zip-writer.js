@@ -0,0 +1,104 @@
+// Minimal zip writer for exported fixture and scene files. Entries are
+// stored uncompressed, which every zip reader accepts and keeps this
+// free of libraries; the files written here are small XML documents.
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+const ZipWriter = {
+    crc32,
+
+    // files: [{ path, data }] with data as a string or Uint8Array.
+    // Returns the zip as a Uint8Array.
+    create(files, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date } = dosDateTime(modified);
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new Uint8Array(30 + name.length + data.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            localView.setUint16(4, 20, true); // version needed
+            localView.setUint16(6, 0x0800, true); // UTF-8 names
+            localView.setUint16(8, 0, true); // stored
+            localView.setUint16(10, time, true);
+            localView.setUint16(12, date, true);
+            localView.setUint32(14, crc, true);
+            localView.setUint32(18, data.length, true);
+            localView.setUint32(22, data.length, true);
+            localView.setUint16(26, name.length, true);
+            local.set(name, 30);
+            local.set(data, 30 + name.length);
+
+            const central = new Uint8Array(46 + name.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true); // version made by
+            centralView.setUint16(6, 20, true);
+            centralView.setUint16(8, 0x0800, true);
+            centralView.setUint16(10, 0, true);
+            centralView.setUint16(12, time, true);
+            centralView.setUint16(14, date, true);
+            centralView.setUint32(16, crc, true);
+            centralView.setUint32(20, data.length, true);
+            centralView.setUint32(24, data.length, true);
+            centralView.setUint16(28, name.length, true);
+            centralView.setUint32(42, offset, true);
+            central.set(name, 46);
+
+            locals.push(local);
+            centrals.push(central);
+            offset += local.length;
+        });
+
+        const directorySize = centrals.reduce((sum, central) => sum + central.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, directorySize, true);
+        endView.setUint32(16, offset, true);
+
+        const zip = new Uint8Array(offset + directorySize + end.length);
+        let position = 0;
+        [...locals, ...centrals, end].forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+};
+
+export default ZipWriter;
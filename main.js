@@ -5,6 +5,26 @@ import AutoRecovery from './core/auto-recovery.js';
 import SceneManager from './core/scene-manager.js';
 import EquipmentManager from './core/equipment-manager.js';
 import EnvironmentManager from './core/environment-manager.js';
+import ProjectFile from './core/project-file.js';
+import Rigging from './core/rigging.js';
+import PlotSVG from './core/plot-svg.js';
+import Photometrics from './core/photometrics.js';
+import ColorTemperature from './core/color-temperature.js';
+import DMXPatch from './core/dmx-patch.js';
+import DMXOutput from './core/dmx-output.js';
+import Power from './core/power.js';
+import CablePlan from './core/cable-plan.js';
+import GearList from './core/gear-list.js';
+import EquipmentCatalog from './core/equipment-catalog.js';
+import FixtureLibrary from './core/fixture-library.js';
+import GDTF from './core/gdtf.js';
+import MVR from './core/mvr.js';
+import CommandHistory from './core/command-history.js';
+import Snapping from './core/snapping.js';
+import GripModifiers from './core/grip-modifiers.js';
+import SetupParser from './core/setup-parser.js';
+import SetupPresets from './core/setup-presets.js';
+import CameraView from './core/camera-view.js';
 
 // Initialize protection systems
 CoreProtection.protectModule('SceneManager', SceneManager, '1.0.0');
@@ -183,6 +203,21 @@ let scene, camera, renderer, controls;
 let room = null;
 let lights = [];
 let labelRenderer;
+let objects = [];
+let currentEnvironmentType = 'blank';
+let equipmentIdCounter = 0;
+let currentProjectName = 'Untitled Plot';
+
+// Listeners notified whenever placed equipment changes
+const sceneChangeListeners = [];
+
+function onSceneChanged(listener) {
+    sceneChangeListeners.push(listener);
+}
+
+function notifySceneChanged() {
+    sceneChangeListeners.forEach(listener => listener());
+}
 
 // Constants for materials
 const MATERIALS = {
@@ -285,13 +320,16 @@ const environments = {
             grid: {
                 height: 30,
                 spacing: 2,
+                extent: 15,     // pipes run from -extent to +extent
+                weightPerFoot: 2.7,     // 1-1/2" schedule 40 pipe, lbs
+                nodeCapacity: 500,      // rated load where pipes cross, lbs
                 color: 0x444444,
                 create: function() {
                     const group = new THREE.Group();
                     
                     // Create pipe grid
-                    for(let x = -15; x <= 15; x += 2) {
-                        for(let z = -15; z <= 15; z += 2) {
+                    for(let x = -this.extent; x <= this.extent; x += this.spacing) {
+                        for(let z = -this.extent; z <= this.extent; z += this.spacing) {
                             const pipe = new THREE.Mesh(
                                 new THREE.CylinderGeometry(0.05, 0.05, 0.1, 8),
                                 new THREE.MeshStandardMaterial({color: this.color})
@@ -321,6 +359,50 @@ const environments = {
                     return group;
                 }
             },
+            trusses: {
+                riggingConfig: {
+                    trussColor: 0x444444,
+                    numTrussesLength: 4,
+                    numTrussesWidth: 4,
+                    trussSize: 1,     // 12" box truss
+                    weightPerFoot: 7, // lbs
+                    motor: '1-ton'    // one each end
+                },
+                create: function(width, length, height) {
+                    const group = new THREE.Group();
+                    const material = new THREE.MeshStandardMaterial({
+                        color: this.riggingConfig.trussColor,
+                        roughness: 0.7,
+                        metalness: 0.8
+                    });
+                    
+                    Rigging.getTrussLayout({ width, length, height }, this.riggingConfig).forEach(truss => {
+                        const span = new THREE.Vector3(
+                            truss.end.x - truss.start.x,
+                            truss.end.y - truss.start.y,
+                            truss.end.z - truss.start.z
+                        );
+                        const mesh = new THREE.Mesh(
+                            new THREE.BoxGeometry(truss.size, truss.size, span.length()),
+                            material
+                        );
+                        mesh.position.set(
+                            (truss.start.x + truss.end.x)/2,
+                            (truss.start.y + truss.end.y)/2,
+                            (truss.start.z + truss.end.z)/2
+                        );
+                        mesh.rotation.y = Math.atan2(span.x, span.z);
+                        mesh.userData = {
+                            isRigging: true,
+                            trussId: truss.id,
+                            label: truss.label
+                        };
+                        group.add(mesh);
+                    });
+                    
+                    return group;
+                }
+            },
             walls: {
                 color: 0x222222,
                 create: function(width, length, height) {
@@ -504,6 +586,7 @@ window.setEnvironment = function(envType) {
     }
     
     console.log('Creating new environment:', envConfig.name);
+    currentEnvironmentType = envType;
     
     // Create setup panel if it doesn't exist
     let setupPanel = document.getElementById('environmentSetup');
@@ -549,6 +632,7 @@ window.setEnvironment = function(envType) {
     
     // Add environment to scene
     scene.add(room);
+    applyWorkLightLevel();
     
     // Reset camera to a better default position
     camera.position.set(30, 30, 30);
@@ -565,232 +649,12 @@ window.setEnvironment = function(envType) {
 // Make generateLightingDesign available globally
 window.generateLightingDesign = function() {
     const description = document.getElementById('sceneDescription').value;
-    const analysis = analyzePrompt(description);
-    createEquipmentFromAnalysis(analysis);
+    const analysis = SetupParser.parse(description);
+    const notes = createEquipmentFromAnalysis(analysis);
     updateGearRecommendations(description);
+    updateSetupPanel(notes);
 };
 
-// Lighting Equipment Database with real-world specs
-const lightingEquipment = {
-    'LED': {
-        'ARRI': [
-            { 
-                name: 'SkyPanel S360-C',
-                type: 'LED Panel',
-                dimensions: { width: 55.9, height: 25.3, depth: 7.9 }, // inches
-                beamAngle: { spot: 105, flood: 115 }, // degrees
-                output: { distance: 9.8, fc: 188 }, // footcandles at distance
-                power: '2000W equivalent'
-            },
-            { 
-                name: 'SkyPanel S60-C',
-                type: 'LED Panel',
-                dimensions: { width: 25.4, height: 11.8, depth: 6.7 },
-                beamAngle: { spot: 115, flood: 125 },
-                output: { distance: 6.6, fc: 139 },
-                power: '650W equivalent'
-            }
-        ],
-        'APUTURE': [
-            {
-                name: '600D Pro',
-                type: 'LED Fresnel',
-                dimensions: { width: 12.8, height: 10.2, depth: 7.1 },
-                beamAngle: { spot: 15, flood: 45 },
-                output: { distance: 9.8, fc: 9700 }, // with fresnel lens
-                power: '600W'
-            },
-            {
-                name: '300X',
-                type: 'LED Fresnel',
-                dimensions: { width: 11.8, height: 9.1, depth: 6.3 },
-                beamAngle: { spot: 20, flood: 55 },
-                output: { distance: 9.8, fc: 4800 },
-                power: '300W'
-            }
-        ]
-    },
-    'HMI': {
-        'ARRI': [
-            {
-                name: 'M18',
-                type: 'HMI Fresnel',
-                dimensions: { width: 22.8, height: 18.9, depth: 14.2 },
-                beamAngle: { spot: 12, flood: 50 },
-                output: { distance: 19.7, fc: 1850 },
-                power: '1800W'
-            },
-            {
-                name: 'M90',
-                type: 'HMI Fresnel',
-                dimensions: { width: 31.5, height: 27.6, depth: 19.7 },
-                beamAngle: { spot: 8, flood: 55 },
-                output: { distance: 32.8, fc: 4300 },
-                power: '9000W'
-            }
-        ]
-    },
-    'Grip': {
-        'Overhead': [
-            {
-                name: '20x20 Frame',
-                type: 'Overhead Frame',
-                riggingRequirements: [
-                    '4x 1-ton motors',
-                    'Safety cables',
-                    'Load test certification'
-                ],
-                setupInstructions: [
-                    'Verify structural support points',
-                    'Install motors at designated points',
-                    'Assemble frame on ground',
-                    'Attach safety cables',
-                    'Raise to working height'
-                ]
-            },
-            {
-                name: '12x12 Frame',
-                type: 'Overhead Frame',
-                riggingRequirements: [
-                    '2x 1/2-ton motors',
-                    'Safety cables',
-                    'Load test certification'
-                ],
-                setupInstructions: [
-                    'Verify structural support points',
-                    'Install motors at designated points',
-                    'Assemble frame on ground',
-                    'Attach safety cables',
-                    'Raise to working height'
-                ]
-            }
-        ],
-        'Fabrics': [
-            {
-                name: '20x20 UltraBounce',
-                type: 'Reflector',
-                specs: 'Double-sided White/Black'
-            },
-            {
-                name: '12x12 UltraBounce',
-                type: 'Reflector',
-                specs: 'Double-sided White/Black'
-            },
-            {
-                name: '8x8 UltraBounce',
-                type: 'Reflector',
-                specs: 'Double-sided White/Black'
-            }
-        ],
-        'Support': [
-            {
-                name: 'C-Stand',
-                type: 'Support',
-                specs: 'Chrome plated, 40" arm'
-            },
-            {
-                name: 'Menace Arm',
-                type: 'Support',
-                specs: '8ft reach, 100lb capacity'
-            }
-        ]
-    }
-};
-
-// Scene presets for common lighting setups
-const lightingPresets = {
-    'interview': {
-        name: 'Interview Setup - High Key',
-        description: 'Classic three-point lighting setup for interviews',
-        lights: [
-            { type: 'key', position: [2, 2, -2], intensity: 1.0, fixture: 'ARRI SkyPanel S60-C' },
-            { type: 'fill', position: [-2, 1.5, -1], intensity: 0.5, fixture: 'LiteMat+ Plus 4' },
-            { type: 'back', position: [-1, 2, 2], intensity: 0.7, fixture: 'LiteMat+ Plus 4' }
-        ]
-    },
-    'noir': {
-        name: 'Film Noir Scene',
-        description: 'Dramatic high-contrast lighting with strong shadows',
-        lights: [
-            { type: 'key', position: [3, 3, -2], intensity: 1.0, fixture: 'ARRI M18' },
-            { type: 'rim', position: [-2, 2, 2], intensity: 0.8, fixture: 'ARRI T12' }
-        ]
-    },
-    'product': {
-        name: 'Product Photography',
-        description: 'Soft, even lighting for product shots',
-        lights: [
-            { type: 'main', position: [0, 3, 0], intensity: 1.0, fixture: 'ARRI SkyPanel S360-C' },
-            { type: 'fill1', position: [-2, 1, -2], intensity: 0.6, fixture: 'LiteMat+ Plus 8' },
-            { type: 'fill2', position: [2, 1, -2], intensity: 0.6, fixture: 'LiteMat+ Plus 8' }
-        ]
-    }
-};
-
-// Enhanced prompt analysis for lighting terminology
-function analyzePrompt(description) {
-    const analysis = {
-        overhead: null,  // Will contain overhead setup if specified
-        negFill: [],    // Will contain negative fill setups
-        lights: [],     // Will contain individual lights
-        modifiers: []   // Will contain flags, diffusion, etc.
-    };
-    
-    // Parse overhead setups (e.g., "20x20 in ceiling")
-    const overheadMatch = description.match(/(\d+)x(\d+)\s+(?:in\s+)?(?:ceiling|overhead|grid)/i);
-    if (overheadMatch) {
-        analysis.overhead = {
-            size: {
-                width: parseInt(overheadMatch[1]),
-                length: parseInt(overheadMatch[2])
-            },
-            lights: []
-        };
-        
-        // Look for lights in the overhead
-        const skyPanelMatch = description.match(/(\d+)\s+(?:sky\s*panels?|s\d+s?)/i);
-        if (skyPanelMatch) {
-            const numPanels = parseInt(skyPanelMatch[1]);
-            // Calculate even distribution in the overhead space
-            const spacing = analysis.overhead.size.width / (Math.ceil(Math.sqrt(numPanels)));
-            let panelsPlaced = 0;
-            
-            for (let x = -analysis.overhead.size.width/2 + spacing; 
-                 panelsPlaced < numPanels && x < analysis.overhead.size.width/2; 
-                 x += spacing) {
-                for (let z = -analysis.overhead.size.length/2 + spacing; 
-                     panelsPlaced < numPanels && z < analysis.overhead.size.length/2; 
-                     z += spacing) {
-                    analysis.overhead.lights.push({
-                        type: 'ARRI SkyPanel S60-C',
-                        position: new THREE.Vector3(x, environments.studio.features.grid.height - 1, z),
-                        rotation: new THREE.Euler(-Math.PI/2, 0, 0) // Point downward
-                    });
-                    panelsPlaced++;
-                }
-            }
-        }
-    }
-    
-    // Parse negative fill (e.g., "8x8 neg")
-    const negMatch = description.match(/(\d+)x(\d+)\s+neg/i);
-    if (negMatch) {
-        analysis.negFill.push({
-            size: {
-                width: parseInt(negMatch[1]),
-                height: parseInt(negMatch[2])
-            },
-            type: 'UltraBounce',
-            side: 'black',
-            // Default position - user can drag to adjust
-            position: new THREE.Vector3(-5, 6, -5),
-            rotation: new THREE.Euler(0, Math.PI/4, 0)
-        });
-    }
-    
-    return analysis;
-}
-
 // View control definitions
 const viewControls = {
     freeOrbit: {
@@ -910,6 +774,7 @@ function switchView(viewName) {
 
 // Add keyboard shortcuts for views
 document.addEventListener('keydown', (event) => {
+    if (isTextEntry(event.target)) return;
     switch(event.key) {
         case '1':
             switchView('freeOrbit');
@@ -923,6 +788,12 @@ document.addEventListener('keydown', (event) => {
         case '4':
             switchView('front');
             break;
+        case 'b':
+            setBeamConesVisible(!beamConesVisible);
+            break;
+        case 'l':
+            setLightingPreview(!lightingPreview);
+            break;
     }
 });
 
@@ -961,7 +832,7 @@ function createEnvironmentSelector() {
             width: 120px;
             text-align: left;
         `;
-        button.addEventListener('click', () => setEnvironment(envKey));
+        button.addEventListener('click', () => changeEnvironment(envKey));
         selector.appendChild(button);
     });
     
@@ -999,8 +870,16 @@ function initScene() {
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.shadowMap.enabled = true;
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    // Inverse-square falloff for fixture lights (scene units are feet)
+    renderer.physicallyCorrectLights = true;
     container.appendChild(renderer.domElement);
     
+    if (THREE.RectAreaLightUniformsLib) {
+        THREE.RectAreaLightUniformsLib.init();
+    } else {
+        console.warn('RectAreaLightUniformsLib not loaded; LED panels and lit frames preview as spot lights');
+    }
+    
     // Set up CSS2D renderer for labels
     labelRenderer = new THREE.CSS2DRenderer();
     labelRenderer.setSize(container.clientWidth, container.clientHeight);
@@ -1110,6 +989,23 @@ window.addEventListener('load', () => {
     
     setupDropZone();
     
+    createProjectControls();
+    createGearPanel();
+    createLightMeterPanel();
+    createHeatmapPanel();
+    createInspectorPanel();
+    createPatchPanel();
+    createPowerPanel();
+    createCablePanel();
+    createRiggingPanel();
+    createSetupPanel();
+    createPresetPanel();
+    createShotPanel();
+    createHistoryPanel();
+    createDisplayOptions();
+    setupSelection();
+    restoreAutosave();
+    
     // Initialize event listeners
     initEventListeners();
 });
@@ -1164,7 +1060,14 @@ function createLight(type, position, fixture) {
     const group = new THREE.Group();
     
     // Get fixture specs
-    const specs = findFixtureSpecs(fixture);
+    const specs = getFixtureSpecs(fixture);
+    
+    // The yoke pans on the stand and the head tilts inside it.
+    // The head's +Z axis is the beam axis.
+    const yoke = new THREE.Group();
+    yoke.name = 'yoke';
+    const head = new THREE.Group();
+    head.name = 'head';
     
     // Create base shape based on fixture type
     if (fixture.includes('SkyPanel')) {
@@ -1184,7 +1087,6 @@ function createLight(type, position, fixture) {
         edgeMesh.position.z = 0.2;
         
         // Add yoke
-        const yoke = new THREE.Group();
         const yokeArm = new THREE.BoxGeometry(0.1, 1.8, 0.1);
         const leftArm = new THREE.Mesh(
             yokeArm,
@@ -1195,11 +1097,13 @@ function createLight(type, position, fixture) {
         rightArm.position.x = 1.1;
         yoke.add(leftArm, rightArm);
         
-        group.add(housingMesh, edgeMesh, yoke);
+        head.add(housingMesh, edgeMesh);
+        head.userData.emitter = { width: 2, height: 1.2, front: 0.25 };
     } 
-    else if (fixture.includes('M18') || fixture.includes('T2')) {
-        // Create Fresnel-style housing
+    else {
+        // Create Fresnel-style housing with the lens facing +Z
         const housing = new THREE.CylinderGeometry(0.8, 1, 1.5, 8);
+        housing.rotateX(Math.PI / 2);
         const housingMesh = new THREE.Mesh(
             housing,
             new THREE.MeshPhongMaterial({ color: 0x666666 })
@@ -1216,10 +1120,8 @@ function createLight(type, position, fixture) {
             })
         );
         lensMesh.position.z = 0.76;
-        lensMesh.rotation.x = -Math.PI / 2;
         
         // Add yoke
-        const yoke = new THREE.Group();
         const yokeArm = new THREE.BoxGeometry(0.1, 2, 0.1);
         const leftArm = new THREE.Mesh(
             yokeArm,
@@ -1230,9 +1132,13 @@ function createLight(type, position, fixture) {
         rightArm.position.x = 1;
         yoke.add(leftArm, rightArm);
         
-        group.add(housingMesh, lensMesh, yoke);
+        head.add(housingMesh, lensMesh);
+        head.userData.emitter = { width: 0, height: 0, front: 0.8 };
     }
     
+    yoke.add(head);
+    group.add(yoke);
+    
     // Add label
     const labelDiv = document.createElement('div');
     labelDiv.className = 'light-label';
@@ -1257,23 +1163,129 @@ function createLight(type, position, fixture) {
     return group;
 }
 
-// Helper function to find fixture specs with better logging
-function findFixtureSpecs(fixtureName) {
-    console.log('Looking for specs for:', fixtureName);
+// Catalog entry for a fixture name, including brand-prefixed names ('ARRI M18')
+function getFixtureSpecs(fixtureName) {
+    return EquipmentCatalog.get(fixtureName);
+}
+
+// Pan turns the yoke on its stand and tilt pitches the head inside it,
+// both kept in degrees in the item's settings. Positive tilt aims the
+// beam down.
+function isAimable(mesh) {
+    return !!mesh.getObjectByName('yoke') && !!mesh.getObjectByName('head');
+}
+
+// A hung unit is turned upside down about its beam axis, which reverses
+// the yoke's and head's own axes; pan and tilt keep their meaning.
+// Checked on the quaternion, as a gizmo turn can re-express the Euler.
+function isInverted(mesh) {
+    return new THREE.Vector3(0, 1, 0).applyQuaternion(mesh.quaternion).y < 0;
+}
+
+// Plan heading of the item's front (local +Z)
+function getEquipmentHeading(mesh) {
+    const front = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+    return Math.atan2(front.x, front.z);
+}
+
+function getAimSign(mesh) {
+    return isInverted(mesh) ? -1 : 1;
+}
+
+function applyFixtureAim(mesh) {
+    if (!isAimable(mesh)) return;
+    const settings = mesh.userData.settings || {};
+    const sign = getAimSign(mesh);
+    mesh.getObjectByName('yoke').rotation.y = THREE.MathUtils.degToRad(settings.pan || 0) * sign;
+    mesh.getObjectByName('head').rotation.x = THREE.MathUtils.degToRad(settings.tilt || 0) * sign;
+}
+
+// Direction the fixture's lens faces in world space
+function getFixtureDirection(mesh) {
+    return (mesh.getObjectByName('head') || mesh).getWorldDirection(new THREE.Vector3());
+}
+
+// Beam angles from the photometric specs, falling back to the catalog's
+// display range ('12° - 65°')
+function getFixtureBeamAngle(mesh) {
+    if (!FIXTURE_CATEGORIES.includes(mesh.userData.type)) return null;
     
-    // Search through equipment database for matching fixture
-    for (const category of Object.values(lightingEquipment)) {
-        for (const brand of Object.values(category)) {
-            const fixture = brand.find(f => f.name === fixtureName);
-            if (fixture) {
-                console.log('Found fixture specs:', fixture);
-                return fixture;
-            }
-        }
-    }
+    const beamAngle = getFixtureSpecs(mesh.userData.name)?.photometrics?.beamAngle;
+    if (beamAngle) return beamAngle;
     
-    console.log('No specs found for:', fixtureName);
-    return null;
+    const range = mesh.userData.specs?.beam?.match(/\d+/g);
+    if (!range) return null;
+    return { spot: Number(range[0]), flood: Number(range[1] || range[0]) };
+}
+
+// Photometric description of a placed fixture, or null if it has no output data
+function getFixturePhotometrics(mesh) {
+    if (!FIXTURE_CATEGORIES.includes(mesh.userData.type)) return null;
+    
+    const output = getFixtureSpecs(mesh.userData.name)?.photometrics?.output;
+    if (!output) return null;
+    
+    const settings = mesh.userData.settings || {};
+    return {
+        id: mesh.userData.id,
+        label: `${settings.unit ?? ''} ${mesh.userData.name}`.trim(),
+        position: (mesh.getObjectByName('head') || mesh).getWorldPosition(new THREE.Vector3()),
+        direction: getFixtureDirection(mesh),
+        output: output,
+        beamAngle: getFixtureBeamAngle(mesh),
+        focus: settings.focus ?? 0,
+        dimmer: settings.dimmer ?? 1,
+        transmission: getFixtureColor(mesh).transmission
+    };
+}
+
+// Fabric on each placed frame, flag or net as a flat surface for the
+// photometrics (see GripModifiers)
+function getModifierSurfaces() {
+    return objects
+        .filter(mesh => getFabricChoices(mesh) && mesh.userData.settings.fabric !== 'none')
+        .map(mesh => {
+            const fabric = mesh.getObjectByName('fabric');
+            fabric.updateWorldMatrix(true, false);
+            const axis = (x, y, z) => {
+                const v = new THREE.Vector3(x, y, z).transformDirection(fabric.matrixWorld);
+                return { x: v.x, y: v.y, z: v.z };
+            };
+            const center = fabric.getWorldPosition(new THREE.Vector3());
+            return {
+                id: mesh.userData.id,
+                label: describeEquipment(mesh),
+                center: { x: center.x, y: center.y, z: center.z },
+                normal: axis(0, 0, 1),
+                right: axis(1, 0, 0),
+                up: axis(0, 1, 0),
+                width: fabric.userData.width,
+                height: fabric.userData.height,
+                fabric: GripModifiers.getFabric(mesh.userData.settings.fabric)
+            };
+        });
+}
+
+// Everything lighting the set: fixtures, shaded by any modifiers in their
+// way, and the soft light coming back off or through the modifiers they
+// hit. Soft sources carry the colour mixed from the fixtures feeding them.
+function getLightSources() {
+    const surfaces = getModifierSurfaces();
+    const fixtures = objects.map(getFixturePhotometrics).filter(Boolean)
+        .map(fixture => ({ ...fixture, occluders: surfaces }));
+    
+    const softSources = GripModifiers.getSoftSources(fixtures, surfaces).map(source => {
+        const mix = ColorTemperature.mix(source.contributions.map(entry => ({
+            ...getFixtureColor(findEquipment(entry.id)),
+            weight: entry.lumens
+        })));
+        return {
+            ...source,
+            color: mix,
+            occluders: surfaces.filter(surface => surface.id !== source.surface)
+        };
+    });
+    return [...fixtures, ...softSources];
 }
 
 function calculateFixtureScale(dimensions, roomDimensions) {
@@ -1282,53 +1294,42 @@ function calculateFixtureScale(dimensions, roomDimensions) {
     return roomScale * 0.0833; // Convert inches to feet
 }
 
+// Fixture colour temperature before gels: the user's setting (kept inside
+// the fixture's range), else the catalog's fixed or default temperature
+function getFixtureCCT(mesh) {
+    const range = ColorTemperature.parseRange(mesh.userData.specs?.color);
+    const cct = mesh.userData.settings?.cct;
+    
+    if (range) {
+        if (!range.variable) return range.min;
+        if (cct) return Math.min(Math.max(cct, range.min), range.max);
+        return Math.min(Math.max(ColorTemperature.DAYLIGHT, range.min), range.max);
+    }
+    if (cct) return cct;
+    return mesh.userData.type === 'Tungsten' ? ColorTemperature.TUNGSTEN : ColorTemperature.DAYLIGHT;
+}
+
+// Colour leaving the fixture once its gels are applied:
+// { source, kelvin, miredShift, green, transmission }
+function getFixtureColor(mesh) {
+    const source = getFixtureCCT(mesh);
+    return {
+        source: source,
+        ...ColorTemperature.applyGels(source, mesh.userData.settings?.gels || [])
+    };
+}
+
+function formatGreen(green) {
+    if (Math.abs(green) < 0.01) return 'no green shift';
+    return `${green > 0 ? '+' : '−'}${Math.abs(green).toFixed(2)} ${green > 0 ? 'green' : 'magenta'}`;
+}
+
 function calculateLightIntensity(output) {
     // Convert real-world footcandles to Three.js intensity
     // This is a simplified conversion - would need real-world testing to perfect
     return (output.fc / 1000) * Math.pow(output.distance, 2);
 }
 
-// Enhanced room analysis
-function analyzeRoomSetup(description) {
-    const analysis = {
-        dimensions: { width: 0, length: 0, height: 12 }, // Default height 12 feet
-        fixtures: []
-    };
-    
-    // Parse dimensions
-    const dimensionMatch = description.match(/(\d+)x(\d+)/);
-    if (dimensionMatch) {
-        analysis.dimensions.width = parseInt(dimensionMatch[1]);
-        analysis.dimensions.length = parseInt(dimensionMatch[2]);
-        
-        // Adjust height based on room size
-        if (analysis.dimensions.width >= 30 || analysis.dimensions.length >= 30) {
-            analysis.dimensions.height = 16; // Higher ceiling for larger rooms
-        }
-    }
-    
-    // Parse fixture requests
-    const fixtures = {
-        'arri s60': 'SkyPanel S60-C',
-        'm18': 'M18',
-        '600d': '600D Pro',
-        'skypanel': 'SkyPanel S360-C'
-        // Add more fixture mappings
-    };
-    
-    // Look for fixture mentions in description
-    for (const [keyword, fixtureName] of Object.entries(fixtures)) {
-        if (description.toLowerCase().includes(keyword)) {
-            analysis.fixtures.push({
-                name: fixtureName,
-                specs: findFixtureSpecs(fixtureName)
-            });
-        }
-    }
-    
-    return analysis;
-}
-
 // Clear existing lights
 function clearLights() {
     lights.forEach(light => scene.remove(light));
@@ -1369,57 +1370,45 @@ function createGearPanel() {
         color: white;
         padding: 15px;
         border-radius: 8px;
+        max-height: 50vh;
+        overflow-y: auto;
+    `;
+    
+    // Gear list from the scene, then keyword recommendations
+    panel.innerHTML = `
+        <div id="gearList"></div>
+        <div id="gearRecommendations"></div>
     `;
     document.body.appendChild(panel);
+    
+    onSceneChanged(scheduleGearListUpdate);
+    updateGearList();
     return panel;
 }
 
 // Update gear recommendations based on description
 function updateGearRecommendations(description) {
-    const panel = document.getElementById('gearPanel') || createGearPanel();
+    if (!document.getElementById('gearPanel')) createGearPanel();
+    const panel = document.getElementById('gearRecommendations');
     panel.innerHTML = '<h3>Recommended Equipment:</h3>';
 
-    // Parse the description for key terms
-    const terms = description.toLowerCase().split(' ');
-    let recommendations = [];
-
-    // Check for specific lighting needs
-    if (description.includes('skypanel')) {
-        const skyPanelInfo = {
-            name: 'ARRI SkyPanel S60-C',
-            specs: 'Variable CCT 2800K-10000K, RGBW',
-            accessories: [
-                'Chimera Lightbank',
-                'Honeycomb Grid',
-                'Barndoors'
-            ],
-            power: '450W LED (1.2K Tungsten equivalent)',
-            notes: 'Ideal for soft, even illumination. Consider the S360-C for larger spaces.'
-        };
-        recommendations.push(skyPanelInfo);
-    }
-
-    // Check for grip equipment
-    if (description.includes('ultrabounce')) {
-        const bounceInfo = {
-            name: '8x8 Ultra Bounce',
-            specs: 'Double-sided White/Black',
-            rigging: [
-                '2x C-Stands with Grip Heads',
-                'Sand Bags',
-                'Safety Cables'
-            ],
-            notes: 'Position 45° to source for optimal reflection. Consider Matthews RoadRags Kit for mobility.'
-        };
-        recommendations.push(bounceInfo);
-    }
+    // Equipment named in the description, with what the catalog says
+    // goes with it
+    const recommendations = EquipmentCatalog.findMentions(description).map(entry => ({
+        name: entry.name,
+        specs: [entry.type, entry.color || entry.details?.type].filter(Boolean).join(', '),
+        power: entry.power,
+        accessories: entry.accessories,
+        rigging: entry.rigging,
+        notes: entry.notes
+    }));
 
     // Display recommendations
     recommendations.forEach(item => {
         const itemHtml = `
             <div class="gear-item" style="margin: 10px 0; padding: 10px; border: 1px solid #444;">
-                <h4 style="margin: 0 0 8px 0;">${item.name}</h4>
-                ${item.specs ? `<p style="margin: 4px 0;">Specs: ${item.specs}</p>` : ''}
+                <h4 style="margin: 0 0 8px 0;">${escapeHTML(item.name)}</h4>
+                ${item.specs ? `<p style="margin: 4px 0;">Specs: ${escapeHTML(item.specs)}</p>` : ''}
                 ${item.power ? `<p style="margin: 4px 0;">Power: ${item.power}</p>` : ''}
                 ${item.accessories ? `
                     <p style="margin: 4px 0;">Recommended Accessories:</p>
@@ -1454,6 +1443,101 @@ function updateGearRecommendations(description) {
     }
 }
 
+// Rental order from everything placed, plus gels and cable
+let gearListQueued = false;
+
+function getGearItems() {
+    // Cameras and talent marks are on the plot for framing, not on the order
+    const items = objects.filter(mesh => mesh.userData.type !== CAMERA_CATEGORY).map(mesh => {
+        const { type, name, specs, settings } = mesh.userData;
+        const notes = [];
+        if (settings.patch?.mode) notes.push(`DMX ${settings.patch.mode}`);
+        if (settings.fabric && settings.fabric !== 'none') notes.push(GripModifiers.getFabric(settings.fabric).label);
+        return { category: type, name, details: specs, unit: settings.unit, notes };
+    });
+    
+    // Gel is cut per fixture
+    objects.forEach(mesh => {
+        (mesh.userData.settings.gels || []).forEach(id => {
+            const gel = ColorTemperature.findGel(id);
+            if (!gel) return;
+            items.push({
+                category: 'Expendables',
+                name: `${gel.brand} ${gel.number} ${gel.name}`,
+                details: { transmission: `${Math.round(gel.transmission * 100)}%` },
+                unit: mesh.userData.settings.unit,
+                notes: []
+            });
+        });
+    });
+    
+    CablePlan.plan(getCableRuns().runs).pullList.forEach(item => {
+        items.push({
+            category: 'Cable',
+            name: `${item.cable} ${item.length}'`,
+            quantity: item.count + item.spares,
+            notes: item.spares ? [`includes ${item.spares} spare`] : []
+        });
+    });
+    
+    return items;
+}
+
+function getGearList() {
+    return GearList.build(getGearItems(), [...EquipmentCatalog.getCategories(), 'Cable', 'Expendables']);
+}
+
+function exportGearList(format) {
+    const groups = getGearList();
+    const text = format === 'json' ?
+        GearList.toJSON(groups, { project: currentProjectName }) :
+        GearList.toCSV(groups);
+    const blob = new Blob([text], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ` - gear list.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Gear list exported:', link.download);
+}
+
+function updateGearList() {
+    const container = document.getElementById('gearList');
+    if (!container) return;
+    
+    const groups = getGearList();
+    container.innerHTML = `
+        <h3 style="margin: 0 0 8px 0;">Gear List (${GearList.getTotalCount(groups)} items)</h3>
+        <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+            <button id="gearExportCSV">Export CSV</button>
+            <button id="gearExportJSON">Export JSON</button>
+        </div>
+        ${groups.length ? groups.map(group => `
+            <h4 style="margin: 8px 0 4px 0;">${group.category}</h4>
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                ${group.lines.map(line => `
+                    <tr title="${escapeHTML(line.specs)}">
+                        <td style="width: 30px; text-align: right; padding-right: 6px;">${line.quantity}×</td>
+                        <td>${escapeHTML(line.name)}${line.notes ? `<div style="color: #aaa;">${escapeHTML(line.notes)}</div>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `).join('') : '<p style="margin: 4px 0; font-style: italic;">Nothing placed yet.</p>'}
+    `;
+    
+    document.getElementById('gearExportCSV').addEventListener('click', () => exportGearList('csv'));
+    document.getElementById('gearExportJSON').addEventListener('click', () => exportGearList('json'));
+}
+
+function scheduleGearListUpdate() {
+    if (gearListQueued) return;
+    gearListQueued = true;
+    requestAnimationFrame(() => {
+        gearListQueued = false;
+        updateGearList();
+    });
+}
+
 // Add diagnostic logging
 function logDiagnostics(title, data) {
     console.log('=== ' + title + ' ===');
@@ -1540,156 +1624,8 @@ function setupDropZone() {
     });
 }
 
-// Equipment data structure with comprehensive lighting gear
-const equipmentData = {
-    'LED Fixtures': [
-        { 
-            name: 'ARRI SkyPanel S360-C',
-            specs: '1500W LED Panel',
-            details: {
-                power: '1500W',
-                beam: '105° - 115°',
-                color: 'RGBW, 2800K-10000K',
-                dmx: '8/16-bit',
-                dimensions: '55.9" x 25.3" x 7.9"'
-            }
-        },
-        { 
-            name: 'ARRI SkyPanel S60-C',
-            specs: '450W LED Panel',
-            details: {
-                power: '450W',
-                beam: '115° - 125°',
-                color: 'RGBW, 2800K-10000K',
-                dmx: '8/16-bit',
-                dimensions: '25.4" x 11.8" x 6.7"'
-            }
-        },
-        {
-            name: 'Aputure 600D Pro',
-            specs: '600W LED Fresnel',
-            details: {
-                power: '600W',
-                beam: '15° - 45°',
-                color: '5600K',
-                dmx: 'Yes',
-                dimensions: '12.8" x 10.2" x 7.1"'
-            }
-        }
-    ],
-    'HMI Fixtures': [
-        {
-            name: 'ARRI M18',
-            specs: '1800W HMI Fresnel',
-            details: {
-                power: '1800W',
-                beam: '12° - 50°',
-                color: '5600K',
-                ballast: 'Electronic',
-                dimensions: '22.8" x 18.9" x 14.2"'
-            }
-        },
-        {
-            name: 'ARRI M90',
-            specs: '9000W HMI Fresnel',
-            details: {
-                power: '9000W',
-                beam: '8° - 55°',
-                color: '5600K',
-                ballast: 'Electronic',
-                dimensions: '31.5" x 27.6" x 19.7"'
-            }
-        }
-    ],
-    'Tungsten': [
-        {
-            name: 'ARRI T12',
-            specs: '12000W Fresnel',
-            details: {
-                power: '12000W',
-                beam: '10° - 60°',
-                color: '3200K',
-                dimming: '100-0%',
-                dimensions: '34" x 30" x 22"'
-            }
-        },
-        {
-            name: 'ARRI T2',
-            specs: '2000W Fresnel',
-            details: {
-                power: '2000W',
-                beam: '12° - 65°',
-                color: '3200K',
-                dimming: '100-0%',
-                dimensions: '18" x 16" x 12"'
-            }
-        }
-    ],
-    'Grip Equipment': [
-        {
-            name: 'UltraBounce 12x12',
-            specs: 'Reflector/Diffusion',
-            details: {
-                size: '12\' x 12\'',
-                type: 'Double-sided White/Black',
-                rigging: '4x C-Stands or Frame',
-                weight: '12 lbs'
-            }
-        },
-        {
-            name: 'UltraBounce 8x8',
-            specs: 'Reflector/Diffusion',
-            details: {
-                size: '8\' x 8\'',
-                type: 'Double-sided White/Black',
-                rigging: '2x C-Stands or Frame',
-                weight: '8 lbs'
-            }
-        },
-        {
-            name: 'Flag Kit 24x36',
-            specs: 'Negative Fill/Cutter',
-            details: {
-                size: '24" x 36"',
-                type: 'Solid Black',
-                rigging: 'C-Stand',
-                includes: 'Flags, Nets, Silks'
-            }
-        },
-        {
-            name: 'C-Stand Kit',
-            specs: 'Support Equipment',
-            details: {
-                height: '10.5\'',
-                base: '40" Turtle Base',
-                grip: '40" Grip Arm',
-                weight: '15 lbs'
-            }
-        }
-    ],
-    'Overhead Rigs': [
-        {
-            name: '20x20 Frame',
-            specs: 'Overhead Grid',
-            details: {
-                size: '20\' x 20\'',
-                rigging: '4x 1-ton Motors',
-                safety: 'Required Cables',
-                certification: 'Load Test Required'
-            }
-        },
-        {
-            name: '12x12 Frame',
-            specs: 'Overhead Grid',
-            details: {
-                size: '12\' x 12\'',
-                rigging: '2x 1/2-ton Motors',
-                safety: 'Required Cables',
-                certification: 'Load Test Required'
-            }
-        }
-    ]
-};
+// Categories that hold lighting units (numbered on the plot)
+const FIXTURE_CATEGORIES = ['LED Fixtures', 'HMI Fixtures', 'Tungsten'];
 
 function createEquipmentPanel() {
     const panel = document.getElementById('equipmentPanel');
@@ -1701,43 +1637,9 @@ function createEquipmentPanel() {
     // Clear existing content
     panel.innerHTML = '<h3>Equipment List</h3>';
     
-    // Equipment categories and items
-    const equipment = {
-        'LED Fixtures': [
-            {
-                name: 'ARRI SkyPanel S60-C',
-                specs: '450W LED Panel',
-                details: { power: '450W', color: 'RGBW' }
-            },
-            {
-                name: 'ARRI SkyPanel S360-C',
-                specs: '1500W LED Panel',
-                details: { power: '1500W', color: 'RGBW' }
-            }
-        ],
-        'HMI Fixtures': [
-            {
-                name: 'ARRI M18',
-                specs: '1800W HMI Fresnel',
-                details: { power: '1800W', color: '5600K' }
-            }
-        ],
-        'Grip Equipment': [
-            {
-                name: 'C-Stand',
-                specs: 'Support Equipment',
-                details: { height: '10.5ft', arm: '40"' }
-            },
-            {
-                name: '8x8 UltraBounce',
-                specs: 'Reflector/Diffusion',
-                details: { size: '8\' x 8\'', type: 'Double-sided' }
-            }
-        ]
-    };
-    
     // Create sections for each category
-    Object.entries(equipment).forEach(([category, items]) => {
+    EquipmentCatalog.getCategories().forEach(category => {
+        const items = EquipmentCatalog.list(category);
         const section = document.createElement('div');
         section.className = 'equipment-section';
         
@@ -1745,17 +1647,30 @@ function createEquipmentPanel() {
         title.textContent = category;
         section.appendChild(title);
         
-        items.forEach(item => {
+        items.forEach(entry => {
+            const item = {
+                name: entry.name,
+                specs: EquipmentCatalog.getSummary(entry),
+                details: EquipmentCatalog.toDetails(entry)
+            };
             const equipDiv = document.createElement('div');
             equipDiv.className = 'equipment-item';
             equipDiv.draggable = true;
             
             equipDiv.innerHTML = `
-                <div class="name">${item.name}</div>
-                <div class="specs">${item.specs}</div>
-                <div class="power">${item.details.power || item.details.size || ''}</div>
+                <div class="name">${escapeHTML(item.name)}</div>
+                <div class="specs">${escapeHTML(item.specs)}</div>
+                <div class="power">${escapeHTML(item.details.power || item.details.size || item.details.capacity || '')}</div>
             `;
             
+            if (FixtureLibrary.isCustom(entry)) {
+                const edit = document.createElement('button');
+                edit.textContent = 'Edit';
+                edit.title = 'Edit this fixture in your library';
+                edit.addEventListener('click', () => openFixtureEditor(entry));
+                equipDiv.appendChild(edit);
+            }
+            
             // Add drag functionality
             equipDiv.addEventListener('dragstart', (e) => {
                 console.log('Drag started:', item.name);
@@ -1766,10 +1681,12 @@ function createEquipmentPanel() {
                     details: item.details
                 }));
                 equipDiv.classList.add('dragging');
+                draggedEquipment = { category, name: item.name };
             });
             
             equipDiv.addEventListener('dragend', () => {
                 equipDiv.classList.remove('dragging');
+                draggedEquipment = null;
             });
             
             section.appendChild(equipDiv);
@@ -1778,71 +1695,324 @@ function createEquipmentPanel() {
         panel.appendChild(section);
     });
     
+    // Catalogs loaded on top of the built-in equipment
+    const catalogs = document.createElement('div');
+    catalogs.className = 'equipment-section';
+    catalogs.innerHTML = `
+        <h4>Catalogs</h4>
+        ${EquipmentCatalog.getSources().filter(name => name !== FixtureLibrary.SOURCE).map(name => `
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <span>${escapeHTML(name)}</span>
+                <button data-catalog="${escapeHTML(name)}" title="Remove catalog">×</button>
+            </div>
+        `).join('')}
+        <div style="display: flex; gap: 5px; margin-top: 6px;">
+            <button id="newFixture">New Fixture...</button>
+            <button id="importGDTF">Import GDTF...</button>
+            <button id="loadCatalog">Load Catalog...</button>
+        </div>
+    `;
+    catalogs.querySelector('#newFixture').addEventListener('click', () => openFixtureEditor());
+    catalogs.querySelector('#importGDTF').addEventListener('click', openGDTFFiles);
+    catalogs.querySelector('#loadCatalog').addEventListener('click', openCatalogFile);
+    catalogs.querySelectorAll('[data-catalog]').forEach(button => {
+        button.addEventListener('click', () => removeCatalog(button.dataset.catalog));
+    });
+    panel.appendChild(catalogs);
+    
     console.log('Equipment panel populated');
 }
 
-// Initialize equipment panel after scene setup
-document.addEventListener('DOMContentLoaded', () => {
-    createEquipmentPanel();
-    setupDropZone();
-});
+// Equipment catalogs loaded from JSON files are kept in local storage and
+// registered again on the next visit
+function getStoredCatalogs() {
+    try {
+        return JSON.parse(localStorage.getItem(EquipmentCatalog.STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Discarding unreadable stored catalogs:', error);
+        return [];
+    }
+}
 
-// Update environment controls
-function createEnvironmentSetup() {
-    const setupPanel = document.createElement('div');
-    setupPanel.id = 'environmentSetup';
-    setupPanel.style.cssText = `
-        position: absolute;
-        left: 20px;
-        top: 100px;
-        background: rgba(0,0,0,0.7);
-        padding: 15px;
-        border-radius: 8px;
-        color: white;
-        z-index: 1;
-        display: none;
-    `;
+function storeCatalogs(catalogs) {
+    try {
+        localStorage.setItem(EquipmentCatalog.STORAGE_KEY, JSON.stringify(catalogs));
+    } catch (error) {
+        console.error('Could not store catalogs:', error);
+    }
+}
 
-    setupPanel.innerHTML = `
-        <h3>Environment Dimensions</h3>
-        <div style="margin: 10px 0;">
-            <label>Width (ft): <input type="number" id="envWidth" value="32" min="10" max="100"></label>
-        </div>
-        <div style="margin: 10px 0;">
-            <label>Length (ft): <input type="number" id="envLength" value="32" min="10" max="100"></label>
-        </div>
-        <div style="margin: 10px 0;">
-            <label>Height (ft): <input type="number" id="envHeight" value="20" min="8" max="40"></label>
-        </div>
-        <button id="lockEnvironment">Lock Environment</button>
-    `;
+function addCatalog(catalog) {
+    EquipmentCatalog.register(catalog.equipment, catalog.name);
+    storeCatalogs([...getStoredCatalogs().filter(stored => stored.name !== catalog.name), catalog]);
+    console.log(`Loaded ${catalog.equipment.length} items from catalog "${catalog.name}"`);
+}
 
-    document.body.appendChild(setupPanel);
+function removeCatalog(name) {
+    if (!confirm(`Remove catalog "${name}"? Placed equipment keeps its specs.`)) return;
+    EquipmentCatalog.unregister(name);
+    storeCatalogs(getStoredCatalogs().filter(stored => stored.name !== name));
+}
 
-    // Add lock environment handler
-    document.getElementById('lockEnvironment').addEventListener('click', () => {
-        environmentLocked = true;
-        currentEnvironmentDimensions = {
-            width: parseInt(document.getElementById('envWidth').value),
-            length: parseInt(document.getElementById('envLength').value),
-            height: parseInt(document.getElementById('envHeight').value)
-        };
-        
-        // Hide setup panel
-        setupPanel.style.display = 'none';
-        
-        // Show equipment panel
-        document.getElementById('equipmentPanel').style.display = 'block';
+function openCatalogFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
         
-        // Update environment with new dimensions
-        updateEnvironmentDimensions();
-        
-        console.log('Environment locked with dimensions:', currentEnvironmentDimensions);
+        file.text().then(text => {
+            try {
+                addCatalog(EquipmentCatalog.parse(text, file.name.replace(/\.json$/i, '')));
+            } catch (error) {
+                console.error('Failed to load catalog:', error);
+                alert('Could not load catalog: ' + error.message);
+            }
+        });
     });
+    input.click();
 }
 
-// Function to update environment with new dimensions
-function updateEnvironmentDimensions() {
+// The user's own fixtures, kept in local storage and listed with the
+// catalog as their own source
+let fixtureLibrary = [];
+
+function saveFixtureLibrary(library) {
+    fixtureLibrary = library;
+    try {
+        localStorage.setItem(FixtureLibrary.STORAGE_KEY, JSON.stringify(library));
+    } catch (error) {
+        console.error('Could not store fixture library:', error);
+        alert('Could not save your fixture library: ' + error.message);
+    }
+    EquipmentCatalog.register(library, FixtureLibrary.SOURCE);
+}
+
+function restoreFixtureLibrary() {
+    try {
+        fixtureLibrary = FixtureLibrary.parse(localStorage.getItem(FixtureLibrary.STORAGE_KEY));
+    } catch (error) {
+        console.error('Discarding unreadable fixture library:', error);
+        fixtureLibrary = [];
+    }
+    EquipmentCatalog.register(fixtureLibrary, FixtureLibrary.SOURCE);
+}
+
+const FIXTURE_EDITOR_FIELDS = [
+    { key: 'name', label: 'Name', type: 'text' },
+    { key: 'category', label: 'Category', type: 'category' },
+    { key: 'type', label: 'Type', type: 'text', placeholder: 'LED Panel' },
+    { key: 'width', label: 'Width (in)' },
+    { key: 'height', label: 'Height (in)' },
+    { key: 'depth', label: 'Depth (in)' },
+    { key: 'weight', label: 'Weight (lbs)' },
+    { key: 'spot', label: 'Spot angle (°)' },
+    { key: 'flood', label: 'Flood angle (°)' },
+    { key: 'distance', label: 'Output at (ft)' },
+    { key: 'fc', label: 'Output (fc)' },
+    { key: 'watts', label: 'Wattage (W)' },
+    { key: 'cctMin', label: 'CCT low (K)' },
+    { key: 'cctMax', label: 'CCT high (K)' },
+    { key: 'footprint', label: 'DMX footprint (ch)' }
+];
+
+// Form for adding a fixture to the library, or editing one already in it
+function openFixtureEditor(entry = null) {
+    document.getElementById('fixtureEditor')?.remove();
+    const values = entry ? FixtureLibrary.toForm(entry) : { category: FIXTURE_CATEGORIES[0] };
+    
+    const panel = document.createElement('div');
+    panel.id = 'fixtureEditor';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 360px;
+        max-height: 80vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+    `;
+    
+    const fieldRows = FIXTURE_EDITOR_FIELDS.map(field => {
+        const value = String(values[field.key] ?? '').replace(/"/g, '&quot;');
+        const input = field.type === 'category' ?
+            `<select data-field="${field.key}">${FIXTURE_CATEGORIES.map(category =>
+                `<option ${category === values.category ? 'selected' : ''}>${category}</option>`).join('')}</select>` :
+            `<input data-field="${field.key}" type="${field.type || 'number'}" value="${value}"
+                placeholder="${field.placeholder || ''}" style="width: 140px;">`;
+        return `<label style="display: flex; justify-content: space-between; margin: 4px 0;">${field.label} ${input}</label>`;
+    }).join('');
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">${entry ? 'Edit Fixture' : 'New Fixture'}</h3>
+        ${fieldRows}
+        <div style="color: #aaa; margin: 6px 0;">Output and DMX footprint may be left blank. Use one CCT for a fixed-colour unit.</div>
+        <div id="fixtureEditorErrors" style="color: #ff6666; margin: 6px 0;"></div>
+        <div style="display: flex; gap: 5px;">
+            <button id="fixtureEditorSave">Save to Library</button>
+            ${entry ? '<button id="fixtureEditorDelete">Delete</button>' : ''}
+            <button id="fixtureEditorCancel">Cancel</button>
+        </div>
+    `;
+    document.body.appendChild(panel);
+    
+    panel.querySelector('#fixtureEditorSave').addEventListener('click', () => {
+        const form = { id: entry?.id };
+        panel.querySelectorAll('[data-field]').forEach(input => {
+            form[input.dataset.field] = input.value.trim();
+        });
+        
+        const { entry: saved, errors } = FixtureLibrary.fromForm(form);
+        if (errors.length) {
+            panel.querySelector('#fixtureEditorErrors').innerHTML = errors.map(error => `<div>${escapeHTML(error)}</div>`).join('');
+            return;
+        }
+        saveFixtureLibrary(FixtureLibrary.save(fixtureLibrary, saved));
+        console.log('Saved fixture to library:', saved.name);
+        panel.remove();
+    });
+    
+    panel.querySelector('#fixtureEditorDelete')?.addEventListener('click', () => {
+        if (!confirm(`Delete "${entry.name}" from your library? Placed units keep their specs.`)) return;
+        saveFixtureLibrary(FixtureLibrary.remove(fixtureLibrary, entry.id));
+        panel.remove();
+    });
+    
+    panel.querySelector('#fixtureEditorCancel').addEventListener('click', () => panel.remove());
+}
+
+// Manufacturer GDTF files go into the fixture library. One for a fixture
+// already in the catalog replaces it, keeping its id and category.
+async function importGDTFFile(file) {
+    const imported = await GDTF.read(await file.arrayBuffer());
+    const existing = EquipmentCatalog.get(imported.name);
+    const entry = existing ?
+        { ...imported, id: existing.id, category: existing.category } :
+        imported;
+    
+    const errors = EquipmentCatalog.validate(entry);
+    if (errors.length) throw new Error(errors.join('; '));
+    saveFixtureLibrary(FixtureLibrary.save(fixtureLibrary, entry));
+    console.log('Imported GDTF fixture:', entry);
+    return entry;
+}
+
+function openGDTFFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.gdtf';
+    input.multiple = true;
+    input.addEventListener('change', async () => {
+        const failed = [];
+        for (const file of input.files) {
+            try {
+                await importGDTFFile(file);
+            } catch (error) {
+                console.error(`Failed to import ${file.name}:`, error);
+                failed.push(`${file.name}: ${error.message}`);
+            }
+        }
+        if (failed.length) alert('Could not import:\n' + failed.join('\n'));
+    });
+    input.click();
+}
+
+// Stored catalogs, then any named in the page URL (?catalog=shop.json)
+function restoreCatalogs() {
+    getStoredCatalogs().forEach(catalog => {
+        try {
+            EquipmentCatalog.register(catalog.equipment, catalog.name);
+        } catch (error) {
+            console.error(`Skipping stored catalog "${catalog.name}":`, error);
+        }
+    });
+    
+    new URLSearchParams(window.location.search).getAll('catalog').forEach(url => {
+        EquipmentCatalog.loadFromURL(url).catch(error => {
+            console.error('Failed to load catalog:', error);
+            alert('Could not load catalog: ' + error.message);
+        });
+    });
+}
+
+// Initialize equipment panel after scene setup
+document.addEventListener('DOMContentLoaded', () => {
+    restoreCatalogs();
+    restoreFixtureLibrary();
+    restoreUserPresets();
+    createEquipmentPanel();
+    EquipmentCatalog.onChange(createEquipmentPanel);
+    setupDropZone();
+});
+
+// Update environment controls
+function createEnvironmentSetup() {
+    const setupPanel = document.createElement('div');
+    setupPanel.id = 'environmentSetup';
+    setupPanel.style.cssText = `
+        position: absolute;
+        left: 20px;
+        top: 100px;
+        background: rgba(0,0,0,0.7);
+        padding: 15px;
+        border-radius: 8px;
+        color: white;
+        z-index: 1;
+        display: none;
+    `;
+
+    setupPanel.innerHTML = `
+        <h3>Environment Dimensions</h3>
+        <div style="margin: 10px 0;">
+            <label>Width (ft): <input type="number" id="envWidth" value="32" min="10" max="100"></label>
+        </div>
+        <div style="margin: 10px 0;">
+            <label>Length (ft): <input type="number" id="envLength" value="32" min="10" max="100"></label>
+        </div>
+        <div style="margin: 10px 0;">
+            <label>Height (ft): <input type="number" id="envHeight" value="20" min="8" max="40"></label>
+        </div>
+        <button id="lockEnvironment">Lock Environment</button>
+    `;
+
+    document.body.appendChild(setupPanel);
+
+    // Add lock environment handler
+    document.getElementById('lockEnvironment').addEventListener('click', () => {
+        const before = getEnvironmentBounds();
+        applyEnvironmentBounds({
+            dimensions: {
+                width: parseInt(document.getElementById('envWidth').value),
+                length: parseInt(document.getElementById('envLength').value),
+                height: parseInt(document.getElementById('envHeight').value)
+            },
+            locked: true
+        });
+        const after = getEnvironmentBounds();
+        
+        // Show equipment panel
+        document.getElementById('equipmentPanel').style.display = 'block';
+        
+        const { width, length, height } = after.dimensions;
+        CommandHistory.record({
+            label: `Set room to ${width} x ${length} x ${height} ft`,
+            undo: () => applyEnvironmentBounds(before),
+            redo: () => applyEnvironmentBounds(after)
+        });
+        
+        console.log('Environment locked with dimensions:', currentEnvironmentDimensions);
+    });
+}
+
+// Function to update environment with new dimensions
+function updateEnvironmentDimensions() {
     if (!room) return;
     
     // Update room geometry
@@ -1868,11 +2038,58 @@ function updateEnvironmentDimensions() {
         }
     });
     
+    scheduleHeatmapUpdate();
+    // Environment trusses are laid out from the room size
+    updateHungEquipment();
+    
     // Update grid if present
     updateGrid();
 }
 
-function createEquipmentInScene(data, position) {
+// Room size and lock state, as undo and redo restore them together
+function getEnvironmentBounds() {
+    return { dimensions: { ...currentEnvironmentDimensions }, locked: environmentLocked };
+}
+
+function applyEnvironmentBounds(bounds) {
+    currentEnvironmentDimensions = { ...bounds.dimensions };
+    environmentLocked = bounds.locked;
+    
+    // The setup panel is how an unlocked room gets locked again
+    const setupPanel = document.getElementById('environmentSetup');
+    if (setupPanel) {
+        setupPanel.style.display = environmentLocked ? 'none' : 'block';
+    }
+    
+    updateEnvironmentDimensions();
+    syncEnvironmentInputs();
+}
+
+// Switch environment from the selector, as an undoable step
+function changeEnvironment(envType) {
+    const before = currentEnvironmentType;
+    setEnvironment(envType);
+    // A locked room, or the same one again, is not a step
+    if (currentEnvironmentType === before) return;
+    
+    CommandHistory.record({
+        label: `Switch to ${environments[envType].name}`,
+        undo: () => setEnvironment(before),
+        redo: () => setEnvironment(envType)
+    });
+}
+
+// Reuse a saved id when restoring, otherwise hand out the next one
+function nextEquipmentId(requestedId) {
+    const match = requestedId && /^item-(\d+)$/.exec(requestedId);
+    if (match) {
+        equipmentIdCounter = Math.max(equipmentIdCounter, parseInt(match[1]));
+        return requestedId;
+    }
+    return `item-${++equipmentIdCounter}`;
+}
+
+function createEquipmentInScene(data, position, options = {}) {
     const { category, name, details } = JSON.parse(data);
     let mesh;
     
@@ -1880,74 +2097,312 @@ function createEquipmentInScene(data, position) {
         case 'LED Fixtures':
         case 'HMI Fixtures':
         case 'Tungsten':
-            mesh = createLight(name, position, details);
+            mesh = createLight(category, position, name);
             break;
         case 'Grip Equipment':
-            if (name.includes('UltraBounce')) {
+            // Butterfly frames, UltraBounce or otherwise, stand on C-stands
+            if (name.includes('UltraBounce') || /Frame/.test(name)) {
                 const [width, height] = details.size.match(/\d+/g).map(Number);
-                mesh = createUltrabounce(width, height);
+                mesh = createUltrabounce(width, height, options.settings?.frameHeight);
             } else if (name.includes('Flag')) {
                 const [width, height] = details.size.match(/\d+/g).map(Number);
                 mesh = createNegativeFill(width/12, height/12); // Convert inches to feet
             } else if (name.includes('C-Stand')) {
                 mesh = createCStand(details);
+            } else {
+                mesh = createCatalogItem(name);
             }
             break;
         case 'Overhead Rigs':
+            if (/Truss/i.test(name)) {
+                mesh = createTrussSpan(name, options.settings?.length || TRUSS_DEFAULT_LENGTH);
+                break;
+            }
             const [width, length] = details.size.match(/\d+/g).map(Number);
             mesh = createOverheadFrame(width, length);
             break;
+        case 'Power Distribution':
+            mesh = /Tow Plant|Generator/i.test(name) ? createGenerator(name) : createDistroBox(name);
+            break;
+        case CAMERA_CATEGORY:
+            mesh = /Talent/.test(name) ? createTalentMark() : createCameraUnit();
+            break;
+        default:
+            mesh = createCatalogItem(name);
     }
     
     if (mesh) {
         // Position the mesh at drop location
         mesh.position.copy(position);
+        if (options.rotation) {
+            mesh.rotation.set(options.rotation.x, options.rotation.y, options.rotation.z);
+        }
         
-        // Add to scene and make draggable
+        // Add to scene; selection and the transform gizmo move it from here
         scene.add(mesh);
         objects.push(mesh);
-        makeObjectDraggable(mesh);
         
         // Store equipment details for later reference
         mesh.userData = {
+            id: nextEquipmentId(options.id),
             type: category,
             name: name,
             specs: details,
+            settings: { ...options.settings },
             isDraggable: true
         };
+        
+        if (isTrussSpan(mesh) && !mesh.userData.settings.length) {
+            mesh.userData.settings.length = TRUSS_DEFAULT_LENGTH;
+        }
+        if (getFabricChoices(mesh) && !mesh.userData.settings.fabric) {
+            mesh.userData.settings.fabric = getDefaultFabric(name, category);
+        }
+        if (isCameraUnit(mesh)) {
+            Object.entries(CAMERA_DEFAULTS).forEach(([key, value]) => {
+                if (mesh.userData.settings[key] === undefined) mesh.userData.settings[key] = value;
+            });
+        }
+        if (isTalentMark(mesh) && !TALENT_POSTURES[mesh.userData.settings.posture]) {
+            mesh.userData.settings.posture = 'standing';
+        }
+        applyFabric(mesh);
+        applyRoleLabel(mesh);
+        applyLensHeight(mesh);
+        applyTalentPosture(mesh);
+        applyFixtureAim(mesh);
+        updateHangHardware(mesh);
+        
+        // Number lighting units in the order they were placed
+        if (FIXTURE_CATEGORIES.includes(category) && mesh.userData.settings.unit === undefined) {
+            mesh.userData.settings.unit = nextUnitNumber();
+        }
+        
+        if (category === 'Power Distribution') {
+            linkPowerEquipment(mesh);
+        }
+        
+        notifySceneChanged();
+    }
+    
+    return mesh;
+}
+
+function nextUnitNumber() {
+    const units = objects.map(mesh => mesh.userData.settings?.unit || 0);
+    return Math.max(0, ...units) + 1;
+}
+
+// Remove every placed item from the scene
+function clearEquipment() {
+    objects.forEach(mesh => scene.remove(mesh));
+    objects = [];
+    equipmentIdCounter = 0;
+    notifySceneChanged();
+}
+
+function findEquipment(id) {
+    return objects.find(mesh => mesh.userData.id === id);
+}
+
+function removeEquipment(mesh) {
+    if (!mesh) return;
+    scene.remove(mesh);
+    objects = objects.filter(obj => obj !== mesh);
+    notifySceneChanged();
+}
+
+// Copy of a placed item that can rebuild it, in project file form
+function snapshotEquipment(mesh) {
+    const { id, type, name, specs, settings } = mesh.userData;
+    return JSON.parse(JSON.stringify({
+        id,
+        category: type,
+        name,
+        details: specs,
+        position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
+        rotation: { x: mesh.rotation.x, y: mesh.rotation.y, z: mesh.rotation.z },
+        settings
+    }));
+}
+
+// Rebuild a placed item from a snapshot or a project file entry
+function restoreEquipment(item) {
+    const data = JSON.stringify({
+        category: item.category,
+        name: item.name,
+        details: item.details
+    });
+    const position = new THREE.Vector3(item.position.x, item.position.y, item.position.z);
+    return createEquipmentInScene(data, position, {
+        id: item.id,
+        rotation: item.rotation,
+        settings: JSON.parse(JSON.stringify(item.settings || {}))
+    });
+}
+
+// Names and notes come from imported fixture files and plots, so they
+// are escaped before going into markup
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describeEquipment(mesh) {
+    const { name, settings } = mesh.userData;
+    return settings?.unit !== undefined ? `#${settings.unit} ${name}` : name;
+}
+
+// Edits made by hand go through the command history so they can be
+// undone. Undo and redo look items up by id, since undoing a delete
+// builds a new mesh for the same item.
+function addEquipment(data, position, options = {}) {
+    const mesh = createEquipmentInScene(data, position, options);
+    if (!mesh) return null;
+    
+    const item = snapshotEquipment(mesh);
+    CommandHistory.record({
+        label: `Add ${describeEquipment(mesh)}`,
+        undo: () => removeEquipment(findEquipment(item.id)),
+        redo: () => restoreEquipment(item)
+    });
+    return mesh;
+}
+
+function deleteEquipment(mesh) {
+    const item = snapshotEquipment(mesh);
+    const label = `Delete ${describeEquipment(mesh)}`;
+    removeEquipment(mesh);
+    
+    CommandHistory.record({
+        label,
+        undo: () => restoreEquipment(item),
+        redo: () => removeEquipment(findEquipment(item.id))
+    });
+}
+
+// Where an item stands and, for fixtures, where its head is aimed
+function getEquipmentTransform(mesh) {
+    const transform = {
+        position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
+        rotation: { x: mesh.rotation.x, y: mesh.rotation.y, z: mesh.rotation.z }
+    };
+    if (isAimable(mesh)) {
+        transform.pan = mesh.userData.settings.pan ?? 0;
+        transform.tilt = mesh.userData.settings.tilt ?? 0;
     }
+    return transform;
+}
+
+function applyEquipmentTransform(mesh, transform) {
+    const { position, rotation, pan, tilt } = transform;
+    if (position) mesh.position.set(position.x, position.y, position.z);
+    if (rotation) mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+    if (pan !== undefined) mesh.userData.settings.pan = pan;
+    if (tilt !== undefined) mesh.userData.settings.tilt = tilt;
+    applyFixtureAim(mesh);
+    followRigging(mesh);
+    notifySceneChanged();
+}
+
+// Move, turn or aim an item. Repeated nudges to one item fold into a
+// single step.
+function transformEquipment(mesh, transform, label = `Move ${describeEquipment(mesh)}`) {
+    const before = getEquipmentTransform(mesh);
+    applyEquipmentTransform(mesh, transform);
+    recordEquipmentTransform(mesh, before, label);
 }
 
+// Record a change already made to the item, such as a gizmo drag
+function recordEquipmentTransform(mesh, before, label) {
+    const id = mesh.userData.id;
+    const after = getEquipmentTransform(mesh);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    
+    CommandHistory.record({
+        label,
+        mergeKey: `transform:${id}:${label}`,
+        undo: () => applyEquipmentTransform(findEquipment(id), before),
+        redo: () => applyEquipmentTransform(findEquipment(id), after)
+    });
+}
+
+// Item being dragged from the equipment panel, so drops can be previewed
+let draggedEquipment = null;
+
 function setupDropZone() {
     const dropZone = renderer.domElement;
     
+    const getCursorRay = (e) => {
+        const rect = dropZone.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+        
+        // Create raycaster for accurate placement
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+        return raycaster.ray;
+    };
+    
+    // Where an item lands: a fixture over a pipe, truss or frame hangs
+    // from it; anything else goes on the floor with grid and wall snaps.
+    // Returns { position, rotation?, settings?, guides } or null.
+    const getPlacement = (e, item) => {
+        const ray = getCursorRay(e);
+        
+        if (item && FIXTURE_CATEGORIES.includes(item.category)) {
+            const hit = Snapping.memberAlongRay(ray.origin, ray.direction, getRiggingMembers());
+            if (hit) {
+                const position = Snapping.hangPoint(hit.member, hit.along);
+                // Face the middle of the room, from whichever side of the member
+                const heading = Snapping.hangingHeading(hit.member, Math.atan2(-position.x, -position.z));
+                return {
+                    position,
+                    rotation: { x: 0, y: heading, z: Math.PI },
+                    settings: { hang: getHangSettings(hit.member, hit.along, heading) },
+                    guides: [{ type: 'member', member: hit.member, point: position }]
+                };
+            }
+        }
+        
+        const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const intersection = new THREE.Vector3();
+        if (!ray.intersectPlane(floorPlane, intersection)) return null;
+        
+        const snap = snapPlacement(intersection, { clearance: item ? getEquipmentClearance(item.name) : 0 });
+        const heading = snap.heading ?? getShotHeading(item, snap.position);
+        return {
+            position: snap.position,
+            rotation: heading !== undefined ? { x: 0, y: heading, z: 0 } : undefined,
+            guides: snap.guides
+        };
+    };
+    
     dropZone.addEventListener('dragover', (e) => {
         e.preventDefault();
         e.dataTransfer.dropEffect = 'copy';
+        
+        const placement = getPlacement(e, draggedEquipment);
+        showSnapGuides(placement ? placement.guides : []);
     });
     
+    dropZone.addEventListener('dragleave', clearSnapGuides);
+    
     dropZone.addEventListener('drop', (e) => {
         e.preventDefault();
+        clearSnapGuides();
         
         const data = e.dataTransfer.getData('text/plain');
         if (!data) return;
         
-        // Calculate drop position in 3D space
-        const rect = dropZone.getBoundingClientRect();
-        const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-        const y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
-        
-        // Create raycaster for accurate placement
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
-        
-        // Find intersection with floor plane
-        const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const intersection = new THREE.Vector3();
+        const placement = getPlacement(e, JSON.parse(data));
+        if (!placement) return;
         
-        if (raycaster.ray.intersectPlane(floorPlane, intersection)) {
-            createEquipmentInScene(data, intersection);
-        }
+        const { position, rotation, settings } = placement;
+        addEquipment(data, new THREE.Vector3(position.x, position.y, position.z), { rotation, settings });
     });
 }
 
@@ -2003,6 +2458,4981 @@ function createCStand() {
     return group;
 } 
 
+// Grip frames, flags and nets: a pipe frame with a fabric panel named
+// 'fabric' in its local XY plane, front face towards +Z. applyFabric
+// dresses the panel from the item's fabric setting.
+function createFabricFrame(width, height, pipeRadius) {
+    const frame = new THREE.Group();
+    frame.name = 'frame';
+    const pipe = new THREE.MeshStandardMaterial({ color: 0x9a9a9a, metalness: 0.7, roughness: 0.4 });
+    
+    [-1, 1].forEach(side => {
+        const rail = new THREE.Mesh(new THREE.CylinderGeometry(pipeRadius, pipeRadius, width, 8), pipe);
+        rail.rotation.z = Math.PI / 2;
+        rail.position.y = side * height / 2;
+        const upright = new THREE.Mesh(new THREE.CylinderGeometry(pipeRadius, pipeRadius, height, 8), pipe);
+        upright.position.x = side * width / 2;
+        frame.add(rail, upright);
+    });
+    
+    // One single-sided sheet per face, so the two sides can differ
+    const fabric = new THREE.Group();
+    fabric.name = 'fabric';
+    fabric.userData = { width, height };
+    const front = new THREE.Mesh(new THREE.PlaneGeometry(width, height), new THREE.MeshStandardMaterial({ roughness: 0.9 }));
+    front.name = 'fabricFront';
+    const back = new THREE.Mesh(new THREE.PlaneGeometry(width, height), new THREE.MeshStandardMaterial({ roughness: 0.9 }));
+    back.name = 'fabricBack';
+    back.rotation.y = Math.PI;
+    fabric.add(front, back);
+    frame.add(fabric);
+    
+    return frame;
+}
+
+function createGripStand(height) {
+    const stand = new THREE.Group();
+    const base = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.8, 0.8, 0.1, 16),
+        new THREE.MeshPhongMaterial({ color: 0x333333 })
+    );
+    const riser = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.08, 0.08, height, 8),
+        new THREE.MeshPhongMaterial({ color: 0x666666 })
+    );
+    riser.position.y = height / 2;
+    stand.add(base, riser);
+    return stand;
+}
+
+function addGripLabel(group, text, height) {
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'light-label';
+    labelDiv.textContent = text;
+    const label = new CSS2DObject(labelDiv);
+    label.position.y = height;
+    group.add(label);
+}
+
+// Butterfly frame standing on a C-stand each side, its bottom a foot off
+// the floor unless it is set at a given centre height, as diffusion in
+// front of a light is. Sizes are in feet.
+function createUltrabounce(width, height, center = height / 2 + 1) {
+    const group = new THREE.Group();
+    
+    const frame = createFabricFrame(width, height, 0.06);
+    frame.position.y = center;
+    group.add(frame);
+    
+    [-1, 1].forEach(side => {
+        const stand = createGripStand(center);
+        stand.position.x = side * (width / 2 + 0.15);
+        group.add(stand);
+    });
+    
+    addGripLabel(group, `${width}x${height}`, center + height / 2 + 0.6);
+    return group;
+}
+
+// Flag or net on a C-stand arm, centred at eye level. Sizes are in feet.
+function createNegativeFill(width, height) {
+    const group = new THREE.Group();
+    const center = 5;
+    
+    const frame = createFabricFrame(width, height, 0.03);
+    frame.position.y = center;
+    group.add(frame);
+    
+    const stand = createGripStand(center);
+    stand.position.x = -(width / 2 + 1.5);
+    const arm = new THREE.Mesh(
+        new THREE.BoxGeometry(1.5, 0.08, 0.08),
+        new THREE.MeshPhongMaterial({ color: 0x666666 })
+    );
+    arm.position.set(-(width / 2 + 0.75), center, 0);
+    group.add(stand, arm);
+    
+    addGripLabel(group, 'Flag', center + height / 2 + 0.5);
+    return group;
+}
+
+// Overhead frame, flown flat: the group sits in the plane of the pipe
+// frame, with width along X, length along Z and the fabric's front face
+// down towards the set
+function createOverheadFrame(width, length) {
+    const group = new THREE.Group();
+    
+    const frame = createFabricFrame(width, length, 0.1);
+    frame.rotation.x = Math.PI / 2;
+    group.add(frame);
+    
+    addGripLabel(group, `${width}x${length} Overhead`, 0.8);
+    return group;
+}
+
+// Grip items that carry a fabric, and what each can be dressed with
+function getFabricChoices(mesh) {
+    if (!mesh.getObjectByName('fabric')) return null;
+    return /Flag/i.test(mesh.userData.name) ? GripModifiers.FLAG_FABRICS : GripModifiers.FRAME_FABRICS;
+}
+
+function getDefaultFabric(name, category) {
+    if (/UltraBounce/i.test(name)) return 'ultrabounce-white';
+    if (/Flag/i.test(name)) return 'solid';
+    return category === 'Overhead Rigs' ? 'none' : 'silk';
+}
+
+function applyFabric(mesh) {
+    const fabricGroup = mesh.getObjectByName('fabric');
+    if (!fabricGroup) return;
+    
+    const fabric = GripModifiers.getFabric(mesh.userData.settings.fabric);
+    fabricGroup.visible = mesh.userData.settings.fabric !== 'none';
+    [['fabricFront', fabric.color], ['fabricBack', fabric.backColor ?? fabric.color]].forEach(([name, color]) => {
+        const sheet = fabricGroup.getObjectByName(name);
+        // Shades fixtures casting shadows in the preview, unless light goes straight through
+        sheet.castShadow = fabric.direct === 0;
+        const material = sheet.material;
+        material.color.setHex(color ?? 0xffffff);
+        material.transparent = fabric.opacity !== undefined;
+        material.opacity = fabric.opacity ?? 1;
+        // See-through fabrics shouldn't hide what is behind them from the depth buffer
+        material.depthWrite = !material.transparent;
+        material.needsUpdate = true;
+    });
+}
+
+// Name label every placed unit carries
+function getEquipmentLabel(mesh) {
+    return mesh.children.find(child => child.element?.classList.contains('light-label')) || null;
+}
+
+// Show a unit's lighting role (key, fill, back...) ahead of its name on its label
+function applyRoleLabel(mesh) {
+    const label = getEquipmentLabel(mesh)?.element;
+    if (!label) return;
+    
+    if (label.dataset.name === undefined) label.dataset.name = label.textContent;
+    const role = SetupParser.ROLES[mesh.userData.settings.role];
+    label.textContent = role ? `${role.label} · ${label.dataset.name}` : label.dataset.name;
+}
+
+function createGenerator(name) {
+    const group = new THREE.Group();
+    
+    // Trailer-mounted enclosure
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(6, 6, 12),
+        new THREE.MeshPhongMaterial({ color: 0x2e5e3e })
+    );
+    body.position.y = 4;
+    
+    const axle = new THREE.Mesh(
+        new THREE.CylinderGeometry(1, 1, 6.4, 16),
+        new THREE.MeshPhongMaterial({ color: 0x222222 })
+    );
+    axle.rotation.z = Math.PI / 2;
+    axle.position.y = 1;
+    
+    // Cam-lok panel on the side the feeders leave from
+    const panel = new THREE.Mesh(
+        new THREE.BoxGeometry(0.1, 1.5, 2.5),
+        new THREE.MeshPhongMaterial({ color: 0xffcc00 })
+    );
+    panel.position.set(3.05, 2.5, 4);
+    
+    group.add(body, axle, panel);
+    
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'light-label';
+    labelDiv.textContent = name;
+    const label = new CSS2DObject(labelDiv);
+    label.position.y = 7.5;
+    group.add(label);
+    
+    return group;
+}
+
+function createDistroBox(name) {
+    const group = new THREE.Group();
+    
+    const box = new THREE.Mesh(
+        new THREE.BoxGeometry(2, 1.2, 1.5),
+        new THREE.MeshPhongMaterial({ color: 0xd9731f })
+    );
+    box.position.y = 0.6;
+    group.add(box);
+    
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'light-label';
+    labelDiv.textContent = name;
+    const label = new CSS2DObject(labelDiv);
+    label.position.y = 1.8;
+    group.add(label);
+    
+    return group;
+}
+
+// Camera on a tripod. Its pan and tilt head works like a fixture's: the
+// yoke pans, the head tilts, and the lens looks down the head's +Z.
+function createCameraUnit() {
+    const group = new THREE.Group();
+    const metal = new THREE.MeshPhongMaterial({ color: 0x333333 });
+    
+    // Legs are modelled a foot tall and stretched to the lens height
+    const tripod = new THREE.Group();
+    tripod.name = 'tripod';
+    for (let i = 0; i < 3; i++) {
+        const angle = i * Math.PI * 2 / 3;
+        const foot = new THREE.Vector3(Math.sin(angle) * 1.2, 0, Math.cos(angle) * 1.2);
+        const along = new THREE.Vector3(-foot.x, 1, -foot.z);
+        const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 1, 6), metal);
+        leg.scale.y = along.length();
+        leg.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), along.clone().normalize());
+        leg.position.set(foot.x / 2, 0.5, foot.z / 2);
+        tripod.add(leg);
+    }
+    
+    const yoke = new THREE.Group();
+    yoke.name = 'yoke';
+    const fluidHead = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.25, 0.4), metal);
+    fluidHead.position.y = -0.45;
+    
+    const head = new THREE.Group();
+    head.name = 'head';
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.6, 1.1),
+        new THREE.MeshPhongMaterial({ color: 0x1a1a1a })
+    );
+    body.position.z = -0.25;
+    const lens = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.18, 0.18, 0.5, 16),
+        new THREE.MeshPhongMaterial({ color: 0x555555 })
+    );
+    lens.rotation.x = Math.PI / 2;
+    lens.position.z = 0.5;
+    head.add(body, lens);
+    
+    yoke.add(fluidHead, head);
+    group.add(tripod, yoke);
+    
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'light-label';
+    labelDiv.textContent = 'Cinema Camera';
+    const label = new CSS2DObject(labelDiv);
+    group.add(label);
+    
+    return group;
+}
+
+// Tape T on the floor with a stand-in for each posture, facing +Z; only
+// the one for the mark's posture is shown
+function createTalentMark() {
+    const group = new THREE.Group();
+    
+    // The bar of the T is where the toes go
+    const tape = new THREE.MeshBasicMaterial({ color: 0xff8c1a });
+    const bar = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.02, 0.15), tape);
+    bar.position.set(0, 0.01, 0.5);
+    const stem = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.02, 1), tape);
+    stem.position.y = 0.01;
+    group.add(bar, stem);
+    
+    const skin = new THREE.MeshPhongMaterial({ color: 0xd9b99b, transparent: true, opacity: 0.6 });
+    const part = (geometry, x, y, z, material = skin) => {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(x, y, z);
+        return mesh;
+    };
+    
+    const standing = new THREE.Group();
+    standing.name = 'standing';
+    standing.add(
+        part(new THREE.CylinderGeometry(0.55, 0.4, 4.6, 12), 0, 2.3, 0),
+        part(new THREE.SphereGeometry(0.4, 12, 8), 0, 5.1, 0)
+    );
+    
+    const seated = new THREE.Group();
+    seated.name = 'seated';
+    seated.add(
+        part(new THREE.BoxGeometry(1.5, 1.5, 1.5), 0, 0.75, -0.2, new THREE.MeshPhongMaterial({ color: 0x777777 })),
+        part(new THREE.CylinderGeometry(0.55, 0.45, 2.2, 12), 0, 2.6, -0.3),
+        part(new THREE.BoxGeometry(1, 0.5, 1.4), 0, 1.75, 0.4),
+        part(new THREE.BoxGeometry(1, 1.5, 0.45), 0, 0.75, 1.1),
+        part(new THREE.SphereGeometry(0.4, 12, 8), 0, 3.85, -0.3)
+    );
+    group.add(standing, seated);
+    
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'light-label';
+    labelDiv.textContent = 'Talent Mark';
+    const label = new CSS2DObject(labelDiv);
+    label.position.y = 6.2;
+    group.add(label);
+    
+    return group;
+}
+
+// Truss spans placed as equipment. The group sits at the centre of the
+// bottom chord and the span runs along its local Z axis.
+const TRUSS_DEFAULT_LENGTH = 10;
+
+function getTrussSize(name) {
+    return (EquipmentCatalog.get(name)?.dimensions?.width || 12) / 12;
+}
+
+function createTrussSpan(name, length) {
+    const group = new THREE.Group();
+    const size = getTrussSize(name);
+    
+    const span = new THREE.Mesh(
+        new THREE.BoxGeometry(size, size, length),
+        new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.7, metalness: 0.8 })
+    );
+    span.name = 'span';
+    span.position.y = size / 2;
+    group.add(span);
+    
+    return group;
+}
+
+function isTrussSpan(mesh) {
+    return mesh.userData.type === 'Overhead Rigs' && /Truss/i.test(mesh.userData.name);
+}
+
+function resizeTrussSpan(mesh, length) {
+    const size = getTrussSize(mesh.userData.name);
+    const span = mesh.getObjectByName('span');
+    span.geometry.dispose();
+    span.geometry = new THREE.BoxGeometry(size, size, length);
+}
+
+// Plain box at the catalog dimensions for equipment without its own model,
+// such as items from a loaded catalog in a new category
+function createCatalogItem(name) {
+    const group = new THREE.Group();
+    const dimensions = EquipmentCatalog.get(name)?.dimensions || { width: 12, height: 12, depth: 12 };
+    const [width, height, depth] = [dimensions.width, dimensions.height, dimensions.depth].map(inches => inches / 12);
+    
+    const box = new THREE.Mesh(
+        new THREE.BoxGeometry(width, height, depth),
+        new THREE.MeshPhongMaterial({ color: 0x888888 })
+    );
+    box.position.y = height / 2;
+    group.add(box);
+    
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'light-label';
+    labelDiv.textContent = name;
+    const label = new CSS2DObject(labelDiv);
+    label.position.y = height + 0.6;
+    group.add(label);
+    
+    return group;
+}
+
+// Collect everything needed to rebuild the current plot
+function getProjectState() {
+    return {
+        name: currentProjectName,
+        environment: {
+            type: currentEnvironmentType,
+            dimensions: currentEnvironmentDimensions,
+            locked: environmentLocked
+        },
+        equipment: objects.map(mesh => ({
+            id: mesh.userData.id,
+            category: mesh.userData.type,
+            name: mesh.userData.name,
+            details: mesh.userData.specs,
+            position: mesh.position,
+            rotation: mesh.rotation,
+            settings: mesh.userData.settings
+        })),
+        camera: {
+            position: camera.position,
+            target: controls.target
+        },
+        sections: {
+            lightMeter: {
+                x: lightMeter.position.x,
+                y: lightMeter.position.y,
+                z: lightMeter.position.z
+            },
+            power: powerPlan,
+            rigging: {
+                safetyFactor: riggingLoads.safetyFactor
+            }
+        }
+    };
+}
+
+// Rebuild the scene from a parsed project file
+function loadProject(project) {
+    console.log('Loading project:', project.name);
+    
+    currentProjectName = project.name || 'Untitled Plot';
+    currentEnvironmentDimensions = { ...project.environment.dimensions };
+    
+    // Unlock so the saved environment can be applied
+    environmentLocked = false;
+    setEnvironment(project.environment.type);
+    updateEnvironmentDimensions();
+    syncEnvironmentInputs();
+    
+    clearEquipment();
+    // Placed generators and distros link into the plan as they are rebuilt
+    powerPlan = project.power || Power.createPlan();
+    setSafetyFactor(project.rigging?.safetyFactor);
+    project.equipment.forEach(item => {
+        const mesh = restoreEquipment(item);
+        if (!mesh) {
+            console.error('Could not rebuild equipment:', item.name);
+        }
+    });
+    
+    environmentLocked = project.environment.locked;
+    
+    if (project.lightMeter) {
+        setLightMeterPosition(new THREE.Vector3(project.lightMeter.x, project.lightMeter.y, project.lightMeter.z));
+    }
+    
+    // setEnvironment resets the camera, so restore the saved view last
+    if (project.camera) {
+        camera.position.set(project.camera.position.x, project.camera.position.y, project.camera.position.z);
+        controls.target.set(project.camera.target.x, project.camera.target.y, project.camera.target.z);
+        controls.update();
+    }
+    
+    CommandHistory.clear();
+    console.log('Project loaded with', objects.length, 'items');
+}
+
+// Keep the dimension inputs in step with the loaded environment
+function syncEnvironmentInputs() {
+    const inputs = {
+        envWidth: currentEnvironmentDimensions.width,
+        envLength: currentEnvironmentDimensions.length,
+        envHeight: currentEnvironmentDimensions.height
+    };
+    Object.entries(inputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.value = value;
+        }
+    });
+}
+
+function saveProject() {
+    const json = ProjectFile.serialize(getProjectState());
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ProjectFile.FILE_EXTENSION;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Project saved:', link.download);
+}
+
+function openProject() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,' + ProjectFile.FILE_EXTENSION;
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            try {
+                loadProject(ProjectFile.parse(text));
+            } catch (error) {
+                console.error('Failed to open project:', error);
+                alert('Could not open project: ' + error.message);
+            }
+        });
+    });
+    input.click();
+}
+
+// MVR exchange with consoles and previs tools. Fixtures carry their unit,
+// patch and a GDTF built from the catalog; trusses carry their span.
+function getMVRScene() {
+    // One GDTF per catalog id; names that differ only in punctuation
+    // would otherwise share a file
+    const specs = new Map();
+    const specFile = (entry) => {
+        if (!specs.has(entry.id)) {
+            const base = String(entry.id).replace(/[^\w\-]+/g, '-');
+            const taken = new Set([...specs.values()].map(spec => spec.file));
+            let file = base + '.gdtf';
+            for (let count = 2; taken.has(file); count++) file = `${base}-${count}.gdtf`;
+            specs.set(entry.id, { file, entry });
+        }
+        return specs.get(entry.id).file;
+    };
+    
+    const fixtures = objects
+        .filter(mesh => FIXTURE_CATEGORIES.includes(mesh.userData.type))
+        .map(mesh => {
+            const { name, settings } = mesh.userData;
+            const entry = EquipmentCatalog.get(name) || { id: name, name, category: mesh.userData.type };
+            return {
+                uuid: settings.uuid || crypto.randomUUID().toUpperCase(),
+                name: `${settings.unit ?? ''} ${name}`.trim(),
+                spec: specFile(entry),
+                mode: DMXPatch.getMode(name, settings.patch?.mode)?.name,
+                unit: settings.unit,
+                position: mesh.position,
+                heading: mesh.rotation.y,
+                patch: settings.patch
+            };
+        });
+    
+    // One truss type per span length, as GDTF carries the model size
+    const trusses = getCurrentTrusses().map(truss => {
+        const length = Math.round(Math.hypot(truss.end.x - truss.start.x, truss.end.z - truss.start.z) * 10) / 10;
+        const size = truss.size * 12;
+        return {
+            uuid: crypto.randomUUID().toUpperCase(),
+            name: truss.label,
+            spec: specFile({
+                id: `truss-${size}-${length}`,
+                name: `${size}in Box Truss ${length}ft`,
+                category: 'Overhead Rigs',
+                type: 'Truss Span',
+                dimensions: { width: size, height: size, depth: length * 12 }
+            }),
+            position: {
+                x: (truss.start.x + truss.end.x) / 2,
+                y: truss.start.y - truss.size / 2,
+                z: (truss.start.z + truss.end.z) / 2
+            },
+            heading: Math.atan2(-(truss.end.z - truss.start.z), truss.end.x - truss.start.x)
+        };
+    });
+    
+    return { scene: { name: currentProjectName, fixtures, trusses }, specs: [...specs.values()] };
+}
+
+function exportMVR() {
+    const { scene, specs } = getMVRScene();
+    const blob = new Blob([MVR.write(scene, specs)], { type: 'application/zip' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + '.mvr';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('MVR exported:', link.download);
+}
+
+// Place everything in an MVR scene alongside what is already in the plot.
+// Fixture types come from the GDTF files inside it, added to the library
+// unless the catalog already has them.
+function importMVRScene(mvr) {
+    const placed = [];
+    const place = (category, item, details, settings, heading = item.heading) => {
+        const mesh = createEquipmentInScene(
+            JSON.stringify({ category, name: details.name, details: details.specs }),
+            new THREE.Vector3(item.position.x, item.position.y, item.position.z),
+            { rotation: { x: 0, y: heading, z: 0 }, settings: { uuid: item.uuid, ...settings } }
+        );
+        if (mesh) placed.push(snapshotEquipment(mesh));
+    };
+    
+    let library = fixtureLibrary;
+    const fixtureEntry = (item) => {
+        const spec = mvr.specs.get(item.spec);
+        const known = EquipmentCatalog.get(spec?.name) || EquipmentCatalog.get(item.spec?.replace(/\.gdtf$/i, ''));
+        if (known) return known;
+        if (!spec || EquipmentCatalog.validate(spec).length) return null;
+        library = FixtureLibrary.save(library, spec);
+        return spec;
+    };
+    
+    const fixtures = mvr.fixtures.map(item => ({ item, entry: fixtureEntry(item) }));
+    if (library !== fixtureLibrary) saveFixtureLibrary(library);
+    
+    const skipped = [];
+    fixtures.forEach(({ item, entry }) => {
+        if (!entry) {
+            skipped.push(item.name);
+            return;
+        }
+        const mode = DMXPatch.getMode(entry.name, item.mode);
+        place(entry.category, item, { name: entry.name, specs: EquipmentCatalog.toDetails(entry) }, {
+            unit: item.unit,
+            patch: item.patch ? { ...item.patch, mode: mode?.name } : undefined
+        });
+    });
+    
+    const truss = EquipmentCatalog.get('Box Truss');
+    mvr.trusses.forEach(item => {
+        const depth = mvr.specs.get(item.spec)?.dimensions?.depth;
+        // Spans run along local Z in the plot but along X in MVR
+        place(truss.category, item, { name: truss.name, specs: EquipmentCatalog.toDetails(truss) }, {
+            length: depth ? Math.round(depth / 12 * 10) / 10 : TRUSS_DEFAULT_LENGTH
+        }, item.heading + Math.PI / 2);
+    });
+    
+    mvr.objects.forEach(item => {
+        place('Scene Objects', item, { name: item.name, specs: {} }, {});
+    });
+    
+    if (placed.length) {
+        CommandHistory.record({
+            label: `Import MVR (${placed.length} items)`,
+            undo: () => placed.forEach(item => removeEquipment(findEquipment(item.id))),
+            redo: () => placed.forEach(restoreEquipment)
+        });
+    }
+    
+    console.log(`Imported MVR: ${fixtures.length - skipped.length} fixtures, ${mvr.trusses.length} trusses, ${mvr.objects.length} objects`);
+    if (skipped.length) {
+        alert(`No fixture type found for ${skipped.length} fixture(s): ${skipped.join(', ')}`);
+    }
+}
+
+function openMVRFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.mvr';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        try {
+            importMVRScene(await MVR.read(await file.arrayBuffer()));
+        } catch (error) {
+            console.error('Failed to import MVR:', error);
+            alert('Could not import MVR: ' + error.message);
+        }
+    });
+    input.click();
+}
+
+function newProject() {
+    if (objects.length && !confirm('Start a new plot? Unsaved changes will be lost.')) {
+        return;
+    }
+    
+    currentProjectName = 'Untitled Plot';
+    powerPlan = Power.createPlan();
+    setSafetyFactor(Rigging.SAFETY_FACTOR);
+    clearEquipment();
+    currentEnvironmentDimensions = { width: 32, length: 32, height: 20 };
+    environmentLocked = false;
+    setEnvironment('blank');
+    updateEnvironmentDimensions();
+    syncEnvironmentInputs();
+    CommandHistory.clear();
+    localStorage.removeItem(ProjectFile.STORAGE_KEY);
+}
+
+// Keep a copy of the plot in local storage so a closed tab isn't lost work
+function autosaveProject() {
+    if (!scene) return;
+    try {
+        localStorage.setItem(ProjectFile.STORAGE_KEY, ProjectFile.serialize(getProjectState()));
+    } catch (error) {
+        console.error('Autosave failed:', error);
+    }
+}
+
+function restoreAutosave() {
+    const saved = localStorage.getItem(ProjectFile.STORAGE_KEY);
+    if (!saved) return;
+    
+    try {
+        const project = ProjectFile.parse(saved);
+        if (project.equipment.length && confirm(`Restore unsaved plot "${project.name}" from ${new Date(project.savedAt).toLocaleString()}?`)) {
+            loadProject(project);
+        }
+    } catch (error) {
+        console.error('Discarding unreadable autosave:', error);
+        localStorage.removeItem(ProjectFile.STORAGE_KEY);
+    }
+}
+
+// Add New/Open/Save controls
+function createProjectControls() {
+    const panel = document.createElement('div');
+    panel.id = 'projectControls';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 20px;
+        transform: translateX(-50%);
+        display: flex;
+        gap: 5px;
+        background: rgba(0,0,0,0.7);
+        padding: 10px;
+        border-radius: 5px;
+        color: white;
+        z-index: 1000;
+    `;
+    
+    const commands = {
+        new: { label: '📄 New', action: newProject },
+        open: { label: '📂 Open', action: openProject },
+        save: { label: '💾 Save', action: saveProject },
+        setup: { label: '💬 Describe', action: () => toggleSheet('setup') },
+        presets: { label: '🎬 Presets', action: () => toggleSheet('presets') },
+        plot: { label: '🗺️ Export Plot', action: exportPlotSVG },
+        patch: { label: '🎚️ Patch', action: () => toggleSheet('patch') },
+        power: { label: '⚡ Power', action: () => toggleSheet('power') },
+        cables: { label: '🔌 Cables', action: () => toggleSheet('cables') },
+        rigging: { label: '🏗️ Rigging', action: () => toggleSheet('rigging') },
+        history: { label: '🕘 History', action: () => toggleSheet('history') },
+        importMVR: { label: '📥 Import MVR', action: openMVRFile },
+        exportMVR: { label: '📤 Export MVR', action: exportMVR }
+    };
+    
+    Object.entries(commands).forEach(([key, command]) => {
+        const button = document.createElement('button');
+        button.id = key + 'ProjectBtn';
+        button.textContent = command.label;
+        button.style.cssText = `
+            padding: 8px 15px;
+            background: #444;
+            border: none;
+            border-radius: 4px;
+            color: white;
+            cursor: pointer;
+        `;
+        button.addEventListener('mouseover', () => button.style.background = '#555');
+        button.addEventListener('mouseout', () => button.style.background = '#444');
+        button.addEventListener('click', command.action);
+        panel.appendChild(button);
+    });
+    
+    document.body.appendChild(panel);
+}
+
+// Keyboard shortcuts for project commands
+document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    
+    switch(event.key.toLowerCase()) {
+        case 's':
+            event.preventDefault();
+            saveProject();
+            break;
+        case 'o':
+            event.preventDefault();
+            openProject();
+            break;
+        case 'z':
+            // Text fields keep their own undo
+            if (isTextEntry(event.target)) return;
+            event.preventDefault();
+            event.shiftKey ? redoEdit() : undoEdit();
+            break;
+        case 'y':
+            if (isTextEntry(event.target)) return;
+            event.preventDefault();
+            redoEdit();
+            break;
+    }
+});
+
+window.addEventListener('beforeunload', autosaveProject);
+
+// Pick the plan symbol for a placed item
+function getPlotSymbol(userData) {
+    const name = userData.name || '';
+    
+    if (userData.type === CAMERA_CATEGORY) return /Talent/.test(name) ? 'talent' : 'camera';
+    if (userData.type === 'Overhead Rigs' || name.includes('UltraBounce') || /Frame/.test(name)) return 'frame';
+    if (name.includes('Flag')) return 'flag';
+    if (name.includes('C-Stand')) return 'stand';
+    if (/SkyPanel|LiteMat|Panel/i.test(name)) return 'panel';
+    if (userData.type === 'HMI Fixtures') return 'hmi';
+    return 'fresnel';
+}
+
+// Plan footprint in feet from the item's catalog details
+function getPlotSize(userData, symbol) {
+    const details = userData.specs || {};
+    
+    // Catalog sizes are free text; without numbers the symbol keeps its default size
+    const [width, length] = (String(details.size || '').match(/\d+/g) || []).map(Number);
+    if (width) {
+        // Flag sizes are given in inches, frames in feet
+        return symbol === 'flag' ?
+            { width: width / 12, depth: 0.1 } :
+            { width: width, depth: length || width };
+    }
+    const [boxWidth, , boxDepth] = (String(details.dimensions || '').match(/[\d.]+/g) || []).map(Number);
+    if (boxWidth) {
+        return { width: boxWidth / 12, depth: (boxDepth || boxWidth) / 12 };
+    }
+    return null;
+}
+
+// Windows and doors from ENVIRONMENTS use corner-origin coordinates on the
+// preset room; map them onto the walls of the current room
+function getWallOpenings(openings, source) {
+    const dims = currentEnvironmentDimensions;
+    
+    return openings.map(opening => {
+        const x = opening.x / source.width * dims.width - dims.width/2;
+        const z = opening.z / source.length * dims.length - dims.length/2;
+        const half = opening.width / 2;
+        
+        if (opening.x === 0 || opening.x === source.width) {
+            return {
+                start: { x: x, z: z - half },
+                end: { x: x, z: z + half },
+                inward: { x: opening.x === 0 ? 1 : -1, z: 0 }
+            };
+        }
+        return {
+            start: { x: x - half, z: z },
+            end: { x: x + half, z: z },
+            inward: { x: 0, z: opening.z === 0 ? 1 : -1 }
+        };
+    });
+}
+
+// Trusses hung in the current environment, then any placed as spans
+function getCurrentTrusses() {
+    const riggingConfig = environments[currentEnvironmentType]?.features.trusses?.riggingConfig;
+    const layout = Rigging.getTrussLayout(currentEnvironmentDimensions, riggingConfig);
+    
+    const spans = objects.filter(isTrussSpan).map((mesh, index) => {
+        const size = getTrussSize(mesh.userData.name);
+        const half = mesh.userData.settings.length / 2;
+        const direction = { x: Math.sin(mesh.rotation.y), z: Math.cos(mesh.rotation.y) };
+        const y = mesh.position.y + size / 2;
+        return {
+            id: mesh.userData.id,
+            label: `Truss ${layout.length + index + 1}`,
+            start: { x: mesh.position.x - direction.x * half, y, z: mesh.position.z - direction.z * half },
+            end: { x: mesh.position.x + direction.x * half, y, z: mesh.position.z + direction.z * half },
+            size
+        };
+    });
+    return [...layout, ...spans];
+}
+
+// Placement snapping for drops and gizmo moves
+const snapping = {
+    grid: 1,            // floor increment in feet, 0 for off
+    rigging: true,      // hang fixtures on the nearest pipe or truss
+    walls: true,        // pull items flush to walls
+    guides: null
+};
+
+const SNAP_GUIDE_COLOR = 0x00ff88;
+
+// Pipes and truss chords a fixture can hang from
+function getRiggingMembers() {
+    const members = getCurrentTrusses().map(truss => ({
+        id: truss.id,
+        label: truss.label,
+        start: truss.start,
+        end: truss.end,
+        size: truss.size
+    }));
+    
+    // The sound stage pipe grid runs both ways at every spacing; pipes
+    // across the stage are numbered and pipes along it lettered
+    const grid = environments[currentEnvironmentType]?.features.grid;
+    if (grid) {
+        const { extent, spacing, height } = grid;
+        let row = 0;
+        for (let offset = -extent; offset <= extent; offset += spacing) {
+            row++;
+            members.push({
+                id: `grid-x-${row}`,
+                label: `Grid pipe ${row}`,
+                start: { x: -extent, y: height, z: offset },
+                end: { x: extent, y: height, z: offset },
+                size: 0.1
+            }, {
+                id: `grid-z-${row}`,
+                label: `Grid pipe ${String.fromCharCode(64 + row)}`,
+                start: { x: offset, y: height, z: -extent },
+                end: { x: offset, y: height, z: extent },
+                size: 0.1
+            });
+        }
+    }
+    
+    // Overhead frames can take a unit on any side of their pipe frame
+    objects.filter(isOverheadFrame).forEach(mesh => {
+        const size = getFrameSize(mesh);
+        if (!size) return;
+        const { width, length } = size;
+        
+        const corner = (x, z) => {
+            const point = new THREE.Vector3(x, 0, z).applyEuler(new THREE.Euler(0, mesh.rotation.y, 0)).add(mesh.position);
+            return { x: point.x, y: point.y, z: point.z };
+        };
+        const corners = [corner(-width/2, -length/2), corner(width/2, -length/2), corner(width/2, length/2), corner(-width/2, length/2)];
+        ['back', 'right', 'front', 'left'].forEach((side, index) => {
+            members.push({
+                id: `${mesh.userData.id}-${side}`,
+                label: `${mesh.userData.name} ${side}`,
+                start: corners[index],
+                end: corners[(index + 1) % 4],
+                size: 0.15
+            });
+        });
+    });
+    return members;
+}
+
+// Room sides items can be pulled against, with normals into the room
+function getRoomWalls() {
+    if (!roomHasWalls()) return [];
+    const { width: w, length: l } = currentEnvironmentDimensions;
+    return [
+        { name: 'back', axis: 'z', at: -l/2, normal: 1 },
+        { name: 'left', axis: 'x', at: -w/2, normal: 1 },
+        { name: 'right', axis: 'x', at: w/2, normal: -1 }
+    ];
+}
+
+// How far an item reaches from its centre towards a wall it backs onto
+function getEquipmentClearance(name) {
+    const depth = EquipmentCatalog.get(name)?.dimensions?.depth;
+    return depth ? depth / 24 : 0.5;
+}
+
+// Snap a point for an item. Fixtures near rigging hang from it (inverted,
+// square to the member); anything else snaps to the floor grid, then to a
+// wall in reach. Returns { position, heading?, inverted?, guides }; heading
+// and inverted are left out when the snap doesn't change them.
+function snapPlacement(point, { heading = 0, clearance = 0, hangable = false } = {}) {
+    if (hangable && snapping.rigging) {
+        const hang = Snapping.nearestMember(point, getRiggingMembers());
+        if (hang) {
+            return {
+                position: hang.point,
+                heading: Snapping.hangingHeading(hang.member, heading),
+                inverted: true,
+                guides: [{ type: 'member', member: hang.member, point: hang.point }]
+            };
+        }
+    }
+    
+    const result = {
+        position: Snapping.toGrid(point, snapping.grid),
+        guides: []
+    };
+    if (hangable && snapping.rigging) result.inverted = false;
+    if (snapping.grid) result.guides.push({ type: 'grid', point: result.position });
+    
+    const wall = snapping.walls && Snapping.nearestWall(result.position, getRoomWalls(), clearance);
+    if (wall) {
+        const flush = Snapping.againstWall(result.position, wall.wall, clearance);
+        result.position = flush.point;
+        result.heading = flush.heading;
+        result.guides.push({ type: 'wall', wall: wall.wall, point: flush.point });
+    }
+    return result;
+}
+
+function clearSnapGuides() {
+    if (!snapping.guides) return;
+    scene.remove(snapping.guides);
+    snapping.guides.traverse(child => child.geometry?.dispose());
+    snapping.guides = null;
+}
+
+// Draw what a placement snapped to: the member it hangs from, the grid
+// crossing, or the wall it is flush against
+function showSnapGuides(guides) {
+    clearSnapGuides();
+    if (!guides.length) return;
+    
+    const material = new THREE.LineBasicMaterial({ color: SNAP_GUIDE_COLOR, depthTest: false });
+    const line = points => {
+        const guide = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, p.z))),
+            material
+        );
+        // Drawn over whatever it runs through
+        guide.renderOrder = 999;
+        return guide;
+    };
+    const { width: w, length: l } = currentEnvironmentDimensions;
+    const floor = 0.02;
+    
+    const group = new THREE.Group();
+    guides.forEach(guide => {
+        const { x, y, z } = guide.point;
+        if (guide.type === 'member') {
+            const clamp = { x, y: y + guide.member.size / 2 + Snapping.HANG_DROP, z };
+            group.add(line([guide.member.start, guide.member.end]), line([guide.point, clamp]));
+        } else if (guide.type === 'grid') {
+            const arm = Math.max(snapping.grid, 0.5);
+            group.add(
+                line([{ x: x - arm, y: floor, z }, { x: x + arm, y: floor, z }]),
+                line([{ x, y: floor, z: z - arm }, { x, y: floor, z: z + arm }])
+            );
+        } else if (guide.type === 'wall') {
+            const { axis, at } = guide.wall;
+            group.add(axis === 'z' ?
+                line([{ x: -w/2, y: floor, z: at }, { x: w/2, y: floor, z: at }]) :
+                line([{ x: at, y: floor, z: -l/2 }, { x: at, y: floor, z: l/2 }]));
+        }
+    });
+    
+    snapping.guides = group;
+    scene.add(group);
+}
+
+// Hung fixtures. settings.hang = { member, along, heading }: the rigging
+// member's id, how far along it the unit hangs in feet, and the unit's
+// heading relative to the member's. Units follow their member when it
+// moves and stay where they are if it goes away.
+function isOverheadFrame(mesh) {
+    return mesh.userData.type === 'Overhead Rigs' && !isTrussSpan(mesh);
+}
+
+// Frame size in feet from its catalog size, "20' x 20'"
+function getFrameSize(mesh) {
+    const [width, length] = (mesh.userData.specs?.size || '').match(/\d+/g)?.map(Number) || [];
+    return width && length ? { width, length } : null;
+}
+
+function getHangSettings(member, along, heading) {
+    return { member: member.id, along, heading: heading - Snapping.memberHeading(member) };
+}
+
+// Put a unit on its member: under it, upside down, with clamp and safety
+function placeOnMember(mesh, member) {
+    const { along, heading } = mesh.userData.settings.hang;
+    const point = Snapping.hangPoint(member, along);
+    mesh.position.set(point.x, point.y, point.z);
+    mesh.rotation.set(0, Snapping.memberHeading(member) + heading, Math.PI);
+    applyFixtureAim(mesh);
+}
+
+// After an item moves: rigging takes its units along, and a fixture
+// picks up or drops the member it hangs from
+function followRigging(mesh) {
+    if (mesh.userData.type === 'Overhead Rigs') {
+        updateHungEquipment();
+    } else {
+        updateHang(mesh);
+    }
+}
+
+// Move hung units after rigging has moved, been resized or re-laid out
+function updateHungEquipment() {
+    const members = new Map(getRiggingMembers().map(member => [member.id, member]));
+    let moved = false;
+    objects.forEach(mesh => {
+        const member = members.get(mesh.userData.settings.hang?.member);
+        if (member) {
+            placeOnMember(mesh, member);
+            moved = true;
+        }
+    });
+    if (moved) notifySceneChanged();
+}
+
+// Work out what a fixture hangs from after it has been moved or turned:
+// the member whose hang line it sits on, if any
+const HANG_TOLERANCE = 0.1;
+
+function updateHang(mesh) {
+    if (!FIXTURE_CATEGORIES.includes(mesh.userData.type)) return;
+    
+    const hang = isInverted(mesh) &&
+        Snapping.nearestMember(mesh.position, getRiggingMembers(), HANG_TOLERANCE);
+    if (hang) {
+        mesh.userData.settings.hang = getHangSettings(hang.member, hang.along, getEquipmentHeading(mesh));
+    } else {
+        delete mesh.userData.settings.hang;
+    }
+    updateHangHardware(mesh);
+}
+
+function updateHangHardware(mesh) {
+    const existing = mesh.getObjectByName('hangHardware');
+    if (existing) {
+        mesh.remove(existing);
+        existing.traverse(child => child.geometry?.dispose());
+    }
+    if (!mesh.userData.settings.hang) return;
+    
+    // The unit is upside down, so up towards the pipe is its local -Y
+    const group = new THREE.Group();
+    group.name = 'hangHardware';
+    const top = -Snapping.HANG_DROP;
+    const steel = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.8, roughness: 0.4 });
+    
+    const clamp = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.25, 0.2), steel);
+    clamp.position.y = top + 0.125;
+    const stud = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.3, 8), steel);
+    stud.position.y = top + 0.4;
+    const safety = new THREE.Mesh(
+        new THREE.TorusGeometry(0.2, 0.015, 6, 16),
+        new THREE.MeshStandardMaterial({ color: 0xaaaaaa, metalness: 0.9, roughness: 0.3 })
+    );
+    safety.position.set(0.25, top + 0.1, 0);
+    safety.rotation.y = Math.PI / 2;
+    
+    group.add(clamp, stud, safety);
+    mesh.add(group);
+}
+
+// Hang positions the way the rigging crew reads them: units on each
+// member numbered from its start. Map of item id -> { member, position, label }
+function getHangPositions() {
+    const members = new Map(getRiggingMembers().map(member => [member.id, member]));
+    const byMember = new Map();
+    objects.forEach(mesh => {
+        const hang = mesh.userData.settings.hang;
+        if (!hang || !members.has(hang.member)) return;
+        if (!byMember.has(hang.member)) byMember.set(hang.member, []);
+        byMember.get(hang.member).push(mesh);
+    });
+    
+    const positions = new Map();
+    byMember.forEach((units, memberId) => {
+        const member = members.get(memberId);
+        units
+            .sort((a, b) => a.userData.settings.hang.along - b.userData.settings.hang.along)
+            .forEach((mesh, index) => {
+                positions.set(mesh.userData.id, {
+                    member: member.label,
+                    position: index + 1,
+                    label: `${member.label}, position ${index + 1}`
+                });
+            });
+    });
+    return positions;
+}
+
+// Build the 2D plot description from the scene
+function getPlotData() {
+    const preset = ENVIRONMENTS[currentEnvironmentType];
+    
+    const hangPositions = getHangPositions();
+    
+    // Truss spans are drawn with the rest of the rigging
+    const items = objects.filter(mesh => !isTrussSpan(mesh)).map(mesh => {
+        const symbol = getPlotSymbol(mesh.userData);
+        const direction = mesh.getWorldDirection(new THREE.Vector3());
+        const planLength = Math.hypot(direction.x, direction.z);
+        
+        return {
+            symbol: symbol,
+            unit: mesh.userData.settings?.unit,
+            label: mesh.userData.name,
+            x: mesh.position.x,
+            z: mesh.position.z,
+            // Straight-down fixtures keep their yaw for the arrow
+            direction: planLength > 0.01 ?
+                { x: direction.x / planLength, z: direction.z / planLength } :
+                { x: Math.sin(mesh.rotation.y), z: Math.cos(mesh.rotation.y) },
+            size: getPlotSize(mesh.userData, symbol),
+            hang: hangPositions.get(mesh.userData.id)?.label
+        };
+    });
+    
+    return {
+        title: currentProjectName,
+        date: new Date().toLocaleDateString(),
+        room: { ...currentEnvironmentDimensions },
+        windows: preset ? getWallOpenings(preset.features.windows, preset) : [],
+        doors: preset ? getWallOpenings(preset.features.doors, preset) : [],
+        trusses: getCurrentTrusses(),
+        shots: getCameraUnits().map(mesh => ({
+            label: describeEquipment(mesh),
+            footprint: CameraView.getFootprint(getCameraView(mesh), getCameraViewRange(), getRoomBounds())
+        })),
+        items: items
+    };
+}
+
+function exportPlotSVG() {
+    const svg = PlotSVG.render(getPlotData());
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ' - plot.svg';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Plot exported:', link.download);
+}
+
+// Light meter: illuminance at the subject from every placed fixture
+const lightMeter = {
+    position: new THREE.Vector3(0, 5, 0), // Subject face height
+    marker: null,
+    picking: false,
+    updateQueued: false
+};
+
+function createLightMeterMarker() {
+    const group = new THREE.Group();
+    
+    const sphere = new THREE.Mesh(
+        new THREE.SphereGeometry(0.3, 16, 16),
+        new THREE.MeshBasicMaterial({ color: 0xffcc00 })
+    );
+    group.add(sphere);
+    
+    // Drop line to the floor so the meter height reads in perspective
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, 0, 0),
+            new THREE.Vector3(0, -1, 0)
+        ]),
+        new THREE.LineDashedMaterial({ color: 0xffcc00, dashSize: 0.3, gapSize: 0.2 })
+    );
+    line.name = 'dropLine';
+    group.add(line);
+    
+    group.userData = { isLightMeter: true };
+    return group;
+}
+
+function setLightMeterPosition(position) {
+    lightMeter.position.copy(position);
+    
+    if (!lightMeter.marker) {
+        lightMeter.marker = createLightMeterMarker();
+    }
+    if (scene && !lightMeter.marker.parent) {
+        scene.add(lightMeter.marker);
+    }
+    lightMeter.marker.position.copy(position);
+    
+    const dropLine = lightMeter.marker.getObjectByName('dropLine');
+    dropLine.scale.y = Math.max(position.y, 0.01);
+    dropLine.computeLineDistances();
+    
+    ['x', 'y', 'z'].forEach(axis => {
+        const input = document.getElementById('meter' + axis.toUpperCase());
+        if (input) {
+            input.value = position[axis].toFixed(1);
+        }
+    });
+    
+    scheduleLightMeterUpdate();
+    scheduleBeamConeUpdate();
+    scheduleInspectorRefresh();
+}
+
+function createLightMeterPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'lightMeterPanel';
+    panel.style.cssText = `
+        position: absolute;
+        right: 20px;
+        bottom: 20px;
+        width: 300px;
+        max-height: 40vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Light Meter</h3>
+        <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+            <label>X <input type="number" id="meterX" step="0.5" style="width: 50px;"></label>
+            <label>Y <input type="number" id="meterY" step="0.5" style="width: 50px;"></label>
+            <label>Z <input type="number" id="meterZ" step="0.5" style="width: 50px;"></label>
+            <span>ft</span>
+        </div>
+        <button id="meterPick">Pick on Floor</button>
+        <div id="lightMeterReadout" style="margin-top: 10px;"></div>
+    `;
+    
+    document.body.appendChild(panel);
+    
+    ['X', 'Y', 'Z'].forEach(axis => {
+        document.getElementById('meter' + axis).addEventListener('change', () => {
+            setLightMeterPosition(new THREE.Vector3(
+                parseFloat(document.getElementById('meterX').value) || 0,
+                parseFloat(document.getElementById('meterY').value) || 0,
+                parseFloat(document.getElementById('meterZ').value) || 0
+            ));
+        });
+    });
+    
+    document.getElementById('meterPick').addEventListener('click', () => {
+        lightMeter.picking = true;
+        renderer.domElement.style.cursor = 'crosshair';
+    });
+    
+    // Next click on the viewport moves the meter, keeping its height
+    renderer.domElement.addEventListener('click', (e) => {
+        if (!lightMeter.picking) return;
+        e.stopImmediatePropagation();
+        lightMeter.picking = false;
+        renderer.domElement.style.cursor = '';
+        
+        const rect = renderer.domElement.getBoundingClientRect();
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        ), camera);
+        
+        const intersection = new THREE.Vector3();
+        if (raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), intersection)) {
+            setLightMeterPosition(new THREE.Vector3(intersection.x, lightMeter.position.y, intersection.z));
+        }
+    });
+    
+    setLightMeterPosition(lightMeter.position);
+}
+
+function updateLightMeter() {
+    const readout = document.getElementById('lightMeterReadout');
+    if (!readout) return;
+    
+    const sources = getLightSources();
+    if (!sources.length) {
+        readout.innerHTML = '<p style="margin: 4px 0; font-style: italic;">No fixtures with photometric data placed.</p>';
+        return;
+    }
+    
+    const reading = Photometrics.calculate(sources, lightMeter.position);
+    const rows = reading.fixtures
+        .sort((a, b) => b.fc - a.fc)
+        .map(entry => `
+            <tr>
+                <td>${escapeHTML(entry.label)}</td>
+                <td style="text-align: right;">${entry.distance.toFixed(1)}'</td>
+                <td style="text-align: right;">${entry.fc.toFixed(1)}</td>
+                <td style="text-align: right;">${Math.round(entry.lux)}</td>
+            </tr>
+        `).join('');
+    
+    readout.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            <tr style="border-bottom: 1px solid #444;">
+                <th style="text-align: left;">Fixture</th>
+                <th style="text-align: right;">Dist</th>
+                <th style="text-align: right;">fc</th>
+                <th style="text-align: right;">lux</th>
+            </tr>
+            ${rows}
+            <tr style="border-top: 1px solid #444; font-weight: bold;">
+                <td colspan="2">Total</td>
+                <td style="text-align: right;">${reading.total.fc.toFixed(1)}</td>
+                <td style="text-align: right;">${Math.round(reading.total.lux)}</td>
+            </tr>
+        </table>
+        ${getNegativeFillReadout(lightMeter.position)}
+        ${getColorMixReadout(reading, sources)}
+    `;
+}
+
+// Black faces the meter sees, and how much of its surroundings they take
+// up: light from that direction that would otherwise have filled in
+function getNegativeFillReadout(point) {
+    const faces = GripModifiers.getNegativeFill(point, getModifierSurfaces());
+    if (!faces.length) return '';
+    
+    return `
+        <div style="margin-top: 8px; font-size: 12px;">
+            ${faces.map(face => `<div>Negative fill: ${face.label}, ${Math.round(face.share * 100)}% of the surround</div>`).join('')}
+        </div>
+    `;
+}
+
+// Mixed colour at the meter, weighted by each fixture's contribution.
+// Fixtures adding less than 5% of the light are left out of the warnings.
+// Bounce and diffusion carry the colour of the light feeding them.
+function getColorMixReadout(reading, lightSources) {
+    const sources = reading.fixtures
+        .filter(entry => entry.fc > reading.total.fc * 0.05)
+        .map(entry => {
+            const color = lightSources.find(source => source.id === entry.id)?.color ||
+                getFixtureColor(objects.find(obj => obj.userData.id === entry.id));
+            return { label: entry.label, kelvin: color.kelvin, green: color.green, weight: entry.fc };
+        });
+    
+    const mix = ColorTemperature.mix(sources);
+    if (!mix) return '';
+    
+    const warnings = ColorTemperature.findMismatches(sources)
+        .map(warning => `<div style="color: #ffb347; margin-top: 4px;">⚠ ${escapeHTML(warning.message)}</div>`)
+        .join('');
+    
+    return `
+        <div style="margin-top: 8px; font-size: 12px;">
+            <div><strong>Mixed CCT: ${Math.round(mix.kelvin)}K</strong>, ${formatGreen(mix.green)}</div>
+            ${warnings}
+        </div>
+    `;
+}
+
+// Recalculate at most once per frame while things are moving
+function scheduleLightMeterUpdate() {
+    if (lightMeter.updateQueued) return;
+    lightMeter.updateQueued = true;
+    requestAnimationFrame(() => {
+        lightMeter.updateQueued = false;
+        updateLightMeter();
+    });
+}
+
+onSceneChanged(scheduleLightMeterUpdate);
+
+// False-colour illuminance overlay for the floor and walls
+const heatmap = {
+    visible: false,
+    includeWalls: false,
+    step: 10,           // fc per contour band
+    bands: 8,
+    samplesPerFoot: 1,
+    meshes: [],
+    updateQueued: false
+};
+
+// Whether the current environment builds walls (upright planes)
+function roomHasWalls() {
+    let hasWalls = false;
+    if (room) {
+        room.traverse(child => {
+            if (child.isMesh && child.geometry.type === 'PlaneGeometry' && child.rotation.x === 0) {
+                hasWalls = true;
+            }
+        });
+    }
+    return hasWalls;
+}
+
+// Surfaces the heat map can cover. pointAt maps texture u/v (left-to-right,
+// top-to-bottom) onto the surface in world space.
+function getHeatmapSurfaces() {
+    const { width: w, length: l, height: h } = currentEnvironmentDimensions;
+    const offset = 0.02; // Keep the overlay off the surface to avoid z-fighting
+    
+    const surfaces = [{
+        name: 'floor',
+        width: w,
+        height: l,
+        position: new THREE.Vector3(0, offset, 0),
+        rotation: new THREE.Euler(-Math.PI/2, 0, 0),
+        normal: { x: 0, y: 1, z: 0 },
+        pointAt: (u, v) => ({ x: -w/2 + u * w, y: 0, z: -l/2 + v * l })
+    }];
+    
+    // Only rooms whose environment builds walls get wall overlays
+    if (heatmap.includeWalls && roomHasWalls()) {
+        surfaces.push({
+            name: 'back',
+            width: w,
+            height: h,
+            position: new THREE.Vector3(0, h/2, -l/2 + offset),
+            rotation: new THREE.Euler(0, 0, 0),
+            normal: { x: 0, y: 0, z: 1 },
+            pointAt: (u, v) => ({ x: -w/2 + u * w, y: h - v * h, z: -l/2 })
+        }, {
+            name: 'left',
+            width: l,
+            height: h,
+            position: new THREE.Vector3(-w/2 + offset, h/2, 0),
+            rotation: new THREE.Euler(0, Math.PI/2, 0),
+            normal: { x: 1, y: 0, z: 0 },
+            pointAt: (u, v) => ({ x: -w/2, y: h - v * h, z: l/2 - u * l })
+        }, {
+            name: 'right',
+            width: l,
+            height: h,
+            position: new THREE.Vector3(w/2 - offset, h/2, 0),
+            rotation: new THREE.Euler(0, -Math.PI/2, 0),
+            normal: { x: -1, y: 0, z: 0 },
+            pointAt: (u, v) => ({ x: w/2, y: h - v * h, z: -l/2 + u * l })
+        });
+    }
+    
+    return surfaces;
+}
+
+// Contour band for an illuminance value: 0 is below the first step,
+// heatmap.bands is at or above the top step
+function getHeatmapBand(fc) {
+    return Math.min(Math.floor(fc / heatmap.step), heatmap.bands);
+}
+
+// Blue for dead zones through to red for hot spots
+function getHeatmapColor(band) {
+    const hue = 240 * (1 - band / heatmap.bands);
+    return {
+        css: `hsl(${hue}, 100%, 50%)`,
+        alpha: band === 0 ? 0.35 : 0.7
+    };
+}
+
+function buildHeatmapMesh(surface, fixtures) {
+    const cols = Math.max(2, Math.round(surface.width * heatmap.samplesPerFoot));
+    const rows = Math.max(2, Math.round(surface.height * heatmap.samplesPerFoot));
+    const values = Photometrics.computeGrid(fixtures, surface, cols, rows);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+    const context = canvas.getContext('2d');
+    
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const color = getHeatmapColor(getHeatmapBand(values[row * cols + col]));
+            context.globalAlpha = color.alpha;
+            context.fillStyle = color.css;
+            context.fillRect(col, row, 1, 1);
+        }
+    }
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    // Hard band edges read as contours
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(surface.width, surface.height),
+        new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        })
+    );
+    mesh.position.copy(surface.position);
+    mesh.rotation.copy(surface.rotation);
+    mesh.userData = { isHeatmap: true, surface: surface.name };
+    return mesh;
+}
+
+function clearHeatmap() {
+    heatmap.meshes.forEach(mesh => {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.map.dispose();
+        mesh.material.dispose();
+    });
+    heatmap.meshes = [];
+}
+
+function updateHeatmap() {
+    clearHeatmap();
+    updateHeatmapLegend();
+    if (!heatmap.visible) return;
+    
+    const sources = getLightSources();
+    getHeatmapSurfaces().forEach(surface => {
+        const mesh = buildHeatmapMesh(surface, sources);
+        scene.add(mesh);
+        heatmap.meshes.push(mesh);
+    });
+}
+
+function scheduleHeatmapUpdate() {
+    if (!heatmap.visible || heatmap.updateQueued) return;
+    heatmap.updateQueued = true;
+    requestAnimationFrame(() => {
+        heatmap.updateQueued = false;
+        updateHeatmap();
+    });
+}
+
+function updateHeatmapLegend() {
+    const legend = document.getElementById('heatmapLegend');
+    if (!legend) return;
+    
+    if (!heatmap.visible) {
+        legend.innerHTML = '';
+        return;
+    }
+    
+    let rows = '';
+    for (let band = heatmap.bands; band >= 0; band--) {
+        const color = getHeatmapColor(band);
+        const low = band * heatmap.step;
+        const range = band === heatmap.bands ? `≥ ${low} fc` :
+            band === 0 ? `< ${heatmap.step} fc` :
+            `${low}–${low + heatmap.step} fc`;
+        rows += `
+            <div style="display: flex; align-items: center; gap: 6px; margin: 2px 0;">
+                <span style="display: inline-block; width: 16px; height: 12px; background: ${color.css}; opacity: ${color.alpha + 0.3};"></span>
+                <span>${range}</span>
+                <span style="color: #aaa;">(${Math.round(Photometrics.fcToLux(low))} lx)</span>
+            </div>
+        `;
+    }
+    legend.innerHTML = rows;
+}
+
+function createHeatmapPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'heatmapPanel';
+    panel.style.cssText = `
+        position: absolute;
+        right: 340px;
+        bottom: 20px;
+        width: 200px;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Heat Map</h3>
+        <button id="heatmapToggle">Show Heat Map</button>
+        <div style="margin: 8px 0;">
+            <label><input type="checkbox" id="heatmapWalls"> Include walls</label>
+        </div>
+        <div style="margin: 8px 0;">
+            <label>Step (fc): <input type="number" id="heatmapStep" value="${heatmap.step}" min="1" style="width: 50px;"></label>
+        </div>
+        <div style="margin: 8px 0;">
+            <label>Bands: <input type="number" id="heatmapBands" value="${heatmap.bands}" min="2" max="16" style="width: 50px;"></label>
+        </div>
+        <div id="heatmapLegend"></div>
+    `;
+    
+    document.body.appendChild(panel);
+    
+    const toggle = document.getElementById('heatmapToggle');
+    toggle.addEventListener('click', () => {
+        heatmap.visible = !heatmap.visible;
+        toggle.textContent = heatmap.visible ? 'Hide Heat Map' : 'Show Heat Map';
+        updateHeatmap();
+    });
+    
+    document.getElementById('heatmapWalls').addEventListener('change', (e) => {
+        heatmap.includeWalls = e.target.checked;
+        updateHeatmap();
+    });
+    
+    document.getElementById('heatmapStep').addEventListener('change', (e) => {
+        heatmap.step = Math.max(1, parseFloat(e.target.value) || 10);
+        updateHeatmap();
+    });
+    
+    document.getElementById('heatmapBands').addEventListener('change', (e) => {
+        heatmap.bands = Math.min(16, Math.max(2, parseInt(e.target.value) || 8));
+        updateHeatmap();
+    });
+}
+
+onSceneChanged(scheduleHeatmapUpdate);
+
+// Beam cones showing each fixture's coverage at the subject
+let beamConesVisible = true;
+let beamConesQueued = false;
+
+// Distance from the fixture to the subject (light meter point)
+function getSubjectDistance(mesh) {
+    const head = mesh.getObjectByName('head') || mesh;
+    return Math.max(head.getWorldPosition(new THREE.Vector3()).distanceTo(lightMeter.position), 1);
+}
+
+// Beam and field coverage at the subject distance
+function getBeamCoverage(mesh) {
+    const beamAngles = getFixtureBeamAngle(mesh);
+    if (!beamAngles) return null;
+    
+    const beamAngle = Photometrics.getBeamAngle(beamAngles, mesh.userData.settings.focus ?? 0);
+    const fieldAngle = Photometrics.getFieldAngle(beamAngle);
+    const distance = getSubjectDistance(mesh);
+    const sourceWidth = mesh.getObjectByName('head')?.userData.emitter?.width || 0;
+    const diameter = angle => angle >= 180 ? Infinity :
+        sourceWidth + 2 * distance * Math.tan(THREE.MathUtils.degToRad(angle / 2));
+    
+    return {
+        beamAngle: beamAngle,
+        fieldAngle: fieldAngle,
+        distance: distance,
+        beamDiameter: diameter(beamAngle),
+        fieldDiameter: diameter(fieldAngle)
+    };
+}
+
+function formatFeet(value) {
+    return Number.isFinite(value) ? `${value.toFixed(1)}'` : '—';
+}
+
+// Cone from a point source, or a flared frustum from a panel face
+function createBeamGeometry(beamAngle, throwDistance, emitter) {
+    const spread = Math.tan(THREE.MathUtils.degToRad(Math.min(beamAngle, 170) / 2)) * throwDistance;
+    
+    if (!emitter.width) {
+        const geometry = new THREE.ConeGeometry(spread, throwDistance, 32, 1, true);
+        // Apex at the lens, opening along +Z
+        geometry.rotateX(-Math.PI / 2);
+        geometry.translate(0, 0, throwDistance / 2);
+        return geometry;
+    }
+    
+    const corners = (halfWidth, halfHeight, z) => [
+        -halfWidth, -halfHeight, z,
+        halfWidth, -halfHeight, z,
+        halfWidth, halfHeight, z,
+        -halfWidth, halfHeight, z
+    ];
+    const vertices = [
+        ...corners(emitter.width / 2, emitter.height / 2, 0),
+        ...corners(emitter.width / 2 + spread, emitter.height / 2 + spread, throwDistance)
+    ];
+    const indices = [];
+    for (let i = 0; i < 4; i++) {
+        const next = (i + 1) % 4;
+        indices.push(i, next, next + 4, i, next + 4, i + 4);
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+function updateBeamCone(mesh) {
+    const head = mesh.getObjectByName('head');
+    const coverage = getBeamCoverage(mesh);
+    if (!head || !coverage) return;
+    
+    const emitter = head.userData.emitter;
+    let cone = head.getObjectByName('beamCone');
+    if (!cone) {
+        cone = new THREE.Mesh(
+            new THREE.BufferGeometry(),
+            new THREE.MeshBasicMaterial({
+                color: 0xffffcc,
+                transparent: true,
+                opacity: 0.12,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            })
+        );
+        cone.name = 'beamCone';
+        // Beams never get in the way of picking equipment
+        cone.raycast = () => {};
+        head.add(cone);
+        
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'beam-label';
+        const label = new CSS2DObject(labelDiv);
+        label.name = 'beamLabel';
+        head.add(label);
+    }
+    
+    cone.geometry.dispose();
+    cone.geometry = createBeamGeometry(coverage.beamAngle, coverage.distance, emitter);
+    cone.position.z = emitter.front;
+    cone.visible = beamConesVisible;
+    
+    const label = head.getObjectByName('beamLabel');
+    label.position.z = emitter.front + coverage.distance;
+    label.visible = beamConesVisible;
+    label.element.textContent = `Ø ${formatFeet(coverage.beamDiameter)} beam / ${formatFeet(coverage.fieldDiameter)} field`;
+    label.element.style.display = beamConesVisible ? '' : 'none';
+}
+
+function scheduleBeamConeUpdate() {
+    if (beamConesQueued) return;
+    beamConesQueued = true;
+    requestAnimationFrame(() => {
+        beamConesQueued = false;
+        objects.forEach(updateBeamCone);
+    });
+}
+
+function setBeamConesVisible(visible) {
+    beamConesVisible = visible;
+    ['showBeamCones', 'beamConesToggle'].forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.checked = visible;
+        }
+    });
+    scheduleBeamConeUpdate();
+}
+
+onSceneChanged(scheduleBeamConeUpdate);
+
+// Emitting lights for placed fixtures
+let lightingPreview = false;
+let fixtureLightsQueued = false;
+
+// Candela to preview intensity: 50 fc at the subject reads as full white
+const PREVIEW_EXPOSURE = 1 / 50;
+
+// Work lights (generic ambient/directional) are dimmed in lighting preview
+// so the fixtures carry the look. Physically correct lights drop punctual
+// and ambient irradiance by PI, so scale back up to keep the diagram look.
+function applyWorkLightLevel() {
+    if (!scene) return;
+    
+    scene.children.forEach(child => {
+        if (!child.isAmbientLight && !child.isDirectionalLight) return;
+        if (child.userData.baseIntensity === undefined) {
+            child.userData.baseIntensity = child.intensity;
+        }
+        child.intensity = child.userData.baseIntensity * Math.PI * (lightingPreview ? 0.1 : 1);
+    });
+}
+
+function setLightingPreview(enabled) {
+    lightingPreview = enabled;
+    const checkbox = document.getElementById('lightingPreview');
+    if (checkbox) {
+        checkbox.checked = enabled;
+    }
+    applyWorkLightLevel();
+}
+
+function createFixtureLight(head, usePanelLight) {
+    let light;
+    
+    if (usePanelLight) {
+        const emitter = head.userData.emitter;
+        light = new THREE.RectAreaLight(0xffffff, 0, emitter.width, emitter.height);
+        // Area lights emit along their -Z; turn it to face out of the head
+        light.rotation.y = Math.PI;
+    } else {
+        light = new THREE.SpotLight(0xffffff, 0);
+        light.shadow.mapSize.set(1024, 1024);
+        light.shadow.camera.near = 0.5;
+        
+        const target = new THREE.Object3D();
+        target.position.z = 10;
+        head.add(target);
+        light.target = target;
+    }
+    
+    light.name = 'fixtureLight';
+    light.position.z = head.userData.emitter.front;
+    head.add(light);
+    return light;
+}
+
+function updateFixtureLight(mesh) {
+    const head = mesh.getObjectByName('head');
+    const photometrics = head && getFixturePhotometrics(mesh);
+    if (!photometrics) return;
+    
+    const emitter = head.userData.emitter;
+    const usePanelLight = emitter.width > 0 && !!THREE.RectAreaLightUniformsLib;
+    const light = head.getObjectByName('fixtureLight') || createFixtureLight(head, usePanelLight);
+    
+    const candela = Photometrics.getPeakIntensity(photometrics) *
+        photometrics.dimmer * (photometrics.transmission ?? 1);
+    const fixtureColor = getFixtureColor(mesh);
+    const color = ColorTemperature.toRGB(fixtureColor.kelvin, fixtureColor.green);
+    light.color.setRGB(color.r, color.g, color.b);
+    
+    if (light.isRectAreaLight) {
+        // Area light intensity is luminance: candela over emitting area
+        light.intensity = candela * PREVIEW_EXPOSURE / (emitter.width * emitter.height);
+    } else {
+        const beamAngle = Photometrics.getBeamAngle(photometrics.beamAngle, photometrics.focus);
+        const fieldAngle = Photometrics.getFieldAngle(beamAngle);
+        light.intensity = candela * PREVIEW_EXPOSURE;
+        light.angle = THREE.MathUtils.degToRad(Math.min(fieldAngle, 178) / 2);
+        light.penumbra = Math.min(1 - beamAngle / fieldAngle, 1);
+        light.decay = 2;
+        light.castShadow = !!mesh.userData.settings.shadows;
+        
+        if (light.castShadow && room) {
+            room.traverse(child => {
+                if (child.isMesh) child.receiveShadow = true;
+            });
+        }
+    }
+}
+
+function scheduleFixtureLightUpdate() {
+    if (fixtureLightsQueued) return;
+    fixtureLightsQueued = true;
+    requestAnimationFrame(() => {
+        fixtureLightsQueued = false;
+        objects.forEach(updateFixtureLight);
+        updateSoftLights();
+    });
+}
+
+// Bounce and diffusion in the preview: a light over each face of a
+// modifier that fixtures are striking
+function createSoftLight(fabric, face) {
+    const { width, height } = fabric.userData;
+    const side = face === 'front' ? 1 : -1;
+    let light;
+    
+    if (THREE.RectAreaLightUniformsLib) {
+        light = new THREE.RectAreaLight(0xffffff, 0, width, height);
+        // Area lights emit along their -Z
+        if (face === 'front') light.rotation.y = Math.PI;
+    } else {
+        light = new THREE.SpotLight(0xffffff, 0, 0, Math.PI * 0.45, 1, 2);
+        const target = new THREE.Object3D();
+        target.position.z = side * 10;
+        fabric.add(target);
+        light.target = target;
+    }
+    
+    light.name = `softLight-${face}`;
+    light.position.z = side * 0.05;
+    fabric.add(light);
+    return light;
+}
+
+function updateSoftLights() {
+    const sources = getLightSources().filter(source => source.surface);
+    
+    objects.forEach(mesh => {
+        const fabric = mesh.getObjectByName('fabric');
+        if (!fabric) return;
+        
+        ['front', 'back'].forEach(face => {
+            const source = sources.find(entry => entry.surface === mesh.userData.id && entry.face === face);
+            let light = fabric.getObjectByName(`softLight-${face}`);
+            if (!source) {
+                if (light) light.intensity = 0;
+                return;
+            }
+            light = light || createSoftLight(fabric, face);
+            
+            const candela = Photometrics.getPeakIntensity(source);
+            const color = ColorTemperature.toRGB(source.color.kelvin, source.color.green);
+            light.color.setRGB(color.r, color.g, color.b);
+            light.intensity = light.isRectAreaLight ?
+                candela * PREVIEW_EXPOSURE / (light.width * light.height) :
+                candela * PREVIEW_EXPOSURE;
+        });
+    });
+}
+
+onSceneChanged(scheduleFixtureLightUpdate);
+
+// View toggles for beams and lighting preview
+function createDisplayOptions() {
+    const panel = document.createElement('div');
+    panel.id = 'displayOptions';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        bottom: 20px;
+        transform: translateX(-50%);
+        display: flex;
+        gap: 15px;
+        background: rgba(0,0,0,0.7);
+        padding: 8px 15px;
+        border-radius: 5px;
+        color: white;
+        z-index: 1000;
+        font-size: 12px;
+    `;
+    
+    panel.innerHTML = `
+        <label><input type="checkbox" id="beamConesToggle" ${beamConesVisible ? 'checked' : ''}> Beam cones (B)</label>
+        <label><input type="checkbox" id="lightingPreview" ${lightingPreview ? 'checked' : ''}> Lighting preview (L)</label>
+        <label><input type="checkbox" id="cableRunsToggle" ${cableRuns.visible ? 'checked' : ''}> Cable runs</label>
+        <label><input type="checkbox" id="riggingLoadsToggle" ${riggingLoads.visible ? 'checked' : ''}> Rigging loads</label>
+        <label><input type="checkbox" id="cameraViewsToggle" ${cameraViews.visible ? 'checked' : ''}> Camera views</label>
+        <label>Snap
+            <select id="snapGrid">
+                ${Snapping.GRID_STEPS.map(step => `
+                    <option value="${step}" ${step === snapping.grid ? 'selected' : ''}>${step ? `${step} ft grid` : 'No grid'}</option>
+                `).join('')}
+            </select>
+        </label>
+        <label><input type="checkbox" id="snapRigging" ${snapping.rigging ? 'checked' : ''}> Pipes & truss</label>
+        <label><input type="checkbox" id="snapWalls" ${snapping.walls ? 'checked' : ''}> Walls</label>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('beamConesToggle').addEventListener('change', (e) => setBeamConesVisible(e.target.checked));
+    document.getElementById('lightingPreview').addEventListener('change', (e) => setLightingPreview(e.target.checked));
+    document.getElementById('cableRunsToggle').addEventListener('change', (e) => setCableRunsVisible(e.target.checked));
+    document.getElementById('riggingLoadsToggle').addEventListener('change', (e) => setRiggingLoadsVisible(e.target.checked));
+    document.getElementById('cameraViewsToggle').addEventListener('change', (e) => setCameraViewsVisible(e.target.checked));
+    document.getElementById('snapGrid').addEventListener('change', (e) => {
+        snapping.grid = Number(e.target.value);
+        updateTransformGizmo();
+    });
+    document.getElementById('snapRigging').addEventListener('change', (e) => snapping.rigging = e.target.checked);
+    document.getElementById('snapWalls').addEventListener('change', (e) => snapping.walls = e.target.checked);
+}
+
+// Selection of placed equipment
+let selectedObject = null;
+let selectionHelper = null;
+
+// Walk up from a hit mesh to the placed item it belongs to
+function getEquipmentFromIntersection(object) {
+    while (object && !objects.includes(object)) {
+        object = object.parent;
+    }
+    return object;
+}
+
+function selectEquipment(mesh) {
+    selectedObject = mesh || null;
+    
+    if (selectionHelper) {
+        scene.remove(selectionHelper);
+        selectionHelper = null;
+    }
+    if (selectedObject) {
+        selectionHelper = new THREE.BoxHelper(selectedObject, 0xffcc00);
+        scene.add(selectionHelper);
+    }
+    
+    updateTransformGizmo();
+    updateInspector();
+}
+
+// Transform gizmo on the selected item. Move works in X/Z and height;
+// rotate turns the whole item; pan and tilt aim a fixture's yoke and
+// head without moving its stand.
+const GIZMO_MODES = {
+    move: { label: 'Move', mode: 'translate', space: 'world', axes: 'XYZ', target: mesh => mesh },
+    rotate: { label: 'Rotate', mode: 'rotate', space: 'local', axes: 'Y', target: mesh => mesh },
+    pan: { label: 'Pan', mode: 'rotate', space: 'local', axes: 'Y', target: mesh => mesh.getObjectByName('yoke'), aim: true },
+    tilt: { label: 'Tilt', mode: 'rotate', space: 'local', axes: 'X', target: mesh => mesh.getObjectByName('head'), aim: true }
+};
+
+const gizmo = {
+    controls: null,
+    mode: 'move'
+};
+
+// Pan and tilt fall back to move for items with no head to aim
+function getGizmoMode(mesh) {
+    return GIZMO_MODES[gizmo.mode].aim && !isAimable(mesh) ? 'move' : gizmo.mode;
+}
+
+function setupTransformGizmo() {
+    if (!THREE.TransformControls) {
+        console.warn('TransformControls not loaded; items can still be placed from the inspector');
+        return;
+    }
+    
+    gizmo.controls = new THREE.TransformControls(camera, renderer.domElement);
+    scene.add(gizmo.controls);
+    
+    let before = null;
+    gizmo.controls.addEventListener('dragging-changed', (e) => {
+        controls.enabled = !e.value;
+        if (!e.value) clearSnapGuides();
+        if (!selectedObject) return;
+        
+        if (e.value) {
+            before = getEquipmentTransform(selectedObject);
+        } else if (before) {
+            const label = `${GIZMO_MODES[getGizmoMode(selectedObject)].label} ${describeEquipment(selectedObject)}`;
+            recordEquipmentTransform(selectedObject, before, label);
+            before = null;
+        }
+    });
+    
+    gizmo.controls.addEventListener('objectChange', () => {
+        // Pan and tilt are kept in settings so they save and undo with the item
+        const mode = getGizmoMode(selectedObject);
+        const settings = selectedObject.userData.settings;
+        const sign = getAimSign(selectedObject);
+        if (mode === 'pan') {
+            settings.pan = THREE.MathUtils.radToDeg(selectedObject.getObjectByName('yoke').rotation.y) * sign;
+        } else if (mode === 'tilt') {
+            settings.tilt = THREE.MathUtils.radToDeg(selectedObject.getObjectByName('head').rotation.x) * sign;
+        } else if (mode === 'move') {
+            snapSelectedObject();
+        }
+        followRigging(selectedObject);
+        notifySceneChanged();
+    });
+}
+
+// Apply snapping to the item being dragged by the gizmo
+function snapSelectedObject() {
+    const mesh = selectedObject;
+    const snap = snapPlacement(mesh.position, {
+        heading: getEquipmentHeading(mesh),
+        clearance: getEquipmentClearance(mesh.userData.name),
+        hangable: FIXTURE_CATEGORIES.includes(mesh.userData.type)
+    });
+    
+    mesh.position.set(snap.position.x, snap.position.y, snap.position.z);
+    if (snap.heading !== undefined || snap.inverted !== undefined) {
+        const inverted = snap.inverted ?? isInverted(mesh);
+        mesh.rotation.set(0, snap.heading ?? getEquipmentHeading(mesh), inverted ? Math.PI : 0);
+        applyFixtureAim(mesh);
+    }
+    showSnapGuides(snap.guides);
+}
+
+function updateTransformGizmo() {
+    if (!gizmo.controls) return;
+    if (!selectedObject) {
+        gizmo.controls.detach();
+        return;
+    }
+    
+    const mode = GIZMO_MODES[getGizmoMode(selectedObject)];
+    gizmo.controls.attach(mode.target(selectedObject));
+    gizmo.controls.setMode(mode.mode);
+    gizmo.controls.setSpace(mode.space);
+    gizmo.controls.setRotationSnap(snapping.grid ? ROTATE_STEP : null);
+    gizmo.controls.showX = mode.axes.includes('X');
+    gizmo.controls.showY = mode.axes.includes('Y');
+    gizmo.controls.showZ = mode.axes.includes('Z');
+}
+
+function setGizmoMode(mode) {
+    gizmo.mode = mode;
+    updateTransformGizmo();
+    updateInspector();
+}
+
+function setupSelection() {
+    const canvas = renderer.domElement;
+    let pointerDown = null;
+    
+    setupTransformGizmo();
+    
+    canvas.addEventListener('pointerdown', (e) => {
+        pointerDown = { x: e.clientX, y: e.clientY };
+    });
+    
+    canvas.addEventListener('click', (e) => {
+        // Ignore clicks that ended an orbit drag or landed on the gizmo
+        if (pointerDown && Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y) > 4) return;
+        if (gizmo.controls?.axis) return;
+        
+        const rect = canvas.getBoundingClientRect();
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        ), camera);
+        
+        const hits = raycaster.intersectObjects(objects, true);
+        selectEquipment(hits.length ? getEquipmentFromIntersection(hits[0].object) : null);
+    });
+    
+    onSceneChanged(() => {
+        if (selectedObject && !objects.includes(selectedObject)) {
+            selectEquipment(null);
+        } else if (selectionHelper) {
+            selectionHelper.update();
+        }
+    });
+}
+
+function isTextEntry(target) {
+    return !!target?.closest?.('input, textarea, select, [contenteditable]');
+}
+
+// Nudge distance in feet; Shift for fine moves
+const NUDGE_STEP = 0.5;
+const NUDGE_STEP_FINE = 0.1;
+const ROTATE_STEP = Math.PI / 12;
+
+// Keyboard editing of the selected item
+document.addEventListener('keydown', (event) => {
+    if (!selectedObject || event.ctrlKey || event.metaKey || isTextEntry(event.target)) return;
+    
+    const step = event.shiftKey ? NUDGE_STEP_FINE : NUDGE_STEP;
+    const { x, y, z } = selectedObject.position;
+    const nudges = {
+        ArrowLeft: { x: x - step, y, z },
+        ArrowRight: { x: x + step, y, z },
+        ArrowUp: { x, y, z: z - step },
+        ArrowDown: { x, y, z: z + step }
+    };
+    
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        deleteEquipment(selectedObject);
+    } else if (nudges[event.key]) {
+        event.preventDefault();
+        transformEquipment(selectedObject, { position: nudges[event.key] });
+    } else if (event.key.toLowerCase() === 'r') {
+        const rotation = selectedObject.rotation;
+        transformEquipment(selectedObject, {
+            rotation: { x: rotation.x, y: rotation.y + (event.shiftKey ? -ROTATE_STEP : ROTATE_STEP), z: rotation.z }
+        }, `Rotate ${describeEquipment(selectedObject)}`);
+    }
+});
+
+const METERS_PER_FOOT = 0.3048;
+
+// Inspector for the selected item. Each section renders its controls and
+// may return an update function that refreshes read-outs when the scene changes.
+const inspectorSections = {
+    position: {
+        title: 'Position',
+        appliesTo: () => true,
+        render: (mesh, container) => {
+            const aimable = isAimable(mesh);
+            const units = inspector.units;
+            const toUnits = feet => units === 'm' ? feet * METERS_PER_FOOT : feet;
+            const fromUnits = value => units === 'm' ? value / METERS_PER_FOOT : value;
+            const field = (key, label, unit) => `
+                <label style="display: inline-block; width: 49%; margin-bottom: 4px;">
+                    ${label} <input type="number" class="position-field" data-key="${key}" step="any" style="width: 55px;"> ${unit}
+                </label>
+            `;
+            
+            const modes = Object.entries(GIZMO_MODES).filter(([, mode]) => aimable || !mode.aim);
+            const activeMode = getGizmoMode(mesh);
+            container.innerHTML = `
+                <div style="display: flex; gap: 4px; margin-bottom: 6px;">
+                    ${modes.map(([key, mode]) => `
+                        <button class="gizmo-mode" data-mode="${key}" style="${key === activeMode ? 'background: #4a9eff;' : ''}">${mode.label}</button>
+                    `).join('')}
+                </div>
+                ${field('x', 'X', units)}
+                ${field('z', 'Z', units)}
+                ${field('height', 'Height', units)}
+                ${field('heading', 'Rotation', '°')}
+                ${aimable ? field('pan', 'Pan', '°') + field('tilt', 'Tilt', '° down') : ''}
+                <div class="hang-position" style="margin: 4px 0;"></div>
+                <label>Units
+                    <select class="position-units">
+                        <option value="ft" ${units === 'ft' ? 'selected' : ''}>feet</option>
+                        <option value="m" ${units === 'm' ? 'selected' : ''}>meters</option>
+                    </select>
+                </label>
+            `;
+            
+            const update = () => {
+                const { position, rotation, pan, tilt } = getEquipmentTransform(mesh);
+                const values = {
+                    x: toUnits(position.x),
+                    z: toUnits(position.z),
+                    height: toUnits(position.y),
+                    heading: THREE.MathUtils.radToDeg(rotation.y),
+                    pan,
+                    tilt
+                };
+                const hang = getHangPositions().get(mesh.userData.id);
+                container.querySelector('.hang-position').innerHTML = hang ? `
+                    Hung from ${escapeHTML(hang.label)}
+                    <button class="take-down">Set on floor</button>
+                ` : '';
+                container.querySelector('.take-down')?.addEventListener('click', () => {
+                    transformEquipment(mesh, {
+                        position: { x: mesh.position.x, y: 0, z: mesh.position.z },
+                        rotation: { x: 0, y: getEquipmentHeading(mesh), z: 0 }
+                    }, `Take down ${describeEquipment(mesh)}`);
+                });
+                
+                container.querySelectorAll('.position-field').forEach(input => {
+                    // Leave a field alone while it is being typed in
+                    if (input !== document.activeElement) {
+                        input.value = Number(values[input.dataset.key].toFixed(2));
+                    }
+                });
+            };
+            
+            container.querySelectorAll('.position-field').forEach(input => {
+                input.addEventListener('change', () => {
+                    const key = input.dataset.key;
+                    const value = parseFloat(input.value);
+                    if (!Number.isFinite(value) || (key === 'height' && value < 0)) {
+                        update();
+                        return;
+                    }
+                    
+                    const { position, rotation } = getEquipmentTransform(mesh);
+                    const changes = {
+                        x: { position: { ...position, x: fromUnits(value) } },
+                        z: { position: { ...position, z: fromUnits(value) } },
+                        height: { position: { ...position, y: fromUnits(value) } },
+                        heading: { rotation: { ...rotation, y: THREE.MathUtils.degToRad(value) } },
+                        pan: { pan: value },
+                        tilt: { tilt: value }
+                    };
+                    const action = key === 'heading' ? 'Rotate' : key === 'pan' || key === 'tilt' ? 'Aim' : 'Move';
+                    transformEquipment(mesh, changes[key], `${action} ${describeEquipment(mesh)}`);
+                });
+            });
+            
+            container.querySelectorAll('.gizmo-mode').forEach(button => {
+                button.addEventListener('click', () => setGizmoMode(button.dataset.mode));
+            });
+            container.querySelector('.position-units').addEventListener('change', (e) => {
+                inspector.units = e.target.value;
+                updateInspector();
+            });
+            
+            update();
+            return update;
+        }
+    },
+    role: {
+        title: 'Role',
+        appliesTo: mesh => FIXTURE_CATEGORIES.includes(mesh.userData.type) || !!getFabricChoices(mesh),
+        render: (mesh, container) => {
+            const role = mesh.userData.settings.role;
+            container.innerHTML = `
+                <select class="role-select">
+                    <option value="">None</option>
+                    ${Object.entries(SetupParser.ROLES).map(([key, { label }]) =>
+                        `<option value="${key}" ${key === role ? 'selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+            `;
+            
+            container.querySelector('.role-select').addEventListener('change', (e) => {
+                setEquipmentSetting(mesh, 'role', e.target.value || undefined);
+            });
+        }
+    },
+    camera: {
+        title: 'Camera',
+        appliesTo: mesh => isCameraUnit(mesh),
+        render: (mesh, container) => {
+            const settings = mesh.userData.settings;
+            container.innerHTML = `
+                <label style="display: block; margin-bottom: 4px;">Sensor
+                    <select class="camera-sensor">
+                        ${Object.entries(CameraView.SENSORS).map(([key, sensor]) =>
+                            `<option value="${key}" ${key === settings.sensor ? 'selected' : ''}>${sensor.label}</option>`
+                        ).join('')}
+                    </select>
+                </label>
+                <label style="display: inline-block; width: 49%;">Lens
+                    <input type="number" class="camera-focal-length" list="cameraFocalLengths" min="1" step="any" value="${settings.focalLength}" style="width: 50px;"> mm
+                </label>
+                <datalist id="cameraFocalLengths">
+                    ${CameraView.FOCAL_LENGTHS.map(length => `<option value="${length}">`).join('')}
+                </datalist>
+                <label style="display: inline-block; width: 49%;">Lens height
+                    <input type="number" class="camera-height" min="0.5" step="0.25" value="${settings.lensHeight}" style="width: 50px;"> ft
+                </label>
+                <div class="camera-readout" style="margin-top: 6px;"></div>
+            `;
+            
+            const readout = container.querySelector('.camera-readout');
+            const update = () => {
+                const shot = cameraViews.shots.find(item => item.camera === mesh);
+                if (!shot) return;
+                const frame = shot.talent && CameraView.getFrameSize(shot.view, shot.talent.depth);
+                readout.innerHTML = `
+                    <div>Field of view ${describeFieldOfView(settings)}</div>
+                    ${frame ? `<div>Frame at talent (${formatFeet(shot.talent.depth)}): ${formatFeet(frame.width)} × ${formatFeet(frame.height)}</div>` : ''}
+                    ${shot.contents.length ?
+                        `<div style="color: ${IN_SHOT_COLOR};">⚠ ${shot.contents.length} item${shot.contents.length === 1 ? '' : 's'} in shot</div>` :
+                        '<div style="color: #33cc66;">Frame clear of equipment</div>'}
+                `;
+            };
+            
+            container.querySelector('.camera-sensor').addEventListener('change', (e) => {
+                setEquipmentSetting(mesh, 'sensor', e.target.value);
+            });
+            container.querySelector('.camera-focal-length').addEventListener('change', (e) => {
+                const focalLength = parseFloat(e.target.value);
+                if (focalLength > 0) setEquipmentSetting(mesh, 'focalLength', focalLength);
+            });
+            container.querySelector('.camera-height').addEventListener('change', (e) => {
+                const height = parseFloat(e.target.value);
+                if (height > 0) setEquipmentSetting(mesh, 'lensHeight', height);
+            });
+            
+            update();
+            return update;
+        }
+    },
+    talent: {
+        title: 'Talent',
+        appliesTo: mesh => isTalentMark(mesh),
+        render: (mesh, container) => {
+            const posture = mesh.userData.settings.posture;
+            container.innerHTML = `
+                <select class="talent-posture">
+                    ${Object.entries(TALENT_POSTURES).map(([key, { label, eyeHeight }]) =>
+                        `<option value="${key}" ${key === posture ? 'selected' : ''}>${label} (eyes at ${formatFeet(eyeHeight)})</option>`
+                    ).join('')}
+                </select>
+                <button class="talent-meter" style="display: block; margin-top: 6px;">Meter at eye height</button>
+            `;
+            
+            container.querySelector('.talent-posture').addEventListener('change', (e) => {
+                setEquipmentSetting(mesh, 'posture', e.target.value);
+            });
+            container.querySelector('.talent-meter').addEventListener('click', () => {
+                setLightMeterPosition(getTalentEye(mesh));
+            });
+        }
+    },
+    beam: {
+        title: 'Beam',
+        appliesTo: mesh => !!getFixtureBeamAngle(mesh),
+        render: (mesh, container) => {
+            const focus = Math.round((mesh.userData.settings.focus ?? 0) * 100);
+            container.innerHTML = `
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span>Spot</span>
+                    <input type="range" class="focus-slider" min="0" max="100" value="${focus}" style="flex: 1;">
+                    <span>Flood</span>
+                </div>
+                <div class="beam-readout" style="margin-top: 6px;"></div>
+            `;
+            
+            const readout = container.querySelector('.beam-readout');
+            const update = () => {
+                const coverage = getBeamCoverage(mesh);
+                readout.innerHTML = `
+                    <div>Beam ${coverage.beamAngle.toFixed(0)}° / Field ${coverage.fieldAngle.toFixed(0)}°</div>
+                    <div>At subject (${formatFeet(coverage.distance)}):</div>
+                    <div>Beam Ø ${formatFeet(coverage.beamDiameter)}, Field Ø ${formatFeet(coverage.fieldDiameter)}</div>
+                `;
+            };
+            
+            container.querySelector('.focus-slider').addEventListener('input', (e) => {
+                setEquipmentSetting(mesh, 'focus', e.target.value / 100);
+            });
+            
+            update();
+            return update;
+        }
+    },
+    output: {
+        title: 'Output',
+        appliesTo: mesh => !!getFixturePhotometrics(mesh),
+        render: (mesh, container) => {
+            const settings = mesh.userData.settings;
+            const dimmer = Math.round((settings.dimmer ?? 1) * 100);
+            const isPanel = mesh.getObjectByName('head')?.userData.emitter?.width > 0;
+            container.innerHTML = `
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span>Dimmer</span>
+                    <input type="range" class="dimmer-slider" min="0" max="100" value="${dimmer}" style="flex: 1;">
+                    <span class="dimmer-value">${dimmer}%</span>
+                </div>
+                <label style="display: block; margin-top: 6px;">
+                    <input type="checkbox" class="shadow-toggle" ${settings.shadows ? 'checked' : ''} ${isPanel ? 'disabled' : ''}>
+                    Cast shadows${isPanel ? ' (not available for soft panels)' : ''}
+                </label>
+            `;
+            
+            container.querySelector('.dimmer-slider').addEventListener('input', (e) => {
+                container.querySelector('.dimmer-value').textContent = `${e.target.value}%`;
+                setEquipmentSetting(mesh, 'dimmer', e.target.value / 100);
+            });
+            container.querySelector('.shadow-toggle').addEventListener('change', (e) => {
+                setEquipmentSetting(mesh, 'shadows', e.target.checked);
+            });
+        }
+    },
+    color: {
+        title: 'Color & Gels',
+        appliesTo: mesh => FIXTURE_CATEGORIES.includes(mesh.userData.type),
+        render: (mesh, container) => {
+            const range = ColorTemperature.parseRange(mesh.userData.specs?.color);
+            const cct = getFixtureCCT(mesh);
+            const gelOptions = ColorTemperature.GELS.map(gel =>
+                `<option value="${gel.id}">${gel.brand} ${gel.number} ${gel.name}</option>`
+            ).join('');
+            
+            container.innerHTML = `
+                ${range?.variable ? `
+                    <div style="display: flex; align-items: center; gap: 6px;">
+                        <span>CCT</span>
+                        <input type="range" class="cct-slider" min="${range.min}" max="${range.max}" step="50" value="${cct}" style="flex: 1;">
+                        <span class="cct-value">${cct}K</span>
+                    </div>
+                ` : `<div>Source: ${cct}K (fixed)</div>`}
+                <div style="display: flex; gap: 4px; margin-top: 6px;">
+                    <select class="gel-select" style="flex: 1; min-width: 0;">${gelOptions}</select>
+                    <button class="gel-add">Add</button>
+                </div>
+                <div class="gel-list" style="margin-top: 6px;"></div>
+                <div class="color-readout" style="margin-top: 6px;"></div>
+            `;
+            
+            const list = container.querySelector('.gel-list');
+            const readout = container.querySelector('.color-readout');
+            const update = () => {
+                const gels = mesh.userData.settings.gels || [];
+                list.innerHTML = gels.map((id, index) => {
+                    const gel = ColorTemperature.findGel(id);
+                    return `
+                        <div style="display: flex; justify-content: space-between;">
+                            <span>${gel ? `${gel.brand} ${gel.number} ${gel.name}` : id}</span>
+                            <button class="gel-remove" data-index="${index}">✕</button>
+                        </div>
+                    `;
+                }).join('') || '<div style="font-style: italic;">No gels</div>';
+                
+                const color = getFixtureColor(mesh);
+                readout.innerHTML = `
+                    <div><strong>Result: ${Math.round(color.kelvin)}K</strong>, ${formatGreen(color.green)}</div>
+                    <div>Transmission ${Math.round(color.transmission * 100)}% ` +
+                    `(${ColorTemperature.toStops(color.transmission).toFixed(1)} stops)</div>
+                `;
+            };
+            
+            container.querySelector('.cct-slider')?.addEventListener('input', (e) => {
+                container.querySelector('.cct-value').textContent = `${e.target.value}K`;
+                setEquipmentSetting(mesh, 'cct', Number(e.target.value));
+            });
+            container.querySelector('.gel-add').addEventListener('click', () => {
+                const gels = [...(mesh.userData.settings.gels || []), container.querySelector('.gel-select').value];
+                setEquipmentSetting(mesh, 'gels', gels);
+            });
+            list.addEventListener('click', (e) => {
+                if (!e.target.classList.contains('gel-remove')) return;
+                const gels = [...mesh.userData.settings.gels];
+                gels.splice(Number(e.target.dataset.index), 1);
+                setEquipmentSetting(mesh, 'gels', gels);
+            });
+            
+            update();
+            return update;
+        }
+    },
+    power: {
+        title: 'Power',
+        appliesTo: mesh => !!getEquipmentDraw(mesh),
+        render: (mesh, container) => {
+            const draw = getEquipmentDraw(mesh);
+            const amps = Power.ampsByVoltage(draw.va);
+            const circuitOptions = powerPlan.distros.flatMap(distro => distro.circuits.map(circuit =>
+                `<option value="${circuit.id}" ${circuit.id === mesh.userData.settings.circuit ? 'selected' : ''}>` +
+                `${escapeHTML(distro.name)} #${circuit.number} (${circuit.phase}, ${circuit.voltage}V ${circuit.breaker}A)</option>`
+            )).join('');
+            
+            container.innerHTML = `
+                <div>${draw.watts}W${draw.estimate ? ' (estimate)' : ''} → ${Math.round(draw.va)}VA</div>
+                <div>${Object.entries(amps).map(([volts, value]) => `${value.toFixed(1)}A @ ${volts}V`).join(' · ')}</div>
+                <select class="power-circuit" style="width: 100%; margin-top: 6px;">
+                    <option value="">Not on a circuit</option>
+                    ${circuitOptions}
+                </select>
+            `;
+            
+            container.querySelector('.power-circuit').addEventListener('change', (e) => {
+                setEquipmentSetting(mesh, 'circuit', e.target.value || null);
+            });
+        }
+    },
+    truss: {
+        title: 'Truss',
+        appliesTo: mesh => isTrussSpan(mesh),
+        render: (mesh, container) => {
+            container.innerHTML = `
+                <label>Length (ft) <input type="number" class="truss-length" min="1" step="0.5"
+                    value="${mesh.userData.settings.length}" style="width: 60px;"></label>
+            `;
+            container.querySelector('.truss-length').addEventListener('change', (e) => {
+                const length = parseFloat(e.target.value);
+                if (length > 0) setEquipmentSetting(mesh, 'length', length);
+            });
+        }
+    },
+    fabric: {
+        title: 'Fabric',
+        appliesTo: mesh => !!getFabricChoices(mesh),
+        render: (mesh, container) => {
+            const options = getFabricChoices(mesh).map(key =>
+                `<option value="${key}" ${key === mesh.userData.settings.fabric ? 'selected' : ''}>` +
+                `${GripModifiers.FABRICS[key].label}</option>`
+            ).join('');
+            container.innerHTML = `
+                <select class="fabric-select" style="width: 100%;">${options}</select>
+                <div class="fabric-readout" style="margin-top: 6px;"></div>
+            `;
+            
+            container.querySelector('.fabric-select').addEventListener('change', (e) => {
+                setEquipmentSetting(mesh, 'fabric', e.target.value);
+            });
+            
+            const readout = container.querySelector('.fabric-readout');
+            const update = () => {
+                const fabric = GripModifiers.getFabric(mesh.userData.settings.fabric);
+                const sources = getLightSources().filter(source => source.surface === mesh.userData.id);
+                const lines = sources.map(source =>
+                    `${source.face === 'front' ? 'Front' : 'Back'}: ${source.kind}, ` +
+                    `${Math.round(source.lumens).toLocaleString()} lm`
+                );
+                if (fabric.direct > 0 && fabric.direct < 1) {
+                    lines.push(`Cuts direct light by ${ColorTemperature.toStops(fabric.direct).toFixed(1)} stops`);
+                }
+                ['front', 'back'].forEach(face => {
+                    if (GripModifiers.isDark(fabric, face)) {
+                        lines.push(`${face === 'front' ? 'Front' : 'Back'} is black: negative fill`);
+                    }
+                });
+                readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('') ||
+                    '<div style="font-style: italic;">No fixture is striking it</div>';
+            };
+            
+            update();
+            return update;
+        }
+    },
+    dmx: {
+        title: 'DMX',
+        appliesTo: mesh => !!DMXPatch.getModes(mesh.userData.name),
+        render: (mesh, container) => {
+            const patch = mesh.userData.settings.patch || {};
+            const mode = DMXPatch.getMode(mesh.userData.name, patch.mode);
+            const modeOptions = DMXPatch.getModes(mesh.userData.name).map(option =>
+                `<option value="${escapeHTML(option.name)}" ${option.name === mode.name ? 'selected' : ''}>` +
+                `${escapeHTML(option.name)} (${option.channels.length}ch)</option>`
+            ).join('');
+            
+            container.innerHTML = `
+                <select class="dmx-mode" style="width: 100%;">${modeOptions}</select>
+                <div style="display: flex; gap: 5px; margin-top: 6px;">
+                    <label>Univ <input type="number" class="dmx-universe" min="1" value="${patch.universe ?? ''}" style="width: 50px;"></label>
+                    <label>Addr <input type="number" class="dmx-address" min="1" max="512" value="${patch.address ?? ''}" style="width: 50px;"></label>
+                </div>
+                <div class="dmx-issues" style="margin-top: 6px;"></div>
+            `;
+            
+            const setPatch = (changes) => {
+                setEquipmentSetting(mesh, 'patch', { ...mesh.userData.settings.patch, ...changes });
+            };
+            container.querySelector('.dmx-mode').addEventListener('change', (e) => {
+                setPatch({ mode: e.target.value });
+            });
+            container.querySelector('.dmx-universe').addEventListener('change', (e) => {
+                setPatch({ universe: parseInt(e.target.value) || 1 });
+            });
+            container.querySelector('.dmx-address').addEventListener('change', (e) => {
+                setPatch({ address: parseInt(e.target.value) || null });
+            });
+            
+            const issuesDiv = container.querySelector('.dmx-issues');
+            const update = () => {
+                const issues = DMXPatch.validate(getPatchEntries())
+                    .filter(issue => issue.id === mesh.userData.id);
+                issuesDiv.innerHTML = issues
+                    .map(issue => `<div style="color: #ff6b6b;">⚠ ${escapeHTML(issue.message)}</div>`)
+                    .join('');
+            };
+            
+            update();
+            return update;
+        }
+    }
+};
+
+const inspector = {
+    updaters: [],
+    updateQueued: false,
+    // Length units for numeric entry: 'ft' or 'm'
+    units: 'ft'
+};
+
+// Settings named differently in history labels
+const SETTING_LABELS = {
+    cct: 'CCT',
+    patch: 'DMX patch',
+    role: 'lighting role',
+    focalLength: 'focal length',
+    lensHeight: 'lens height'
+};
+
+function copySetting(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function applyEquipmentSetting(mesh, key, value) {
+    mesh.userData.settings[key] = value;
+    if (key === 'length' && isTrussSpan(mesh)) {
+        resizeTrussSpan(mesh, value);
+        updateHungEquipment();
+    }
+    if (key === 'fabric') applyFabric(mesh);
+    if (key === 'role') applyRoleLabel(mesh);
+    if (key === 'lensHeight') applyLensHeight(mesh);
+    if (key === 'posture') applyTalentPosture(mesh);
+    notifySceneChanged();
+}
+
+// Change one setting as an undoable step. A slider dragged through many
+// values is one step.
+function setEquipmentSetting(mesh, key, value) {
+    const id = mesh.userData.id;
+    const before = copySetting(mesh.userData.settings[key]);
+    applyEquipmentSetting(mesh, key, value);
+    const after = copySetting(value);
+    
+    CommandHistory.record({
+        label: `Set ${SETTING_LABELS[key] || key} on ${describeEquipment(mesh)}`,
+        mergeKey: `setting:${id}:${key}`,
+        undo: () => applyEquipmentSetting(findEquipment(id), key, copySetting(before)),
+        redo: () => applyEquipmentSetting(findEquipment(id), key, copySetting(after))
+    });
+}
+
+// Set one setting on several items at once ({ itemId: value }), as one step
+function setEquipmentSettings(key, values, label) {
+    const ids = Object.keys(values);
+    if (!ids.length) return;
+    
+    const before = {};
+    objects.forEach(mesh => {
+        if (ids.includes(mesh.userData.id)) before[mesh.userData.id] = copySetting(mesh.userData.settings[key]);
+    });
+    const after = copySetting(values);
+    
+    const apply = (settings) => {
+        objects.forEach(mesh => {
+            if (mesh.userData.id in settings) {
+                mesh.userData.settings[key] = copySetting(settings[mesh.userData.id]);
+            }
+        });
+        notifySceneChanged();
+    };
+    apply(after);
+    
+    CommandHistory.record({
+        label,
+        undo: () => apply(before),
+        redo: () => apply(after)
+    });
+}
+
+function createInspectorPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'inspectorPanel';
+    panel.style.cssText = `
+        position: absolute;
+        right: 340px;
+        top: 20px;
+        width: 260px;
+        max-height: 60vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    document.body.appendChild(panel);
+    
+    onSceneChanged(scheduleInspectorRefresh);
+}
+
+function updateInspector() {
+    const panel = document.getElementById('inspectorPanel');
+    if (!panel) return;
+    
+    inspector.updaters = [];
+    if (!selectedObject) {
+        panel.style.display = 'none';
+        return;
+    }
+    
+    const { name, settings } = selectedObject.userData;
+    panel.style.display = 'block';
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 4px 0;">${settings.unit !== undefined ? `#${settings.unit} ` : ''}${escapeHTML(name)}</h3>
+        <label><input type="checkbox" id="showBeamCones" ${beamConesVisible ? 'checked' : ''}> Show beam cones (B)</label>
+        <button id="deleteSelected" style="display: block; margin-top: 6px;">Delete (Del)</button>
+    `;
+    document.getElementById('deleteSelected').addEventListener('click', () => deleteEquipment(selectedObject));
+    document.getElementById('showBeamCones').addEventListener('change', (e) => {
+        setBeamConesVisible(e.target.checked);
+    });
+    
+    Object.entries(inspectorSections).forEach(([key, section]) => {
+        if (!section.appliesTo(selectedObject)) return;
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'inspector-section';
+        wrapper.dataset.section = key;
+        wrapper.style.cssText = 'margin-top: 10px; padding-top: 8px; border-top: 1px solid #444;';
+        wrapper.innerHTML = `<h4 style="margin: 0 0 6px 0;">${section.title}</h4>`;
+        
+        const container = document.createElement('div');
+        wrapper.appendChild(container);
+        panel.appendChild(wrapper);
+        
+        const update = section.render(selectedObject, container);
+        if (update) {
+            inspector.updaters.push(update);
+        }
+    });
+}
+
+function scheduleInspectorRefresh() {
+    if (inspector.updateQueued || !inspector.updaters.length) return;
+    inspector.updateQueued = true;
+    requestAnimationFrame(() => {
+        inspector.updateQueued = false;
+        inspector.updaters.forEach(update => update());
+    });
+}
+
+// Planning sheets open in the same spot under the project bar;
+// opening one closes the others
+const sheets = {};
+
+function toggleSheet(key) {
+    Object.entries(sheets).forEach(([sheetKey, sheet]) => {
+        sheet.visible = sheetKey === key ? !sheet.visible : false;
+        document.getElementById(sheet.panelId).style.display = sheet.visible ? 'block' : 'none';
+    });
+    sheets[key].update();
+}
+
+// DMX patch sheet for every controllable fixture
+const patchSheet = sheets.patch = {
+    panelId: 'patchPanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updatePatchPanel()
+};
+
+// Patchable fixtures in unit order
+function getPatchEntries() {
+    return objects
+        .filter(mesh => DMXPatch.getModes(mesh.userData.name))
+        .map(mesh => ({
+            id: mesh.userData.id,
+            unit: mesh.userData.settings.unit,
+            name: mesh.userData.name,
+            label: `#${mesh.userData.settings.unit ?? '?'} ${mesh.userData.name}`,
+            patch: mesh.userData.settings.patch || null
+        }))
+        .sort((a, b) => (a.unit ?? Infinity) - (b.unit ?? Infinity));
+}
+
+function autoPatchFixtures(keepExisting) {
+    const universe = parseInt(document.getElementById('patchStartUniverse').value) || 1;
+    const startAddress = parseInt(document.getElementById('patchStartAddress').value) || 1;
+    const { patches, issues } = DMXPatch.autoPatch(getPatchEntries(), { universe, startAddress, keepExisting });
+    setEquipmentSettings('patch', patches, 'Auto-patch fixtures');
+    if (issues.length) {
+        console.error('Auto-patch skipped fixtures:', issues);
+        alert('Some fixtures were left unpatched:\n' + issues.map(issue => issue.message).join('\n'));
+    }
+}
+
+function exportPatchCSV() {
+    const csv = DMXPatch.toCSV(getPatchEntries());
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ' - patch.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Patch sheet exported:', link.download);
+}
+
+function createPatchPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'patchPanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 620px;
+        max-height: 60vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">DMX Patch</h3>
+        <div style="display: flex; gap: 5px; align-items: center; margin-bottom: 8px;">
+            <label>Start Univ <input type="number" id="patchStartUniverse" min="1" value="1" style="width: 50px;"></label>
+            <label>Addr <input type="number" id="patchStartAddress" min="1" max="512" value="1" style="width: 50px;"></label>
+            <button id="patchAuto">Auto-Patch All</button>
+            <button id="patchFill">Patch Unpatched</button>
+            <button id="patchExport">Export CSV</button>
+        </div>
+        <div id="patchTable"></div>
+        <div id="patchIssues" style="margin-top: 8px;"></div>
+        <div style="display: flex; gap: 5px; align-items: center; margin-top: 10px; padding-top: 8px; border-top: 1px solid #444;">
+            <span>Live output</span>
+            <input type="text" id="liveOutputUrl" value="${liveOutput.url}" style="flex: 1;">
+            <button id="liveOutputToggle">Connect</button>
+            <span id="liveOutputStatus">Off</span>
+        </div>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('patchAuto').addEventListener('click', () => autoPatchFixtures(false));
+    document.getElementById('patchFill').addEventListener('click', () => autoPatchFixtures(true));
+    document.getElementById('patchExport').addEventListener('click', exportPatchCSV);
+    document.getElementById('liveOutputToggle').addEventListener('click', () => {
+        if (liveOutput.socket) {
+            disconnectLiveOutput();
+        } else {
+            connectLiveOutput(document.getElementById('liveOutputUrl').value.trim());
+        }
+    });
+    
+    onSceneChanged(schedulePatchPanelUpdate);
+}
+
+function updatePatchPanel() {
+    const table = document.getElementById('patchTable');
+    if (!table || !patchSheet.visible) return;
+    
+    const entries = getPatchEntries();
+    if (!entries.length) {
+        table.innerHTML = '<p style="margin: 4px 0; font-style: italic;">No DMX-controllable fixtures placed.</p>';
+        document.getElementById('patchIssues').innerHTML = '';
+        return;
+    }
+    
+    const issues = DMXPatch.validate(entries);
+    const flagged = new Set(issues.map(issue => issue.id));
+    const rows = entries.map(entry => {
+        const mode = DMXPatch.getMode(entry.name, entry.patch?.mode);
+        const address = DMXPatch.formatAddress(entry.patch);
+        return `
+            <tr style="${flagged.has(entry.id) ? 'color: #ff6b6b;' : ''}">
+                <td>${escapeHTML(entry.unit ?? '')}</td>
+                <td>${escapeHTML(entry.name)}</td>
+                <td>${escapeHTML(mode.name)}</td>
+                <td style="text-align: right;">${mode.channels.length}</td>
+                <td style="text-align: right;">${address || '<em>unpatched</em>'}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    table.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse;">
+            <tr style="border-bottom: 1px solid #444;">
+                <th style="text-align: left;">Unit</th>
+                <th style="text-align: left;">Fixture</th>
+                <th style="text-align: left;">Mode</th>
+                <th style="text-align: right;">Ch</th>
+                <th style="text-align: right;">U.Addr</th>
+            </tr>
+            ${rows}
+        </table>
+    `;
+    
+    document.getElementById('patchIssues').innerHTML = issues
+        .filter((issue, index) => issues.findIndex(other => other.message === issue.message) === index)
+        .map(issue => `<div style="color: #ff6b6b;">⚠ ${escapeHTML(issue.message)}</div>`)
+        .join('');
+}
+
+function schedulePatchPanelUpdate() {
+    if (patchSheet.updateQueued) return;
+    patchSheet.updateQueued = true;
+    requestAnimationFrame(() => {
+        patchSheet.updateQueued = false;
+        updatePatchPanel();
+    });
+}
+
+// Power plan: generators feed distros, distros carry circuits, and each
+// powered item is assigned a circuit in its settings
+let powerPlan = Power.createPlan();
+
+const powerSheet = sheets.power = {
+    panelId: 'powerPanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updatePowerPanel()
+};
+
+// Draw for anything with a power rating; HMIs go through a ballast
+function getEquipmentDraw(mesh) {
+    const specs = mesh.userData.specs || {};
+    const power = specs.power || getFixtureSpecs(mesh.userData.name)?.power;
+    const ballast = specs.ballast || (mesh.userData.type === 'HMI Fixtures' ? 'Electronic' : null);
+    return Power.getDraw({ power, ballast });
+}
+
+function getPowerLoads() {
+    return objects
+        .map(mesh => ({ mesh, draw: getEquipmentDraw(mesh) }))
+        .filter(({ draw }) => draw)
+        .map(({ mesh, draw }) => ({
+            id: mesh.userData.id,
+            label: `#${mesh.userData.settings.unit ?? '?'} ${mesh.userData.name}`,
+            va: draw.va,
+            circuit: mesh.userData.settings.circuit || null
+        }));
+}
+
+function autoAssignCircuits() {
+    const assignments = Power.autoAssign(powerPlan, getPowerLoads());
+    setEquipmentSettings('circuit', assignments, 'Auto-assign circuits');
+}
+
+function addDistro() {
+    const number = powerPlan.distros.length + 1;
+    const distro = {
+        id: `distro-${crypto.randomUUID()}`,
+        name: `Distro ${number}`,
+        system: '208Y/120',
+        breaker: 100,
+        source: powerPlan.generators[0]?.id || null,
+        circuits: []
+    };
+    ['A', 'B', 'C', 'A', 'B', 'C'].forEach(phase => Power.addCircuit(distro, { phase }));
+    powerPlan.distros.push(distro);
+    notifySceneChanged();
+}
+
+function exportPowerCSV() {
+    const csv = Power.toCSV(Power.calculate(powerPlan, getPowerLoads()));
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ' - power.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Power plan exported:', link.download);
+}
+
+function createPowerPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'powerPanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 680px;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Power Plan</h3>
+        <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+            <button id="powerAutoAssign">Auto-Assign</button>
+            <button id="powerAddDistro">Add Distro</button>
+            <button id="powerExport">Export CSV</button>
+        </div>
+        <div id="powerGenerators"></div>
+        <div id="powerDistros"></div>
+        <div id="powerWarnings" style="margin-top: 8px;"></div>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('powerAutoAssign').addEventListener('click', autoAssignCircuits);
+    document.getElementById('powerAddDistro').addEventListener('click', addDistro);
+    document.getElementById('powerExport').addEventListener('click', exportPowerCSV);
+    
+    // Plan fields are edited in place; data-path is 'generators.0.kw' etc.
+    panel.addEventListener('change', (e) => {
+        const path = e.target.dataset.path;
+        if (!path) return;
+        
+        const keys = path.split('.');
+        const field = keys.pop();
+        const target = keys.reduce((value, key) => value[key], powerPlan);
+        target[field] = e.target.type === 'number' || field === 'voltage' ? Number(e.target.value) : e.target.value;
+        
+        // A new voltage or distro system may rule out the current phase
+        if (keys[0] === 'distros' && (field === 'voltage' || field === 'system')) {
+            const distro = powerPlan.distros[keys[1]];
+            distro.circuits.forEach(circuit => {
+                const phases = Power.getPhaseOptions(distro.system, circuit.voltage);
+                if (phases.length && !phases.includes(circuit.phase)) circuit.phase = phases[0];
+            });
+        }
+        notifySceneChanged();
+    });
+    
+    panel.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        if (!action) return;
+        
+        const distro = powerPlan.distros[e.target.dataset.distro];
+        if (action === 'add-circuit') {
+            Power.addCircuit(distro);
+        } else if (action === 'remove-circuit') {
+            distro.circuits.splice(Number(e.target.dataset.circuit), 1);
+        } else if (action === 'remove-distro') {
+            powerPlan.distros.splice(Number(e.target.dataset.distro), 1);
+        }
+        notifySceneChanged();
+    });
+    
+    onSceneChanged(schedulePowerPanelUpdate);
+}
+
+function renderPowerSelect(path, value, options) {
+    return `<select data-path="${path}">${options.map(option =>
+        `<option value="${option}" ${String(option) === String(value) ? 'selected' : ''}>${option}</option>`
+    ).join('')}</select>`;
+}
+
+function updatePowerPanel() {
+    if (!powerSheet.visible) return;
+    
+    const result = Power.calculate(powerPlan, getPowerLoads());
+    const systems = Object.keys(Power.SYSTEMS);
+    const formatLegs = legs => Object.entries(legs).map(([leg, amps]) => `${leg} ${amps.toFixed(1)}A`).join(' · ');
+    
+    document.getElementById('powerGenerators').innerHTML = result.generators.map((generator, index) => `
+        <div style="margin-bottom: 8px;">
+            <input type="text" data-path="generators.${index}.name" value="${escapeHTML(generator.name)}" style="width: 110px;">
+            ${renderPowerSelect(`generators.${index}.system`, generator.system, systems)}
+            <label><input type="number" data-path="generators.${index}.kw" value="${generator.kw}" style="width: 50px;"> kW</label>
+            <label><input type="number" data-path="generators.${index}.ampsPerLeg" value="${generator.ampsPerLeg}" style="width: 50px;"> A/leg</label>
+            <div>${formatLegs(generator.legs)} · ${generator.kva.toFixed(1)} kVA</div>
+        </div>
+    `).join('');
+    
+    document.getElementById('powerDistros').innerHTML = result.distros.map((distro, distroIndex) => {
+        const rows = result.circuits
+            .filter(circuit => circuit.distro === distro.id)
+            .map(circuit => {
+                const circuitIndex = distro.circuits.findIndex(c => c.id === circuit.id);
+                const path = `distros.${distroIndex}.circuits.${circuitIndex}`;
+                const color = circuit.load > 1 ? '#ff6b6b' : circuit.load > Power.CONTINUOUS_LIMIT ? '#ffb347' : 'inherit';
+                return `
+                    <tr style="color: ${color};">
+                        <td>${circuit.number}</td>
+                        <td>${renderPowerSelect(`${path}.voltage`, circuit.voltage, Power.VOLTAGES)}</td>
+                        <td>${renderPowerSelect(`${path}.phase`, circuit.phase,
+                            Power.getPhaseOptions(distro.system, circuit.voltage).concat(
+                                Power.getPhaseOptions(distro.system, circuit.voltage).includes(circuit.phase) ? [] : [circuit.phase]))}</td>
+                        <td><input type="number" data-path="${path}.breaker" value="${circuit.breaker}" style="width: 40px;">A</td>
+                        <td style="text-align: right;">${circuit.amps.toFixed(1)}A</td>
+                        <td style="text-align: right;">${Math.round(circuit.load * 100)}%</td>
+                        <td>${escapeHTML(circuit.loads.map(load => load.label).join(', '))}</td>
+                        <td><button data-action="remove-circuit" data-distro="${distroIndex}" data-circuit="${circuitIndex}">✕</button></td>
+                    </tr>
+                `;
+            }).join('');
+        
+        return `
+            <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #444;">
+                <input type="text" data-path="distros.${distroIndex}.name" value="${escapeHTML(distro.name)}" style="width: 110px;">
+                ${renderPowerSelect(`distros.${distroIndex}.system`, distro.system, systems)}
+                <label><input type="number" data-path="distros.${distroIndex}.breaker" value="${distro.breaker}" style="width: 50px;"> A main</label>
+                <label>from ${renderPowerSelect(`distros.${distroIndex}.source`, distro.source,
+                    powerPlan.generators.map(generator => generator.id))}</label>
+                <button data-action="remove-distro" data-distro="${distroIndex}">Remove</button>
+                <div>${formatLegs(distro.legs)}</div>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 4px;">
+                    <tr style="border-bottom: 1px solid #444;">
+                        <th style="text-align: left;">#</th>
+                        <th style="text-align: left;">Volts</th>
+                        <th style="text-align: left;">Phase</th>
+                        <th style="text-align: left;">Breaker</th>
+                        <th style="text-align: right;">Load</th>
+                        <th style="text-align: right;">%</th>
+                        <th style="text-align: left;">Fixtures</th>
+                        <th></th>
+                    </tr>
+                    ${rows}
+                </table>
+                <button data-action="add-circuit" data-distro="${distroIndex}" style="margin-top: 4px;">Add Circuit</button>
+            </div>
+        `;
+    }).join('');
+    
+    document.getElementById('powerWarnings').innerHTML = result.warnings
+        .map(warning => `<div style="color: ${warning.level === 'error' ? '#ff6b6b' : '#ffb347'};">⚠ ${escapeHTML(warning.message)}</div>`)
+        .join('');
+}
+
+function schedulePowerPanelUpdate() {
+    if (powerSheet.updateQueued) return;
+    powerSheet.updateQueued = true;
+    requestAnimationFrame(() => {
+        powerSheet.updateQueued = false;
+        updatePowerPanel();
+    });
+}
+
+// Tie a placed generator or distro to its entry in the power plan: the
+// entry already linked to it, else the first unplaced one, else a new one
+function linkPowerEquipment(mesh) {
+    const isGenerator = /Tow Plant|Generator/i.test(mesh.userData.name);
+    const list = isGenerator ? powerPlan.generators : powerPlan.distros;
+    const id = mesh.userData.id;
+    const details = mesh.userData.specs || {};
+    
+    let entry = list.find(item => item.equipmentId === id) ||
+        list.find(item => !item.equipmentId || !objects.some(obj => obj.userData.id === item.equipmentId));
+    
+    if (!entry) {
+        const number = list.length + 1;
+        if (isGenerator) {
+            entry = {
+                id: `gen-${crypto.randomUUID()}`,
+                name: `Generator ${number}`,
+                system: details.system || '208Y/120',
+                kw: parseFloat(details.capacity) || 70,
+                ampsPerLeg: parseFloat(details.amperage) || 200
+            };
+        } else {
+            entry = {
+                id: `distro-${crypto.randomUUID()}`,
+                name: `Distro ${number}`,
+                system: details.system || '208Y/120',
+                breaker: parseFloat(details.capacity) || 100,
+                source: powerPlan.generators[0]?.id || null,
+                circuits: []
+            };
+            ['A', 'B', 'C', 'A', 'B', 'C'].forEach(phase => Power.addCircuit(entry, { phase }));
+        }
+        list.push(entry);
+    }
+    
+    entry.equipmentId = id;
+}
+
+function findPowerEquipment(entry) {
+    return entry?.equipmentId ? objects.find(obj => obj.userData.id === entry.equipmentId) : null;
+}
+
+// Cable runs: one from the distro to each powered item, and a banded
+// feeder from each generator to the distros it feeds
+const cableRuns = {
+    visible: true,
+    group: null,
+    updateQueued: false
+};
+
+const cableSheet = sheets.cables = {
+    panelId: 'cablePanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updateCablePanel()
+};
+
+// Point on a placed item where its cable lands
+function getCableEndpoint(mesh) {
+    return (mesh.getObjectByName('head') || mesh).getWorldPosition(new THREE.Vector3());
+}
+
+// Truss a hung fixture is cabled along: the nearest one within reach
+function getCableTruss(point) {
+    if (point.y < 6) return null;
+    
+    let nearest = null;
+    getCurrentTrusses().forEach(truss => {
+        const { point: closest } = CablePlan.closestOnSegment(point, truss.start, truss.end);
+        const gap = CablePlan.distance(point, closest);
+        if (gap < 3 && (!nearest || gap < nearest.gap)) {
+            nearest = { truss, gap };
+        }
+    });
+    return nearest?.truss || null;
+}
+
+// Routed runs plus anything that could not be routed
+function getCableRuns() {
+    const runs = [];
+    const problems = [];
+    
+    getPowerLoads().forEach(load => {
+        const found = load.circuit && Power.findCircuit(powerPlan, load.circuit);
+        if (!found) return;
+        
+        const distroMesh = findPowerEquipment(found.distro);
+        if (!distroMesh) {
+            problems.push(`${load.label}: ${found.distro.name} is not placed in the scene`);
+            return;
+        }
+        
+        const mesh = objects.find(obj => obj.userData.id === load.id);
+        const end = getCableEndpoint(mesh);
+        const route = CablePlan.route(distroMesh.position, end, getCableTruss(end));
+        runs.push({
+            id: load.id,
+            label: load.label,
+            cable: CablePlan.getCircuitCable(found.circuit),
+            from: `${found.distro.name} #${found.circuit.number}`,
+            to: load.label,
+            feeder: false,
+            ...route
+        });
+    });
+    
+    powerPlan.distros.forEach(distro => {
+        const distroMesh = findPowerEquipment(distro);
+        const generator = powerPlan.generators.find(gen => gen.id === distro.source);
+        const generatorMesh = findPowerEquipment(generator);
+        if (!distroMesh || !generatorMesh) return;
+        
+        const route = CablePlan.route(generatorMesh.position, distroMesh.position);
+        runs.push({
+            id: distro.id,
+            label: `${generator.name} → ${distro.name}`,
+            cable: CablePlan.getFeederCable(distro),
+            from: generator.name,
+            to: distro.name,
+            feeder: true,
+            ...route
+        });
+    });
+    
+    return { runs, problems };
+}
+
+function updateCableRuns() {
+    if (!scene) return;
+    
+    if (cableRuns.group) {
+        scene.remove(cableRuns.group);
+        cableRuns.group.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.dispose();
+        });
+    }
+    cableRuns.group = new THREE.Group();
+    cableRuns.group.name = 'cableRuns';
+    cableRuns.group.visible = cableRuns.visible;
+    
+    getCableRuns().runs.forEach(run => {
+        // Lift floor legs just clear of the floor so they stay visible
+        const points = run.points.map(p => new THREE.Vector3(p.x, Math.max(p.y, 0.05), p.z));
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: run.feeder ? 0xff3333 : 0xff9900 })
+        );
+        line.raycast = () => {};
+        cableRuns.group.add(line);
+    });
+    
+    scene.add(cableRuns.group);
+}
+
+function scheduleCableUpdate() {
+    if (cableRuns.updateQueued) return;
+    cableRuns.updateQueued = true;
+    requestAnimationFrame(() => {
+        cableRuns.updateQueued = false;
+        updateCableRuns();
+        updateCablePanel();
+    });
+}
+
+onSceneChanged(scheduleCableUpdate);
+
+function setCableRunsVisible(visible) {
+    cableRuns.visible = visible;
+    if (cableRuns.group) cableRuns.group.visible = visible;
+}
+
+function exportCableCSV() {
+    const csv = CablePlan.toCSV(CablePlan.plan(getCableRuns().runs));
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ' - cable pull.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Cable pull list exported:', link.download);
+}
+
+function createCablePanel() {
+    const panel = document.createElement('div');
+    panel.id = 'cablePanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 620px;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Cable Pull List</h3>
+        <button id="cableExport">Export CSV</button>
+        <div id="cablePullList" style="margin-top: 8px;"></div>
+        <div id="cableRunList" style="margin-top: 8px;"></div>
+        <div id="cableProblems" style="margin-top: 8px;"></div>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('cableExport').addEventListener('click', exportCableCSV);
+}
+
+function updateCablePanel() {
+    if (!cableSheet.visible) return;
+    
+    const { runs, problems } = getCableRuns();
+    const result = CablePlan.plan(runs);
+    
+    document.getElementById('cablePullList').innerHTML = result.pullList.length ? `
+        <table style="width: 100%; border-collapse: collapse;">
+            <tr style="border-bottom: 1px solid #444;">
+                <th style="text-align: left;">Cable</th>
+                <th style="text-align: right;">Length</th>
+                <th style="text-align: right;">Runs</th>
+                <th style="text-align: right;">Spares</th>
+                <th style="text-align: right;">Order</th>
+            </tr>
+            ${result.pullList.map(item => `
+                <tr>
+                    <td>${item.cable}</td>
+                    <td style="text-align: right;">${item.length}'</td>
+                    <td style="text-align: right;">${item.count}</td>
+                    <td style="text-align: right;">${item.spares}</td>
+                    <td style="text-align: right; font-weight: bold;">${item.count + item.spares}</td>
+                </tr>
+            `).join('')}
+        </table>
+    ` : '<p style="margin: 4px 0; font-style: italic;">Place a distro and assign fixtures to its circuits to plan cable.</p>';
+    
+    document.getElementById('cableRunList').innerHTML = result.runs.length ? `
+        <table style="width: 100%; border-collapse: collapse;">
+            <tr style="border-bottom: 1px solid #444;">
+                <th style="text-align: left;">Run</th>
+                <th style="text-align: left;">From</th>
+                <th style="text-align: right;">Path</th>
+                <th style="text-align: right;">Need</th>
+                <th style="text-align: left;">Pieces</th>
+            </tr>
+            ${result.runs.map(run => `
+                <tr>
+                    <td>${escapeHTML(run.to)}</td>
+                    <td>${escapeHTML(run.from)}</td>
+                    <td style="text-align: right;">${formatFeet(run.length)}</td>
+                    <td style="text-align: right;">${formatFeet(run.required)}</td>
+                    <td>${run.pieces.map(piece => `${piece}'`).join(' + ')}</td>
+                </tr>
+            `).join('')}
+        </table>
+    ` : '';
+    
+    document.getElementById('cableProblems').innerHTML = problems
+        .map(problem => `<div style="color: #ffb347;">⚠ ${escapeHTML(problem)}</div>`)
+        .join('');
+}
+
+// Rigging loads: what every motor and grid point carries from the
+// rigging's own weight and the units hung on it, checked against its
+// rating with the plot's safety factor
+const riggingLoads = {
+    visible: false,
+    group: null,
+    updateQueued: false,
+    safetyFactor: Rigging.SAFETY_FACTOR
+};
+
+const riggingSheet = sheets.rigging = {
+    panelId: 'riggingPanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updateRiggingPanel()
+};
+
+// Clamp and safety cable on every hung unit, lbs
+const HANG_HARDWARE_WEIGHT = 3;
+
+// Placed truss spans are flown on one motor at each end
+const SPAN_MOTOR = '1/2-ton';
+
+const LOAD_COLORS = { ok: '#33cc66', warning: '#ffb347', over: '#ff3333' };
+
+// Where a frame's motors pick it up, in frame coordinates: across its
+// width and along its length, 0 to 1
+const FRAME_PICKS = {
+    1: [[0.5, 0.5]],
+    2: [[0, 0.5], [1, 0.5]],
+    4: [[0, 0], [1, 0], [1, 1], [0, 1]]
+};
+
+function getTrussWeightPerFoot(name) {
+    const entry = EquipmentCatalog.get(name);
+    return entry?.weight && entry.dimensions?.depth ? entry.weight / (entry.dimensions.depth / 12) : 0;
+}
+
+// Everything that carries hung units to its picks, for Rigging.calculateLoads.
+// Returns { rigs, rigByMember, problems }, rigByMember mapping the rigging
+// member a unit hangs from to the rig that carries it.
+function getRigs() {
+    const rigs = [];
+    const rigByMember = new Map();
+    const problems = [];
+    const features = environments[currentEnvironmentType]?.features || {};
+    const trussConfig = features.trusses?.riggingConfig;
+    
+    getCurrentTrusses().forEach(truss => {
+        const span = findEquipment(truss.id);
+        const capacity = Rigging.MOTOR_CAPACITIES[span ? SPAN_MOTOR : trussConfig.motor];
+        const length = Math.hypot(truss.end.x - truss.start.x, truss.end.z - truss.start.z);
+        const perFoot = span ? getTrussWeightPerFoot(span.userData.name) : trussConfig.weightPerFoot;
+        const top = point => ({ ...point, y: point.y + truss.size / 2 });
+        rigs.push({
+            id: truss.id,
+            label: truss.label,
+            type: 'line',
+            start: truss.start,
+            end: truss.end,
+            weight: length * perFoot,
+            picks: [
+                { id: `${truss.id}-motor-1`, label: `${truss.label} motor 1`, along: 0, capacity, point: top(truss.start) },
+                { id: `${truss.id}-motor-2`, label: `${truss.label} motor 2`, along: length, capacity, point: top(truss.end) }
+            ]
+        });
+        rigByMember.set(truss.id, truss.id);
+    });
+    
+    // Grid pipes share a pick where they cross, named by the pipes' letter and number
+    const grid = features.grid;
+    if (grid) {
+        const { extent, spacing, height } = grid;
+        const offsets = [];
+        for (let offset = -extent; offset <= extent; offset += spacing) offsets.push(offset);
+        const node = (letter, number) => ({
+            id: `grid-node-${letter}-${number}`,
+            label: `Grid ${String.fromCharCode(65 + letter)}${number + 1}`,
+            along: 0,
+            capacity: grid.nodeCapacity,
+            point: { x: offsets[letter], y: height, z: offsets[number] }
+        });
+        
+        offsets.forEach((offset, index) => {
+            const weight = extent * 2 * grid.weightPerFoot;
+            rigs.push({
+                id: `grid-x-${index + 1}`,
+                label: `Grid pipe ${index + 1}`,
+                type: 'line',
+                start: { x: -extent, z: offset },
+                end: { x: extent, z: offset },
+                weight,
+                picks: offsets.map((x, letter) => ({ ...node(letter, index), along: x + extent }))
+            }, {
+                id: `grid-z-${index + 1}`,
+                label: `Grid pipe ${String.fromCharCode(65 + index)}`,
+                type: 'line',
+                start: { x: offset, z: -extent },
+                end: { x: offset, z: extent },
+                weight,
+                picks: offsets.map((z, number) => ({ ...node(index, number), along: z + extent }))
+            });
+            rigByMember.set(`grid-x-${index + 1}`, `grid-x-${index + 1}`);
+            rigByMember.set(`grid-z-${index + 1}`, `grid-z-${index + 1}`);
+        });
+    }
+    
+    objects.filter(isOverheadFrame).forEach(mesh => {
+        const { id } = mesh.userData;
+        const label = describeEquipment(mesh);
+        const size = getFrameSize(mesh);
+        const motors = Rigging.parseMotors(mesh.userData.specs?.rigging);
+        const layout = motors && FRAME_PICKS[motors.count];
+        if (!size || !layout) {
+            problems.push(`${label}: no motor layout in its catalog entry, so its picks are not checked`);
+            return;
+        }
+        
+        const heading = getEquipmentHeading(mesh);
+        rigs.push({
+            id,
+            label,
+            type: 'frame',
+            center: { x: mesh.position.x, z: mesh.position.z },
+            heading,
+            width: size.width,
+            length: size.length,
+            weight: EquipmentCatalog.get(mesh.userData.name)?.weight || 0,
+            picks: layout.map(([u, v], index) => {
+                const point = new THREE.Vector3((u - 0.5) * size.width, 0, (v - 0.5) * size.length)
+                    .applyEuler(new THREE.Euler(0, heading, 0))
+                    .add(mesh.position);
+                return {
+                    id: `${id}-motor-${index + 1}`,
+                    label: `${label} motor ${index + 1}`,
+                    u,
+                    v,
+                    capacity: motors.capacity,
+                    point: { x: point.x, y: point.y, z: point.z }
+                };
+            })
+        });
+        ['back', 'right', 'front', 'left'].forEach(side => rigByMember.set(`${id}-${side}`, id));
+    });
+    
+    return { rigs, rigByMember, problems };
+}
+
+// Loads on every pick, plus anything that could not be weighed.
+// Grid points and pipes with nothing hung on them are left out.
+function getRiggingLoads() {
+    const { rigs, rigByMember, problems } = getRigs();
+    
+    const loads = [];
+    objects.forEach(mesh => {
+        const rig = rigByMember.get(mesh.userData.settings.hang?.member);
+        if (!rig) return;
+        
+        const weight = EquipmentCatalog.get(mesh.userData.name)?.weight;
+        if (!weight) {
+            problems.push(`${describeEquipment(mesh)}: no weight in the catalog, so it is not counted`);
+            return;
+        }
+        loads.push({
+            rig,
+            label: describeEquipment(mesh),
+            weight: weight + HANG_HARDWARE_WEIGHT,
+            point: { x: mesh.position.x, z: mesh.position.z }
+        });
+    });
+    
+    const result = Rigging.calculateLoads(rigs, loads, { safetyFactor: riggingLoads.safetyFactor });
+    const isGrid = id => /^grid-/.test(id);
+    return {
+        ...result,
+        picks: result.picks.filter(pick => !isGrid(pick.id) || pick.hung > 0),
+        rigs: result.rigs.filter(rig => !isGrid(rig.id) || rig.units > 0),
+        problems
+    };
+}
+
+function updateRiggingMarkers(result) {
+    if (!scene) return;
+    
+    if (riggingLoads.group) {
+        scene.remove(riggingLoads.group);
+        riggingLoads.group.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.dispose();
+            child.element?.remove();
+        });
+    }
+    riggingLoads.group = new THREE.Group();
+    riggingLoads.group.name = 'riggingLoads';
+    riggingLoads.group.visible = riggingLoads.visible;
+    
+    result.picks.forEach(pick => {
+        const color = LOAD_COLORS[pick.status];
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.3, 12, 8),
+            new THREE.MeshBasicMaterial({ color })
+        );
+        marker.position.set(pick.point.x, pick.point.y + 0.3, pick.point.z);
+        marker.raycast = () => {};
+        
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'load-label';
+        labelDiv.textContent = `${Math.round(pick.load)} lb`;
+        labelDiv.title = `${pick.label}: ${Math.round(pick.utilisation * 100)}% of ${pick.allowable} lb allowable`;
+        labelDiv.style.cssText = `color: ${color}; font-size: 11px; font-weight: bold;`;
+        const label = new CSS2DObject(labelDiv);
+        label.position.y = 0.7;
+        label.visible = riggingLoads.visible;
+        marker.add(label);
+        
+        riggingLoads.group.add(marker);
+    });
+    
+    scene.add(riggingLoads.group);
+}
+
+function scheduleRiggingUpdate() {
+    if (riggingLoads.updateQueued) return;
+    riggingLoads.updateQueued = true;
+    requestAnimationFrame(() => {
+        riggingLoads.updateQueued = false;
+        const result = getRiggingLoads();
+        updateRiggingMarkers(result);
+        updateRiggingPanel(result);
+    });
+}
+
+onSceneChanged(scheduleRiggingUpdate);
+
+function setRiggingLoadsVisible(visible) {
+    riggingLoads.visible = visible;
+    if (riggingLoads.group) {
+        riggingLoads.group.visible = visible;
+        // CSS2D labels are drawn outside WebGL and ignore group visibility
+        riggingLoads.group.traverse(child => {
+            if (child.isCSS2DObject) child.visible = visible;
+        });
+    }
+}
+
+function setSafetyFactor(value) {
+    riggingLoads.safetyFactor = value >= 1 ? value : Rigging.SAFETY_FACTOR;
+    const input = document.getElementById('riggingSafetyFactor');
+    if (input) input.value = riggingLoads.safetyFactor;
+    scheduleRiggingUpdate();
+}
+
+function exportRiggingCSV() {
+    const csv = Rigging.toCSV(getRiggingLoads());
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = currentProjectName.replace(/[^\w\- ]+/g, '').trim() + ' - rigging loads.csv';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Rigging load report exported:', link.download);
+}
+
+function createRiggingPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'riggingPanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 620px;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Rigging Loads</h3>
+        <label>Safety factor
+            <input type="number" id="riggingSafetyFactor" min="1" step="0.5" value="${riggingLoads.safetyFactor}" style="width: 50px;">
+            : 1
+        </label>
+        <button id="riggingExport" style="margin-left: 10px;">Export CSV</button>
+        <div id="riggingSummary" style="margin-top: 8px;"></div>
+        <div id="riggingPicks" style="margin-top: 8px;"></div>
+        <div id="riggingRigs" style="margin-top: 8px;"></div>
+        <div id="riggingProblems" style="margin-top: 8px;"></div>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('riggingSafetyFactor').addEventListener('change', (e) => setSafetyFactor(Number(e.target.value)));
+    document.getElementById('riggingExport').addEventListener('click', exportRiggingCSV);
+}
+
+function updateRiggingPanel(result = null) {
+    if (!riggingSheet.visible) return;
+    
+    const { picks, rigs, problems } = result || getRiggingLoads();
+    const over = picks.filter(pick => pick.status === 'over').length;
+    const close = picks.filter(pick => pick.status === 'warning').length;
+    
+    document.getElementById('riggingSummary').innerHTML = !picks.length ?
+        '<p style="margin: 4px 0; font-style: italic;">Hang fixtures from trusses, grid pipes or frames to check their loads.</p>' :
+        over ? `<div style="color: ${LOAD_COLORS.over}; font-weight: bold;">⚠ ${over} point${over === 1 ? '' : 's'} over the allowable load</div>` :
+        close ? `<div style="color: ${LOAD_COLORS.warning};">${close} point${close === 1 ? '' : 's'} above ${Rigging.WARNING_LEVEL * 100}% of allowable</div>` :
+        `<div style="color: ${LOAD_COLORS.ok};">All points within their allowable load</div>`;
+    
+    document.getElementById('riggingPicks').innerHTML = picks.length ? `
+        <table style="width: 100%; border-collapse: collapse;">
+            <tr style="border-bottom: 1px solid #444;">
+                <th style="text-align: left;">Point</th>
+                <th style="text-align: right;">Load</th>
+                <th style="text-align: right;">Rating</th>
+                <th style="text-align: right;">Allowable</th>
+                <th style="text-align: right;">Use</th>
+            </tr>
+            ${picks.map(pick => `
+                <tr style="color: ${LOAD_COLORS[pick.status]};">
+                    <td>${escapeHTML(pick.label)}</td>
+                    <td style="text-align: right;">${Math.round(pick.load)} lb</td>
+                    <td style="text-align: right;">${pick.capacity} lb</td>
+                    <td style="text-align: right;">${pick.allowable} lb</td>
+                    <td style="text-align: right; font-weight: bold;">${Math.round(pick.utilisation * 100)}%</td>
+                </tr>
+            `).join('')}
+        </table>
+    ` : '';
+    
+    document.getElementById('riggingRigs').innerHTML = rigs.length ? `
+        <table style="width: 100%; border-collapse: collapse;">
+            <tr style="border-bottom: 1px solid #444;">
+                <th style="text-align: left;">Rigging</th>
+                <th style="text-align: right;">Own weight</th>
+                <th style="text-align: right;">Units</th>
+                <th style="text-align: right;">Hung</th>
+                <th style="text-align: right;">Total</th>
+            </tr>
+            ${rigs.map(rig => `
+                <tr>
+                    <td>${escapeHTML(rig.label)}</td>
+                    <td style="text-align: right;">${Math.round(rig.weight)} lb</td>
+                    <td style="text-align: right;">${rig.units}</td>
+                    <td style="text-align: right;">${Math.round(rig.hung)} lb</td>
+                    <td style="text-align: right; font-weight: bold;">${Math.round(rig.total)} lb</td>
+                </tr>
+            `).join('')}
+        </table>
+    ` : '';
+    
+    document.getElementById('riggingProblems').innerHTML = problems
+        .map(problem => `<div style="color: #ffb347;">⚠ ${escapeHTML(problem)}</div>`)
+        .join('');
+}
+
+// Cameras and talent marks. A camera's lens sits on its head at
+// settings.lensHeight over the tripod, with the sensor and focal length
+// in settings.sensor and settings.focalLength. Its view is drawn out to
+// the far side of the room with the floor it takes in, and whatever
+// placed lands in frame has its label flagged and is listed as in shot.
+const CAMERA_CATEGORY = 'Camera & Talent';
+
+const cameraViews = {
+    visible: true,
+    group: null,
+    shots: [],
+    updateQueued: false
+};
+
+const CAMERA_DEFAULTS = {
+    sensor: CameraView.DEFAULT_SENSOR,
+    focalLength: CameraView.DEFAULT_FOCAL_LENGTH,
+    lensHeight: 5
+};
+
+// Eye heights in feet, what a mark is framed and lit for
+const TALENT_POSTURES = {
+    standing: { label: 'Standing', eyeHeight: 5.25 },
+    seated: { label: 'Seated', eyeHeight: 3.9 }
+};
+
+const CAMERA_VIEW_COLOR = 0x66ccff;
+const IN_SHOT_COLOR = '#ff6b6b';
+
+function isTalentMark(mesh) {
+    return mesh.userData.type === CAMERA_CATEGORY && /Talent/.test(mesh.userData.name);
+}
+
+function isCameraUnit(mesh) {
+    return mesh.userData.type === CAMERA_CATEGORY && !isTalentMark(mesh);
+}
+
+function getCameraUnits() {
+    return objects.filter(isCameraUnit);
+}
+
+function getTalentMarks() {
+    return objects.filter(isTalentMark);
+}
+
+function applyLensHeight(mesh) {
+    if (!isCameraUnit(mesh)) return;
+    const height = mesh.userData.settings.lensHeight;
+    // The legs meet the underside of the fluid head
+    mesh.getObjectByName('tripod').scale.y = Math.max(height - 0.6, 0.1);
+    mesh.getObjectByName('yoke').position.y = height;
+    getEquipmentLabel(mesh).position.y = height + 1;
+}
+
+function applyTalentPosture(mesh) {
+    if (!isTalentMark(mesh)) return;
+    Object.keys(TALENT_POSTURES).forEach(key => {
+        mesh.getObjectByName(key).visible = key === mesh.userData.settings.posture;
+    });
+}
+
+function getTalentEye(mesh) {
+    const posture = TALENT_POSTURES[mesh.userData.settings.posture] || TALENT_POSTURES.standing;
+    return new THREE.Vector3(mesh.position.x, mesh.position.y + posture.eyeHeight, mesh.position.z);
+}
+
+function getCameraView(mesh) {
+    const head = mesh.getObjectByName('head');
+    head.updateWorldMatrix(true, false);
+    return CameraView.createView(
+        head.getWorldPosition(new THREE.Vector3()),
+        head.getWorldDirection(new THREE.Vector3()),
+        new THREE.Vector3(0, 1, 0).transformDirection(head.matrixWorld),
+        mesh.userData.settings
+    );
+}
+
+// Views are drawn out to the far corner of the room
+function getCameraViewRange() {
+    const { width, length, height } = currentEnvironmentDimensions;
+    return Math.hypot(width, length, height);
+}
+
+function getRoomBounds() {
+    const { width, length } = currentEnvironmentDimensions;
+    return { minX: -width / 2, maxX: width / 2, minZ: -length / 2, maxZ: length / 2 };
+}
+
+// Heading a camera or talent mark comes in with: a camera looks at the
+// subject, talent faces the camera. Undefined for anything else.
+function getShotHeading(item, position) {
+    if (item?.category !== CAMERA_CATEGORY) return undefined;
+    const { subject, camera } = getShotAxis();
+    const target = /Talent/.test(item.name) ? camera : subject;
+    if (Math.hypot(target.x - position.x, target.z - position.z) < 0.1) return undefined;
+    return Math.atan2(target.x - position.x, target.z - position.z);
+}
+
+// Box around what a unit physically is, leaving out its beam cone and
+// anything hidden
+function getEquipmentBounds(mesh) {
+    const box = new THREE.Box3();
+    mesh.updateWorldMatrix(true, true);
+    const visit = object => {
+        if (!object.visible || object.name === 'beamCone') return;
+        if (object.geometry) {
+            object.geometry.computeBoundingBox();
+            box.union(object.geometry.boundingBox.clone().applyMatrix4(object.matrixWorld));
+        }
+        object.children.forEach(visit);
+    };
+    visit(mesh);
+    return box;
+}
+
+// Talent mark a camera is on: of those in frame, the one nearest its middle.
+// { mark, eye, depth } or null
+function getFramedTalent(view) {
+    let framed = null;
+    getTalentMarks().forEach(mark => {
+        const eye = getTalentEye(mark);
+        if (!CameraView.contains(view, eye)) return;
+        const { x, y, depth } = CameraView.toView(view, eye);
+        const offAxis = Math.hypot(x, y) / depth;
+        if (!framed || offAxis < framed.offAxis) framed = { mark, eye, depth, offAxis };
+    });
+    return framed && { mark: framed.mark, eye: framed.eye, depth: framed.depth };
+}
+
+// Everything placed that a camera sees, nearest first: [{ mesh, depth }].
+// Talent marks are meant to be seen and are left out.
+function getShotContents(cameraMesh, view) {
+    return objects
+        .filter(mesh => mesh !== cameraMesh && !isTalentMark(mesh))
+        .map(mesh => ({ mesh, box: getEquipmentBounds(mesh) }))
+        .filter(({ box }) => !box.isEmpty() && CameraView.intersectsBox(view, box))
+        .map(({ mesh, box }) => ({ mesh, depth: CameraView.toView(view, box.getCenter(new THREE.Vector3())).depth }))
+        .sort((a, b) => a.depth - b.depth);
+}
+
+// Each camera's view, what is in it and the talent it frames
+function getShots() {
+    return getCameraUnits().map(mesh => {
+        const view = getCameraView(mesh);
+        return { camera: mesh, view, contents: getShotContents(mesh, view), talent: getFramedTalent(view) };
+    });
+}
+
+// Horizontal by vertical angle of view: '39° × 30°'
+function describeFieldOfView(settings) {
+    const { horizontal, vertical } = CameraView.getFieldOfView(CameraView.getSensor(settings.sensor), settings.focalLength);
+    const degrees = angle => Math.round(THREE.MathUtils.radToDeg(angle));
+    return `${degrees(horizontal)}° × ${degrees(vertical)}°`;
+}
+
+// Frustum out to the room's far corner, the frame at the talent's
+// distance, and the patch of floor in shot
+function drawCameraView(group, shot, range, bounds) {
+    const { view, talent } = shot;
+    const material = new THREE.LineBasicMaterial({ color: CAMERA_VIEW_COLOR, transparent: true, opacity: 0.45 });
+    const apex = new THREE.Vector3(view.position.x, view.position.y, view.position.z);
+    const corners = CameraView.getCorners(view, range).map(corner => new THREE.Vector3(corner.x, corner.y, corner.z));
+    const frustum = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(corners.flatMap((corner, index) =>
+            [apex, corner, corner, corners[(index + 1) % 4]])),
+        material
+    );
+    frustum.raycast = () => {};
+    group.add(frustum);
+    
+    if (talent) {
+        const frame = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(CameraView.getCorners(view, talent.depth)
+                .map(corner => new THREE.Vector3(corner.x, corner.y, corner.z))),
+            new THREE.LineBasicMaterial({ color: CAMERA_VIEW_COLOR })
+        );
+        frame.raycast = () => {};
+        
+        const { width, height } = CameraView.getFrameSize(view, talent.depth);
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'camera-frame-label';
+        labelDiv.textContent = `${formatFeet(width)} × ${formatFeet(height)} frame at ${formatFeet(talent.depth)}`;
+        labelDiv.style.cssText = 'color: #66ccff; font-size: 11px;';
+        const label = new CSS2DObject(labelDiv);
+        const [topLeft, topRight] = CameraView.getCorners(view, talent.depth);
+        label.position.set((topLeft.x + topRight.x) / 2, (topLeft.y + topRight.y) / 2 + 0.4, (topLeft.z + topRight.z) / 2);
+        label.visible = cameraViews.visible;
+        frame.add(label);
+        group.add(frame);
+    }
+    
+    const footprint = CameraView.getFootprint(view, range, bounds);
+    if (footprint.length) {
+        const points = footprint.map(point => new THREE.Vector3(point.x, 0.03, point.z));
+        const fill = new THREE.Mesh(
+            new THREE.BufferGeometry().setFromPoints(points.slice(1, -1).flatMap((point, index) =>
+                [points[0], points[index + 2], point])),
+            new THREE.MeshBasicMaterial({
+                color: CAMERA_VIEW_COLOR,
+                transparent: true,
+                opacity: 0.15,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            })
+        );
+        fill.raycast = () => {};
+        const outline = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), material);
+        outline.raycast = () => {};
+        group.add(fill, outline);
+    }
+}
+
+function updateCameraViews() {
+    if (!scene) return;
+    
+    if (cameraViews.group) {
+        scene.remove(cameraViews.group);
+        cameraViews.group.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.dispose();
+            child.element?.remove();
+        });
+    }
+    cameraViews.group = new THREE.Group();
+    cameraViews.group.name = 'cameraViews';
+    cameraViews.group.visible = cameraViews.visible;
+    
+    const range = getCameraViewRange();
+    const bounds = getRoomBounds();
+    cameraViews.shots = getShots();
+    cameraViews.shots.forEach(shot => drawCameraView(cameraViews.group, shot, range, bounds));
+    scene.add(cameraViews.group);
+    
+    // Flag the label of anything in any shot
+    const inShot = new Set(cameraViews.shots.flatMap(shot => shot.contents.map(({ mesh }) => mesh)));
+    objects.forEach(mesh => {
+        const label = getEquipmentLabel(mesh)?.element;
+        if (label) label.style.color = inShot.has(mesh) ? IN_SHOT_COLOR : '';
+    });
+    
+    updateShotPanel();
+}
+
+function scheduleCameraViewUpdate() {
+    if (cameraViews.updateQueued) return;
+    cameraViews.updateQueued = true;
+    requestAnimationFrame(() => {
+        cameraViews.updateQueued = false;
+        updateCameraViews();
+    });
+}
+
+onSceneChanged(scheduleCameraViewUpdate);
+
+function setCameraViewsVisible(visible) {
+    cameraViews.visible = visible;
+    if (cameraViews.group) {
+        cameraViews.group.visible = visible;
+        // CSS2D labels are drawn outside WebGL and ignore group visibility
+        cameraViews.group.traverse(child => {
+            if (child.isCSS2DObject) child.visible = visible;
+        });
+    }
+}
+
+// What each camera has in shot, shown while there is a camera placed
+function createShotPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'shotPanel';
+    panel.style.cssText = `
+        position: absolute;
+        right: 590px;
+        bottom: 20px;
+        width: 240px;
+        max-height: 40vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    document.body.appendChild(panel);
+}
+
+function updateShotPanel() {
+    const panel = document.getElementById('shotPanel');
+    if (!panel) return;
+    
+    const shots = cameraViews.shots;
+    panel.style.display = shots.length ? 'block' : 'none';
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">In Shot</h3>
+        ${shots.map(shot => `
+            <div style="margin-bottom: 8px;">
+                <b>${escapeHTML(describeEquipment(shot.camera))}</b>, ${shot.camera.userData.settings.focalLength}mm, ${describeFieldOfView(shot.camera.userData.settings)}
+                ${shot.talent ? `<div style="color: #aaa;">On talent at ${formatFeet(shot.talent.depth)}</div>` : ''}
+                ${shot.contents.length ?
+                    shot.contents.map(({ mesh, depth }) => `
+                        <div style="color: ${IN_SHOT_COLOR};">⚠ ${escapeHTML(describeEquipment(mesh))} in shot at ${formatFeet(depth)}</div>
+                    `).join('') :
+                    '<div style="color: #33cc66;">Frame clear of equipment</div>'}
+            </div>
+        `).join('')}
+    `;
+}
+
+// Described setups: a gaffer-style description read by SetupParser and
+// built around the subject, as seen from the camera (see getShotAxis).
+const setupSheet = sheets.setup = {
+    panelId: 'setupPanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updateSetupPanel()
+};
+
+const SETUP_CAMERA_DISTANCE = 15;
+
+// Fixture used for a role when the description names none
+const ROLE_FIXTURES = {
+    key: 'ARRI SkyPanel S60-C',
+    fill: 'ARRI SkyPanel S60-C',
+    back: 'Aputure 300X',
+    rim: 'Aputure 300X',
+    kicker: 'Aputure 300X',
+    hair: 'Aputure 300X',
+    background: 'ARRI T2',
+    top: 'ARRI SkyPanel S360-C'
+};
+const WINDOW_FIXTURE = 'ARRI M18';
+
+// Overhead frames fly this high unless told otherwise, kept clear of the ceiling
+const SETUP_OVERHEAD_HEIGHT = 12;
+
+// Highlight colours for the parts of a description that were read
+const SETUP_TOKEN_COLORS = {
+    fixture: '#ffd27f',
+    role: '#ffd27f',
+    count: '#e0c3ff',
+    mount: '#e0c3ff',
+    angle: '#9fd3ff',
+    side: '#9fd3ff',
+    distance: '#9fd3ff',
+    height: '#9fd3ff',
+    length: '#9fd3ff',
+    grip: '#b6f0a6',
+    size: '#b6f0a6',
+    overhead: '#b6f0a6',
+    diffusion: '#b6f0a6',
+    window: '#b6f0a6'
+};
+
+// The shot setups are built for: the first camera placed, on the talent
+// mark it frames. Without a camera one stands SETUP_CAMERA_DISTANCE in
+// front of the subject on +Z, looking back at it; without a talent mark
+// the light meter is the subject.
+function getShotAxis() {
+    const shot = getShots()[0];
+    const subject = shot?.talent?.eye || (getTalentMarks()[0] && getTalentEye(getTalentMarks()[0])) || lightMeter.position;
+    const camera = shot ? shot.view.position : { x: subject.x, y: subject.y, z: subject.z + SETUP_CAMERA_DISTANCE };
+    return {
+        subject: { x: subject.x, y: subject.y, z: subject.z },
+        camera: { x: camera.x, y: camera.y, z: camera.z }
+    };
+}
+
+// Catalog frame for a described one: the size asked for if the catalog
+// has it, else the next size up, or the biggest there is
+function findFrameEntry(grip) {
+    if (grip.entry) return grip.entry;
+    const overhead = grip.kind === 'overhead';
+    const frames = EquipmentCatalog.list(overhead ? 'Overhead Rigs' : 'Grip Equipment')
+        .filter(entry => overhead ? entry.type === 'Overhead Grid' : /Frame|Reflector/.test(entry.type))
+        .map(entry => ({ entry, size: Math.max(0, ...(entry.details?.size?.match(/\d+/g) || []).map(Number)) }))
+        // Plain butterfly frames before UltraBounce of the same size
+        .sort((a, b) => a.size - b.size || (a.entry.type === 'Butterfly Frame' ? -1 : 1));
+    const wanted = Math.max(grip.width, grip.height);
+    return (frames.find(frame => frame.size >= wanted) || frames[frames.length - 1])?.entry || null;
+}
+
+function getCatalogData(entry) {
+    return JSON.stringify({ category: entry.category, name: entry.name, details: EquipmentCatalog.toDetails(entry) });
+}
+
+// Nearest window to the subject, on the side asked for if there is one
+// there: { center: { x, y, z }, inward } or null
+function findSetupWindow(item, { subject, camera }) {
+    const preset = ENVIRONMENTS[currentEnvironmentType];
+    if (!preset) return null;
+    const openings = getWallOpenings(preset.features.windows, preset);
+    const right = { x: camera.z - subject.z, z: -(camera.x - subject.x) };
+    const windows = openings.map((opening, index) => ({
+        center: {
+            x: (opening.start.x + opening.end.x) / 2,
+            y: preset.features.windows[index].y,
+            z: (opening.start.z + opening.end.z) / 2
+        },
+        inward: opening.inward
+    }));
+    const onSide = windows.filter(opening => {
+        const across = (opening.center.x - subject.x) * right.x + (opening.center.z - subject.z) * right.z;
+        return item.side === 'right' ? across > 0 : across < 0;
+    });
+    const choices = !item.defaults.includes('side') && onSide.length ? onSide : windows;
+    const reach = opening => Math.hypot(opening.center.x - subject.x, opening.center.z - subject.z);
+    return choices.sort((a, b) => reach(a) - reach(b))[0] || null;
+}
+
+// Place everything a parsed description calls for as one undoable step.
+// Returns notes on anything that could not be done as described.
+function createEquipmentFromAnalysis(analysis) {
+    const axis = getShotAxis();
+    const { subject } = axis;
+    const placed = [];
+    const built = [];
+    const notes = [];
+
+    const add = (entry, position, rotation, settings = {}) => {
+        const mesh = createEquipmentInScene(
+            getCatalogData(entry),
+            new THREE.Vector3(position.x, position.y, position.z),
+            { rotation, settings }
+        );
+        if (mesh) placed.push(mesh);
+        return mesh;
+    };
+    const getFrame = (grip) => {
+        const entry = findFrameEntry(grip);
+        if (!entry) {
+            notes.push(`No ${grip.width}x${grip.height} frame in the catalog`);
+        } else if (!grip.entry && entry.details?.size?.match(/\d+/g).slice(0, 2).join('x') !== `${grip.width}x${grip.height}`) {
+            notes.push(`No ${grip.width}x${grip.height} in the catalog; used ${entry.name}`);
+        }
+        return entry;
+    };
+
+    analysis.items.forEach((item, index) => {
+        built[index] = [];
+        const role = item.role ? { role: item.role } : {};
+
+        if (item.grip) {
+            const entry = getFrame(item.grip);
+            if (!entry) return;
+            const settings = item.grip.fabric ? { fabric: item.grip.fabric, ...role } : { ...role };
+            if (item.grip.kind === 'overhead') {
+                const height = item.height ?? Math.min(SETUP_OVERHEAD_HEIGHT, currentEnvironmentDimensions.height - 2);
+                const heading = Math.atan2(axis.camera.x - subject.x, axis.camera.z - subject.z);
+                built[index].push(add(entry, { x: subject.x, y: height, z: subject.z }, { x: 0, y: heading, z: 0 }, settings));
+                return;
+            }
+            SetupParser.place(item, axis).forEach(({ position, heading }) => {
+                built[index].push(add(entry, position, { x: 0, y: heading, z: 0 }, settings));
+            });
+            return;
+        }
+
+        const entry = item.fixture || EquipmentCatalog.get(item.window ? WINDOW_FIXTURE : ROLE_FIXTURES[item.role] || ROLE_FIXTURES.key);
+        if (!entry) return;
+
+        // Units in an overhead hang from its long sides, facing the subject
+        const frame = item.inside !== null ? built[item.inside]?.[0] : null;
+        if (frame) {
+            const sides = getRiggingMembers().filter(member =>
+                member.id === `${frame.userData.id}-left` || member.id === `${frame.userData.id}-right`);
+            const perSide = Math.ceil(item.count / sides.length);
+            for (let i = 0; i < item.count; i++) {
+                const member = sides[i % sides.length];
+                const length = Math.hypot(member.end.x - member.start.x, member.end.z - member.start.z);
+                const along = length * (Math.floor(i / sides.length) + 1) / (perSide + 1);
+                const position = Snapping.hangPoint(member, along);
+                const { heading, tilt } = SetupParser.aim(position, subject);
+                built[index].push(add(entry, position, { x: 0, y: heading, z: Math.PI }, {
+                    hang: getHangSettings(member, along, heading),
+                    tilt,
+                    ...role
+                }));
+            }
+            return;
+        }
+
+        let placements;
+        const opening = item.window && findSetupWindow(item, axis);
+        if (opening) {
+            const position = {
+                x: opening.center.x - opening.inward.x * item.distance,
+                y: item.defaults.includes('height') ? opening.center.y : item.height,
+                z: opening.center.z - opening.inward.z * item.distance
+            };
+            placements = [{ position, ...SetupParser.aim(position, subject) }];
+        } else {
+            if (item.window) notes.push(`No window in this room; ${entry.name} placed by the subject instead`);
+            placements = SetupParser.place(item, axis);
+        }
+
+        placements.forEach(({ position, heading, tilt }) => {
+            built[index].push(add(entry, position, { x: 0, y: heading, z: 0 }, { tilt, ...role }));
+            if (!item.diffusion) return;
+
+            const diffusion = SetupParser.placeDiffusion(position, subject);
+            const frameEntry = getFrame({ kind: 'frame', width: item.diffusion.width, height: item.diffusion.height });
+            if (frameEntry) {
+                add(frameEntry, diffusion.position, { x: 0, y: diffusion.heading, z: 0 }, {
+                    fabric: item.diffusion.fabric,
+                    frameHeight: diffusion.center
+                });
+            }
+        });
+    });
+
+    if (placed.length) {
+        const items = placed.map(snapshotEquipment);
+        CommandHistory.record({
+            label: `Build setup (${items.length} items)`,
+            undo: () => items.forEach(item => removeEquipment(findEquipment(item.id))),
+            redo: () => items.forEach(restoreEquipment)
+        });
+    }
+    return [...new Set(notes)];
+}
+
+// The description with what was read from it marked up: each word used
+// highlighted, with what it was taken to mean on hover, clauses that
+// place something underlined, and anything passed over greyed out
+function formatSetupParse(text, { clauses }) {
+    const plain = (from, to, style = 'color: #888;') => from < to ?
+        `<span style="${style}">${escapeHTML(text.slice(from, to))}</span>` : '';
+    let html = '';
+    let at = 0;
+    clauses.forEach(clause => {
+        html += plain(at, clause.start);
+        if (clause.item === null) {
+            html += `<span title="Not understood">${plain(clause.start, clause.end, 'color: #777; text-decoration: line-through;')}</span>`;
+        } else {
+            let inner = '';
+            let from = clause.start;
+            clause.tokens.forEach(token => {
+                inner += plain(from, token.start);
+                inner += `<mark title="${escapeHTML(token.meaning)}" style="background: ${SETUP_TOKEN_COLORS[token.kind]}; color: #000; border-radius: 2px; padding: 0 1px;">${escapeHTML(text.slice(token.start, token.end))}</mark>`;
+                from = token.end;
+            });
+            inner += plain(from, clause.end);
+            html += `<span style="border-bottom: 2px solid #4a9eff;">${inner}</span>`;
+        }
+        at = clause.end;
+    });
+    return html + plain(at, text.length);
+}
+
+// One line per item: what will be placed and where, with anything taken
+// from the role's defaults in italics
+function describeSetupItem(item, items) {
+    const assumed = (field, text) => item.defaults.includes(field) ? `<i style="color: #aaa;">${text}</i>` : text;
+    const role = SetupParser.ROLES[item.role]?.label;
+    const count = item.count > 1 ? `${item.count}x ` : '';
+
+    let what;
+    if (item.grip) {
+        const fabric = item.grip.fabric ? `, ${GripModifiers.getFabric(item.grip.fabric).label}` : '';
+        what = `${count}${item.grip.entry?.name || `${item.grip.width}x${item.grip.height} frame`}${fabric}`;
+    } else {
+        const named = item.fixture?.name;
+        const fallback = item.window ? WINDOW_FIXTURE : ROLE_FIXTURES[item.role] || ROLE_FIXTURES.key;
+        what = count + (named || `<i style="color: #aaa;">${fallback}</i>`);
+    }
+
+    const where = [];
+    if (item.grip?.kind === 'overhead') {
+        where.push(item.height !== null ? `flown at ${item.height} ft` : 'flown over the subject');
+    } else if (item.inside !== null) {
+        const frame = items[item.inside].grip;
+        where.push(`hung in the ${frame.width}x${frame.height} overhead`);
+    } else {
+        if (item.window) {
+            where.push(`outside the window, ${assumed('distance', `${item.distance} ft out`)}`);
+        } else {
+            const side = item.side && item.angle % 180 ? ` camera ${item.side}` : '';
+            where.push(assumed('angle', `${item.angle}°`) + assumed('side', side));
+            where.push(assumed('distance', `${item.distance} ft out`));
+        }
+        if (item.window && item.defaults.includes('height')) {
+            where.push(assumed('height', 'at the window\'s height'));
+        } else if (item.height !== null) {
+            where.push(assumed('height', `${item.height} ft high`));
+        }
+        if (item.mount && SetupParser.MOUNTS[item.mount]) where.push(`on ${SetupParser.MOUNTS[item.mount].label.toLowerCase()}`);
+    }
+    if (item.diffusion) {
+        where.push(`through a ${item.diffusion.width}x${item.diffusion.height} of ${GripModifiers.getFabric(item.diffusion.fabric).label.toLowerCase()}`);
+    }
+
+    return `<div style="margin: 3px 0;">${role ? `<b>${role}:</b> ` : ''}${what} — ${where.join(', ')}</div>`;
+}
+
+function createSetupPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'setupPanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 620px;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Describe the Setup</h3>
+        <textarea id="sceneDescription" rows="4" style="width: 100%; box-sizing: border-box;"
+            placeholder="key 45° camera left at 10 ft through a 4x4 of 250; backlight on a combo, 12 ft; two 8x8 neg camera right"></textarea>
+        <div id="setupParse" style="margin-top: 8px; line-height: 1.8; white-space: pre-wrap;"></div>
+        <div id="setupItems" style="margin-top: 8px;"></div>
+        <button id="setupBuild" style="margin-top: 8px;">Build setup</button>
+        <div id="setupNotes" style="margin-top: 8px;"></div>
+        <p style="margin: 8px 0 0 0; color: #aaa;">
+            Angles are from the camera's line to the subject, and distances out from the subject: the talent mark the first camera frames,
+            or the light meter seen from ${SETUP_CAMERA_DISTANCE} ft in front without them.
+        </p>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('sceneDescription').addEventListener('input', () => updateSetupPanel());
+    document.getElementById('setupBuild').addEventListener('click', () => window.generateLightingDesign());
+}
+
+function updateSetupPanel(notes = []) {
+    if (!setupSheet.visible) return;
+    
+    const text = document.getElementById('sceneDescription').value;
+    const analysis = SetupParser.parse(text);
+    document.getElementById('setupParse').innerHTML = formatSetupParse(text, analysis);
+    document.getElementById('setupItems').innerHTML = analysis.items.length ?
+        analysis.items.map(item => describeSetupItem(item, analysis.items)).join('') :
+        text.trim() ? '<p style="margin: 4px 0; font-style: italic;">Nothing to place was understood.</p>' : '';
+    document.getElementById('setupBuild').disabled = !analysis.items.length;
+    document.getElementById('setupNotes').innerHTML = notes
+        .map(note => `<div style="color: #ffb347;">⚠ ${escapeHTML(note)}</div>`)
+        .join('');
+}
+
+// Lighting presets set down around a subject: the built-in setups and the
+// user's own, which are kept in local storage and shared as files
+const presetSheet = sheets.presets = {
+    panelId: 'presetPanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updatePresetPanel()
+};
+
+// Settings a preset keeps for each unit; patch, circuit and unit number
+// belong to the plot it is placed in
+const PRESET_SETTINGS = ['pan', 'tilt', 'focus', 'dimmer', 'shadows', 'cct', 'gels', 'fabric', 'frameHeight'];
+
+let userPresets = [];
+
+function saveUserPresets(presets) {
+    userPresets = presets;
+    try {
+        localStorage.setItem(SetupPresets.STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.error('Could not store presets:', error);
+        alert('Could not save your presets: ' + error.message);
+    }
+    updatePresetPanel();
+}
+
+function restoreUserPresets() {
+    try {
+        userPresets = SetupPresets.restore(localStorage.getItem(SetupPresets.STORAGE_KEY));
+    } catch (error) {
+        console.error('Discarding unreadable presets:', error);
+        userPresets = [];
+    }
+}
+
+function getPresets() {
+    return [...SetupPresets.BUILT_IN, ...userPresets];
+}
+
+function getSelectedPreset() {
+    const id = document.getElementById('presetSelect')?.value;
+    return getPresets().find(preset => preset.id === id) || null;
+}
+
+// Subject the preset panel places around, facing in radians
+function getPresetSubject() {
+    const value = (id, fallback) => {
+        const number = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(number) ? number : fallback;
+    };
+    return {
+        x: value('presetSubjectX', 0),
+        y: value('presetSubjectHeight', lightMeter.position.y),
+        z: value('presetSubjectZ', 0),
+        facing: THREE.MathUtils.degToRad(value('presetSubjectFacing', 0))
+    };
+}
+
+// Subject of the current shot, facing its camera
+function setPresetSubjectFromShot() {
+    const { subject, camera } = getShotAxis();
+    const facing = THREE.MathUtils.radToDeg(Math.atan2(camera.x - subject.x, camera.z - subject.z));
+    document.getElementById('presetSubjectX').value = Number(subject.x.toFixed(2));
+    document.getElementById('presetSubjectZ').value = Number(subject.z.toFixed(2));
+    document.getElementById('presetSubjectHeight').value = Number(subject.y.toFixed(2));
+    document.getElementById('presetSubjectFacing').value = Math.round(facing);
+}
+
+// Place a preset's units around the subject as one undoable step. Units
+// saved with an aim keep it; the rest are pointed at the subject.
+function applyPreset(preset) {
+    const subject = getPresetSubject();
+    const placed = [];
+    const skipped = [];
+    
+    preset.items.forEach(item => {
+        const entry = EquipmentCatalog.get(item.name);
+        if (!entry) {
+            skipped.push(item.name);
+            return;
+        }
+        
+        const position = SetupPresets.toWorld(item.offset, subject);
+        // Only the look carries over from a preset file, never hang,
+        // unit or patch
+        const settings = {};
+        PRESET_SETTINGS.forEach(key => {
+            if (item.settings?.[key] !== undefined) settings[key] = copySetting(item.settings[key]);
+        });
+        if (item.role) settings.role = item.role;
+        let rotation;
+        if (item.rotation) {
+            rotation = { ...item.rotation, y: item.rotation.y + subject.facing };
+        } else {
+            const { heading, tilt } = SetupParser.aim(position, subject);
+            rotation = { x: 0, y: heading, z: 0 };
+            if (FIXTURE_CATEGORIES.includes(entry.category)) settings.tilt = tilt;
+        }
+        
+        const mesh = createEquipmentInScene(
+            getCatalogData(entry),
+            new THREE.Vector3(position.x, position.y, position.z),
+            { rotation, settings }
+        );
+        if (!mesh) return;
+        // A unit saved hanging picks up whatever pipe or truss is there now
+        updateHang(mesh);
+        placed.push(snapshotEquipment(mesh));
+    });
+    
+    if (placed.length) {
+        CommandHistory.record({
+            label: `Place preset ${preset.name}`,
+            undo: () => placed.forEach(item => removeEquipment(findEquipment(item.id))),
+            redo: () => placed.forEach(restoreEquipment)
+        });
+    }
+    if (skipped.length) {
+        alert(`Not in the catalog, so not placed: ${[...new Set(skipped)].join(', ')}`);
+    }
+}
+
+// Everything placed that a preset can carry, in plot space
+function getPresetUnits() {
+    return objects
+        .filter(mesh => !['Power Distribution', CAMERA_CATEGORY].includes(mesh.userData.type) && !isTrussSpan(mesh))
+        .filter(mesh => EquipmentCatalog.get(mesh.userData.name))
+        .map(mesh => {
+            const { name, settings } = mesh.userData;
+            const kept = {};
+            PRESET_SETTINGS.forEach(key => {
+                if (settings[key] !== undefined) kept[key] = copySetting(settings[key]);
+            });
+            return {
+                name,
+                role: settings.role,
+                position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
+                rotation: { x: mesh.rotation.x, y: mesh.rotation.y, z: mesh.rotation.z },
+                settings: kept
+            };
+        });
+}
+
+function saveArrangementAsPreset() {
+    const name = document.getElementById('presetName').value.trim();
+    if (!name) {
+        alert('Give the preset a name first');
+        return;
+    }
+    const units = getPresetUnits();
+    if (!units.length) {
+        alert('There is nothing placed to save');
+        return;
+    }
+    
+    const preset = SetupPresets.create(name, document.getElementById('presetDescription').value, units, getPresetSubject());
+    if (userPresets.some(existing => existing.id === preset.id) && !confirm(`Replace your preset "${name}"?`)) return;
+    saveUserPresets(SetupPresets.save(userPresets, preset));
+    document.getElementById('presetSelect').value = preset.id;
+    updatePresetPanel();
+    console.log(`Saved preset "${name}" with ${units.length} units`);
+}
+
+function exportPreset(preset) {
+    const blob = new Blob([SetupPresets.toFile([preset])], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = preset.name.replace(/[^\w\- ]+/g, '').trim() + SetupPresets.FILE_EXTENSION;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    console.log('Preset exported:', link.download);
+}
+
+function openPresetFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,' + SetupPresets.FILE_EXTENSION;
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            try {
+                const presets = SetupPresets.parse(text);
+                saveUserPresets(presets.reduce((all, preset) => SetupPresets.save(all, preset), userPresets));
+                document.getElementById('presetSelect').value = presets[0].id;
+                updatePresetPanel();
+                console.log(`Imported ${presets.length} preset(s) from ${file.name}`);
+            } catch (error) {
+                console.error('Failed to import presets:', error);
+                alert('Could not import presets: ' + error.message);
+            }
+        });
+    });
+    input.click();
+}
+
+function deleteUserPreset(preset) {
+    if (!confirm(`Delete your preset "${preset.name}"?`)) return;
+    saveUserPresets(SetupPresets.remove(userPresets, preset.id));
+}
+
+function createPresetPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'presetPanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 620px;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    const field = (id, label, unit, value) => `
+        <label style="margin-right: 8px;">${label}
+            <input type="number" id="${id}" step="0.5" value="${value}" style="width: 55px;"> ${unit}
+        </label>
+    `;
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">Lighting Presets</h3>
+        <select id="presetSelect" style="width: 100%;"></select>
+        <div id="presetDetails" style="margin-top: 8px;"></div>
+        <div style="margin-top: 8px;">
+            <b>Subject</b>
+            ${field('presetSubjectX', 'X', 'ft', lightMeter.position.x)}
+            ${field('presetSubjectZ', 'Z', 'ft', lightMeter.position.z)}
+            ${field('presetSubjectHeight', 'Eye height', 'ft', lightMeter.position.y)}
+            ${field('presetSubjectFacing', 'Facing', '°', 0)}
+            <button id="presetFromShot">From shot</button>
+            <div style="color: #aaa; margin-top: 4px;">Facing 0° looks along +Z; camera left and right are as seen from in front of the subject.</div>
+        </div>
+        <div style="margin-top: 8px;">
+            <button id="presetApply">Place preset</button>
+            <button id="presetExport">Export</button>
+            <button id="presetDelete">Delete</button>
+            <button id="presetImport">Import…</button>
+        </div>
+        <h4 style="margin: 12px 0 6px 0; border-top: 1px solid #444; padding-top: 8px;">Save current arrangement</h4>
+        <input type="text" id="presetName" placeholder="Preset name" style="width: 160px;">
+        <input type="text" id="presetDescription" placeholder="Description" style="width: 260px;">
+        <button id="presetSave">Save as preset</button>
+        <div style="color: #aaa; margin-top: 4px;">Fixtures and grip are saved relative to the subject above, with their aim, output, colour and fabric.</div>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('presetSelect').addEventListener('change', () => updatePresetPanel());
+    document.getElementById('presetFromShot').addEventListener('click', setPresetSubjectFromShot);
+    document.getElementById('presetApply').addEventListener('click', () => {
+        const preset = getSelectedPreset();
+        if (preset) applyPreset(preset);
+    });
+    document.getElementById('presetExport').addEventListener('click', () => {
+        const preset = getSelectedPreset();
+        if (preset) exportPreset(preset);
+    });
+    document.getElementById('presetDelete').addEventListener('click', () => {
+        const preset = getSelectedPreset();
+        if (preset && !SetupPresets.isBuiltIn(preset)) deleteUserPreset(preset);
+    });
+    document.getElementById('presetImport').addEventListener('click', openPresetFile);
+    document.getElementById('presetSave').addEventListener('click', saveArrangementAsPreset);
+}
+
+// Where a preset unit sits, in words: '6.5 ft camera right, 6.5 ft in front, 6.5 ft high'
+function describePresetOffset(offset) {
+    const parts = [];
+    if (Math.abs(offset.x) >= 0.05) parts.push(`${formatFeet(Math.abs(offset.x))} camera ${offset.x > 0 ? 'right' : 'left'}`);
+    if (Math.abs(offset.z) >= 0.05) parts.push(`${formatFeet(Math.abs(offset.z))} ${offset.z > 0 ? 'in front' : 'behind'}`);
+    parts.push(`${formatFeet(offset.y)} high`);
+    return parts.join(', ');
+}
+
+function updatePresetPanel() {
+    if (!presetSheet.visible) return;
+    
+    const select = document.getElementById('presetSelect');
+    const selected = select.value || SetupPresets.BUILT_IN[0].id;
+    const option = preset => `<option value="${escapeHTML(preset.id)}" ${preset.id === selected ? 'selected' : ''}>${escapeHTML(preset.name)}</option>`;
+    select.innerHTML = `
+        <optgroup label="Built in">${SetupPresets.BUILT_IN.map(option).join('')}</optgroup>
+        ${userPresets.length ? `<optgroup label="My presets">${userPresets.map(option).join('')}</optgroup>` : ''}
+    `;
+    
+    const preset = getSelectedPreset();
+    document.getElementById('presetDelete').disabled = !preset || SetupPresets.isBuiltIn(preset);
+    document.getElementById('presetDetails').innerHTML = preset ? `
+        ${preset.description ? `<p style="margin: 4px 0; font-style: italic;">${escapeHTML(preset.description)}</p>` : ''}
+        ${preset.items.map(item => `
+            <div style="margin: 3px 0; ${EquipmentCatalog.get(item.name) ? '' : 'color: #ffb347;'}">
+                ${item.role ? `<b>${SetupParser.ROLES[item.role]?.label || escapeHTML(item.role)}:</b> ` : ''}${escapeHTML(item.name)}
+                — ${describePresetOffset(item.offset)}
+                ${EquipmentCatalog.get(item.name) ? '' : ' (not in the catalog)'}
+            </div>
+        `).join('')}
+    ` : '';
+}
+
+// Undo history. Undone steps stay listed, greyed out, until a new edit
+// replaces them; clicking any step returns the plot to just after it.
+const historySheet = sheets.history = {
+    panelId: 'historyPanel',
+    visible: false,
+    updateQueued: false,
+    update: () => updateHistoryPanel()
+};
+
+// Undo and redo can rebuild or change the selected item, so its
+// controls are drawn again afterwards
+function undoEdit() {
+    if (CommandHistory.undo()) updateInspector();
+}
+
+function redoEdit() {
+    if (CommandHistory.redo()) updateInspector();
+}
+
+function jumpToEdit(index) {
+    CommandHistory.jumpTo(index);
+    updateInspector();
+}
+
+function createHistoryPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'historyPanel';
+    panel.style.cssText = `
+        position: absolute;
+        left: 50%;
+        top: 80px;
+        transform: translateX(-50%);
+        width: 320px;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 15px;
+        border-radius: 8px;
+        z-index: 1000;
+        font-size: 12px;
+        display: none;
+    `;
+    
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px 0;">History</h3>
+        <button id="historyUndo">↶ Undo (Ctrl+Z)</button>
+        <button id="historyRedo">↷ Redo (Ctrl+Shift+Z)</button>
+        <div id="historyList" style="margin-top: 8px;"></div>
+    `;
+    document.body.appendChild(panel);
+    
+    document.getElementById('historyUndo').addEventListener('click', undoEdit);
+    document.getElementById('historyRedo').addEventListener('click', redoEdit);
+    document.getElementById('historyList').addEventListener('click', (e) => {
+        const step = e.target.closest('[data-index]');
+        if (step) jumpToEdit(Number(step.dataset.index));
+    });
+    
+    CommandHistory.onChange(scheduleHistoryUpdate);
+}
+
+function scheduleHistoryUpdate() {
+    if (historySheet.updateQueued) return;
+    historySheet.updateQueued = true;
+    requestAnimationFrame(() => {
+        historySheet.updateQueued = false;
+        updateHistoryPanel();
+    });
+}
+
+function updateHistoryPanel() {
+    if (!historySheet.visible) return;
+    
+    document.getElementById('historyUndo').disabled = !CommandHistory.canUndo();
+    document.getElementById('historyRedo').disabled = !CommandHistory.canRedo();
+    
+    const position = CommandHistory.getPosition();
+    const steps = [{ index: 0, label: 'Opened plot', applied: true }, ...CommandHistory.getSteps()];
+    document.getElementById('historyList').innerHTML = steps.map(step => `
+        <div data-index="${step.index}" style="
+            padding: 3px 6px;
+            cursor: pointer;
+            border-radius: 3px;
+            ${step.index === position ? 'background: #555; font-weight: bold;' : ''}
+            ${step.applied ? '' : 'color: #888; font-style: italic;'}
+        ">${escapeHTML(step.label)}</div>
+    `).join('');
+}
+
+// Live DMX output through the local bridge (bridge/dmx-bridge.mjs)
+const liveOutput = {
+    url: 'ws://127.0.0.1:8090',
+    socket: null,
+    sendQueued: false
+};
+
+function setLiveOutputStatus(text) {
+    const status = document.getElementById('liveOutputStatus');
+    if (status) status.textContent = text;
+    const toggle = document.getElementById('liveOutputToggle');
+    if (toggle) toggle.textContent = liveOutput.socket ? 'Disconnect' : 'Connect';
+}
+
+function connectLiveOutput(url) {
+    liveOutput.url = url;
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (error) {
+        console.error('Live output connection failed:', error);
+        alert('Could not connect to the DMX bridge: ' + error.message);
+        return;
+    }
+    
+    liveOutput.socket = socket;
+    setLiveOutputStatus('Connecting...');
+    
+    socket.addEventListener('open', () => {
+        setLiveOutputStatus('Live');
+        sendLiveOutput();
+    });
+    socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type === 'hello') {
+            setLiveOutputStatus(`Live (${message.protocol}, ${message.rate} Hz)`);
+        }
+    });
+    socket.addEventListener('close', () => {
+        if (liveOutput.socket === socket) {
+            liveOutput.socket = null;
+            setLiveOutputStatus('Off');
+        }
+    });
+    socket.addEventListener('error', () => {
+        console.error('Live output: no bridge at', url);
+        setLiveOutputStatus('Bridge not running');
+    });
+}
+
+function disconnectLiveOutput() {
+    const socket = liveOutput.socket;
+    liveOutput.socket = null;
+    if (socket) socket.close();
+    setLiveOutputStatus('Off');
+}
+
+// Levels for each patched fixture, from the same settings the preview uses
+// Gels sit in front of the unit, so the desk sets its own colour
+// temperature with no green shift; the plot has no tint setting per unit
+function getFixtureOutputState(mesh) {
+    return {
+        dimmer: mesh.userData.settings.dimmer ?? 1,
+        kelvin: getFixtureCCT(mesh),
+        green: 0,
+        range: ColorTemperature.parseRange(mesh.userData.specs?.color)
+    };
+}
+
+function sendLiveOutput() {
+    const socket = liveOutput.socket;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    
+    const fixtures = objects
+        .filter(mesh => mesh.userData.settings.patch?.address)
+        .map(mesh => ({
+            name: mesh.userData.name,
+            patch: mesh.userData.settings.patch,
+            state: getFixtureOutputState(mesh)
+        }));
+    socket.send(DMXOutput.createFrameMessage(DMXOutput.buildUniverses(fixtures)));
+}
+
+// The bridge limits the frame rate; the page just sends the latest look
+function scheduleLiveOutput() {
+    if (!liveOutput.socket || liveOutput.sendQueued) return;
+    liveOutput.sendQueued = true;
+    requestAnimationFrame(() => {
+        liveOutput.sendQueued = false;
+        sendLiveOutput();
+    });
+}
+
+onSceneChanged(scheduleLiveOutput);
+
 // Add checkpoint restoration function
 window.restoreToStable = function() {
     try {